@@ -0,0 +1,69 @@
+/* eslint-disable no-restricted-globals */
+// Name_Corrector/frontend/public/service-worker.js
+// Keeps the app shell available offline. Backend calls are never cached here;
+// the app queues and caches those itself (see src/offlineCache.js).
+const CACHE_NAME = 'numerology-shell-v1';
+const SHELL_URLS = ['./', './index.html', './manifest.json', './favicon.ico', './logo192.png'];
+
+// CRA writes every hashed bundle into asset-manifest.json, so precache those too
+async function precacheShell() {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(SHELL_URLS);
+    try {
+        const response = await fetch('./asset-manifest.json', { cache: 'no-store' });
+        const manifest = await response.json();
+        const files = Object.values(manifest.files || {}).filter(url => !url.endsWith('.map'));
+        await cache.addAll(files);
+    } catch (e) {
+        // Bundles will still be cached as they are requested
+    }
+}
+
+// Only successful same-origin responses; an error page or a redirect elsewhere must not become the shell
+const isCacheable = (response) => response.ok && response.type === 'basic';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    // Pages: network first so deployments show up, cached shell when offline
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    if (isCacheable(response)) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put('./index.html', copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match('./index.html'))
+        );
+        return;
+    }
+
+    // Hashed static assets never change, so serve from cache when we have them
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request).then(response => {
+            if (isCacheable(response)) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return response;
+        }))
+    );
+});
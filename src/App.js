@@ -1,367 +1,326 @@
 /* eslint-disable no-unused-vars */
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import axios from 'axios';
-import { marked } from 'marked'; // Corrected: For rendering Markdown in report preview
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import debounce from 'lodash.debounce'; // Correctly imported debounce
 import _ from 'lodash';
+import {
+    DEFAULT_RULE_SET,
+    calculateBirthNumber,
+    calculateLifePathNumber,
+    getAllowedValues,
+    getNameCompatibilityAnalysis,
+    calculateSingleDigit,
+    calculateFirstNameValue,
+    calculateExpressionNumber,
+    calculateRawSum,
+    calculateSoulUrgeNumber,
+    calculatePersonalityNumber,
+    checkKarmicDebt,
+    calculateLoShuGrid,
+    isValidNameNumber,
+    buildClientProfile,
+    cleanName
+} from './numerology';
+import { generateNameSuggestions, blendSuggestions } from './suggestionGenerator';
+import {
+    describeRuleSet,
+    loadRuleSets,
+    saveRuleSets,
+    loadActiveRuleSetId,
+    saveActiveRuleSetId
+} from './ruleSets';
+import RuleSetSettings from './RuleSetSettings';
+import ReportPreview from './ReportPreview'; // Renders the Markdown report preview safely
+import { escapeHtml } from './reportMarkdown';
+import ClientManager from './ClientManager';
+import BulkValidation from './BulkValidation';
+import BackendSettings from './BackendSettings';
+import VerdictDiscrepancy from './VerdictDiscrepancy';
+import DiscrepancyLog from './DiscrepancyLog';
+import {
+    VERDICT_AUTHORITIES,
+    reconcileVerdicts,
+    getConfirmBlockReason,
+    logDiscrepancies,
+    loadDiscrepancyLog,
+    saveDiscrepancyLog,
+    loadVerdictAuthority,
+    saveVerdictAuthority
+} from './reconciliation';
+import { createApiClient, loadBackendUrl, saveBackendUrl, isCancelledRequest, describeApiError } from './apiClient';
+import ServerWakeBanner from './ServerWakeBanner';
+import TransliterationPreview from './TransliterationPreview';
+import {
+    getClientCacheKey,
+    isNetworkError,
+    cacheSuggestionsResponse,
+    getCachedSuggestionsResponse,
+    cacheValidation,
+    getCachedValidation,
+    loadQueue,
+    saveQueue,
+    enqueueValidation,
+    isQueued,
+    getReplayRetryDelay,
+    replayQueue
+} from './offlineCache';
+import CalculationBreakdown from './CalculationBreakdown';
+import NameComparison from './NameComparison';
+import LoShuGrid from './LoShuGrid';
+import { downloadBlob, downloadTextFile } from './download';
+import { getNameBreakdown, formatBreakdownMarkdown } from './nameBreakdown';
+import NamePartsEditor from './NamePartsEditor';
+import NameFixer from './NameFixer';
+import PhoneticBadge from './PhoneticBadge';
+import BusinessNameMode from './BusinessNameMode';
+import { DEFAULT_BUSINESS_SESSION } from './businessNumerology';
+import ForecastCalendar from './ForecastCalendar';
+import { buildClientPdfReport, PDF_SOURCES } from './clientPdfReport';
+import ReportTemplateDesigner from './ReportTemplateDesigner';
+import ExportMenu from './ExportMenu';
+import { buildExportData } from './profileExports';
+import {
+    DEFAULT_REPORT_TEMPLATE,
+    isSectionEnabled,
+    getEnabledSections,
+    toTemplatePayload,
+    loadReportTemplates,
+    saveReportTemplates,
+    loadActiveTemplateId,
+    saveActiveTemplateId
+} from './reportTemplates';
+import { buildForecastPayload, formatForecastMarkdown, getTodayIsoDate } from './forecast';
+import { phoneticSimilarity, PHONETIC_LEVELS } from './phonetic';
+import {
+    SUGGESTION_SORTS,
+    SUGGESTION_PAGE_SIZES,
+    SUGGESTION_LAYOUTS,
+    DEFAULT_SUGGESTION_VIEW,
+    hasActiveFilters,
+    getSuggestionOrder,
+    getSuggestionPage
+} from './suggestionView';
+import {
+    NAME_ORDER_PRESETS,
+    DEFAULT_NAME_ORDER,
+    getNameOrderPreset,
+    getGivenName,
+    parseNameParts,
+    reparseNameParts,
+    composeFullName
+} from './nameParts';
+import {
+    createClientRecord,
+    duplicateClientRecord,
+    listClients,
+    saveClient,
+    deleteClient
+} from './clientStore';
+import {
+    buildSessionFile,
+    getSessionFilename,
+    readSessionFile,
+    resolveSessionRuleSet,
+    recomputeSession,
+    describeSessionChanges
+} from './sessionFile';
 
 import './App.css'; // Import the CSS file for styling
 
-// Configure your backend URL
-const BACKEND_URL = 'https://name-corrector-backend.onrender.com'; // <<< IMPORTANT: REPLACE THIS WITH YOUR RENDER BACKEND URL
-
-// --- UPDATED CHALDEAN NUMEROLOGY CALCULATIONS WITH NEW RULES ---
-const CHALDEAN_MAP = {
-  A: 1, B: 2, C: 3, D: 4, E: 5, F: 8, G: 3,
-  H: 5, I: 1, J: 1, K: 2, L: 3, M: 4, N: 5,
-  O: 7, P: 8, Q: 1, R: 2, S: 3, T: 4, U: 6,
-  V: 6, W: 6, X: 5, Y: 1, Z: 7
+// Confirm button text when the chosen verdict authority blocks a name
+const CONFIRM_BLOCK_LABELS = {
+    'local-invalid': 'Non-Compliant',
+    'backend-pending': 'Needs Backend Check',
+    'backend-invalid': 'Backend Rejected'
 };
 
-const MASTER_NUMBERS = new Set([11, 22, 33]);
-const KARMIC_DEBT_NUMBERS = new Set([13, 14, 16, 19]);
-const VOWELS = new Set(['A', 'E', 'I', 'O', 'U']);
-
-// UPDATED RULES: PRIMARY LUCKY NUMBERS ARE ONLY 1, 5, 6
-const PRIMARY_LUCKY_NUMBERS = new Set([1, 5, 6]);
-
-// Special value permissions and restrictions
-const ALWAYS_REJECTED_VALUES = new Set([51]); // 51 rejected for personal names (business only)
-const SPECIAL_ALLOWED_VALUES = new Set([65]); // 65 allowed despite reducing to 2
-
-/**
- * Calculate Birth Number from date of birth
- * @param {string} birthDateStr - Date in YYYY-MM-DD format
- * @returns {number} Birth number (day reduced to single digit)
- */
-function calculateBirthNumber(birthDateStr) {
-    try {
-        const day = parseInt(birthDateStr.split('-')[2], 10);
-        if (isNaN(day) || day < 1 || day > 31) return 0;
-        return calculateSingleDigit(day, false); // Birth number is always single digit
-    } catch {
-        return 0;
-    }
+const NAME_MODES = [
+    { id: 'personal', label: '👤 Personal Name' },
+    { id: 'business', label: '🏢 Business / Brand Name' }
+];
+
+// Every value a suggestion card computes locally for a name split into parts
+function evaluateSuggestionName(name, nameParts, clientProfile, ruleSet) {
+    const birthNumber = calculateBirthNumber(clientProfile?.birth_date || '');
+    const lifePathNumber = calculateLifePathNumber(clientProfile?.birth_date || '');
+    const firstNameValue = calculateFirstNameValue(name, nameParts);
+    const expressionNumber = calculateExpressionNumber(name);
+    return {
+        currentName: name,
+        nameParts,
+        firstNameValue,
+        expressionNumber,
+        rawSum: calculateRawSum(name),
+        soulUrgeNumber: calculateSoulUrgeNumber(name),
+        personalityNumber: calculatePersonalityNumber(name),
+        karmicDebtPresent: checkKarmicDebt(name),
+        phoneticSimilarity: phoneticSimilarity(clientProfile?.full_name || '', name),
+        isValid: isValidNameNumber(firstNameValue, expressionNumber, birthNumber, lifePathNumber, ruleSet),
+        compatibilityAnalysis: getNameCompatibilityAnalysis(firstNameValue, expressionNumber, birthNumber, lifePathNumber, ruleSet)
+    };
 }
 
-/**
- * Calculate Life Path Number from full birth date
- * @param {string} birthDateStr - Date in YYYY-MM-DD format
- * @returns {number} Life path number (sum of all digits reduced)
- */
-function calculateLifePathNumber(birthDateStr) {
-    try {
-        const [year, month, day] = birthDateStr.split('-').map(Number);
-        const totalSumAllDigits = String(year) + String(month).padStart(2, '0') + String(day).padStart(2, '0');
-        let sum = 0;
-        for(const digit of totalSumAllDigits) {
-            sum += parseInt(digit, 10);
-        }
-        return calculateSingleDigit(sum, false); // Life path is single digit for our rules
-    } catch {
-        return 0;
-    }
+// A card's backend result only counts while it belongs to the spelling the card shows
+function getCardBackendValidation(suggestion) {
+    const result = suggestion.validationResult;
+    return result && typeof result === 'object' && result.validatedName === suggestion.currentName ? result : null;
 }
 
-/**
- * Determine allowed values based on birth number and life path number
- * @param {number} birthNumber 
- * @param {number} lifePathNumber 
- * @returns {Set} Set of allowed values for FNV and CMV
- */
-function getAllowedValues(birthNumber, lifePathNumber) {
-    let allowedValues = new Set([1, 5, 6]); // Start with base lucky numbers
-    
-    // Exception 1: Birth/Life Path = 8 → Cannot use 1
-    if (birthNumber === 8 || lifePathNumber === 8) {
-        allowedValues.delete(1);
-    }
-    
-    // Exception 2: Birth/Life Path = 3 → Cannot use 6
-    if (birthNumber === 3 || lifePathNumber === 3) {
-        allowedValues.delete(6);
-    }
-    
-    // Exception 3: Birth/Life Path = 6 → Cannot use 3 (but 3 wasn't in primary anyway)
-    // This doesn't affect our primary set, but good to track
-    
-    // Exception 4: Birth/Life Path = 3 → CAN use 3
-    if (birthNumber === 3 || lifePathNumber === 3) {
-        allowedValues.add(3);
-    }
-    
-    return allowedValues;
-}
+// --- MAIN COMPONENT ---
+function App() {
+    // --- State Management ---
+    const [fullName, setFullName] = useState('');
+    const [birthDate, setBirthDate] = useState('');
+    const [birthTime, setBirthTime] = useState('');
+    const [birthPlace, setBirthPlace] = useState('');
 
-/**
- * Check if a specific value is allowed for name correction
- * @param {number} value - The calculated name value
- * @param {number} birthNumber 
- * @param {number} lifePathNumber 
- * @returns {boolean}
- */
-function isValueAllowed(value, birthNumber, lifePathNumber) {
-    // Exception 5: Always reject 51 for personal names
-    if (ALWAYS_REJECTED_VALUES.has(value)) {
-        return false;
-    }
-    
-    // Exception 6: Always allow 65 despite reducing to 2
-    if (SPECIAL_ALLOWED_VALUES.has(value)) {
-        return true;
-    }
-    
-    // Reduce value to single digit for comparison
-    const reducedValue = calculateSingleDigit(value, false);
-    const allowedValues = getAllowedValues(birthNumber, lifePathNumber);
-    
-    return allowedValues.has(reducedValue);
-}
+    const [clientProfile, setClientProfile] = useState(null);
+   
+    // Use a ref to always have the latest clientProfile available in callbacks
+    const clientProfileRef = useRef(clientProfile);
+    useEffect(() => {
+        clientProfileRef.current = clientProfile;
+    }, [clientProfile]);
 
-/**
- * Get comprehensive analysis of name compatibility
- * @param {number} fnv - First Name Value
- * @param {number} cmv - Complete name value (Expression Number)
- * @param {number} birthNumber 
- * @param {number} lifePathNumber 
- * @returns {Object} Analysis object
- */
-function getNameCompatibilityAnalysis(fnv, cmv, birthNumber, lifePathNumber) {
-    const analysis = {
-        isValid: false,
-        priority: { priority: 1, label: "❌ INVALID", class: "priority-invalid" },
-        conflicts: [],
-        benefits: [],
-        recommendation: "",
-        allowedValues: [],
-        fnvStatus: { isValid: false, reason: "" },
-        cmvStatus: { isValid: false, reason: "" }
-    };
-    
-    const allowedValues = getAllowedValues(birthNumber, lifePathNumber);
-    analysis.allowedValues = Array.from(allowedValues).sort();
-    
-    // Check FNV (First Name Value)
-    const fnvValid = isValueAllowed(fnv, birthNumber, lifePathNumber);
-    const fnvReduced = calculateSingleDigit(fnv, false);
-    
-    if (!fnvValid) {
-        if (ALWAYS_REJECTED_VALUES.has(fnv)) {
-            analysis.fnvStatus = { isValid: false, reason: `FNV ${fnv} is forbidden for personal names` };
-            analysis.conflicts.push(`First Name Value ${fnv} is forbidden for personal names`);
-        } else {
-            analysis.fnvStatus = { isValid: false, reason: `FNV ${fnvReduced} not in allowed values [${analysis.allowedValues.join(', ')}]` };
-            analysis.conflicts.push(`First Name Value ${fnvReduced} conflicts with your birth numbers`);
-        }
-    } else {
-        if (SPECIAL_ALLOWED_VALUES.has(fnv)) {
-            analysis.fnvStatus = { isValid: true, reason: `FNV ${fnv} specially allowed` };
-            analysis.benefits.push(`First Name Value ${fnv} has special permission`);
-        } else {
-            analysis.fnvStatus = { isValid: true, reason: `FNV ${fnvReduced} is lucky and compatible` };
-            analysis.benefits.push(`First Name Value ${fnvReduced} creates positive energy`);
-        }
-    }
-    
-    // Check CMV (Complete Name Value / Expression Number)
-    const cmvValid = isValueAllowed(cmv, birthNumber, lifePathNumber);
-    const cmvReduced = calculateSingleDigit(cmv, false);
-    
-    if (!cmvValid) {
-        if (ALWAYS_REJECTED_VALUES.has(cmv)) {
-            analysis.cmvStatus = { isValid: false, reason: `CMV ${cmv} is forbidden for personal names` };
-            analysis.conflicts.push(`Expression Number ${cmv} is forbidden for personal names`);
-        } else {
-            analysis.cmvStatus = { isValid: false, reason: `CMV ${cmvReduced} not in allowed values [${analysis.allowedValues.join(', ')}]` };
-            analysis.conflicts.push(`Expression Number ${cmvReduced} conflicts with your birth numbers`);
-        }
-    } else {
-        if (SPECIAL_ALLOWED_VALUES.has(cmv)) {
-            analysis.cmvStatus = { isValid: true, reason: `CMV ${cmv} specially allowed` };
-            analysis.benefits.push(`Expression Number ${cmv} has special permission`);
-        } else {
-            analysis.cmvStatus = { isValid: true, reason: `CMV ${cmvReduced} is lucky and compatible` };
-            analysis.benefits.push(`Expression Number ${cmvReduced} enhances your fortune`);
-        }
-    }
-    
-    // Overall validation
-    analysis.isValid = fnvValid && cmvValid;
-    
-    // Set priority and recommendation
-    if (analysis.isValid) {
-        // Determine priority based on how "lucky" the numbers are
-        if (allowedValues.has(1) && (fnvReduced === 1 || cmvReduced === 1)) {
-            analysis.priority = { priority: 5, label: "★★★★★ PREMIUM", class: "priority-premium" };
-        } else if (allowedValues.has(5) && (fnvReduced === 5 || cmvReduced === 5)) {
-            analysis.priority = { priority: 4, label: "★★★★☆ EXCELLENT", class: "priority-excellent" };
-        } else if (allowedValues.has(6) && (fnvReduced === 6 || cmvReduced === 6)) {
-            analysis.priority = { priority: 4, label: "★★★★☆ EXCELLENT", class: "priority-excellent" };
-        } else if (allowedValues.has(3) && (fnvReduced === 3 || cmvReduced === 3)) {
-            analysis.priority = { priority: 3, label: "★★★☆☆ GOOD", class: "priority-good" };
-        } else {
-            analysis.priority = { priority: 3, label: "★★★☆☆ ACCEPTABLE", class: "priority-acceptable" };
-        }
-        
-        analysis.recommendation = `✅ RECOMMENDED: This name follows Chaldean numerology rules and is compatible with Birth Number ${birthNumber} and Life Path ${lifePathNumber}`;
-    } else {
-        analysis.priority = { priority: 1, label: "❌ INVALID", class: "priority-invalid" };
-        analysis.recommendation = `❌ NOT RECOMMENDED: This name violates Chaldean numerology rules for Birth Number ${birthNumber} and Life Path ${lifePathNumber}`;
-    }
-    
-    // Add specific guidance
-    if (analysis.conflicts.length === 0 && analysis.benefits.length > 0) {
-        analysis.benefits.push(`Both First Name and Expression numbers align with lucky values [${analysis.allowedValues.join(', ')}]`);
-    }
-    
-    return analysis;
-}
+    // Named rule set variants; the active one drives every engine call below
+    const [ruleSets, setRuleSets] = useState(() => loadRuleSets());
+    const [activeRuleSetId, setActiveRuleSetId] = useState(() => loadActiveRuleSetId());
+    const [showRuleSettings, setShowRuleSettings] = useState(false);
+    const activeRuleSet = ruleSets.find(rs => rs.id === activeRuleSetId) || DEFAULT_RULE_SET;
+    const activeRuleSetRef = useRef(activeRuleSet);
+    useEffect(() => {
+        activeRuleSetRef.current = activeRuleSet;
+    }, [activeRuleSet]);
 
-// --- EXISTING CALCULATION FUNCTIONS (Updated for new rules) ---
-function cleanName(name) {
-    return name.replace(/[^a-zA-Z\s]/g, '').toUpperCase();
-}
+    // Personal names or business/brand names; business inputs and confirmed names are saved with the client
+    const [nameMode, setNameMode] = useState('personal');
+    const [businessSession, setBusinessSession] = useState(DEFAULT_BUSINESS_SESSION);
 
-function getChaldeanValue(char) {
-    return CHALDEAN_MAP[char] || 0;
-}
+    // How the client's names are written; decides which words make up the First Name Value
+    const [nameOrder, setNameOrder] = useState(DEFAULT_NAME_ORDER);
+    const nameOrderRef = useRef(nameOrder);
+    useEffect(() => {
+        nameOrderRef.current = nameOrder;
+    }, [nameOrder]);
 
-function calculateSingleDigit(number, allowMasterNumbers = false) {
-    if (allowMasterNumbers && MASTER_NUMBERS.has(number)) {
-        return number;
-    }
-    while (number > 9) {
-        number = String(number).split('').reduce((sum, digit) => sum + parseInt(digit, 10), 0);
-        if (allowMasterNumbers && MASTER_NUMBERS.has(number)) {
-            break; // Stop reduction if a Master Number is reached and allowed
-        }
-    }
-    return number;
-}
+    useEffect(() => {
+        saveRuleSets(ruleSets);
+    }, [ruleSets]);
 
-function calculateFirstNameValue(fullName) {
-    const cleanedName = cleanName(fullName);
-    const firstName = cleanedName.split(' ')[0];
-    let total = 0;
-    for (const char of firstName) {
-        total += getChaldeanValue(char);
-    }
-    return total; // Return raw sum for rule checking
-}
+    useEffect(() => {
+        saveActiveRuleSetId(activeRuleSetId);
+    }, [activeRuleSetId]);
 
-function calculateExpressionNumber(fullName) {
-    const cleanedName = cleanName(fullName);
-    let total = 0;
-    for (const char of cleanedName) {
-        total += getChaldeanValue(char);
-    }
-    return total; // Return raw sum for rule checking
-}
+    const handleSaveRuleSet = useCallback((ruleSet) => {
+        setRuleSets(prev => prev.some(rs => rs.id === ruleSet.id)
+            ? prev.map(rs => rs.id === ruleSet.id ? ruleSet : rs)
+            : [...prev, ruleSet]);
+    }, []);
 
-function calculateRawSum(fullName) {
-    const cleanedName = cleanName(fullName);
-    let total = 0;
-    for (const char of cleanedName) {
-        total += getChaldeanValue(char);
-    }
-    return total; // Return unreduced sum for karmic debt checking
-}
+    const handleDeleteRuleSet = useCallback((id) => {
+        setRuleSets(prev => prev.filter(rs => rs.id !== id));
+        setActiveRuleSetId(prev => prev === id ? DEFAULT_RULE_SET.id : prev);
+    }, []);
 
-function calculateSoulUrgeNumber(fullName) {
-    const cleanedName = cleanName(fullName);
-    let total = 0;
-    for (const char of cleanedName) {
-        if (VOWELS.has(char)) {
-            total += getChaldeanValue(char);
-        }
-    }
-    return calculateSingleDigit(total, true); // Soul Urge preserves Master Numbers
-}
+    // Report templates: sections, their order and the practice branding
+    const [reportTemplates, setReportTemplates] = useState(() => loadReportTemplates());
+    const [activeTemplateId, setActiveTemplateId] = useState(() => loadActiveTemplateId());
+    const [showTemplateDesigner, setShowTemplateDesigner] = useState(false);
+    const activeTemplate = reportTemplates.find(t => t.id === activeTemplateId) || DEFAULT_REPORT_TEMPLATE;
 
-function calculatePersonalityNumber(fullName) {
-    const cleanedName = cleanName(fullName);
-    let total = 0;
-    for (const char of cleanedName) {
-        if (!VOWELS.has(char) && char !== ' ') {
-            total += getChaldeanValue(char);
-        }
-    }
-    return calculateSingleDigit(total, true); // Personality preserves Master Numbers
-}
+    useEffect(() => {
+        saveReportTemplates(reportTemplates);
+    }, [reportTemplates]);
 
-function checkKarmicDebt(fullName) {
-    const rawSum = calculateRawSum(fullName);
-    return KARMIC_DEBT_NUMBERS.has(rawSum);
-}
+    useEffect(() => {
+        saveActiveTemplateId(activeTemplateId);
+    }, [activeTemplateId]);
 
-function calculateBirthDayNumber(birthDateStr) {
-    return calculateBirthNumber(birthDateStr); // Use the updated function
-}
+    const handleSaveTemplate = useCallback((template) => {
+        setReportTemplates(prev => prev.some(t => t.id === template.id)
+            ? prev.map(t => t.id === template.id ? template : t)
+            : [...prev, template]);
+    }, []);
 
-function calculateLoShuGrid(birthDateStr, nameExpressionNum = null) {
-    const gridCounts = {};
-    for (let i = 1; i <= 9; i++) gridCounts[i] = 0;
+    const handleDeleteTemplate = useCallback((id) => {
+        setReportTemplates(prev => prev.filter(t => t.id !== id));
+        setActiveTemplateId(prev => prev === id ? DEFAULT_REPORT_TEMPLATE.id : prev);
+    }, []);
 
-    try {
-        const dobDigits = String(birthDateStr).replace(/-/g, '').split('').map(Number);
-        dobDigits.forEach(digit => {
-            if (digit >= 1 && digit <= 9) {
-                gridCounts[digit]++;
-            }
-        });
-    } catch {}
+    // Backend selection; every request goes through the api client for the current URL
+    const [backendUrl, setBackendUrl] = useState(() => loadBackendUrl());
+    const [showBackendSettings, setShowBackendSettings] = useState(false);
+    const [backendHealth, setBackendHealth] = useState({ status: 'checking', latencyMs: null, checkedAt: null });
+    const [serverWaking, setServerWaking] = useState(null); // Oldest request waiting on a cold start, if any
+    const api = useMemo(() => createApiClient(backendUrl, { onWakingChange: setServerWaking }), [backendUrl]);
+    // Debounced validators are created once, so they reach the current client through a ref
+    const apiRef = useRef(api);
+    useEffect(() => {
+        apiRef.current = api;
+    }, [api]);
 
-    if (nameExpressionNum !== null) {
-        const gridFriendlyExp = calculateSingleDigit(nameExpressionNum, false); // Reduce master numbers for grid
-        if (gridFriendlyExp >= 1 && gridFriendlyExp <= 9) {
-            gridCounts[gridFriendlyExp]++;
-        }
-    }
+    const checkBackendHealth = useCallback(async () => {
+        setBackendHealth(prev => ({ ...prev, status: 'checking' }));
+        setBackendHealth(await api.checkHealth());
+    }, [api]);
 
-    const missingNumbers = Object.keys(gridCounts).filter(key => gridCounts[key] === 0).map(Number).sort((a, b) => a - b);
-    
-    return {
-        grid_counts: gridCounts,
-        missing_numbers: missingNumbers,
-        has_8: gridCounts[8] > 0,
-        has_5: gridCounts[5] > 0,
-        has_6: gridCounts[6] > 0
-    };
-}
+    useEffect(() => {
+        checkBackendHealth();
+    }, [checkBackendHealth]);
 
-/**
- * UPDATED VALIDATION FUNCTION using new rules
- */
-function isValidNameNumber(fnv, cmv, birthNumber, lifePathNumber) {
-    return isValueAllowed(fnv, birthNumber, lifePathNumber) && 
-           isValueAllowed(cmv, birthNumber, lifePathNumber);
-}
+    const handleChangeBackendUrl = useCallback((url) => {
+        saveBackendUrl(url);
+        setBackendUrl(loadBackendUrl());
+    }, []);
 
-// --- MAIN COMPONENT ---
-function App() {
-    // --- State Management ---
-    const [fullName, setFullName] = useState('');
-    const [birthDate, setBirthDate] = useState('');
-    const [birthTime, setBirthTime] = useState('');
-    const [birthPlace, setBirthPlace] = useState('');
+    // Offline mode: validations that can't reach the backend wait here until it's back
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+    const [offlineQueue, setOfflineQueue] = useState(() => loadQueue());
+    const isReplayingRef = useRef(false);
+    // Replays that made no progress are retried with backoff rather than waiting for a reconnect
+    const [replayAttempt, setReplayAttempt] = useState(0);
+    const replayRetryTimerRef = useRef(null);
+
+    useEffect(() => () => clearTimeout(replayRetryTimerRef.current), []);
 
-    const [clientProfile, setClientProfile] = useState(null);
-   
-    // Use a ref to always have the latest clientProfile available in callbacks
-    const clientProfileRef = useRef(clientProfile);
     useEffect(() => {
-        clientProfileRef.current = clientProfile;
-    }, [clientProfile]);
+        const handleOnline = () => {
+            setIsOnline(true);
+            checkBackendHealth();
+        };
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, [checkBackendHealth]);
+
+    useEffect(() => {
+        saveQueue(offlineQueue);
+    }, [offlineQueue]);
 
     const [suggestions, setSuggestions] = useState([]); // Original suggestions from backend
     const [editableSuggestions, setEditableSuggestions] = useState([]); // Suggestions with edit state and live calculated values
     const [confirmedSuggestions, setConfirmedSuggestions] = useState([]);
+    // Edited suggestions restored from a saved client, applied once the suggestions effect runs
+    const pendingEditableSuggestionsRef = useRef(null);
+    // Carousel order frozen at the first edit so a card doesn't jump or vanish while it is typed in;
+    // null follows the live values. Cleared when the toolbar changes or the cards are rebuilt.
+    const [frozenSuggestionOrder, setFrozenSuggestionOrder] = useState(null);
+    const suggestionOrderRef = useRef([]);
+    const [blendLocalSuggestions, setBlendLocalSuggestions] = useState(true); // Mix client-side variants into backend results
     
     const [customNameInput, setCustomNameInput] = useState('');
+    const customNameInputRef = useRef(customNameInput);
+    useEffect(() => {
+        customNameInputRef.current = customNameInput;
+    }, [customNameInput]);
     const [liveValidationOutput, setLiveValidationOutput] = useState(null); // For live client-side calcs of custom input
     const [backendValidationResult, setBackendValidationResult] = useState(null); // For custom validation section
 
     const [reportPreviewContent, setReportPreviewContent] = useState('');
+    const [pdfSource, setPdfSource] = useState('auto');
     const [isLoading, setIsLoading] = useState(false);
     const [modal, setModal] = useState({ isOpen: false, message: '' });
 
@@ -381,36 +340,56 @@ function App() {
         // Calculate birth number and life path for display
         const birthNumber = calculateBirthNumber(profile.birth_date);
         const lifePathNumber = calculateLifePathNumber(profile.birth_date);
-        const allowedValues = getAllowedValues(birthNumber, lifePathNumber);
-        
+        const allowedValues = getAllowedValues(birthNumber, lifePathNumber, activeRuleSet);
+
+        // Profiles can come from saved or imported sessions and rule sets are named by hand, so values are escaped
         return `
             <h3 class="font-bold">Updated Chaldean Rules Applied:</h3>
+            <p><b>Rule Set:</b> ${escapeHtml(activeRuleSet.name)} (v${escapeHtml(activeRuleSet.version)})</p>
             <p><b>Birth Number:</b> ${birthNumber}</p>
             <p><b>Life Path Number:</b> ${lifePathNumber}</p>
             <p><b>Allowed Values for Names:</b> [${Array.from(allowedValues).sort().join(', ')}]</p>
             <hr class="my-2">
             <h3 class="font-bold">Basic Info:</h3>
-            <p><b>Full Name:</b> ${profile.full_name}</p>
-            <p><b>Birth Date:</b> ${profile.birth_date}</p>
-            ${profile.birth_time ? `<p><b>Birth Time:</b> ${profile.birth_time}</p>` : ''}
-            ${profile.birth_place ? `<p><b>Birth Place:</b> ${profile.birth_place}</p>` : ''}
+            <p><b>Full Name:</b> ${escapeHtml(profile.full_name)}</p>
+            <p><b>Birth Date:</b> ${escapeHtml(profile.birth_date)}</p>
+            ${profile.birth_time ? `<p><b>Birth Time:</b> ${escapeHtml(profile.birth_time)}</p>` : ''}
+            ${profile.birth_place ? `<p><b>Birth Place:</b> ${escapeHtml(profile.birth_place)}</p>` : ''}
             <hr class="my-2">
             <h3 class="font-bold">Core Numbers:</h3>
-            <p><b>Expression Number:</b> ${profile.expression_number} (Ruled by ${profile.expression_details?.planetary_ruler || 'N/A'})</p>
-            <p><b>Life Path Number:</b> ${profile.life_path_number}</p>
-            <p><b>Birth Day Number:</b> ${profile.birth_day_number}</p>
-            <p><b>Soul Urge Number:</b> ${profile.soul_urge_number}</p>
-            <p><b>Personality Number:</b> ${profile.personality_number}</p>
-            <hr class="my-2">
-            <h3 class="font-bold">Lo Shu Grid:</h3>
-            <p><b>Counts:</b> ${JSON.stringify(profile.lo_shu_grid?.grid_counts || {})}</p>
-            <p><b>Missing Numbers:</b> ${profile.lo_shu_grid?.missing_numbers?.join(', ') || 'None'}</p>
+            <p><b>Expression Number:</b> ${escapeHtml(profile.expression_number)} (Ruled by ${escapeHtml(profile.expression_details?.planetary_ruler || 'N/A')})</p>
+            <p><b>Life Path Number:</b> ${escapeHtml(profile.life_path_number)}</p>
+            <p><b>Birth Day Number:</b> ${escapeHtml(profile.birth_day_number)}</p>
+            <p><b>Soul Urge Number:</b> ${escapeHtml(profile.soul_urge_number)}</p>
+            <p><b>Personality Number:</b> ${escapeHtml(profile.personality_number)}</p>
             <hr class="my-2">
             <h3 class="font-bold">Rule Exceptions Applied:</h3>
-            <p><b>Forbidden Value 51:</b> ${ALWAYS_REJECTED_VALUES.has(51) ? 'Blocked for personal names' : 'N/A'}</p>
-            <p><b>Special Value 65:</b> ${SPECIAL_ALLOWED_VALUES.has(65) ? 'Specially allowed despite reducing to 2' : 'N/A'}</p>
+            <p><b>Forbidden Values:</b> ${activeRuleSet.forbiddenValues.length ? `${escapeHtml(activeRuleSet.forbiddenValues.join(', '))} (blocked for personal names)` : 'N/A'}</p>
+            <p><b>Special Values:</b> ${activeRuleSet.specialAllowedValues.length ? `${escapeHtml(activeRuleSet.specialAllowedValues.join(', '))} (allowed regardless of reduction)` : 'N/A'}</p>
         `;
-    }, []);
+    }, [activeRuleSet]);
+
+    // --- Local Suggestion Fallback ---
+    // Builds the profile and suggestions entirely in the browser; returns how many were generated
+    const loadLocalSuggestions = useCallback(() => {
+        const localSuggestions = generateNameSuggestions(fullName, birthDate, { ruleSet: activeRuleSetRef.current, nameOrder: nameOrderRef.current });
+        setClientProfile(buildClientProfile({ fullName, birthDate, birthTime, birthPlace }));
+        setSuggestions(localSuggestions);
+        setConfirmedSuggestions([]);
+        setCurrentPage(0);
+        return localSuggestions.length;
+    }, [fullName, birthDate, birthTime, birthPlace]);
+
+    const getOfflineSuggestions = useCallback(() => {
+        if (!fullName || !birthDate) {
+            openModal("Please fill in Full Name and Birth Date to get suggestions.");
+            return;
+        }
+        const count = loadLocalSuggestions();
+        if (count === 0) {
+            openModal("No compliant spelling variants were found locally for this name. Try the backend suggestions or a custom name.");
+        }
+    }, [fullName, birthDate, loadLocalSuggestions, openModal]);
 
     // --- API Call Functions ---
     const getInitialSuggestions = useCallback(async () => {
@@ -420,34 +399,72 @@ function App() {
         }
 
         setIsLoading(true);
-        
-        try {
-            const response = await axios.post(`${BACKEND_URL}/initial_suggestions`, {
-                full_name: fullName,
-                birth_date: birthDate,
-                birth_time: birthTime,
-                birth_place: birthPlace,
-            });
-            setSuggestions(response.data.suggestions);
-            console.log("💡 Suggestions received:", response.data.suggestions);
+        const clientKey = getClientCacheKey(fullName, birthDate);
+
+        // profileExtras marks a profile restored from the offline cache
+        const applySuggestionsResponse = (data, profileExtras = {}) => {
+            const localSuggestions = blendLocalSuggestions
+                ? generateNameSuggestions(fullName, birthDate, { ruleSet: activeRuleSetRef.current, nameOrder: nameOrderRef.current })
+                : [];
+            setSuggestions(blendSuggestions(data.suggestions, localSuggestions));
+            console.log("💡 Suggestions received:", data.suggestions);
             
-            const profileData = response.data.profile_data;
+            const profileData = data.profile_data;
             if (profileData && typeof profileData === 'object') {
-                setClientProfile(profileData); 
+                setClientProfile({ ...profileData, ...profileExtras }); 
                 console.log("Client Profile set successfully:", profileData);
             } else {
-                console.error("Backend did not return valid profile_data in initial_suggestions response:", response.data.profile_data);
+                console.error("Backend did not return valid profile_data in initial_suggestions response:", data.profile_data);
                 openModal("Failed to load client profile due to invalid data from backend. Please try again or contact support.");
             }
             setConfirmedSuggestions([]);
             setCurrentPage(0);
+        };
+
+        try {
+            const data = await api.getInitialSuggestions({
+                full_name: fullName,
+                birth_date: birthDate,
+                birth_time: birthTime,
+                birth_place: birthPlace,
+            });
+            cacheSuggestionsResponse(clientKey, data);
+            applySuggestionsResponse(data);
         } catch (error) {
             console.error('Error fetching suggestions:', error);
-            openModal(error.response?.data?.error || 'Failed to get suggestions. Please check your backend server.');
+            const cached = isNetworkError(error) ? getCachedSuggestionsResponse(clientKey) : null;
+            if (cached) {
+                applySuggestionsResponse(cached.data, { source: 'cached', cached_at: cached.cachedAt });
+                openModal(`The backend is unreachable. Showing the suggestions and profile cached on ${new Date(cached.cachedAt).toLocaleString()}.`);
+            } else {
+                const localCount = loadLocalSuggestions();
+                openModal(`${describeApiError(error, 'fetching suggestions')} Showing ${localCount} locally generated suggestions instead.`);
+            }
         } finally {
             setIsLoading(false);
         }
-    }, [fullName, birthDate, birthTime, birthPlace, openModal]);
+    }, [api, fullName, birthDate, birthTime, birthPlace, blendLocalSuggestions, loadLocalSuggestions, openModal]);
+
+    // One in-flight /validate_name request per field ('custom' or 'suggestion-<id>');
+    // a newer request for the same field aborts the older one
+    const inFlightValidationsRef = useRef(new Map());
+    const [pendingValidations, setPendingValidations] = useState({}); // field key -> name being validated
+
+    const cancelValidation = useCallback((fieldKey) => {
+        inFlightValidationsRef.current.get(fieldKey)?.abort();
+        inFlightValidationsRef.current.delete(fieldKey);
+        setPendingValidations(prev => {
+            if (!(fieldKey in prev)) return prev;
+            const next = { ...prev };
+            delete next[fieldKey];
+            return next;
+        });
+    }, []);
+
+    useEffect(() => {
+        const inFlight = inFlightValidationsRef.current;
+        return () => inFlight.forEach(controller => controller.abort());
+    }, []);
 
     const handleValidateName = useCallback(async (nameToValidate, currentClientProfile, isCustom = false, suggestionIndex = null) => {
         if (!currentClientProfile) {
@@ -455,6 +472,9 @@ function App() {
             console.error("Validation attempted with null clientProfile. Aborting API call.");
             return;
         }
+
+        const fieldKey = isCustom ? 'custom' : `suggestion-${suggestionIndex}`;
+        cancelValidation(fieldKey);
         
         if (!nameToValidate.trim()) {
             if (!isCustom) {
@@ -468,30 +488,136 @@ function App() {
             return;
         }
 
-        setIsLoading(true);
-        try {
-            console.log(`Sending validation request for: "${nameToValidate}"`);
-            console.log('Client Profile for validation (sent to backend):', currentClientProfile);
-            const response = await axios.post(`${BACKEND_URL}/validate_name`, {
-                suggested_name: nameToValidate,
-                client_profile: currentClientProfile,
-            });
+        const clientKey = getClientCacheKey(currentClientProfile.full_name, currentClientProfile.birth_date);
+        // Tag the result with its name so it is never shown against a different one
+        const applyValidationResult = (validationResult) => {
             if (isCustom) {
-                setBackendValidationResult(response.data);
+                setBackendValidationResult(validationResult);
             } else {
-                 setEditableSuggestions(prev => prev.map((s, idx) =>
-                    idx === suggestionIndex ? { ...s, validationResult: response.data, isEdited: true } : s
+                setEditableSuggestions(prev => prev.map((s, idx) =>
+                    idx === suggestionIndex && s.currentName === nameToValidate ? { ...s, validationResult, isEdited: true } : s
                 ));
             }
-            console.log('Validation successful:', response.data);
+        };
+
+        const controller = new AbortController();
+        inFlightValidationsRef.current.set(fieldKey, controller);
+        setPendingValidations(prev => ({ ...prev, [fieldKey]: nameToValidate }));
+        try {
+            console.log(`Sending validation request for: "${nameToValidate}"`);
+            console.log('Client Profile for validation (sent to backend):', currentClientProfile);
+            const response = await apiRef.current.validateName(nameToValidate, currentClientProfile, { signal: controller.signal });
+            cacheValidation(clientKey, nameToValidate, response);
+            applyValidationResult({ ...response, validatedName: nameToValidate });
+            console.log('Validation successful:', response);
         } catch (error) {
+            if (isCancelledRequest(error)) {
+                console.log(`Validation for "${nameToValidate}" superseded by a newer request.`);
+                return;
+            }
             console.error('Error validating name:', error);
-            openModal(error.response?.data?.error || 'Failed to validate name. Please check your backend server.');
+            if (isNetworkError(error)) {
+                setOfflineQueue(prev => enqueueValidation(prev, {
+                    clientKey,
+                    name: nameToValidate,
+                    clientProfile: currentClientProfile,
+                    isCustom
+                }));
+                const cached = getCachedValidation(clientKey, nameToValidate);
+                if (cached) {
+                    applyValidationResult({ ...cached.result, validatedName: nameToValidate, cachedAt: cached.cachedAt });
+                    openModal(`The backend is unreachable. Showing the verdict for '${nameToValidate}' cached on ${new Date(cached.cachedAt).toLocaleString()}; it has been queued to be checked again when the connection returns.`);
+                } else {
+                    openModal(`The backend is unreachable, so '${nameToValidate}' has been queued and will be validated automatically when the connection returns. Local results are shown meanwhile.`);
+                }
+            } else {
+                openModal(describeApiError(error, `validating '${nameToValidate}'`));
+            }
         } finally {
-            setIsLoading(false);
+            if (inFlightValidationsRef.current.get(fieldKey) === controller) {
+                inFlightValidationsRef.current.delete(fieldKey);
+                setPendingValidations(prev => {
+                    const next = { ...prev };
+                    delete next[fieldKey];
+                    return next;
+                });
+            }
         }
-    }, [openModal]);
+    }, [openModal, cancelValidation]);
+
+    // Replay queued validations once the backend answers again
+    useEffect(() => {
+        if (!isOnline || backendHealth.status !== 'online' || offlineQueue.length === 0 || isReplayingRef.current) {
+            return;
+        }
+        isReplayingRef.current = true;
+        const currentKey = () => (clientProfileRef.current
+            ? getClientCacheKey(clientProfileRef.current.full_name, clientProfileRef.current.birth_date)
+            : null);
 
+        replayQueue(offlineQueue, api.validateName, (entry, result) => {
+            if (entry.clientKey !== currentKey()) return;
+            if (entry.isCustom) {
+                if (cleanName(customNameInputRef.current) === cleanName(entry.name)) {
+                    setBackendValidationResult({ ...result, validatedName: entry.name });
+                }
+            } else {
+                setEditableSuggestions(prev => prev.map(s =>
+                    cleanName(s.currentName) === cleanName(entry.name) ? { ...s, validationResult: { ...result, validatedName: s.currentName }, isEdited: true } : s
+                ));
+            }
+        }).then(finishedIds => {
+            isReplayingRef.current = false;
+            if (finishedIds.length > 0) {
+                setReplayAttempt(0);
+                setOfflineQueue(prev => prev.filter(entry => !finishedIds.includes(entry.id)));
+            } else {
+                clearTimeout(replayRetryTimerRef.current);
+                replayRetryTimerRef.current = setTimeout(() => setReplayAttempt(attempt => attempt + 1), getReplayRetryDelay(replayAttempt));
+            }
+        });
+    }, [isOnline, backendHealth.status, offlineQueue, api, replayAttempt]);
+
+    const currentClientKey = clientProfile ? getClientCacheKey(clientProfile.full_name, clientProfile.birth_date) : null;
+    const isNameQueued = (name) => Boolean(currentClientKey) && isQueued(offlineQueue, currentClientKey, name);
+
+    // Personal cycles and the best dates to adopt a new name, counted from today
+    const getReportForecast = useCallback(
+        () => buildForecastPayload(clientProfile.birth_date, getTodayIsoDate(), { ruleSet: activeRuleSet }),
+        [clientProfile, activeRuleSet]
+    );
+
+    const buildReportPayload = useCallback(() => ({
+        full_name: clientProfile.full_name,
+        birth_date: clientProfile.birth_date,
+        birth_time: clientProfile.birth_time,
+        birth_place: clientProfile.birth_place,
+        confirmed_suggestions: confirmedSuggestions,
+        calculation_breakdowns: isSectionEnabled(activeTemplate, 'breakdowns')
+            ? confirmedSuggestions.map(cs => ({
+                name: cs.name,
+                markdown: formatBreakdownMarkdown(getNameBreakdown(cs.name, cs.name_parts || nameOrder)),
+            }))
+            : [],
+        forecast: isSectionEnabled(activeTemplate, 'forecast') ? getReportForecast() : null,
+        report_template: toTemplatePayload(activeTemplate),
+    }), [clientProfile, confirmedSuggestions, nameOrder, getReportForecast, activeTemplate]);
+
+    // The backend report plus the sections we render locally, in the template's order
+    const reportPreviewMarkdown = useMemo(() => {
+        if (!reportPreviewContent) return '';
+        const localSections = {
+            breakdowns: () => {
+                const breakdowns = confirmedSuggestions.map(cs => formatBreakdownMarkdown(getNameBreakdown(cs.name, cs.name_parts || nameOrder)));
+                return `## Calculation Breakdown\n\n${breakdowns.join('\n')}`;
+            },
+            forecast: () => formatForecastMarkdown(getReportForecast())
+        };
+        const rendered = getEnabledSections(activeTemplate).filter(id => localSections[id]).map(id => localSections[id]());
+        return [reportPreviewContent, ...rendered].join('\n\n');
+    }, [reportPreviewContent, confirmedSuggestions, nameOrder, getReportForecast, activeTemplate]);
+
+    // Fetches the text report for review; the PDF is only downloaded on request
     const handleGenerateReport = useCallback(async () => {
         if (!clientProfile || confirmedSuggestions.length === 0) {
             openModal("Please generate your profile and confirm at least one name suggestion before generating the report.");
@@ -500,88 +626,121 @@ function App() {
 
         setIsLoading(true);
         try {
-            const reportPayload = {
-                full_name: clientProfile.full_name,
-                birth_date: clientProfile.birth_date,
-                birth_time: clientProfile.birth_time,
-                birth_place: clientProfile.birth_place,
-                confirmed_suggestions: confirmedSuggestions,
-            };
-
-            const textReportResponse = await axios.post(`${BACKEND_URL}/generate_text_report`, reportPayload);
-            setReportPreviewContent(textReportResponse.data.report_content);
-
-            const pdfResponse = await axios.post(`${BACKEND_URL}/generate_pdf_report`, reportPayload, {
-                responseType: 'blob',
-            });
+            const textReport = await api.generateTextReport(buildReportPayload());
+            setReportPreviewContent(textReport.report_content);
+        } catch (error) {
+            console.error('Error generating report:', error);
+            openModal(describeApiError(error, 'generating the report'));
+        } finally {
+            setIsLoading(false);
+        }
+    }, [api, clientProfile, confirmedSuggestions, buildReportPayload, openModal, setReportPreviewContent]);
+
+    const downloadBrowserPdf = useCallback(() => {
+        const pdfBytes = buildClientPdfReport({ clientProfile, confirmedSuggestions, ruleSet: activeRuleSet, nameOrder, template: activeTemplate });
+        downloadBlob(new Blob([pdfBytes], { type: 'application/pdf' }), `Numerology_Report_${clientProfile.full_name.replace(/ /g, '_')}.pdf`);
+    }, [clientProfile, confirmedSuggestions, activeRuleSet, nameOrder, activeTemplate]);
+
+    const getExportData = useCallback(() => buildExportData({
+        clientProfile,
+        confirmedSuggestions,
+        ruleSet: activeRuleSet,
+        nameOrder,
+        branding: activeTemplate.branding
+    }), [clientProfile, confirmedSuggestions, activeRuleSet, nameOrder, activeTemplate]);
+
+    // Backend PDF by default; the browser renderer covers outages or can be chosen outright
+    const handleDownloadPdf = useCallback(async () => {
+        if (!clientProfile || confirmedSuggestions.length === 0) {
+            openModal("Please generate your profile and confirm at least one name suggestion before generating the report.");
+            return;
+        }
+
+        if (pdfSource === 'browser') {
+            downloadBrowserPdf();
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            const pdfData = await api.generatePdfReport(buildReportPayload());
 
-            const url = window.URL.createObjectURL(new Blob([pdfResponse.data]));
-            const link = document.createElement('a');
-            link.href = url;
-            link.setAttribute('download', `Numerology_Report_${clientProfile.full_name.replace(/ /g, '_')}.pdf`);
-            document.body.appendChild(link);
-            link.click();
-            link.remove();
-            window.URL.revokeObjectURL(url);
+            downloadBlob(new Blob([pdfData]), `Numerology_Report_${clientProfile.full_name.replace(/ /g, '_')}.pdf`);
 
         } catch (error) {
-            console.error('Error generating report:', error);
-            openModal(error.response?.data?.error || 'Failed to generate report. Please check your backend server.');
+            console.error('Error downloading PDF report:', error);
+            if (pdfSource === 'auto') {
+                downloadBrowserPdf();
+                openModal(`${describeApiError(error, 'generating the PDF report')} A PDF was built in the browser instead.`);
+            } else {
+                openModal(describeApiError(error, 'generating the PDF report'));
+            }
         } finally {
             setIsLoading(false);
         }
-    }, [clientProfile, confirmedSuggestions, openModal, setReportPreviewContent]);
+    }, [api, clientProfile, confirmedSuggestions, buildReportPayload, pdfSource, downloadBrowserPdf, openModal]);
+
+    // A preview is only valid for the names and template it was generated from
+    useEffect(() => {
+        setReportPreviewContent('');
+    }, [clientProfile, confirmedSuggestions, activeTemplate]);
 
     // --- Enhanced Effects with NEW RULES ---
     useEffect(() => {
+        setFrozenSuggestionOrder(null);
+        if (pendingEditableSuggestionsRef.current) {
+            // Sessions saved before pronunciation scoring existed get their scores here
+            setEditableSuggestions(pendingEditableSuggestionsRef.current.map(s => (
+                typeof s.phoneticSimilarity === 'number' ? s : { ...s, phoneticSimilarity: phoneticSimilarity(clientProfile?.full_name || '', s.currentName) }
+            )));
+            pendingEditableSuggestionsRef.current = null;
+            return;
+        }
+        // Built from the backend suggestions only when they or the profile change; rule set and
+        // name order changes re-evaluate the existing cards below so edits are kept
         if (suggestions.length > 0 && clientProfile) {
-            const birthNumber = calculateBirthNumber(clientProfile.birth_date);
-            const lifePathNumber = calculateLifePathNumber(clientProfile.birth_date);
-            
-            const initialEditable = suggestions.map((s, index) => {
+            setEditableSuggestions(suggestions.map((s, index) => {
                 const name = typeof s === 'string' ? s : s.name;
-                const firstNameValue = calculateFirstNameValue(name);
-                const expressionNumber = calculateExpressionNumber(name);
-                const rawSum = calculateRawSum(name);
-                const soulUrgeNumber = calculateSoulUrgeNumber(name);
-                const personalityNumber = calculatePersonalityNumber(name);
-                const karmicDebtPresent = checkKarmicDebt(name);
-                const firstName = name.split(' ')[0];
-                
-                // UPDATED validation with new rules
-                const isValid = isValidNameNumber(firstNameValue, expressionNumber, birthNumber, lifePathNumber);
-                const compatibilityAnalysis = getNameCompatibilityAnalysis(firstNameValue, expressionNumber, birthNumber, lifePathNumber);
-
+                const evaluated = evaluateSuggestionName(name, parseNameParts(name, nameOrderRef.current), clientProfile, activeRuleSetRef.current);
                 return {
                     ...s,
+                    ...evaluated,
                     id: index,
-                    currentName: name,
-                    currentFirstName: firstName,
                     originalName: name,
-                    firstNameValue,
-                    expressionNumber,
-                    rawSum,
-                    soulUrgeNumber,
-                    personalityNumber,
-                    karmicDebtPresent,
                     isEdited: false,
-                    isValid,
-                    compatibilityAnalysis,
-                    validationResult: isValid
+                    validationResult: evaluated.isValid
                 };
-            });
-            setEditableSuggestions(initialEditable);
+            }));
         }
     }, [suggestions, clientProfile]);
 
+    // Re-check the current spellings and part assignments under a new rule set or name order.
+    // Cards whose parts were assigned by hand keep them; backend verdicts don't depend on either, so they stay.
+    useEffect(() => {
+        setFrozenSuggestionOrder(null);
+        setEditableSuggestions(prev => {
+            if (prev.length === 0 || !clientProfileRef.current) return prev;
+            return prev.map(s => {
+                const nameParts = s.partsEdited && s.nameParts ? s.nameParts : parseNameParts(s.currentName, nameOrder);
+                const evaluated = evaluateSuggestionName(s.currentName, nameParts, clientProfileRef.current, activeRuleSet);
+                return {
+                    ...s,
+                    ...evaluated,
+                    validationResult: s.validationResult && typeof s.validationResult === 'object' ? s.validationResult : evaluated.isValid
+                };
+            });
+        });
+    }, [activeRuleSet, nameOrder]);
+
     const updateLiveValidationDisplayCore = useCallback((name, currentClientProfile) => {
         if (!name.trim() || !currentClientProfile) {
+            cancelValidation('custom');
             setLiveValidationOutput(null);
             setBackendValidationResult(null);
             return;
         }
 
-        const fnv = calculateFirstNameValue(name);
+        const fnv = calculateFirstNameValue(name, nameOrderRef.current);
         const cmv = calculateExpressionNumber(name);
         const rawSum = calculateRawSum(name);
         const birthDateStr = currentClientProfile.birth_date;
@@ -593,10 +752,11 @@ function App() {
         const karmicDebtPresent = checkKarmicDebt(name);
         
         // UPDATED compatibility analysis with new rules
-        const compatibilityAnalysis = getNameCompatibilityAnalysis(fnv, cmv, birthNumber, lifePathNumber);
+        const compatibilityAnalysis = getNameCompatibilityAnalysis(fnv, cmv, birthNumber, lifePathNumber, activeRuleSetRef.current);
 
         setLiveValidationOutput({
             name,
+            phoneticSimilarity: phoneticSimilarity(currentClientProfile.full_name, name),
             firstNameValue: fnv,
             expressionNumber: cmv,
             rawSum,
@@ -611,7 +771,7 @@ function App() {
         });
 
         handleValidateName(name, currentClientProfile, true, null);
-    }, [handleValidateName]);
+    }, [handleValidateName, cancelValidation]);
 
     const debouncedUpdateLiveValidationDisplay = useRef(
         debounce((name, profile) => updateLiveValidationDisplayCore(name, profile), 300)
@@ -621,14 +781,59 @@ function App() {
         if (clientProfileRef.current && customNameInput.trim()) { 
             debouncedUpdateLiveValidationDisplay(customNameInput, clientProfileRef.current);
         } else {
+            debouncedUpdateLiveValidationDisplay.cancel();
+            cancelValidation('custom');
             setLiveValidationOutput(null);
             setBackendValidationResult(null);
         }
-    }, [customNameInput, debouncedUpdateLiveValidationDisplay]);
+    }, [customNameInput, activeRuleSet, nameOrder, debouncedUpdateLiveValidationDisplay, cancelValidation]);
+
+    // --- Local vs Backend Reconciliation ---
+    const [verdictAuthority, setVerdictAuthority] = useState(() => loadVerdictAuthority());
+    const [discrepancyLog, setDiscrepancyLog] = useState(() => loadDiscrepancyLog());
+
+    useEffect(() => {
+        saveVerdictAuthority(verdictAuthority);
+    }, [verdictAuthority]);
+
+    useEffect(() => {
+        saveDiscrepancyLog(discrepancyLog);
+    }, [discrepancyLog]);
+
+    // validationResult holds the backend response once a card has been validated
+    const reconcileSuggestion = useCallback(
+        (suggestion) => reconcileVerdicts(suggestion.currentName, suggestion, getCardBackendValidation(suggestion)),
+        []
+    );
+
+    // The backend result only counts while it belongs to the name currently analysed
+    const currentBackendValidation = useMemo(() => (
+        liveValidationOutput && backendValidationResult && backendValidationResult.validatedName === liveValidationOutput.name
+            ? backendValidationResult
+            : null
+    ), [liveValidationOutput, backendValidationResult]);
+
+    const customReconciliation = useMemo(() => (
+        currentBackendValidation
+            ? reconcileVerdicts(liveValidationOutput.name, liveValidationOutput.compatibilityAnalysis, currentBackendValidation)
+            : null
+    ), [liveValidationOutput, currentBackendValidation]);
+
+    useEffect(() => {
+        if (!clientProfile) return;
+        const reconciliations = [...editableSuggestions.map(reconcileSuggestion), customReconciliation].filter(Boolean);
+        setDiscrepancyLog(prev => logDiscrepancies(prev, reconciliations, {
+            clientName: clientProfile.full_name,
+            ruleSetName: `${activeRuleSet.name} v${activeRuleSet.version}`
+        }));
+    }, [editableSuggestions, customReconciliation, clientProfile, activeRuleSet, reconcileSuggestion]);
+
+    const verdictAuthorityLabel = VERDICT_AUTHORITIES.find(a => a.id === verdictAuthority)?.label;
 
     const handleConfirmSuggestion = useCallback((suggestion) => {
-        if (!suggestion.isValid) {
-            openModal("❌ This name does not comply with the updated Chaldean numerology rules. Please choose a valid name that follows the 1, 5, 6 system.");
+        const blockReason = getConfirmBlockReason(reconcileSuggestion(suggestion), verdictAuthority);
+        if (blockReason) {
+            openModal(`❌ '${suggestion.currentName}' can't be confirmed because ${blockReason.message}. Confirmation follows the ${verdictAuthorityLabel} verdict under the "${activeRuleSet.name}" rules.`);
             return;
         }
         
@@ -650,12 +855,41 @@ function App() {
             {
                 name: nameToConfirm,
                 expression_number: expressionToConfirm,
-                rationale: suggestion.validationResult?.rationale || suggestion.rationale,
+                rationale: getCardBackendValidation(suggestion)?.rationale || suggestion.rationale,
+                name_parts: suggestion.nameParts,
             }
         ]);
         openModal(`'${nameToConfirm}' has been added to your confirmed list.`);
 
-    }, [confirmedSuggestions, openModal]);
+    }, [confirmedSuggestions, activeRuleSet, verdictAuthority, verdictAuthorityLabel, reconcileSuggestion, openModal]);
+
+    // Bulk validation: plain backend call used by the throttled checker (no overlay, no modal per name)
+    const validateNameWithBackend = useCallback(
+        (name) => api.validateName(name, clientProfileRef.current),
+        [api]
+    );
+
+    const getBulkConfirmBlockReason = useCallback(
+        (graded) => getConfirmBlockReason(reconcileVerdicts(graded.name, graded, graded.backend), verdictAuthority),
+        [verdictAuthority]
+    );
+
+    const handleConfirmBulkNames = useCallback((gradedNames) => {
+        const toAdd = gradedNames.filter(g => !getBulkConfirmBlockReason(g) && !confirmedSuggestions.some(cs => cs.name === g.name));
+        if (toAdd.length === 0) {
+            openModal(`None of the selected names could be added. They are either already confirmed or blocked by the ${verdictAuthorityLabel} verdict.`);
+            return;
+        }
+        setConfirmedSuggestions(prev => [
+            ...prev,
+            ...toAdd.map(g => ({
+                name: g.name,
+                expression_number: g.expressionNumber,
+                rationale: g.backend?.rationale || g.compatibilityAnalysis.recommendation,
+            }))
+        ]);
+        openModal(`${toAdd.length} name${toAdd.length === 1 ? '' : 's'} added to your confirmed list: ${toAdd.map(g => g.name).join(', ')}.`);
+    }, [confirmedSuggestions, getBulkConfirmBlockReason, verdictAuthorityLabel, openModal]);
 
     const handleRemoveConfirmedSuggestion = useCallback((nameToRemove) => {
         setConfirmedSuggestions(prev => prev.filter(s => s.name !== nameToRemove));
@@ -671,100 +905,281 @@ function App() {
         }
     }, [handleValidateName, openModal]);
 
-    const debouncedValidateSuggestionNameBackend = useRef(
-        debounce((name, index) => validateSuggestionNameBackendCore(name, index), 500)
-    ).current;
+    const validateSuggestionNameBackendCoreRef = useRef(validateSuggestionNameBackendCore);
+    useEffect(() => {
+        validateSuggestionNameBackendCoreRef.current = validateSuggestionNameBackendCore;
+    }, [validateSuggestionNameBackendCore]);
+
+    // One debounced validator per card, so editing one card never cancels another card's check
+    const suggestionValidatorsRef = useRef(new Map());
+    const getSuggestionValidator = useCallback((index) => {
+        const validators = suggestionValidatorsRef.current;
+        if (!validators.has(index)) {
+            validators.set(index, debounce((name) => validateSuggestionNameBackendCoreRef.current(name, index), 500));
+        }
+        return validators.get(index);
+    }, []);
 
-    const handleNameChange = useCallback((index, newFullName) => {
+    useEffect(() => {
+        const validators = suggestionValidatorsRef.current;
+        return () => validators.forEach(validator => validator.cancel());
+    }, []);
+
+    // Recalculates a card after either its full name or one of its parts was edited.
+    // getEdit gives the card's new parts; the updater stays pure and validation is scheduled outside it.
+    const applySuggestionEdit = useCallback((index, newFullName, getEdit) => {
+        setFrozenSuggestionOrder(prev => prev || suggestionOrderRef.current);
         setEditableSuggestions(prev => prev.map((s, idx) => {
             if (idx === index) {
-                const birthNumber = calculateBirthNumber(clientProfile?.birth_date || '');
-                const lifePathNumber = calculateLifePathNumber(clientProfile?.birth_date || '');
-                const firstNameValue = calculateFirstNameValue(newFullName);
-                const expressionNumber = calculateExpressionNumber(newFullName);
-                const isValid = isValidNameNumber(firstNameValue, expressionNumber, birthNumber, lifePathNumber);
-                const compatibilityAnalysis = getNameCompatibilityAnalysis(firstNameValue, expressionNumber, birthNumber, lifePathNumber);
-
-                const updatedSuggestion = { 
-                    ...s, 
-                    currentName: newFullName, 
-                    isEdited: true,
-                    isValid,
-                    compatibilityAnalysis
-                };
-                updatedSuggestion.firstNameValue = firstNameValue;
-                updatedSuggestion.expressionNumber = expressionNumber;
-                updatedSuggestion.rawSum = calculateRawSum(newFullName);
-                updatedSuggestion.soulUrgeNumber = calculateSoulUrgeNumber(newFullName);
-                updatedSuggestion.personalityNumber = calculatePersonalityNumber(newFullName);
-                updatedSuggestion.karmicDebtPresent = checkKarmicDebt(newFullName);
-                updatedSuggestion.currentFirstName = newFullName.split(' ')[0];
-
-                if (newFullName.trim()) {
-                    debouncedValidateSuggestionNameBackend(newFullName, index);
-                } else {
-                    updatedSuggestion.validationResult = null;
-                }
-                return updatedSuggestion;
+                const { nameParts, partsEdited = s.partsEdited } = getEdit(s);
+                const evaluated = evaluateSuggestionName(newFullName, nameParts, clientProfile, activeRuleSet);
+                // The previous backend result was for the old spelling; the local verdict stands in until the new one arrives
+                return { ...s, ...evaluated, partsEdited, isEdited: true, validationResult: evaluated.isValid };
             }
             return s;
         }));
-    }, [debouncedValidateSuggestionNameBackend, clientProfile]);
 
-    const handleFirstNameChange = useCallback((index, newFirstName) => {
-        setEditableSuggestions(prev => prev.map((s, idx) => {
-            if (idx === index) {
-                const originalParts = s.currentName.split(' ');
-                const newFullName = [newFirstName, ...originalParts.slice(1)].join(' ');
-                const birthNumber = calculateBirthNumber(clientProfile?.birth_date || '');
-                const lifePathNumber = calculateLifePathNumber(clientProfile?.birth_date || '');
-                const firstNameValue = calculateFirstNameValue(newFullName);
-                const expressionNumber = calculateExpressionNumber(newFullName);
-                const isValid = isValidNameNumber(firstNameValue, expressionNumber, birthNumber, lifePathNumber);
-                const compatibilityAnalysis = getNameCompatibilityAnalysis(firstNameValue, expressionNumber, birthNumber, lifePathNumber);
-
-                const updatedSuggestion = { 
-                    ...s, 
-                    currentName: newFullName, 
-                    currentFirstName: newFirstName, 
-                    isEdited: true,
-                    isValid,
-                    compatibilityAnalysis
-                };
-                updatedSuggestion.firstNameValue = firstNameValue;
-                updatedSuggestion.expressionNumber = expressionNumber;
-                updatedSuggestion.rawSum = calculateRawSum(newFullName);
-                updatedSuggestion.soulUrgeNumber = calculateSoulUrgeNumber(newFullName);
-                updatedSuggestion.personalityNumber = calculatePersonalityNumber(newFullName);
-                updatedSuggestion.karmicDebtPresent = checkKarmicDebt(newFullName);
-
-                if (newFullName.trim()) {
-                    debouncedValidateSuggestionNameBackend(newFullName, index);
-                } else {
-                    updatedSuggestion.validationResult = null;
-                }
-                return updatedSuggestion;
-            }
-            return s;
+        if (newFullName.trim()) {
+            getSuggestionValidator(index)(newFullName);
+        } else {
+            getSuggestionValidator(index).cancel();
+            cancelValidation(`suggestion-${index}`);
+        }
+    }, [getSuggestionValidator, cancelValidation, clientProfile, activeRuleSet]);
+
+    const handleNameChange = useCallback((index, newFullName) => {
+        applySuggestionEdit(index, newFullName, (s) => ({
+            nameParts: reparseNameParts(newFullName, s.nameParts, nameOrder)
         }));
-    }, [debouncedValidateSuggestionNameBackend, clientProfile]);
+    }, [applySuggestionEdit, nameOrder]);
+
+    const handleNamePartsChange = useCallback((index, nameParts) => {
+        applySuggestionEdit(index, composeFullName(nameParts), () => ({ nameParts, partsEdited: true }));
+    }, [applySuggestionEdit]);
+
+    // --- Name Comparison ---
+    const [pinnedNames, setPinnedNames] = useState([]);
+
+    const handlePinName = useCallback((name) => {
+        const trimmed = name.trim();
+        if (!trimmed) return;
+        setPinnedNames(prev => prev.some(n => n.toUpperCase() === trimmed.toUpperCase()) ? prev : [...prev, trimmed]);
+    }, []);
+
+    const handleUnpinName = useCallback((name) => {
+        setPinnedNames(prev => prev.filter(n => n !== name));
+    }, []);
+
+    const isPinned = (name) => pinnedNames.some(n => n.toUpperCase() === name.trim().toUpperCase());
+
+    // --- Lo Shu Before/After ---
+    const [loShuCandidate, setLoShuCandidate] = useState('');
+    const loShuCandidateOptions = Array.from(new Set([
+        ...editableSuggestions.map(s => s.currentName),
+        ...confirmedSuggestions.map(cs => cs.name),
+        ...pinnedNames,
+        customNameInput
+    ].map(name => name.trim()).filter(Boolean)));
 
-    // Pagination
-    const SUGGESTIONS_PER_PAGE = 5;
+    // --- Client Case Management ---
+    const [clients, setClients] = useState([]);
+    const [currentClientId, setCurrentClientId] = useState(null);
+    const [notes, setNotes] = useState('');
+
+    const refreshClients = useCallback(async () => {
+        try {
+            setClients(await listClients());
+        } catch (error) {
+            console.error('Error loading saved clients:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshClients();
+    }, [refreshClients]);
+
+    const buildCurrentClientRecord = useCallback(() => createClientRecord({
+        createdAt: clients.find(c => c.id === currentClientId)?.createdAt,
+        fullName,
+        birthDate,
+        birthTime,
+        birthPlace,
+        clientProfile,
+        suggestions,
+        editableSuggestions,
+        confirmedSuggestions,
+        ruleSetId: activeRuleSetId,
+        nameOrder,
+        notes,
+        business: businessSession
+    }, currentClientId), [clients, currentClientId, fullName, birthDate, birthTime, birthPlace, clientProfile, suggestions, editableSuggestions, confirmedSuggestions, activeRuleSetId, nameOrder, notes, businessSession]);
+
+    const handleSaveClient = useCallback(async () => {
+        if (!fullName.trim()) {
+            openModal("Please enter the client's Full Name before saving the session.");
+            return;
+        }
+        try {
+            const record = await saveClient(buildCurrentClientRecord());
+            setCurrentClientId(record.id);
+            await refreshClients();
+            openModal(`Session for '${record.fullName}' has been saved.`);
+        } catch (error) {
+            console.error('Error saving client:', error);
+            openModal(`Failed to save the client session: ${error.message}`);
+        }
+    }, [fullName, buildCurrentClientRecord, refreshClients, openModal]);
+
+    // The record is built when the debounced save fires, so it always has the latest state
+    const buildCurrentClientRecordRef = useRef(buildCurrentClientRecord);
+    useEffect(() => {
+        buildCurrentClientRecordRef.current = buildCurrentClientRecord;
+    }, [buildCurrentClientRecord]);
+
+    const debouncedAutoSaveClient = useRef(
+        debounce((onSaved) => saveClient(buildCurrentClientRecordRef.current()).then(onSaved).catch(error => console.error('Error auto-saving client:', error)), 1000)
+    ).current;
+
+    // Keep the opened client's record in sync while the consultant works
+    useEffect(() => {
+        if (currentClientId) {
+            debouncedAutoSaveClient(refreshClients);
+        }
+    }, [currentClientId, fullName, birthDate, birthTime, birthPlace, clientProfile, suggestions, editableSuggestions, confirmedSuggestions, activeRuleSetId, nameOrder, notes, businessSession, debouncedAutoSaveClient, refreshClients]);
+
+    const handleNewClient = useCallback(() => {
+        debouncedAutoSaveClient.flush();
+        setCurrentClientId(null);
+        setFullName('');
+        setBirthDate('');
+        setBirthTime('');
+        setBirthPlace('');
+        setNameOrder(DEFAULT_NAME_ORDER);
+        setNotes('');
+        setBusinessSession(DEFAULT_BUSINESS_SESSION);
+        setClientProfile(null);
+        setSuggestions([]);
+        setEditableSuggestions([]);
+        setConfirmedSuggestions([]);
+        setCustomNameInput('');
+        setCurrentPage(0);
+    }, [debouncedAutoSaveClient]);
+
+    const handleOpenClient = useCallback((record) => {
+        debouncedAutoSaveClient.flush();
+        pendingEditableSuggestionsRef.current = record.editableSuggestions;
+        setFullName(record.fullName);
+        setBirthDate(record.birthDate);
+        setBirthTime(record.birthTime);
+        setBirthPlace(record.birthPlace);
+        setNameOrder(record.nameOrder || DEFAULT_NAME_ORDER);
+        setNotes(record.notes || '');
+        setBusinessSession({ ...DEFAULT_BUSINESS_SESSION, ...record.business });
+        setClientProfile(record.clientProfile);
+        setSuggestions(record.suggestions);
+        setConfirmedSuggestions(record.confirmedSuggestions);
+        setCustomNameInput('');
+        setCurrentPage(0);
+        if (record.ruleSetId && ruleSets.some(rs => rs.id === record.ruleSetId)) {
+            setActiveRuleSetId(record.ruleSetId);
+        }
+        setCurrentClientId(record.id);
+    }, [debouncedAutoSaveClient, ruleSets]);
+
+    // Session files carry a whole session to another machine; imports are recomputed locally
+    const handleExportSession = useCallback(() => {
+        if (!fullName.trim()) {
+            openModal("Please enter the client's Full Name before exporting the session.");
+            return;
+        }
+        const file = buildSessionFile({
+            session: { fullName, birthDate, birthTime, birthPlace, nameOrder, notes, clientProfile, suggestions, editableSuggestions, confirmedSuggestions, business: businessSession },
+            ruleSet: activeRuleSet
+        });
+        downloadTextFile(JSON.stringify(file, null, 2), getSessionFilename(file), 'application/json');
+    }, [fullName, birthDate, birthTime, birthPlace, nameOrder, notes, clientProfile, suggestions, editableSuggestions, confirmedSuggestions, businessSession, activeRuleSet, openModal]);
+
+    const handleImportSession = useCallback((text) => {
+        const { data, errors } = readSessionFile(text);
+        if (errors.length > 0) {
+            openModal(`The session file could not be imported. ${errors.join(' ')}`);
+            return;
+        }
+        const { ruleSet, isNew } = resolveSessionRuleSet(data.ruleSet, ruleSets);
+        if (isNew) {
+            handleSaveRuleSet(ruleSet);
+        }
+        const { session, changes } = recomputeSession(data, ruleSet);
+        // Imported sessions start unsaved so they never overwrite a client on this machine
+        handleOpenClient({ ...session, id: null });
+        setActiveRuleSetId(ruleSet.id);
+
+        const ruleSetNote = isNew ? ` Its rule set was added here as "${ruleSet.name}".` : '';
+        openModal(changes.length > 0
+            ? `⚠️ '${session.fullName}' was imported, but ${changes.length} result${changes.length === 1 ? '' : 's'} changed since the file was exported on ${new Date(data.exportedAt).toLocaleDateString()}: ${describeSessionChanges(changes)}.${ruleSetNote}`
+            : `Session for '${session.fullName}' has been imported. Save it to keep it on this machine.${ruleSetNote}`);
+    }, [ruleSets, handleSaveRuleSet, handleOpenClient, openModal]);
+
+    const handleDuplicateClient = useCallback(async (record) => {
+        try {
+            const copy = await saveClient(duplicateClientRecord(record));
+            await refreshClients();
+            openModal(`'${record.fullName}' has been duplicated as '${copy.fullName}'.`);
+        } catch (error) {
+            console.error('Error duplicating client:', error);
+            openModal(`Failed to duplicate the client: ${error.message}`);
+        }
+    }, [refreshClients, openModal]);
+
+    const handleDeleteClient = useCallback(async (record) => {
+        if (!window.confirm(`Delete the saved session for '${record.fullName}'? This cannot be undone.`)) {
+            return;
+        }
+        try {
+            if (record.id === currentClientId) {
+                debouncedAutoSaveClient.cancel();
+                setCurrentClientId(null);
+            }
+            await deleteClient(record.id);
+            await refreshClients();
+        } catch (error) {
+            console.error('Error deleting client:', error);
+            openModal(`Failed to delete the client: ${error.message}`);
+        }
+    }, [currentClientId, debouncedAutoSaveClient, refreshClients, openModal]);
+
+    // Carousel toolbar: sorting, filters (including pronunciation), page size and layout
+    const [suggestionView, setSuggestionView] = useState(DEFAULT_SUGGESTION_VIEW);
     const [currentPage, setCurrentPage] = useState(0);
 
-    const pageCount = Math.ceil(editableSuggestions.length / SUGGESTIONS_PER_PAGE);
-    const paginatedSuggestions = editableSuggestions.slice(
-        currentPage * SUGGESTIONS_PER_PAGE,
-        (currentPage + 1) * SUGGESTIONS_PER_PAGE
+    const updateSuggestionView = (changes) => {
+        setSuggestionView(prev => ({ ...prev, ...changes }));
+        setFrozenSuggestionOrder(null);
+        setCurrentPage(0);
+    };
+
+    const liveSuggestionOrder = useMemo(
+        () => getSuggestionOrder(editableSuggestions, suggestionView),
+        [editableSuggestions, suggestionView]
     );
+    const suggestionOrder = frozenSuggestionOrder || liveSuggestionOrder;
+    useEffect(() => {
+        suggestionOrderRef.current = suggestionOrder;
+    }, [suggestionOrder]);
+
+    const {
+        items: paginatedSuggestions,
+        matching: matchingSuggestionCount,
+        page: visiblePage,
+        pageCount
+    } = getSuggestionPage(editableSuggestions, suggestionView, currentPage, suggestionOrder);
 
     const goToNextPage = () => {
-        setCurrentPage((page) => Math.min(page + 1, pageCount - 1));
+        setCurrentPage(Math.min(visiblePage + 1, pageCount - 1));
     };
 
     const goToPreviousPage = () => {
-        setCurrentPage((page) => Math.max(page - 1, 0));
+        setCurrentPage(Math.max(visiblePage - 1, 0));
     };
 
     // Enhanced live validation for input names with NEW RULES
@@ -773,7 +1188,7 @@ function App() {
         
         const birthNumber = calculateBirthNumber(birthDate);
         const lifePathNumber = calculateLifePathNumber(birthDate);
-        const firstNameValue = calculateFirstNameValue(name);
+        const firstNameValue = calculateFirstNameValue(name, nameOrder);
         const expressionNumber = calculateExpressionNumber(name);
         
         return {
@@ -781,396 +1196,867 @@ function App() {
             lifePathNumber,
             firstNameValue,
             expressionNumber,
-            isValid: isValidNameNumber(firstNameValue, expressionNumber, birthNumber, lifePathNumber),
-            compatibilityAnalysis: getNameCompatibilityAnalysis(firstNameValue, expressionNumber, birthNumber, lifePathNumber)
+            isValid: isValidNameNumber(firstNameValue, expressionNumber, birthNumber, lifePathNumber, activeRuleSet),
+            compatibilityAnalysis: getNameCompatibilityAnalysis(firstNameValue, expressionNumber, birthNumber, lifePathNumber, activeRuleSet)
         };
     };
 
     const currentNameAnalysis = getLiveNameAnalysis(fullName, birthDate);
+    const ruleSetSummary = describeRuleSet(activeRuleSet);
 
     return (
         <div className="app-container">
             <div className="main-content-wrapper">
-                <h1 className="main-title">Sheelaa's Numerology Portal </h1>
+                <h1 className="main-title">{activeTemplate.branding.consultantName}</h1>
+                <div className="backend-status-bar">
+                    <button
+                        onClick={() => setShowBackendSettings(prev => !prev)}
+                        className={`backend-status backend-${backendHealth.status}`}
+                        title={`${backendUrl}${backendHealth.checkedAt ? ` · checked ${new Date(backendHealth.checkedAt).toLocaleTimeString()}` : ''}`}
+                    >
+                        <span className="backend-status-dot" /> Backend {backendHealth.status}
+                        {backendHealth.latencyMs !== null && backendHealth.status === 'online' && ` (${backendHealth.latencyMs} ms)`}
+                    </button>
+                </div>
+                {(!isOnline || offlineQueue.length > 0) && (
+                    <div className="offline-banner" role="status">
+                        {!isOnline
+                            ? '📴 You are offline. Names are checked with the local engine only.'
+                            : '⏳ Waiting for the backend to replay queued validations.'}
+                        {offlineQueue.length > 0 && ` ${offlineQueue.length} validation${offlineQueue.length === 1 ? '' : 's'} queued.`}
+                    </div>
+                )}
+                {showBackendSettings && (
+                    <BackendSettings
+                        backendUrl={backendUrl}
+                        health={backendHealth}
+                        onChange={handleChangeBackendUrl}
+                        onCheck={checkBackendHealth}
+                        onClose={() => setShowBackendSettings(false)}
+                    />
+                )}
                 {isLoading && (
                     <div className="loading-overlay">
-                        <p>⏳ Processing numerological calculations with updated rules...</p>
+                        {serverWaking ? (
+                            <ServerWakeBanner waking={serverWaking} />
+                        ) : (
+                            <p>⏳ Processing numerological calculations with updated rules...</p>
+                        )}
                     </div>
                 )}
+                {!isLoading && serverWaking && <ServerWakeBanner waking={serverWaking} />}
+
+                <div className="name-mode-toggle" role="tablist">
+                    {NAME_MODES.map(mode => (
+                        <button
+                            key={mode.id}
+                            role="tab"
+                            aria-selected={nameMode === mode.id}
+                            onClick={() => setNameMode(mode.id)}
+                            className={nameMode === mode.id ? 'primary-btn small-btn' : 'secondary-btn small-btn'}
+                        >
+                            {mode.label}
+                        </button>
+                    ))}
+                </div>
 
-                {/* Input Form */}
-                <div className="section-card input-form-card">
-                    <h2>Client Information</h2>
-                    <div className="form-grid">
-                        <div className="input-group">
-                            <label htmlFor="fullName" className="input-label">Full Name:</label>
-                            <input
-                                type="text"
-                                id="fullName"
-                                placeholder="e.g., John Doe"
-                                className="input-field"
-                                value={fullName}
-                                onChange={(e) => setFullName(e.target.value)}
-                            />
-                            {currentNameAnalysis && (
-                                <div className="live-analysis" style={{ marginTop: '0.5rem', padding: '0.5rem', backgroundColor: '#f8f9fa', borderRadius: '4px', border: '1px solid #e9ecef' }}>
-                                    <p><strong>Live Analysis (Updated Rules):</strong></p>
-                                    <p>Birth Number: <strong>{currentNameAnalysis.birthNumber}</strong></p>
-                                    <p>Life Path Number: <strong>{currentNameAnalysis.lifePathNumber}</strong></p>
-                                    <p>First Name Value: <strong>{currentNameAnalysis.firstNameValue}</strong> (Reduced: {calculateSingleDigit(currentNameAnalysis.firstNameValue, false)})</p>
-                                    <p>Expression Number: <strong>{currentNameAnalysis.expressionNumber}</strong> (Reduced: {calculateSingleDigit(currentNameAnalysis.expressionNumber, false)})</p>
-                                    <p>Allowed Values: <strong>[{Array.from(getAllowedValues(currentNameAnalysis.birthNumber, currentNameAnalysis.lifePathNumber)).sort().join(', ')}]</strong></p>
-                                    <div className={`compatibility-badge ${currentNameAnalysis.compatibilityAnalysis.priority.class}`}>
-                                        {currentNameAnalysis.compatibilityAnalysis.priority.label}
-                                    </div>
-                                    <p className={currentNameAnalysis.isValid ? 'text-green-600' : 'text-red-600'}>
-                                        <strong>{currentNameAnalysis.isValid ? '✅ COMPLIANT' : '❌ NON-COMPLIANT'}</strong>
-                                    </p>
-                                    <p style={{ fontSize: '0.9em', fontStyle: 'italic' }}>
-                                        {currentNameAnalysis.compatibilityAnalysis.recommendation}
+                {nameMode === 'business' ? (
+                    <BusinessNameMode
+                        session={businessSession}
+                        onSessionChange={setBusinessSession}
+                        ruleSets={ruleSets}
+                        clientName={fullName}
+                        clientBirthDate={birthDate}
+                        openModal={openModal}
+                    />
+                ) : (
+                    <>
+                        {/* Saved Clients */}
+                        <ClientManager
+                            clients={clients}
+                            currentClientId={currentClientId}
+                            onSaveCurrent={handleSaveClient}
+                            onNew={handleNewClient}
+                            onOpen={handleOpenClient}
+                            onDuplicate={handleDuplicateClient}
+                            onDelete={handleDeleteClient}
+                            notes={notes}
+                            onNotesChange={setNotes}
+                            onExportSession={handleExportSession}
+                            onImportSession={handleImportSession}
+                        />
+
+                        {/* Input Form */}
+                        <div className="section-card input-form-card">
+                            <h2>Client Information</h2>
+                            <div className="form-grid">
+                                <div className="input-group">
+                                    <label htmlFor="fullName" className="input-label">Full Name:</label>
+                                    <input
+                                        type="text"
+                                        id="fullName"
+                                        placeholder="e.g., John Doe"
+                                        className="input-field"
+                                        value={fullName}
+                                        onChange={(e) => setFullName(e.target.value)}
+                                    />
+                                    <TransliterationPreview name={fullName} onApply={setFullName} />
+                                    <label htmlFor="nameOrder" className="input-label">Name Order:</label>
+                                    <select
+                                        id="nameOrder"
+                                        className="input-field"
+                                        value={nameOrder}
+                                        onChange={(e) => setNameOrder(e.target.value)}
+                                    >
+                                        {NAME_ORDER_PRESETS.map(preset => (
+                                            <option key={preset.id} value={preset.id}>{preset.label}</option>
+                                        ))}
+                                    </select>
+                                    <p className="text-sm text-gray-600">
+                                        {getNameOrderPreset(nameOrder).description}
+                                        {fullName.trim() && <> First Name Value taken from: <strong>{getGivenName(parseNameParts(fullName, nameOrder)) || '—'}</strong></>}
                                     </p>
+                                    {currentNameAnalysis && (
+                                        <div className="live-analysis" style={{ marginTop: '0.5rem', padding: '0.5rem', backgroundColor: '#f8f9fa', borderRadius: '4px', border: '1px solid #e9ecef' }}>
+                                            <p><strong>Live Analysis (Updated Rules):</strong></p>
+                                            <p>Birth Number: <strong>{currentNameAnalysis.birthNumber}</strong></p>
+                                            <p>Life Path Number: <strong>{currentNameAnalysis.lifePathNumber}</strong></p>
+                                            <p>First Name Value: <strong>{currentNameAnalysis.firstNameValue}</strong> (Reduced: {calculateSingleDigit(currentNameAnalysis.firstNameValue, false)})</p>
+                                            <p>Expression Number: <strong>{currentNameAnalysis.expressionNumber}</strong> (Reduced: {calculateSingleDigit(currentNameAnalysis.expressionNumber, false)})</p>
+                                            <p>Allowed Values: <strong>[{Array.from(getAllowedValues(currentNameAnalysis.birthNumber, currentNameAnalysis.lifePathNumber, activeRuleSet)).sort().join(', ')}]</strong></p>
+                                            <div className={`compatibility-badge ${currentNameAnalysis.compatibilityAnalysis.priority.class}`}>
+                                                {currentNameAnalysis.compatibilityAnalysis.priority.label}
+                                            </div>
+                                            <p className={currentNameAnalysis.isValid ? 'text-green-600' : 'text-red-600'}>
+                                                <strong>{currentNameAnalysis.isValid ? '✅ COMPLIANT' : '❌ NON-COMPLIANT'}</strong>
+                                            </p>
+                                            <p style={{ fontSize: '0.9em', fontStyle: 'italic' }}>
+                                                {currentNameAnalysis.compatibilityAnalysis.recommendation}
+                                            </p>
+                                        </div>
+                                    )}
                                 </div>
-                            )}
-                        </div>
-                        <div className="input-group">
-                            <label htmlFor="birthDate" className="input-label">Birth Date:</label>
-                            <input
-                                type="date"
-                                id="birthDate"
-                                className="input-field"
-                                value={birthDate}
-                                onChange={(e) => setBirthDate(e.target.value)}
-                            />
-                        </div>
-                        <div className="input-group">
-                            <label htmlFor="birthTime" className="input-label">Birth Time (optional):</label>
-                            <input
-                                type="time"
-                                id="birthTime"
-                                placeholder="HH:MM"
-                                className="input-field"
-                                value={birthTime}
-                                onChange={(e) => setBirthTime(e.target.value)}
-                            />
-                        </div>
-                        <div className="input-group">
-                            <label htmlFor="birthPlace" className="input-label">Birth Place (optional):</label>
-                            <input
-                                type="text"
-                                id="birthPlace"
-                                placeholder="City, Country"
-                                className="input-field"
-                                value={birthPlace}
-                                onChange={(e) => setBirthPlace(e.target.value)}
-                            />
+                                <div className="input-group">
+                                    <label htmlFor="birthDate" className="input-label">Birth Date:</label>
+                                    <input
+                                        type="date"
+                                        id="birthDate"
+                                        className="input-field"
+                                        value={birthDate}
+                                        onChange={(e) => setBirthDate(e.target.value)}
+                                    />
+                                </div>
+                                <div className="input-group">
+                                    <label htmlFor="birthTime" className="input-label">Birth Time (optional):</label>
+                                    <input
+                                        type="time"
+                                        id="birthTime"
+                                        placeholder="HH:MM"
+                                        className="input-field"
+                                        value={birthTime}
+                                        onChange={(e) => setBirthTime(e.target.value)}
+                                    />
+                                </div>
+                                <div className="input-group">
+                                    <label htmlFor="birthPlace" className="input-label">Birth Place (optional):</label>
+                                    <input
+                                        type="text"
+                                        id="birthPlace"
+                                        placeholder="City, Country"
+                                        className="input-field"
+                                        value={birthPlace}
+                                        onChange={(e) => setBirthPlace(e.target.value)}
+                                    />
+                                </div>
+                            </div>
+                            <label className="checkbox-label">
+                                <input
+                                    type="checkbox"
+                                    checked={blendLocalSuggestions}
+                                    onChange={(e) => setBlendLocalSuggestions(e.target.checked)}
+                                />
+                                {' '}Blend local spelling variants into backend suggestions
+                            </label>
+                            <div className="button-row">
+                                <button onClick={getInitialSuggestions} className="primary-btn">Get Initial Suggestions</button>
+                                <button onClick={getOfflineSuggestions} className="secondary-btn">Generate Offline Suggestions</button>
+                            </div>
                         </div>
-                    </div>
-                    <button onClick={getInitialSuggestions} className="primary-btn">Get Initial Suggestions</button>
-                </div>
 
-                {/* Updated Rules Information Panel */}
-                <div className="section-card rules-info-card">
-                    <h2>🔧 Updated Chaldean Numerology Rules</h2>
-                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', fontSize: '0.9em' }}>
-                        <div>
-                            <h4>✅ Lucky Numbers for Names:</h4>
-                            <ul>
-                                <li><strong>1</strong> - Power & Leadership</li>
-                                <li><strong>5</strong> - Freedom & Adventure</li>
-                                <li><strong>6</strong> - Love & Harmony</li>
-                            </ul>
-                        </div>
-                        <div>
-                            <h4>⚠️ Special Rules:</h4>
-                            <ul>
-                                <li>Birth/Life = 8 → Cannot use 1</li>
-                                <li>Birth/Life = 3 → Cannot use 6, Can use 3</li>
-                                <li>Birth/Life = 6 → Cannot use 3</li>
-                                <li>Value 51 → Forbidden for personal names</li>
-                                <li>Value 65 → Specially allowed</li>
-                            </ul>
+                        {/* Updated Rules Information Panel - rendered from the active rule set */}
+                        <div className="section-card rules-info-card">
+                            <div className="validation-header">
+                                <h2>🔧 {activeRuleSet.name} <span className="text-sm text-gray-600">v{activeRuleSet.version}</span></h2>
+                                <div className="button-row">
+                                    <select
+                                        aria-label="Active rule set"
+                                        className="input-field"
+                                        value={activeRuleSet.id}
+                                        onChange={(e) => setActiveRuleSetId(e.target.value)}
+                                    >
+                                        {ruleSets.map(rs => (
+                                            <option key={rs.id} value={rs.id}>{rs.name} (v{rs.version})</option>
+                                        ))}
+                                    </select>
+                                    <button onClick={() => setShowRuleSettings(open => !open)} className="secondary-btn small-btn">
+                                        {showRuleSettings ? 'Hide Settings' : '⚙️ Manage Rule Sets'}
+                                    </button>
+                                </div>
+                            </div>
+                            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', fontSize: '0.9em' }}>
+                                <div>
+                                    <h4>✅ Lucky Numbers for Names:</h4>
+                                    <ul>
+                                        {ruleSetSummary.luckyNumbers.map(({ value, meaning }) => (
+                                            <li key={value}><strong>{value}</strong>{meaning && ` - ${meaning}`}</li>
+                                        ))}
+                                    </ul>
+                                </div>
+                                <div>
+                                    <h4>⚠️ Special Rules:</h4>
+                                    <ul>
+                                        {ruleSetSummary.specialRules.map(rule => (
+                                            <li key={rule}>{rule}</li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            </div>
+                            <div className="input-group verdict-authority">
+                                <label htmlFor="verdictAuthority" className="input-label">Confirm button follows:</label>
+                                <select
+                                    id="verdictAuthority"
+                                    className="input-field"
+                                    value={verdictAuthority}
+                                    onChange={(e) => setVerdictAuthority(e.target.value)}
+                                >
+                                    {VERDICT_AUTHORITIES.map(authority => (
+                                        <option key={authority.id} value={authority.id}>{authority.label}</option>
+                                    ))}
+                                </select>
+                                <p className="text-sm text-gray-600">{VERDICT_AUTHORITIES.find(a => a.id === verdictAuthority)?.description}</p>
+                            </div>
                         </div>
-                    </div>
-                </div>
 
-                {/* Enhanced Suggested Names Carousel with NEW RULES */}
-                {editableSuggestions.length > 0 && (
-                    <div className="section-card suggestions-carousel">
-                        <h2>Suggested Names</h2>
-
-                        <div className="carousel-grid">
-                            {paginatedSuggestions.map((s) => (
-                                <div key={s.id} className={`name-card ${s.isValid ? 'valid-name' : 'invalid-name'}`}>
-                                    <div className="compatibility-header">
-                                        <div className={`priority-badge ${s.compatibilityAnalysis?.priority.class || ''}`}>
-                                            {s.compatibilityAnalysis?.priority.label || 'Calculating...'}
-                                        </div>
-                                        <div className={`validity-indicator ${s.isValid ? 'valid' : 'invalid'}`}>
-                                            {s.isValid ? '✅ COMPLIANT' : '❌ NON-COMPLIANT'}
-                                        </div>
-                                    </div>
+                        {showRuleSettings && (
+                            <RuleSetSettings
+                                ruleSets={ruleSets}
+                                activeRuleSetId={activeRuleSet.id}
+                                onSelect={setActiveRuleSetId}
+                                onSave={handleSaveRuleSet}
+                                onDelete={handleDeleteRuleSet}
+                                onClose={() => setShowRuleSettings(false)}
+                            />
+                        )}
 
-                                    <div className="input-group">
-                                        <label>Full Name</label>
-                                        <input
-                                            type="text"
-                                            value={s.currentName}
-                                            onChange={(e) => handleNameChange(s.id, e.target.value)}
+                        {/* Enhanced Suggested Names Carousel with NEW RULES */}
+                        {editableSuggestions.length > 0 && (
+                            <div className="section-card suggestions-carousel">
+                                <h2>Suggested Names</h2>
+
+                                <div className="suggestion-toolbar">
+                                    <input
+                                        type="search"
+                                        aria-label="Search suggestions"
+                                        placeholder="Search names..."
+                                        className="input-field"
+                                        value={suggestionView.query}
+                                        onChange={(e) => updateSuggestionView({ query: e.target.value })}
+                                    />
+                                    <label className="text-sm">
+                                        Sort:{' '}
+                                        <select
                                             className="input-field"
+                                            value={suggestionView.sortId}
+                                            onChange={(e) => updateSuggestionView({
+                                                sortId: e.target.value,
+                                                direction: SUGGESTION_SORTS.find(sort => sort.id === e.target.value).direction
+                                            })}
+                                        >
+                                            {SUGGESTION_SORTS.map(sort => (
+                                                <option key={sort.id} value={sort.id}>{sort.label}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <button
+                                        onClick={() => updateSuggestionView({ direction: suggestionView.direction === 'asc' ? 'desc' : 'asc' })}
+                                        className="secondary-btn small-btn"
+                                        aria-label={suggestionView.direction === 'asc' ? 'Sorted ascending, switch to descending' : 'Sorted descending, switch to ascending'}
+                                    >
+                                        {suggestionView.direction === 'asc' ? '↑' : '↓'}
+                                    </button>
+                                    <label htmlFor="phoneticFilter" className="text-sm">Pronunciation:</label>
+                                    <select
+                                        id="phoneticFilter"
+                                        className="input-field"
+                                        value={suggestionView.minPhoneticSimilarity}
+                                        onChange={(e) => updateSuggestionView({ minPhoneticSimilarity: Number(e.target.value) })}
+                                    >
+                                        {PHONETIC_LEVELS.map(level => (
+                                            <option key={level.id} value={level.min}>
+                                                {level.min === 0 ? 'Any pronunciation' : `${level.label} or closer (≥ ${Math.round(level.min * 100)}%)`}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <label className="text-sm">
+                                        <input
+                                            type="checkbox"
+                                            checked={suggestionView.compliantOnly}
+                                            onChange={(e) => updateSuggestionView({ compliantOnly: e.target.checked })}
+                                        />
+                                        {' '}Compliant only
+                                    </label>
+                                    <label className="text-sm">
+                                        <input
+                                            type="checkbox"
+                                            checked={suggestionView.hideKarmic}
+                                            onChange={(e) => updateSuggestionView({ hideKarmic: e.target.checked })}
                                         />
+                                        {' '}Hide karmic debt
+                                    </label>
+                                    <label className="text-sm">
+                                        View:{' '}
+                                        <select
+                                            className="input-field"
+                                            value={suggestionView.layout}
+                                            onChange={(e) => updateSuggestionView({ layout: e.target.value })}
+                                        >
+                                            {SUGGESTION_LAYOUTS.map(layout => (
+                                                <option key={layout.id} value={layout.id}>{layout.label}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    {suggestionView.layout === 'carousel' && (
+                                        <label className="text-sm">
+                                            Per page:{' '}
+                                            <select
+                                                className="input-field"
+                                                value={suggestionView.pageSize}
+                                                onChange={(e) => updateSuggestionView({ pageSize: Number(e.target.value) })}
+                                            >
+                                                {SUGGESTION_PAGE_SIZES.map(size => (
+                                                    <option key={size} value={size}>{size}</option>
+                                                ))}
+                                            </select>
+                                        </label>
+                                    )}
+                                    {matchingSuggestionCount < editableSuggestions.length && (
+                                        <span className="text-sm text-gray-600">
+                                            Showing {matchingSuggestionCount} of {editableSuggestions.length}
+                                        </span>
+                                    )}
+                                </div>
+                                {matchingSuggestionCount === 0 && hasActiveFilters(suggestionView) && (
+                                    <p className="text-sm text-gray-600">
+                                        No suggestions match the current filters.{' '}
+                                        <button
+                                            onClick={() => updateSuggestionView({
+                                                query: '',
+                                                compliantOnly: false,
+                                                hideKarmic: false,
+                                                minPhoneticSimilarity: 0
+                                            })}
+                                            className="link-btn"
+                                        >Clear filters</button>
+                                    </p>
+                                )}
+
+                                <div className={`carousel-grid ${suggestionView.layout === 'grid' ? 'suggestions-grid-view' : ''}`}>
+                                    {paginatedSuggestions.map((s) => {
+                                        const reconciliation = reconcileSuggestion(s);
+                                        const backendValidation = getCardBackendValidation(s);
+                                        const isConfirmed = confirmedSuggestions.some(cs => cs.name === s.currentName);
+                                        const confirmBlockReason = getConfirmBlockReason(reconciliation, verdictAuthority);
+                                        return (
+                                            <div key={s.id} className={`name-card ${s.isValid ? 'valid-name' : 'invalid-name'} ${reconciliation.status === 'mismatch' ? 'verdict-mismatch' : ''}`}>
+                                                <div className="compatibility-header">
+                                                    <div className={`priority-badge ${s.compatibilityAnalysis?.priority.class || ''}`}>
+                                                        {s.compatibilityAnalysis?.priority.label || 'Calculating...'}
+                                                    </div>
+                                                    <div className={`validity-indicator ${s.isValid ? 'valid' : 'invalid'}`}>
+                                                        {s.isValid ? '✅ COMPLIANT' : '❌ NON-COMPLIANT'}
+                                                    </div>
+                                                </div>
+                                                {s.source === 'local' && (
+                                                    <p className="source-badge">🖥️ Local variant</p>
+                                                )}
+                                                <PhoneticBadge score={s.phoneticSimilarity} originalName={clientProfile?.full_name} />
+                                                {pendingValidations[`suggestion-${s.id}`] ? (
+                                                    <p className="verification-badge pending" role="status">
+                                                        <span className="inline-spinner" aria-hidden="true" /> Validating with backend...
+                                                    </p>
+                                                ) : backendValidation ? (
+                                                    <p
+                                                        className={`verification-badge ${backendValidation.is_valid ? 'backend-valid' : 'backend-invalid'}`}
+                                                        title={backendValidation.rationale}
+                                                    >
+                                                        ☁️ Backend: {backendValidation.is_valid ? 'valid' : 'invalid'}
+                                                        {backendValidation.cachedAt && ` (cached ${new Date(backendValidation.cachedAt).toLocaleDateString()})`}
+                                                    </p>
+                                                ) : isNameQueued(s.currentName) ? (
+                                                    <p className="verification-badge queued">⏳ Queued for backend</p>
+                                                ) : (
+                                                    <p className="verification-badge local-only">🖥️ Local only</p>
+                                                )}
+                                                <VerdictDiscrepancy reconciliation={reconciliation} />
+
+                                                <div className="input-group">
+                                                    <label>Full Name</label>
+                                                    <input
+                                                        type="text"
+                                                        value={s.currentName}
+                                                        onChange={(e) => handleNameChange(s.id, e.target.value)}
+                                                        className="input-field"
+                                                    />
+                                                </div>
+
+                                                <div className="input-group">
+                                                    <label>Name Parts</label>
+                                                    <NamePartsEditor
+                                                        parts={s.nameParts || parseNameParts(s.currentName, nameOrder)}
+                                                        onChange={(parts) => handleNamePartsChange(s.id, parts)}
+                                                    />
+                                                    <span className="text-sm text-gray-600">
+                                                        Raw: {s.firstNameValue} | Reduced: {calculateSingleDigit(s.firstNameValue, false)}
+                                                    </span>
+                                                </div>
+
+                                                <div className="numerology-summary">
+                                                    <p><strong>Expression:</strong> {s.expressionNumber} (Reduced: {calculateSingleDigit(s.expressionNumber, false)})</p>
+                                                    <p><strong>Soul Urge:</strong> {s.soulUrgeNumber}</p>
+                                                    <p><strong>Personality:</strong> {s.personalityNumber}</p>
+                                                    <p><strong>Karmic Debt:</strong> {s.karmicDebtPresent ? '⚠️ Yes' : '✅ No'}</p>
+                                                </div>
+                                                <CalculationBreakdown name={s.currentName} nameFormat={s.nameParts || nameOrder} />
+                                                {!s.isValid && s.currentName.trim() && (
+                                                    <NameFixer
+                                                        name={s.currentName}
+                                                        nameFormat={s.nameParts || nameOrder}
+                                                        birthDate={clientProfile?.birth_date || ''}
+                                                        ruleSet={activeRuleSet}
+                                                        onApply={(fix) => handleNamePartsChange(s.id, fix.nameParts)}
+                                                    />
+                                                )}
+
+                                                {s.compatibilityAnalysis && (
+                                                    <div className="compatibility-analysis">
+                                                        <h4>Updated Rules Analysis:</h4>
+                                                        <p><strong>Allowed Values:</strong> [{s.compatibilityAnalysis.allowedValues.join(', ')}]</p>
+                                        
+                                                        <div className="rule-status">
+                                                            <p><strong>FNV Status:</strong> <span className={s.compatibilityAnalysis.fnvStatus.isValid ? 'text-green-600' : 'text-red-600'}>
+                                                                {s.compatibilityAnalysis.fnvStatus.isValid ? '✅' : '❌'} {s.compatibilityAnalysis.fnvStatus.reason}
+                                                            </span></p>
+                                                            <p><strong>CMV Status:</strong> <span className={s.compatibilityAnalysis.cmvStatus.isValid ? 'text-green-600' : 'text-red-600'}>
+                                                                {s.compatibilityAnalysis.cmvStatus.isValid ? '✅' : '❌'} {s.compatibilityAnalysis.cmvStatus.reason}
+                                                            </span></p>
+                                                        </div>
+                                        
+                                                        {s.compatibilityAnalysis.benefits.length > 0 && (
+                                                            <div className="benefits">
+                                                                <strong>Benefits:</strong>
+                                                                <ul>
+                                                                    {s.compatibilityAnalysis.benefits.map((benefit, idx) => (
+                                                                        <li key={idx} className="benefit-item">✅ {benefit}</li>
+                                                                    ))}
+                                                                </ul>
+                                                            </div>
+                                                        )}
+                                                        {s.compatibilityAnalysis.conflicts.length > 0 && (
+                                                            <div className="conflicts">
+                                                                <strong>Rule Violations:</strong>
+                                                                <ul>
+                                                                    {s.compatibilityAnalysis.conflicts.map((conflict, idx) => (
+                                                                        <li key={idx} className="conflict-item">❌ {conflict}</li>
+                                                                    ))}
+                                                                </ul>
+                                                            </div>
+                                                        )}
+                                                    </div>
+                                                )}
+
+                                                <div className="button-row">
+                                                    <button
+                                                        onClick={() => handleValidateName(s.currentName, clientProfileRef.current, false, s.id)}
+                                                        className="secondary-btn small-btn"
+                                                        disabled={Boolean(pendingValidations[`suggestion-${s.id}`])}
+                                                    >
+                                                        {pendingValidations[`suggestion-${s.id}`] ? 'Validating...' : 'Re-validate'}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handlePinName(s.currentName)}
+                                                        className="secondary-btn small-btn"
+                                                        disabled={!s.currentName.trim() || isPinned(s.currentName)}
+                                                    >
+                                                        {isPinned(s.currentName) ? '📌 Pinned' : '📌 Compare'}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleConfirmSuggestion(s)}
+                                                        className={`primary-btn small-btn ${
+                                                            confirmBlockReason || isConfirmed
+                                                            ? 'disabled-btn' : ''
+                                                        }`}
+                                                        disabled={Boolean(confirmBlockReason) || isConfirmed}
+                                                        title={confirmBlockReason ? `Blocked: ${confirmBlockReason.message}` : ''}
+                                                    >
+                                                        {isConfirmed 
+                                                            ? '✓ Confirmed' 
+                                                            : !confirmBlockReason 
+                                                                ? 'Confirm' 
+                                                                : CONFIRM_BLOCK_LABELS[confirmBlockReason.code]
+                                                        }
+                                                    </button>
+                                                </div>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+
+                                {suggestionView.layout === 'carousel' && (
+                                    <div className="carousel-controls">
+                                        <button
+                                            onClick={goToPreviousPage}
+                                            disabled={visiblePage === 0}
+                                            className="secondary-btn"
+                                        >⬅ Previous</button>
+                                        <span>Page {visiblePage + 1} of {pageCount}</span>
+                                        <button
+                                            onClick={goToNextPage}
+                                            disabled={visiblePage >= pageCount - 1}
+                                            className="secondary-btn"
+                                        >Next ➡</button>
                                     </div>
+                                )}
+                            </div>
+                        )}
+
+                        {/* Client Profile and Custom Validation */}
+                        <div className="two-column-layout">
+                            <div className="section-card profile-display-card">
+                                <h2>Client Numerology Profile</h2>
+
+                                {clientProfile ? (
+                                    <>
+                                        {clientProfile.source === 'local' ? (
+                                            <p className="verification-badge local-only">🖥️ Built locally, not from the backend</p>
+                                        ) : clientProfile.source === 'cached' ? (
+                                            <p className="verification-badge queued">📦 Cached backend profile from {new Date(clientProfile.cached_at).toLocaleString()}</p>
+                                        ) : (
+                                            <p className="verification-badge backend-confirmed">☁️ From the backend</p>
+                                        )}
+                                        <div
+                                            className="profile-details-content"
+                                            dangerouslySetInnerHTML={{ __html: formatProfileData(clientProfile) }}
+                                        />
+                                        <h3>Lo Shu Grid</h3>
+                                        <div className="input-group">
+                                            <label htmlFor="loShuCandidate" className="input-label">Compare with candidate:</label>
+                                            <select
+                                                id="loShuCandidate"
+                                                className="input-field"
+                                                value={loShuCandidate}
+                                                onChange={(e) => setLoShuCandidate(e.target.value)}
+                                            >
+                                                <option value="">Current name only</option>
+                                                {loShuCandidateOptions.map(name => (
+                                                    <option key={name} value={name}>{name}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                        <div className="lo-shu-compare">
+                                            <LoShuGrid
+                                                title={`Current: ${clientProfile.full_name}`}
+                                                birthDate={clientProfile.birth_date}
+                                                expressionNumber={calculateExpressionNumber(clientProfile.full_name || '')}
+                                            />
+                                            {loShuCandidate && (
+                                                <LoShuGrid
+                                                    title={`Candidate: ${loShuCandidate}`}
+                                                    birthDate={clientProfile.birth_date}
+                                                    expressionNumber={calculateExpressionNumber(loShuCandidate)}
+                                                    compareToExpression={calculateExpressionNumber(clientProfile.full_name || '')}
+                                                />
+                                            )}
+                                        </div>
+                                    </>
+                                ) : (
+                                    <p className="text-muted">Please fill in your details and click "Get Initial Suggestions" to load your numerology profile.</p>
+                                )}
+                            </div>
 
+                            {/* Enhanced Custom Validation with NEW RULES */}
+                            {clientProfile && (
+                                <div className="section-card custom-validation-card">
+                                    <h2>Validate Custom Name (Updated Rules)</h2>
                                     <div className="input-group">
-                                        <label>First Name</label>
+                                        <label htmlFor="customNameInput" className="input-label">Name to Validate:</label>
                                         <input
                                             type="text"
-                                            value={s.currentFirstName}
-                                            onChange={(e) => handleFirstNameChange(s.id, e.target.value)}
+                                            id="customNameInput"
+                                            placeholder="Enter a name to validate..."
                                             className="input-field"
+                                            value={customNameInput}
+                                            onChange={(e) => setCustomNameInput(e.target.value)}
                                         />
-                                        <span className="text-sm text-gray-600">
-                                            Raw: {s.firstNameValue} | Reduced: {calculateSingleDigit(s.firstNameValue, false)}
-                                        </span>
-                                    </div>
-
-                                    <div className="numerology-summary">
-                                        <p><strong>Expression:</strong> {s.expressionNumber} (Reduced: {calculateSingleDigit(s.expressionNumber, false)})</p>
-                                        <p><strong>Soul Urge:</strong> {s.soulUrgeNumber}</p>
-                                        <p><strong>Personality:</strong> {s.personalityNumber}</p>
-                                        <p><strong>Karmic Debt:</strong> {s.karmicDebtPresent ? '⚠️ Yes' : '✅ No'}</p>
+                                        <TransliterationPreview name={customNameInput} onApply={setCustomNameInput} />
                                     </div>
+                        
+                                    {liveValidationOutput && (
+                                        <div className="live-validation-output section-card" style={{ 
+                                            backgroundColor: '#ffffff', 
+                                            border: '1px solid #e9eceb', 
+                                            boxShadow: 'none',
+                                            marginTop: '1rem' 
+                                        }}>
+                                            <div className="validation-header">
+                                                <h3>Live Updated Rules Analysis</h3>
+                                                <div className={`priority-badge ${liveValidationOutput.compatibilityAnalysis?.priority.class || ''}`}>
+                                                    {liveValidationOutput.compatibilityAnalysis?.priority.label || 'Calculating...'}
+                                                </div>
+                                            </div>
 
-                                    {s.compatibilityAnalysis && (
-                                        <div className="compatibility-analysis">
-                                            <h4>Updated Rules Analysis:</h4>
-                                            <p><strong>Allowed Values:</strong> [{s.compatibilityAnalysis.allowedValues.join(', ')}]</p>
-                                            
-                                            <div className="rule-status">
-                                                <p><strong>FNV Status:</strong> <span className={s.compatibilityAnalysis.fnvStatus.isValid ? 'text-green-600' : 'text-red-600'}>
-                                                    {s.compatibilityAnalysis.fnvStatus.isValid ? '✅' : '❌'} {s.compatibilityAnalysis.fnvStatus.reason}
-                                                </span></p>
-                                                <p><strong>CMV Status:</strong> <span className={s.compatibilityAnalysis.cmvStatus.isValid ? 'text-green-600' : 'text-red-600'}>
-                                                    {s.compatibilityAnalysis.cmvStatus.isValid ? '✅' : '❌'} {s.compatibilityAnalysis.cmvStatus.reason}
-                                                </span></p>
+                                            <div className="validation-grid">
+                                                <p><strong>Name:</strong> {customNameInput} <PhoneticBadge score={liveValidationOutput.phoneticSimilarity} originalName={clientProfile.full_name} /></p>
+                                                <p><strong>Birth Number:</strong> {liveValidationOutput.birthNumber}</p>
+                                                <p><strong>Life Path Number:</strong> {liveValidationOutput.lifePathNumber}</p>
+                                                <p><strong>Allowed Values:</strong> [{Array.from(getAllowedValues(liveValidationOutput.birthNumber, liveValidationOutput.lifePathNumber, activeRuleSet)).sort().join(', ')}]</p>
+                                                <hr />
+                                                <p><strong>First Name Value:</strong> {liveValidationOutput.firstNameValue} (Reduced: {calculateSingleDigit(liveValidationOutput.firstNameValue, false)})</p>
+                                                <p><strong>Expression Number:</strong> {liveValidationOutput.expressionNumber} (Reduced: {calculateSingleDigit(liveValidationOutput.expressionNumber, false)})</p>
+                                                <p><strong>Raw Sum:</strong> {liveValidationOutput.rawSum}</p>
+                                                <p><strong>Soul Urge:</strong> {liveValidationOutput.soulUrgeNumber}</p>
+                                                <p><strong>Personality:</strong> {liveValidationOutput.personalityNumber}</p>
+                                                <p><strong>Karmic Debt:</strong> {liveValidationOutput.karmicDebtPresent ? 'Yes ⚠️' : 'No ✅'}</p>
                                             </div>
-                                            
-                                            {s.compatibilityAnalysis.benefits.length > 0 && (
-                                                <div className="benefits">
-                                                    <strong>Benefits:</strong>
-                                                    <ul>
-                                                        {s.compatibilityAnalysis.benefits.map((benefit, idx) => (
-                                                            <li key={idx} className="benefit-item">✅ {benefit}</li>
-                                                        ))}
-                                                    </ul>
-                                                </div>
+                                            <CalculationBreakdown name={liveValidationOutput.name} nameFormat={nameOrder} />
+                                            {liveValidationOutput.compatibilityAnalysis && !liveValidationOutput.compatibilityAnalysis.isValid && (
+                                                <NameFixer
+                                                    name={liveValidationOutput.name}
+                                                    nameFormat={nameOrder}
+                                                    birthDate={clientProfile.birth_date}
+                                                    ruleSet={activeRuleSet}
+                                                    onApply={(fix) => setCustomNameInput(fix.name)}
+                                                />
                                             )}
-                                            {s.compatibilityAnalysis.conflicts.length > 0 && (
-                                                <div className="conflicts">
-                                                    <strong>Rule Violations:</strong>
-                                                    <ul>
-                                                        {s.compatibilityAnalysis.conflicts.map((conflict, idx) => (
-                                                            <li key={idx} className="conflict-item">❌ {conflict}</li>
-                                                        ))}
-                                                    </ul>
+
+                                            {liveValidationOutput.compatibilityAnalysis && (
+                                                <div className="compatibility-analysis">
+                                                    <h4>Updated Chaldean Rules Analysis:</h4>
+                                                    <p className={liveValidationOutput.compatibilityAnalysis.isValid ? 'text-green-600' : 'text-red-600'}>
+                                                        <strong>{liveValidationOutput.compatibilityAnalysis.recommendation}</strong>
+                                                    </p>
+                                        
+                                                    <div className="rule-status">
+                                                        <p><strong>FNV Compliance:</strong> <span className={liveValidationOutput.compatibilityAnalysis.fnvStatus.isValid ? 'text-green-600' : 'text-red-600'}>
+                                                            {liveValidationOutput.compatibilityAnalysis.fnvStatus.isValid ? '✅' : '❌'} {liveValidationOutput.compatibilityAnalysis.fnvStatus.reason}
+                                                        </span></p>
+                                                        <p><strong>CMV Compliance:</strong> <span className={liveValidationOutput.compatibilityAnalysis.cmvStatus.isValid ? 'text-green-600' : 'text-red-600'}>
+                                                            {liveValidationOutput.compatibilityAnalysis.cmvStatus.isValid ? '✅' : '❌'} {liveValidationOutput.compatibilityAnalysis.cmvStatus.reason}
+                                                        </span></p>
+                                                    </div>
+                                        
+                                                    {liveValidationOutput.compatibilityAnalysis.benefits.length > 0 && (
+                                                        <div className="benefits">
+                                                            <strong>Benefits:</strong>
+                                                            <ul>
+                                                                {liveValidationOutput.compatibilityAnalysis.benefits.map((benefit, idx) => (
+                                                                    <li key={idx} className="benefit-item">✅ {benefit}</li>
+                                                                ))}
+                                                            </ul>
+                                                        </div>
+                                                    )}
+                                        
+                                                    {liveValidationOutput.compatibilityAnalysis.conflicts.length > 0 && (
+                                                        <div className="conflicts">
+                                                            <strong>Rule Violations:</strong>
+                                                            <ul>
+                                                                {liveValidationOutput.compatibilityAnalysis.conflicts.map((conflict, idx) => (
+                                                                    <li key={idx} className="conflict-item">❌ {conflict}</li>
+                                                                ))}
+                                                            </ul>
+                                                        </div>
+                                                    )}
                                                 </div>
                                             )}
+
+                                            {pendingValidations.custom ? (
+                                                <p className="verification-badge pending" role="status">
+                                                    <span className="inline-spinner" aria-hidden="true" /> Validating '{pendingValidations.custom}' with the backend...
+                                                </p>
+                                            ) : !currentBackendValidation && (
+                                                <p className={`verification-badge ${isNameQueued(customNameInput) ? 'queued' : 'local-only'}`}>
+                                                    {isNameQueued(customNameInput) ? '⏳ Queued for backend validation' : '🖥️ Local calculation only, not yet confirmed by the backend'}
+                                                </p>
+                                            )}
+                                            <VerdictDiscrepancy reconciliation={customReconciliation} />
+                                            {currentBackendValidation && (
+                                                <>
+                                                    <hr className="my-2" />
+                                                    <div className="backend-validation">
+                                                        <h4>Backend Validation:</h4>
+                                                        <p className={currentBackendValidation.is_valid ? 'text-green-600 font-bold' : 'text-red-600 font-bold'}>
+                                                            {currentBackendValidation.is_valid ? '✅ BACKEND CONFIRMS COMPLIANT' : '❌ BACKEND CONFIRMS NON-COMPLIANT'}
+                                                        </p>
+                                                        <p><strong>Rationale:</strong> {currentBackendValidation.rationale}</p>
+                                                    </div>
+                                                </>
+                                            )}
                                         </div>
                                     )}
-
+                        
                                     <div className="button-row">
-                                        <button
-                                            onClick={() => handleValidateName(s.currentName, clientProfileRef.current, false, s.id)}
-                                            className="secondary-btn small-btn"
+                                        <button 
+                                            onClick={() => handleValidateName(customNameInput, clientProfileRef.current, true, null)} 
+                                            className="primary-btn" 
+                                            disabled={!clientProfile || !customNameInput.trim() || Boolean(pendingValidations.custom)}
                                         >
-                                            Re-validate
+                                            {pendingValidations.custom ? 'Validating...' : 'Validate with Updated Rules'}
                                         </button>
                                         <button
-                                            onClick={() => handleConfirmSuggestion(s)}
-                                            className={`primary-btn small-btn ${
-                                                !s.isValid || confirmedSuggestions.some(cs => cs.name === s.currentName) 
-                                                ? 'disabled-btn' : ''
-                                            }`}
-                                            disabled={!s.isValid || confirmedSuggestions.some(cs => cs.name === s.currentName)}
+                                            onClick={() => handlePinName(customNameInput)}
+                                            className="secondary-btn"
+                                            disabled={!customNameInput.trim() || isPinned(customNameInput)}
                                         >
-                                            {confirmedSuggestions.some(cs => cs.name === s.currentName) 
-                                                ? '✓ Confirmed' 
-                                                : s.isValid 
-                                                    ? 'Confirm' 
-                                                    : 'Non-Compliant'
-                                            }
+                                            📌 Compare
                                         </button>
                                     </div>
                                 </div>
-                            ))}
+                            )}
                         </div>
 
-                        <div className="carousel-controls">
-                            <button
-                                onClick={goToPreviousPage}
-                                disabled={currentPage === 0}
-                                className="secondary-btn"
-                            >⬅ Previous</button>
-                            <span>Page {currentPage + 1} of {pageCount}</span>
-                            <button
-                                onClick={goToNextPage}
-                                disabled={currentPage >= pageCount - 1}
-                                className="secondary-btn"
-                            >Next ➡</button>
-                        </div>
-                    </div>
-                )}
-
-                {/* Client Profile and Custom Validation */}
-                <div className="two-column-layout">
-                    <div className="section-card profile-display-card">
-                        <h2>Client Numerology Profile</h2>
+                        {/* Side-by-side Name Comparison */}
+                        {clientProfile && (
+                            <NameComparison
+                                pinnedNames={pinnedNames}
+                                baselineName={clientProfile.full_name || ''}
+                                birthDate={clientProfile.birth_date}
+                                ruleSet={activeRuleSet}
+                                nameOrder={nameOrder}
+                                onPin={handlePinName}
+                                onUnpin={handleUnpinName}
+                                onClear={() => setPinnedNames([])}
+                            />
+                        )}
 
-                        {clientProfile ? (
-                            <>
-                                <div
-                                    className="profile-details-content"
-                                    dangerouslySetInnerHTML={{ __html: formatProfileData(clientProfile) }}
-                                />
-                            </>
-                        ) : (
-                            <p className="text-muted">Please fill in your details and click "Get Initial Suggestions" to load your numerology profile.</p>
+                        {/* Bulk Validation */}
+                        {clientProfile && (
+                            <BulkValidation
+                                birthDate={clientProfile.birth_date}
+                                ruleSet={activeRuleSet}
+                                nameOrder={nameOrder}
+                                clientName={clientProfile.full_name}
+                                confirmedNames={confirmedSuggestions.map(cs => cs.name)}
+                                getConfirmBlockReason={getBulkConfirmBlockReason}
+                                onValidateWithBackend={validateNameWithBackend}
+                                onConfirmSelected={handleConfirmBulkNames}
+                            />
                         )}
-                    </div>
 
-                    {/* Enhanced Custom Validation with NEW RULES */}
-                    {clientProfile && (
-                        <div className="section-card custom-validation-card">
-                            <h2>Validate Custom Name (Updated Rules)</h2>
-                            <div className="input-group">
-                                <label htmlFor="customNameInput" className="input-label">Name to Validate:</label>
-                                <input
-                                    type="text"
-                                    id="customNameInput"
-                                    placeholder="Enter a name to validate..."
-                                    className="input-field"
-                                    value={customNameInput}
-                                    onChange={(e) => setCustomNameInput(e.target.value)}
-                                />
-                            </div>
-                            
-                            {liveValidationOutput && (
-                                <div className="live-validation-output section-card" style={{ 
-                                    backgroundColor: '#ffffff', 
-                                    border: '1px solid #e9eceb', 
-                                    boxShadow: 'none',
-                                    marginTop: '1rem' 
-                                }}>
-                                    <div className="validation-header">
-                                        <h3>Live Updated Rules Analysis</h3>
-                                        <div className={`priority-badge ${liveValidationOutput.compatibilityAnalysis?.priority.class || ''}`}>
-                                            {liveValidationOutput.compatibilityAnalysis?.priority.label || 'Calculating...'}
-                                        </div>
-                                    </div>
+                        {/* Timing Forecast */}
+                        {clientProfile && (
+                            <ForecastCalendar
+                                birthDate={clientProfile.birth_date}
+                                ruleSet={activeRuleSet}
+                                names={confirmedSuggestions.map(cs => cs.name)}
+                            />
+                        )}
 
-                                    <div className="validation-grid">
-                                        <p><strong>Name:</strong> {customNameInput}</p>
-                                        <p><strong>Birth Number:</strong> {liveValidationOutput.birthNumber}</p>
-                                        <p><strong>Life Path Number:</strong> {liveValidationOutput.lifePathNumber}</p>
-                                        <p><strong>Allowed Values:</strong> [{Array.from(getAllowedValues(liveValidationOutput.birthNumber, liveValidationOutput.lifePathNumber)).sort().join(', ')}]</p>
-                                        <hr />
-                                        <p><strong>First Name Value:</strong> {liveValidationOutput.firstNameValue} (Reduced: {calculateSingleDigit(liveValidationOutput.firstNameValue, false)})</p>
-                                        <p><strong>Expression Number:</strong> {liveValidationOutput.expressionNumber} (Reduced: {calculateSingleDigit(liveValidationOutput.expressionNumber, false)})</p>
-                                        <p><strong>Raw Sum:</strong> {liveValidationOutput.rawSum}</p>
-                                        <p><strong>Soul Urge:</strong> {liveValidationOutput.soulUrgeNumber}</p>
-                                        <p><strong>Personality:</strong> {liveValidationOutput.personalityNumber}</p>
-                                        <p><strong>Karmic Debt:</strong> {liveValidationOutput.karmicDebtPresent ? 'Yes ⚠️' : 'No ✅'}</p>
-                                    </div>
+                        {discrepancyLog.length > 0 && (
+                            <DiscrepancyLog entries={discrepancyLog} onClear={() => setDiscrepancyLog([])} />
+                        )}
 
-                                    {liveValidationOutput.compatibilityAnalysis && (
-                                        <div className="compatibility-analysis">
-                                            <h4>Updated Chaldean Rules Analysis:</h4>
-                                            <p className={liveValidationOutput.compatibilityAnalysis.isValid ? 'text-green-600' : 'text-red-600'}>
-                                                <strong>{liveValidationOutput.compatibilityAnalysis.recommendation}</strong>
-                                            </p>
-                                            
-                                            <div className="rule-status">
-                                                <p><strong>FNV Compliance:</strong> <span className={liveValidationOutput.compatibilityAnalysis.fnvStatus.isValid ? 'text-green-600' : 'text-red-600'}>
-                                                    {liveValidationOutput.compatibilityAnalysis.fnvStatus.isValid ? '✅' : '❌'} {liveValidationOutput.compatibilityAnalysis.fnvStatus.reason}
-                                                </span></p>
-                                                <p><strong>CMV Compliance:</strong> <span className={liveValidationOutput.compatibilityAnalysis.cmvStatus.isValid ? 'text-green-600' : 'text-red-600'}>
-                                                    {liveValidationOutput.compatibilityAnalysis.cmvStatus.isValid ? '✅' : '❌'} {liveValidationOutput.compatibilityAnalysis.cmvStatus.reason}
-                                                </span></p>
+                        {/* Confirmed Suggestions */}
+                        {confirmedSuggestions.length > 0 && (
+                            <div className="section-card confirmed-suggestions-card">
+                                <h2>Confirmed Lucky Names ({confirmedSuggestions.length}) - Updated Rules Compliant</h2>
+                                <div className="confirmed-list">
+                                    {confirmedSuggestions.map((cs, idx) => (
+                                        <div key={idx} className="confirmed-item">
+                                            <div className="confirmed-details">
+                                                <strong>{cs.name}</strong> (Expression: {cs.expression_number})
+                                                <p className="rationale">{cs.rationale}</p>
                                             </div>
-                                            
-                                            {liveValidationOutput.compatibilityAnalysis.benefits.length > 0 && (
-                                                <div className="benefits">
-                                                    <strong>Benefits:</strong>
-                                                    <ul>
-                                                        {liveValidationOutput.compatibilityAnalysis.benefits.map((benefit, idx) => (
-                                                            <li key={idx} className="benefit-item">✅ {benefit}</li>
-                                                        ))}
-                                                    </ul>
-                                                </div>
-                                            )}
-                                            
-                                            {liveValidationOutput.compatibilityAnalysis.conflicts.length > 0 && (
-                                                <div className="conflicts">
-                                                    <strong>Rule Violations:</strong>
-                                                    <ul>
-                                                        {liveValidationOutput.compatibilityAnalysis.conflicts.map((conflict, idx) => (
-                                                            <li key={idx} className="conflict-item">❌ {conflict}</li>
-                                                        ))}
-                                                    </ul>
-                                                </div>
-                                            )}
-                                        </div>
-                                    )}
-
-                                    {backendValidationResult && (
-                                        <>
-                                            <hr className="my-2" />
-                                            <div className="backend-validation">
-                                                <h4>Backend Validation:</h4>
-                                                <p className={backendValidationResult.is_valid ? 'text-green-600 font-bold' : 'text-red-600 font-bold'}>
-                                                    {backendValidationResult.is_valid ? '✅ BACKEND CONFIRMS COMPLIANT' : '❌ BACKEND CONFIRMS NON-COMPLIANT'}
-                                                </p>
-                                                <p><strong>Rationale:</strong> {backendValidationResult.rationale}</p>
+                                            <div className="button-row">
+                                                <button
+                                                    onClick={() => handlePinName(cs.name)}
+                                                    className="secondary-btn small-btn"
+                                                    disabled={isPinned(cs.name)}
+                                                >
+                                                    📌 Compare
+                                                </button>
+                                                <button
+                                                    onClick={() => handleRemoveConfirmedSuggestion(cs.name)}
+                                                    className="remove-btn"
+                                                >
+                                                    Remove
+                                                </button>
                                             </div>
-                                        </>
-                                    )}
+                                        </div>
+                                    ))}
                                 </div>
-                            )}
-                            
-                            <button 
-                                onClick={() => handleValidateName(customNameInput, clientProfileRef.current, true, null)} 
-                                className="primary-btn" 
-                                disabled={!clientProfile || !customNameInput.trim()}
-                            >
-                                Validate with Updated Rules
-                            </button>
-                        </div>
-                    )}
-                </div>
-
-                {/* Confirmed Suggestions */}
-                {confirmedSuggestions.length > 0 && (
-                    <div className="section-card confirmed-suggestions-card">
-                        <h2>Confirmed Lucky Names ({confirmedSuggestions.length}) - Updated Rules Compliant</h2>
-                        <div className="confirmed-list">
-                            {confirmedSuggestions.map((cs, idx) => (
-                                <div key={idx} className="confirmed-item">
-                                    <div className="confirmed-details">
-                                        <strong>{cs.name}</strong> (Expression: {cs.expression_number})
-                                        <p className="rationale">{cs.rationale}</p>
-                                    </div>
-                                    <button
-                                        onClick={() => handleRemoveConfirmedSuggestion(cs.name)}
-                                        className="remove-btn"
+                                <div className="button-row report-actions">
+                                    <button onClick={handleGenerateReport} className="primary-btn generate-report-btn">
+                                        Preview Comprehensive Report
+                                    </button>
+                                    <button onClick={handleDownloadPdf} className="secondary-btn">
+                                        Download PDF
+                                    </button>
+                                    <label htmlFor="pdfSource" className="text-sm">PDF from:</label>
+                                    <select
+                                        id="pdfSource"
+                                        className="input-field"
+                                        value={pdfSource}
+                                        onChange={(e) => setPdfSource(e.target.value)}
                                     >
-                                        Remove
+                                        {PDF_SOURCES.map(source => (
+                                            <option key={source.id} value={source.id}>{source.label}</option>
+                                        ))}
+                                    </select>
+                                    <label htmlFor="reportTemplate" className="text-sm">Template:</label>
+                                    <select
+                                        id="reportTemplate"
+                                        className="input-field"
+                                        value={activeTemplate.id}
+                                        onChange={(e) => setActiveTemplateId(e.target.value)}
+                                    >
+                                        {reportTemplates.map(t => (
+                                            <option key={t.id} value={t.id}>{t.name}</option>
+                                        ))}
+                                    </select>
+                                    <button onClick={() => setShowTemplateDesigner(prev => !prev)} className="secondary-btn small-btn">
+                                        {showTemplateDesigner ? 'Hide Templates' : '🎨 Design Templates'}
                                     </button>
                                 </div>
-                            ))}
-                        </div>
-                        <button onClick={handleGenerateReport} className="primary-btn generate-report-btn">
-                            Generate Comprehensive Report
-                        </button>
-                    </div>
+                                {clientProfile && (
+                                    <ExportMenu
+                                        getExportData={getExportData}
+                                        branding={activeTemplate.branding}
+                                        openModal={openModal}
+                                    />
+                                )}
+                            </div>
+                        )}
+
+                        {showTemplateDesigner && (
+                            <ReportTemplateDesigner
+                                templates={reportTemplates}
+                                activeTemplateId={activeTemplate.id}
+                                onSelect={setActiveTemplateId}
+                                onSave={handleSaveTemplate}
+                                onDelete={handleDeleteTemplate}
+                                onClose={() => setShowTemplateDesigner(false)}
+                            />
+                        )}
+
+                        {/* Report Preview */}
+                        {reportPreviewContent && (
+                            <ReportPreview
+                                markdown={reportPreviewMarkdown}
+                                branding={activeTemplate.branding}
+                                onDownloadPdf={handleDownloadPdf}
+                                onClose={() => setReportPreviewContent('')}
+                            />
+                        )}
+                    </>
                 )}
 
                 {/* Modal */}
@@ -0,0 +1,78 @@
+// Name_Corrector/frontend/src/BackendSettings.js
+import React, { useState, useEffect } from 'react';
+import { BACKEND_PROFILES, DEFAULT_BACKEND_URL, isValidBackendUrl, normalizeBackendUrl } from './apiClient';
+
+const STATUS_LABELS = { online: '🟢 Online', offline: '🔴 Unreachable', checking: '🟡 Checking...' };
+
+function BackendSettings({ backendUrl, health, onChange, onCheck, onClose }) {
+    const [draftUrl, setDraftUrl] = useState(backendUrl);
+
+    useEffect(() => {
+        setDraftUrl(backendUrl);
+    }, [backendUrl]);
+
+    const draftIsValid = isValidBackendUrl(draftUrl);
+    const draftChanged = normalizeBackendUrl(draftUrl) !== backendUrl;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (draftIsValid) onChange(draftUrl);
+    };
+
+    return (
+        <div className="section-card backend-settings-card">
+            <div className="validation-header">
+                <h2>🔌 Backend Connection</h2>
+                <button onClick={onClose} className="secondary-btn small-btn">Close</button>
+            </div>
+
+            <div className="rule-set-list">
+                {BACKEND_PROFILES.map(profile => (
+                    <div key={profile.id} className={`rule-set-row ${profile.url === backendUrl ? 'selected' : ''}`}>
+                        <span>
+                            {profile.label} <span className="text-sm text-gray-600">{profile.url}</span>
+                        </span>
+                        {profile.url === backendUrl ? (
+                            <span className="validity-indicator valid">Active</span>
+                        ) : (
+                            <button onClick={() => onChange(profile.url)} className="secondary-btn small-btn">Use</button>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <form onSubmit={handleSubmit} className="comparison-add-form">
+                <input
+                    type="url"
+                    aria-label="Backend URL"
+                    placeholder="https://your-backend.example.com"
+                    className="input-field"
+                    value={draftUrl}
+                    onChange={(e) => setDraftUrl(e.target.value)}
+                />
+                <button type="submit" className="primary-btn small-btn" disabled={!draftIsValid || !draftChanged}>
+                    Apply
+                </button>
+            </form>
+            {!draftIsValid && draftUrl.trim() && (
+                <p className="text-red-600">Enter a full http:// or https:// URL.</p>
+            )}
+
+            <div className="backend-health">
+                <p>
+                    <strong>Status:</strong> {STATUS_LABELS[health.status]}
+                    {health.latencyMs !== null && health.status === 'online' && ` in ${health.latencyMs} ms`}
+                    {health.checkedAt && <span className="text-sm text-gray-600"> · checked {new Date(health.checkedAt).toLocaleTimeString()}</span>}
+                </p>
+                <button onClick={onCheck} className="secondary-btn small-btn" disabled={health.status === 'checking'}>
+                    Check Again
+                </button>
+                {backendUrl !== DEFAULT_BACKEND_URL && (
+                    <button onClick={() => onChange(DEFAULT_BACKEND_URL)} className="link-btn">Reset to build default</button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default BackendSettings;
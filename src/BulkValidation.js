@@ -0,0 +1,185 @@
+// Name_Corrector/frontend/src/BulkValidation.js
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { extractNames, gradeNames, validateNamesThrottled, BULK_EXPORT_COLUMNS, MAX_BULK_NAMES } from './nameImport';
+import { toCsv } from './csv';
+import { downloadTextFile } from './download';
+
+function BulkValidation({ birthDate, ruleSet, nameOrder, clientName, confirmedNames, getConfirmBlockReason, onValidateWithBackend, onConfirmSelected }) {
+    const [rawInput, setRawInput] = useState('');
+    const [results, setResults] = useState([]);
+    const [selected, setSelected] = useState(() => new Set());
+    const [backendProgress, setBackendProgress] = useState(null); // { done, total } while checking
+    const abortRef = useRef(null);
+
+    const validCount = useMemo(() => results.filter(r => r.isValid).length, [results]);
+    const canConfirm = (r) => !getConfirmBlockReason(r) && !confirmedNames.includes(r.name);
+
+    // Re-grade when the rule set, name order or birth date changes so no stale verdicts stay on screen.
+    // Backend results only depend on the birth date, so they are kept unless it changed.
+    const gradedBirthDateRef = useRef(birthDate);
+    useEffect(() => {
+        const keepBackend = gradedBirthDateRef.current === birthDate;
+        gradedBirthDateRef.current = birthDate;
+        setResults(prev => {
+            if (prev.length === 0) return prev;
+            const backendByName = new Map(prev.map(r => [r.name, r.backend]));
+            return gradeNames(prev.map(r => r.name), birthDate, ruleSet, nameOrder)
+                .map(r => ({ ...r, backend: keepBackend ? backendByName.get(r.name) : null }));
+        });
+    }, [birthDate, ruleSet, nameOrder]);
+
+    const handleFileImport = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => setRawInput(String(reader.result));
+        reader.readAsText(file);
+    };
+
+    const handleGrade = () => {
+        const graded = gradeNames(extractNames(rawInput), birthDate, ruleSet, nameOrder);
+        setResults(graded);
+        setSelected(new Set(graded.filter(r => r.isValid).map(r => r.name)));
+    };
+
+    const handleBackendCheck = async () => {
+        const names = results.map(r => r.name);
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setBackendProgress({ done: 0, total: names.length });
+        await validateNamesThrottled(names, onValidateWithBackend, {
+            signal: controller.signal,
+            onResult: (name, backend) => {
+                setResults(prev => prev.map(r => (r.name === name ? { ...r, backend } : r)));
+                setBackendProgress(prev => prev && { ...prev, done: prev.done + 1 });
+            }
+        });
+        abortRef.current = null;
+        setBackendProgress(null);
+    };
+
+    const handleCancelBackendCheck = () => {
+        abortRef.current?.abort();
+    };
+
+    const toggleSelected = (name) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            if (next.has(name)) {
+                next.delete(name);
+            } else {
+                next.add(name);
+            }
+            return next;
+        });
+    };
+
+    const handleExport = () => {
+        downloadTextFile(
+            toCsv(results, BULK_EXPORT_COLUMNS),
+            `Bulk_Validation_${(clientName || 'names').replace(/ /g, '_')}.csv`,
+            'text/csv'
+        );
+    };
+
+    return (
+        <div className="section-card bulk-validation-card">
+            <h2>📋 Bulk Name Validation</h2>
+            <p className="text-sm text-gray-600">
+                Paste one name per line or import a CSV (a "name" column or the first column is used, up to {MAX_BULK_NAMES} names).
+            </p>
+            <textarea
+                aria-label="Names to validate"
+                placeholder={'Alex Smith\nAlexx Smith\nAlyx Smith'}
+                className="input-field bulk-input"
+                rows={6}
+                value={rawInput}
+                onChange={(e) => setRawInput(e.target.value)}
+            />
+            <div className="bulk-actions">
+                <label className="secondary-btn small-btn file-btn">
+                    Import CSV / TXT
+                    <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleFileImport} hidden />
+                </label>
+                <button onClick={handleGrade} className="primary-btn small-btn" disabled={!rawInput.trim()}>
+                    Grade Names
+                </button>
+                {results.length > 0 && (backendProgress ? (
+                    <button onClick={handleCancelBackendCheck} className="remove-btn small-btn">
+                        Cancel Backend Check ({backendProgress.done}/{backendProgress.total})
+                    </button>
+                ) : (
+                    <button onClick={handleBackendCheck} className="secondary-btn small-btn">
+                        Check with Backend
+                    </button>
+                ))}
+                {results.length > 0 && (
+                    <button onClick={handleExport} className="secondary-btn small-btn">Export CSV</button>
+                )}
+            </div>
+
+            {results.length > 0 && (
+                <>
+                    <p className="text-sm">{validCount} of {results.length} names comply with "{ruleSet.name}".</p>
+                    <div className="comparison-table-wrapper">
+                        <table className="comparison-table bulk-table">
+                            <thead>
+                                <tr>
+                                    <th />
+                                    <th>Name</th>
+                                    <th>Status</th>
+                                    <th>Priority</th>
+                                    <th>FNV</th>
+                                    <th>Expression</th>
+                                    <th>Backend</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {results.map(r => {
+                                    const isConfirmed = confirmedNames.includes(r.name);
+                                    return (
+                                        <tr key={r.name} className={r.isValid ? 'valid-row' : 'invalid-row'}>
+                                            <td>
+                                                <input
+                                                    type="checkbox"
+                                                    aria-label={`Select ${r.name}`}
+                                                    checked={selected.has(r.name)}
+                                                    disabled={!canConfirm(r)}
+                                                    title={getConfirmBlockReason(r)?.message || ''}
+                                                    onChange={() => toggleSelected(r.name)}
+                                                />
+                                            </td>
+                                            <td>{r.name}{isConfirmed && <span className="text-sm text-gray-600"> (confirmed)</span>}</td>
+                                            <td>{r.isValid ? '✅ Valid' : '❌ Invalid'}</td>
+                                            <td>
+                                                <span className={`priority-badge ${r.compatibilityAnalysis.priority.class}`}>
+                                                    {r.compatibilityAnalysis.priority.label}
+                                                </span>
+                                            </td>
+                                            <td>{r.firstNameValue}</td>
+                                            <td>{r.expressionNumber}</td>
+                                            <td title={r.backend?.rationale || r.backend?.error || ''}>
+                                                {!r.backend ? '—' : r.backend.error ? '⚠️ Error' : r.backend.is_valid ? '✅' : '❌'}
+                                                {r.backend && !r.backend.error && r.backend.is_valid !== r.isValid && ' ≠ local'}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                    <button
+                        onClick={() => onConfirmSelected(results.filter(r => selected.has(r.name) && canConfirm(r)))}
+                        className="primary-btn"
+                        disabled={!results.some(r => selected.has(r.name) && canConfirm(r))}
+                    >
+                        Confirm Selected
+                    </button>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default BulkValidation;
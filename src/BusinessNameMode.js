@@ -0,0 +1,272 @@
+// Name_Corrector/frontend/src/BusinessNameMode.js
+import React, { useMemo, useState } from 'react';
+import {
+    DEFAULT_BUSINESS_RULE_SET,
+    analyzeBusinessName,
+    generateBusinessNameSuggestions,
+    formatBusinessReportMarkdown
+} from './businessNumerology';
+import ReportPreview from './ReportPreview';
+import { downloadTextFile } from './download';
+
+function BusinessAnalysis({ analysis }) {
+    return (
+        <div className="business-analysis">
+            <div className="validation-header">
+                <p>
+                    <strong>Name value:</strong> {analysis.words.map(w => `${w.word} (${w.total})`).join(' + ') || '-'} = {analysis.nameValue} → {analysis.reducedValue}
+                </p>
+                <span className={`priority-badge ${analysis.priority.class}`}>{analysis.priority.label}</span>
+            </div>
+            <p className={analysis.isValid ? 'text-green-600' : 'text-red-600'}>
+                <strong>{analysis.recommendation}</strong>
+            </p>
+            <ul>
+                {analysis.benefits.map(benefit => <li key={benefit} className="benefit-item">✅ {benefit}</li>)}
+                {analysis.conflicts.map(conflict => <li key={conflict} className="conflict-item">❌ {conflict}</li>)}
+            </ul>
+        </div>
+    );
+}
+
+// session holds the inputs and confirmed names saved with the client (see DEFAULT_BUSINESS_SESSION)
+function BusinessNameMode({ session, onSessionChange, ruleSets, clientName, clientBirthDate, openModal }) {
+    const { businessName, ownerName, ownerBirthDate, incorporationDate, ruleSetId, confirmedNames } = session;
+    const updateSession = (changes) => onSessionChange(prev => ({ ...prev, ...changes }));
+    const [suggestions, setSuggestions] = useState([]);
+    const [customName, setCustomName] = useState('');
+    const [reportMarkdown, setReportMarkdown] = useState('');
+
+    // Personal rule sets can be applied too, but only the business default allows 51
+    const availableRuleSets = [DEFAULT_BUSINESS_RULE_SET, ...ruleSets];
+    const ruleSet = availableRuleSets.find(rs => rs.id === ruleSetId) || DEFAULT_BUSINESS_RULE_SET;
+    const isReady = Boolean(ownerBirthDate);
+
+    const currentAnalysis = useMemo(
+        () => (businessName.trim() && isReady ? analyzeBusinessName(businessName, ownerBirthDate, incorporationDate, ruleSet) : null),
+        [businessName, ownerBirthDate, incorporationDate, ruleSet, isReady]
+    );
+    const customAnalysis = useMemo(
+        () => (customName.trim() && isReady ? analyzeBusinessName(customName, ownerBirthDate, incorporationDate, ruleSet) : null),
+        [customName, ownerBirthDate, incorporationDate, ruleSet, isReady]
+    );
+    const confirmedAnalyses = useMemo(
+        () => confirmedNames.map(name => analyzeBusinessName(name, ownerBirthDate, incorporationDate, ruleSet)),
+        [confirmedNames, ownerBirthDate, incorporationDate, ruleSet]
+    );
+
+    const handleUseClientDetails = () => {
+        updateSession({ ownerName: clientName || '', ownerBirthDate: clientBirthDate || '' });
+    };
+
+    const handleGetSuggestions = () => {
+        if (!businessName.trim() || !isReady) {
+            openModal("Please fill in the Business Name and the owner's Birth Date to get suggestions.");
+            return;
+        }
+        const generated = generateBusinessNameSuggestions(businessName, ownerBirthDate, incorporationDate, { ruleSet });
+        setSuggestions(generated);
+        if (generated.length === 0) {
+            openModal(`No compliant variants of '${businessName}' were found under "${ruleSet.name}". Try a different base name.`);
+        }
+    };
+
+    const handleConfirm = (name) => {
+        const analysis = analyzeBusinessName(name, ownerBirthDate, incorporationDate, ruleSet);
+        if (!analysis.isValid) {
+            openModal(`❌ '${name}' can't be confirmed because it does not comply with "${ruleSet.name}".`);
+            return;
+        }
+        if (confirmedNames.some(n => n.toUpperCase() === name.toUpperCase())) {
+            openModal(`'${name}' is already in your confirmed business names.`);
+            return;
+        }
+        updateSession({ confirmedNames: [...confirmedNames, name] });
+        setReportMarkdown('');
+    };
+
+    const handleRemove = (name) => {
+        updateSession({ confirmedNames: confirmedNames.filter(n => n !== name) });
+        setReportMarkdown('');
+    };
+
+    const handleGenerateReport = () => {
+        setReportMarkdown(formatBusinessReportMarkdown({
+            businessName,
+            ownerName,
+            ownerBirthDate,
+            incorporationDate,
+            ruleSet,
+            confirmedNames: confirmedAnalyses
+        }));
+    };
+
+    const handleDownloadReport = () => {
+        downloadTextFile(reportMarkdown, `Business_Report_${businessName.replace(/ /g, '_')}.md`, 'text/markdown');
+    };
+
+    return (
+        <>
+            <div className="section-card input-form-card">
+                <div className="validation-header">
+                    <h2>🏢 Business Information</h2>
+                    {(clientName || clientBirthDate) && (
+                        <button onClick={handleUseClientDetails} className="secondary-btn small-btn">
+                            Use current client as owner
+                        </button>
+                    )}
+                </div>
+                <div className="form-grid">
+                    <div className="input-group">
+                        <label htmlFor="businessName" className="input-label">Business / Brand Name:</label>
+                        <input
+                            type="text"
+                            id="businessName"
+                            placeholder="e.g., Sunrise 7 Traders & Co"
+                            className="input-field"
+                            value={businessName}
+                            onChange={(e) => updateSession({ businessName: e.target.value })}
+                        />
+                        <p className="text-sm text-gray-600">Digits count at face value and "&" counts as "and" (10).</p>
+                    </div>
+                    <div className="input-group">
+                        <label htmlFor="ownerName" className="input-label">Owner Name:</label>
+                        <input
+                            type="text"
+                            id="ownerName"
+                            className="input-field"
+                            value={ownerName}
+                            onChange={(e) => updateSession({ ownerName: e.target.value })}
+                        />
+                    </div>
+                    <div className="input-group">
+                        <label htmlFor="ownerBirthDate" className="input-label">Owner Birth Date:</label>
+                        <input
+                            type="date"
+                            id="ownerBirthDate"
+                            className="input-field"
+                            value={ownerBirthDate}
+                            onChange={(e) => updateSession({ ownerBirthDate: e.target.value })}
+                        />
+                    </div>
+                    <div className="input-group">
+                        <label htmlFor="incorporationDate" className="input-label">Incorporation Date (optional):</label>
+                        <input
+                            type="date"
+                            id="incorporationDate"
+                            className="input-field"
+                            value={incorporationDate}
+                            onChange={(e) => updateSession({ incorporationDate: e.target.value })}
+                        />
+                    </div>
+                    <div className="input-group">
+                        <label htmlFor="businessRuleSet" className="input-label">Rule Set:</label>
+                        <select
+                            id="businessRuleSet"
+                            className="input-field"
+                            value={ruleSet.id}
+                            onChange={(e) => updateSession({ ruleSetId: e.target.value })}
+                        >
+                            {availableRuleSets.map(rs => (
+                                <option key={rs.id} value={rs.id}>{rs.name} (v{rs.version})</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+                {currentAnalysis && <BusinessAnalysis analysis={currentAnalysis} />}
+                <button onClick={handleGetSuggestions} className="primary-btn">
+                    Get Business Name Suggestions
+                </button>
+            </div>
+
+            {suggestions.length > 0 && (
+                <div className="section-card">
+                    <h2>Suggested Business Names</h2>
+                    <div className="comparison-table-wrapper">
+                        <table className="comparison-table">
+                            <thead>
+                                <tr>
+                                    <th>Name</th>
+                                    <th>Changes</th>
+                                    <th>Value</th>
+                                    <th>Tier</th>
+                                    <th />
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {suggestions.map(s => (
+                                    <tr key={s.name}>
+                                        <td><strong>{s.name}</strong></td>
+                                        <td className="text-sm">{s.edits.join('; ')}</td>
+                                        <td>{s.analysis.nameValue} → {s.analysis.reducedValue}</td>
+                                        <td><span className={`priority-badge ${s.analysis.priority.class}`}>{s.analysis.priority.label}</span></td>
+                                        <td>
+                                            <button
+                                                onClick={() => handleConfirm(s.name)}
+                                                className="primary-btn small-btn"
+                                                disabled={confirmedNames.includes(s.name)}
+                                            >
+                                                {confirmedNames.includes(s.name) ? 'Confirmed' : 'Confirm'}
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {isReady && (
+                <div className="section-card">
+                    <h2>Check a Business Name</h2>
+                    <input
+                        type="text"
+                        aria-label="Business name to check"
+                        placeholder="Type a business or brand name"
+                        className="input-field"
+                        value={customName}
+                        onChange={(e) => setCustomName(e.target.value)}
+                    />
+                    {customAnalysis && (
+                        <>
+                            <BusinessAnalysis analysis={customAnalysis} />
+                            <button onClick={() => handleConfirm(customName.trim())} className="primary-btn small-btn" disabled={!customAnalysis.isValid}>
+                                Confirm This Name
+                            </button>
+                        </>
+                    )}
+                </div>
+            )}
+
+            {confirmedAnalyses.length > 0 && (
+                <div className="section-card">
+                    <h2>Confirmed Business Names</h2>
+                    <ul className="confirmed-list">
+                        {confirmedAnalyses.map(analysis => (
+                            <li key={analysis.name}>
+                                <strong>{analysis.name}</strong> · {analysis.nameValue} → {analysis.reducedValue}
+                                {!analysis.isValid && <span className="text-red-600"> (no longer complies)</span>}
+                                <button onClick={() => handleRemove(analysis.name)} className="remove-btn small-btn">Remove</button>
+                            </li>
+                        ))}
+                    </ul>
+                    <button onClick={handleGenerateReport} className="primary-btn">
+                        Generate Business Report
+                    </button>
+                </div>
+            )}
+
+            {reportMarkdown && (
+                <ReportPreview
+                    markdown={reportMarkdown}
+                    title="🏢 Business Report Preview"
+                    onDownloadMarkdown={handleDownloadReport}
+                    onClose={() => setReportMarkdown('')}
+                />
+            )}
+        </>
+    );
+}
+
+export default BusinessNameMode;
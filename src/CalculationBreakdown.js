@@ -0,0 +1,63 @@
+// Name_Corrector/frontend/src/CalculationBreakdown.js
+import React, { useMemo, useState } from 'react';
+import { getNameBreakdown, getWordLabel, formatReduction } from './nameBreakdown';
+
+function CalculationBreakdown({ name, nameFormat }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const breakdown = useMemo(() => (isOpen ? getNameBreakdown(name, nameFormat) : null), [isOpen, name, nameFormat]);
+
+    return (
+        <div className="name-breakdown">
+            <button onClick={() => setIsOpen(open => !open)} className="link-btn">
+                {isOpen ? '▾ Hide calculation' : '▸ Show calculation'}
+            </button>
+
+            {breakdown && (
+                <div className="breakdown-content">
+                    {breakdown.words.map((word, wordIdx) => (
+                        <div key={wordIdx} className="breakdown-word">
+                            <div className="breakdown-letters">
+                                {word.letters.map((letter, idx) => (
+                                    <span
+                                        key={idx}
+                                        className={`breakdown-letter ${letter.isVowel ? 'vowel' : 'consonant'}`}
+                                        title={letter.isVowel ? 'Vowel (Soul Urge)' : 'Consonant (Personality)'}
+                                    >
+                                        <span className="breakdown-char">{letter.char}</span>
+                                        <span className="breakdown-value">{letter.value}</span>
+                                    </span>
+                                ))}
+                            </div>
+                            <span className="breakdown-subtotal">
+                                {getWordLabel(word)}: <strong>{word.total}</strong>
+                            </span>
+                        </div>
+                    ))}
+
+                    <table className="breakdown-table">
+                        <tbody>
+                            <tr>
+                                <th>First Name Value</th>
+                                <td>{formatReduction(breakdown.firstName)}</td>
+                            </tr>
+                            <tr>
+                                <th>Expression</th>
+                                <td>{formatReduction(breakdown.expression)}</td>
+                            </tr>
+                            <tr>
+                                <th>Soul Urge <span className="text-sm text-gray-600">(vowels)</span></th>
+                                <td>{breakdown.soulUrge.letters.map(l => l.char).join(' ') || '-'} → {formatReduction(breakdown.soulUrge)}</td>
+                            </tr>
+                            <tr>
+                                <th>Personality <span className="text-sm text-gray-600">(consonants)</span></th>
+                                <td>{breakdown.personality.letters.map(l => l.char).join(' ') || '-'} → {formatReduction(breakdown.personality)}</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default CalculationBreakdown;
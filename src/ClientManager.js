@@ -0,0 +1,102 @@
+// Name_Corrector/frontend/src/ClientManager.js
+import React, { useState } from 'react';
+import { searchClients } from './clientStore';
+
+function ClientManager({
+    clients,
+    currentClientId,
+    onSaveCurrent,
+    onNew,
+    onOpen,
+    onDuplicate,
+    onDelete,
+    notes,
+    onNotesChange,
+    onExportSession,
+    onImportSession
+}) {
+    const [query, setQuery] = useState('');
+    const [isExpanded, setIsExpanded] = useState(false);
+    const currentClient = clients.find(c => c.id === currentClientId);
+    const visibleClients = searchClients(clients, query);
+
+    const handleSessionFile = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => onImportSession(String(reader.result));
+        reader.readAsText(file);
+    };
+
+    return (
+        <div className="section-card client-manager-card">
+            <div className="validation-header">
+                <h2>📁 Clients</h2>
+                <div className="button-row">
+                    <button onClick={onSaveCurrent} className="primary-btn small-btn">
+                        {currentClient ? 'Save Session' : 'Save as New Client'}
+                    </button>
+                    <button onClick={onNew} className="secondary-btn small-btn">New Client</button>
+                    <button onClick={onExportSession} className="secondary-btn small-btn">Export Session</button>
+                    <label className="secondary-btn small-btn file-btn">
+                        Import Session
+                        <input type="file" accept=".json,application/json" onChange={handleSessionFile} hidden />
+                    </label>
+                    <button onClick={() => setIsExpanded(open => !open)} className="secondary-btn small-btn">
+                        {isExpanded ? 'Hide List' : `Show List (${clients.length})`}
+                    </button>
+                </div>
+            </div>
+            <p className="text-sm text-gray-600">
+                {currentClient
+                    ? `Working on ${currentClient.fullName || 'unnamed client'} - changes are saved automatically.`
+                    : 'Unsaved session. Save it to keep inputs, profile, edits and confirmed names.'}
+            </p>
+            <textarea
+                aria-label="Session notes"
+                placeholder="Notes for this session, e.g. the client's preferences or what was discussed..."
+                className="input-field session-notes"
+                rows={2}
+                value={notes}
+                onChange={(e) => onNotesChange(e.target.value)}
+            />
+
+            {isExpanded && (
+                <>
+                    <input
+                        type="search"
+                        aria-label="Search clients"
+                        placeholder="Search by name, birth date, place or confirmed name..."
+                        className="input-field client-search"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                    />
+                    {visibleClients.length === 0 ? (
+                        <p className="text-muted">{clients.length === 0 ? 'No saved clients yet.' : 'No clients match your search.'}</p>
+                    ) : (
+                        <ul className="client-list">
+                            {visibleClients.map(client => (
+                                <li key={client.id} className={`client-row ${client.id === currentClientId ? 'selected' : ''}`}>
+                                    <div className="client-summary">
+                                        <strong>{client.fullName || 'Unnamed client'}</strong>
+                                        <span className="text-sm text-gray-600">
+                                            {client.birthDate || 'No birth date'} · {client.confirmedSuggestions.length} confirmed · updated {new Date(client.updatedAt).toLocaleString()}
+                                        </span>
+                                    </div>
+                                    <div className="button-row">
+                                        <button onClick={() => onOpen(client)} className="secondary-btn small-btn">Open</button>
+                                        <button onClick={() => onDuplicate(client)} className="secondary-btn small-btn">Duplicate</button>
+                                        <button onClick={() => onDelete(client)} className="remove-btn">Delete</button>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default ClientManager;
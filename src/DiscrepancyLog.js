@@ -0,0 +1,52 @@
+// Name_Corrector/frontend/src/DiscrepancyLog.js
+import React from 'react';
+import { DISCREPANCY_EXPORT_COLUMNS } from './reconciliation';
+import { toCsv } from './csv';
+import { downloadTextFile } from './download';
+
+function DiscrepancyLog({ entries, onClear }) {
+    const handleExport = () => {
+        downloadTextFile(toCsv(entries, DISCREPANCY_EXPORT_COLUMNS), 'Verdict_Discrepancies.csv', 'text/csv');
+    };
+
+    return (
+        <details className="section-card discrepancy-log-card">
+            <summary>
+                <h2>🧾 Verdict Discrepancy Log ({entries.length})</h2>
+            </summary>
+            <p className="text-sm text-gray-600">
+                Names where the local rule set and the backend reached different verdicts, newest first.
+            </p>
+            <div className="button-row">
+                <button onClick={handleExport} className="secondary-btn small-btn">Export CSV</button>
+                <button onClick={onClear} className="remove-btn small-btn">Clear Log</button>
+            </div>
+            <div className="comparison-table-wrapper">
+                <table className="comparison-table">
+                    <thead>
+                        <tr>
+                            <th>When</th>
+                            <th>Client</th>
+                            <th>Name</th>
+                            <th>Local</th>
+                            <th>Backend</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.map(entry => (
+                            <tr key={entry.id}>
+                                <td>{new Date(entry.loggedAt).toLocaleString()}</td>
+                                <td>{entry.clientName}<br /><span className="text-sm text-gray-600">{entry.ruleSetName}</span></td>
+                                <td>{entry.name}</td>
+                                <td title={entry.localRationale}>{entry.localValid ? '✅' : '❌'} {entry.localRationale}</td>
+                                <td title={entry.backendRationale}>{entry.backendValid ? '✅' : '❌'} {entry.backendRationale}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </details>
+    );
+}
+
+export default DiscrepancyLog;
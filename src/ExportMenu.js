@@ -0,0 +1,44 @@
+// Name_Corrector/frontend/src/ExportMenu.js
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, buildExportFile, formatExportMarkdown } from './profileExports';
+import { downloadTextFile } from './download';
+
+function ExportMenu({ getExportData, branding, openModal }) {
+    const [formatId, setFormatId] = useState(EXPORT_FORMATS[0].id);
+
+    const handleExport = () => {
+        const file = buildExportFile(formatId, getExportData(), { branding });
+        downloadTextFile(file.content, file.filename, file.mimeType);
+    };
+
+    // For pasting into WhatsApp or an email without downloading a file
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(formatExportMarkdown(getExportData()));
+            openModal('📋 The summary has been copied. Paste it into WhatsApp or an email.');
+        } catch (error) {
+            console.error('Error copying summary:', error);
+            openModal('Copying is not available in this browser. Export as Markdown instead.');
+        }
+    };
+
+    return (
+        <div className="button-row export-menu">
+            <label htmlFor="exportFormat" className="text-sm">Export as:</label>
+            <select
+                id="exportFormat"
+                className="input-field"
+                value={formatId}
+                onChange={(e) => setFormatId(e.target.value)}
+            >
+                {EXPORT_FORMATS.map(format => (
+                    <option key={format.id} value={format.id}>{format.label}</option>
+                ))}
+            </select>
+            <button onClick={handleExport} className="secondary-btn small-btn">⬇ Export</button>
+            <button onClick={handleCopy} className="secondary-btn small-btn">📋 Copy Summary</button>
+        </div>
+    );
+}
+
+export default ExportMenu;
@@ -0,0 +1,117 @@
+// Name_Corrector/frontend/src/ForecastCalendar.js
+import React, { useMemo, useState } from 'react';
+import { calculateExpressionNumber, calculateSingleDigit } from './numerology';
+import {
+    PERSONAL_YEAR_THEMES,
+    WEEKDAY_LABELS,
+    buildForecastMonth,
+    findAuspiciousDates,
+    getTodayIsoDate
+} from './forecast';
+
+function ForecastCalendar({ birthDate, ruleSet, names }) {
+    const today = getTodayIsoDate();
+    const [view, setView] = useState(() => {
+        const [year, month] = today.split('-').map(Number);
+        return { year, month };
+    });
+    const [selectedName, setSelectedName] = useState('');
+    // A name that has since been unconfirmed no longer steers the forecast
+    const alignedName = names.includes(selectedName) ? selectedName : '';
+
+    const options = useMemo(() => ({
+        ruleSet,
+        nameNumber: alignedName ? calculateSingleDigit(calculateExpressionNumber(alignedName), false) : null
+    }), [ruleSet, alignedName]);
+    const forecastMonth = useMemo(
+        () => buildForecastMonth(birthDate, view.year, view.month, options),
+        [birthDate, view, options]
+    );
+    const upcoming = useMemo(
+        () => findAuspiciousDates(birthDate, today, { ...options, limit: 5 }),
+        [birthDate, today, options]
+    );
+
+    const shiftMonth = (delta) => {
+        setView(prev => {
+            const index = prev.year * 12 + (prev.month - 1) + delta;
+            return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+        });
+    };
+
+    const monthLabel = new Date(Date.UTC(view.year, view.month - 1, 1))
+        .toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+    return (
+        <div className="section-card forecast-card">
+            <h2>📅 Timing Forecast</h2>
+            <p>
+                <strong>Personal year {forecastMonth.personalYear}:</strong> {PERSONAL_YEAR_THEMES[forecastMonth.personalYear]}
+                {' '}· <strong>Personal month:</strong> {forecastMonth.personalMonth}
+            </p>
+
+            {names.length > 0 && (
+                <div className="rule-set-row">
+                    <label htmlFor="forecastName" className="text-sm">Align with name:</label>
+                    <select
+                        id="forecastName"
+                        className="input-field"
+                        value={alignedName}
+                        onChange={(e) => setSelectedName(e.target.value)}
+                    >
+                        <option value="">Any name</option>
+                        {names.map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                </div>
+            )}
+
+            <div className="forecast-nav">
+                <button onClick={() => shiftMonth(-1)} className="secondary-btn small-btn" aria-label="Previous month">‹</button>
+                <strong>{monthLabel}</strong>
+                <button onClick={() => shiftMonth(1)} className="secondary-btn small-btn" aria-label="Next month">›</button>
+            </div>
+
+            <div className="forecast-grid" role="table" aria-label={`Forecast for ${monthLabel}`}>
+                <div className="forecast-row" role="row">
+                    {WEEKDAY_LABELS.map(label => <div key={label} role="columnheader" className="forecast-weekday">{label}</div>)}
+                </div>
+                {forecastMonth.weeks.map((week, weekIdx) => (
+                    <div key={weekIdx} className="forecast-row" role="row">
+                        {week.map((cell, dayIdx) => (cell ? (
+                            <div
+                                key={cell.date}
+                                role="cell"
+                                className={`forecast-day forecast-${cell.level.id} ${cell.date === today ? 'forecast-today' : ''}`}
+                                title={[`${cell.level.label} · personal day ${cell.personalDay}`, ...cell.reasons].join('\n')}
+                            >
+                                <span className="forecast-date">{Number(cell.date.slice(8))}</span>
+                                <span className="forecast-personal-day">{cell.personalDay}</span>
+                            </div>
+                        ) : (
+                            <div key={`empty-${dayIdx}`} role="cell" className="forecast-day forecast-empty" />
+                        )))}
+                    </div>
+                ))}
+            </div>
+            <p className="text-sm text-gray-600">
+                Small number: personal day. <span className="forecast-excellent">■</span> excellent
+                {' '}<span className="forecast-good">■</span> good <span className="forecast-avoid">■</span> avoid
+            </p>
+
+            <h3>Best dates in the next 90 days</h3>
+            {upcoming.length === 0 ? (
+                <p className="text-sm text-gray-600">No favourable dates in the next 90 days.</p>
+            ) : (
+                <ul className="forecast-upcoming">
+                    {upcoming.map(rating => (
+                        <li key={rating.date}>
+                            <strong>{rating.date}</strong> · {rating.level.label} · {rating.reasons.join('; ')}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+export default ForecastCalendar;
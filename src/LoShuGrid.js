@@ -0,0 +1,69 @@
+// Name_Corrector/frontend/src/LoShuGrid.js
+import React, { useMemo } from 'react';
+import { buildLoShuView, diffLoShuPlanes } from './loShu';
+
+const PLANE_ICONS = { complete: '✅', missing: '⭕', partial: '◐' };
+
+function LoShuGrid({ title, birthDate, expressionNumber = null, compareToExpression }) {
+    const view = useMemo(() => buildLoShuView(birthDate, expressionNumber), [birthDate, expressionNumber]);
+    const changes = useMemo(
+        () => (compareToExpression === undefined ? [] : diffLoShuPlanes(buildLoShuView(birthDate, compareToExpression), view)),
+        [birthDate, compareToExpression, view]
+    );
+
+    return (
+        <div className="lo-shu-panel">
+            {title && <h4>{title}</h4>}
+            <div className="lo-shu-grid" role="table" aria-label={title || 'Lo Shu grid'}>
+                {view.cells.map((row, rowIdx) => (
+                    <div key={rowIdx} className="lo-shu-row" role="row">
+                        {row.map(cell => (
+                            <div
+                                key={cell.number}
+                                role="cell"
+                                className={`lo-shu-cell ${cell.birthCount + cell.nameCount === 0 ? 'empty' : ''}`}
+                                title={`${cell.number}: ${cell.birthCount} from birth date${cell.nameCount ? `, ${cell.nameCount} from name` : ''}`}
+                            >
+                                {cell.birthCount + cell.nameCount === 0 ? (
+                                    <span className="lo-shu-placeholder">{cell.number}</span>
+                                ) : (
+                                    <>
+                                        {Array.from({ length: cell.birthCount }, (_, i) => (
+                                            <span key={`b${i}`} className="lo-shu-digit birth">{cell.number}</span>
+                                        ))}
+                                        {Array.from({ length: cell.nameCount }, (_, i) => (
+                                            <span key={`n${i}`} className="lo-shu-digit name">{cell.number}</span>
+                                        ))}
+                                    </>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                ))}
+            </div>
+            <p className="text-sm text-gray-600">
+                <span className="lo-shu-digit birth">n</span> birth date
+                {view.nameDigit !== null && <> · <span className="lo-shu-digit name">{view.nameDigit}</span> added by name</>}
+                {' '}· Missing: {view.missingNumbers.join(', ') || 'None'}
+            </p>
+
+            <ul className="lo-shu-planes">
+                {view.planes.filter(plane => plane.status !== 'partial').map(plane => (
+                    <li key={plane.name} className={`plane-${plane.status}`}>
+                        {PLANE_ICONS[plane.status]} {plane.name} ({plane.numbers.join('-')}) {plane.status}
+                    </li>
+                ))}
+            </ul>
+
+            {changes.length > 0 && (
+                <ul className="lo-shu-changes">
+                    {changes.map(change => (
+                        <li key={change.name}>🔄 {change.name}: {change.from} → {change.to}</li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+export default LoShuGrid;
@@ -0,0 +1,115 @@
+// Name_Corrector/frontend/src/NameComparison.js
+import React, { useMemo, useState } from 'react';
+import { analyzeName } from './numerology';
+import { COMPARISON_COLUMNS, sortComparisonRows, getDifferingColumns } from './comparisonColumns';
+
+function NameComparison({ pinnedNames, baselineName, birthDate, ruleSet, nameOrder, onPin, onUnpin, onClear }) {
+    const [typedName, setTypedName] = useState('');
+    const [sort, setSort] = useState({ key: 'priority', direction: 'desc' });
+
+    const baseline = useMemo(
+        () => (baselineName.trim() ? analyzeName(baselineName, birthDate, ruleSet, nameOrder) : null),
+        [baselineName, birthDate, ruleSet, nameOrder]
+    );
+    const candidates = useMemo(
+        () => sortComparisonRows(pinnedNames.map(name => analyzeName(name, birthDate, ruleSet, nameOrder)), sort.key, sort.direction),
+        [pinnedNames, birthDate, ruleSet, nameOrder, sort]
+    );
+    const differingColumns = useMemo(
+        () => getDifferingColumns(baseline ? [baseline, ...candidates] : candidates),
+        [baseline, candidates]
+    );
+
+    const handleSort = (key) => {
+        setSort(prev => ({
+            key,
+            direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc'
+        }));
+    };
+
+    const handleAddTyped = (e) => {
+        e.preventDefault();
+        if (typedName.trim()) {
+            onPin(typedName.trim());
+            setTypedName('');
+        }
+    };
+
+    // Highlight a cell when its column differs and it doesn't match the current name
+    const cellClass = (column, analysis) => {
+        if (!differingColumns.has(column.key)) return '';
+        if (baseline && column.display(analysis) === column.display(baseline)) return '';
+        return 'diff-cell';
+    };
+
+    const renderRow = (analysis, isBaseline) => (
+        <tr key={isBaseline ? '__baseline__' : analysis.name} className={`${isBaseline ? 'baseline-row' : ''} ${analysis.isValid ? 'valid-row' : 'invalid-row'}`}>
+            {COMPARISON_COLUMNS.map(column => (
+                <td key={column.key} className={isBaseline ? '' : cellClass(column, analysis)}>
+                    {column.key === 'priority' ? (
+                        <span className={`priority-badge ${analysis.compatibilityAnalysis.priority.class}`}>
+                            {column.display(analysis)}
+                        </span>
+                    ) : column.display(analysis)}
+                    {isBaseline && column.key === 'name' && <span className="text-sm text-gray-600"> (current)</span>}
+                </td>
+            ))}
+            <td>
+                {!isBaseline && (
+                    <button onClick={() => onUnpin(analysis.name)} className="remove-btn small-btn">Unpin</button>
+                )}
+            </td>
+        </tr>
+    );
+
+    return (
+        <div className="section-card name-comparison-card">
+            <div className="validation-header">
+                <h2>⚖️ Compare Candidate Names ({pinnedNames.length})</h2>
+                {pinnedNames.length > 0 && (
+                    <button onClick={onClear} className="secondary-btn small-btn">Clear All</button>
+                )}
+            </div>
+
+            <form onSubmit={handleAddTyped} className="comparison-add-form">
+                <input
+                    type="text"
+                    aria-label="Name to compare"
+                    placeholder="Type a name to pin..."
+                    className="input-field"
+                    value={typedName}
+                    onChange={(e) => setTypedName(e.target.value)}
+                />
+                <button type="submit" className="primary-btn small-btn" disabled={!typedName.trim()}>📌 Pin</button>
+            </form>
+
+            {pinnedNames.length === 0 ? (
+                <p className="text-muted">Pin names from the suggestion cards, confirmed list or custom validation to compare them here.</p>
+            ) : (
+                <div className="comparison-table-wrapper">
+                    <table className="comparison-table">
+                        <thead>
+                            <tr>
+                                {COMPARISON_COLUMNS.map(column => (
+                                    <th key={column.key}>
+                                        <button onClick={() => handleSort(column.key)} className="link-btn">
+                                            {column.label}
+                                            {sort.key === column.key ? (sort.direction === 'desc' ? ' ▼' : ' ▲') : ''}
+                                        </button>
+                                    </th>
+                                ))}
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {baseline && renderRow(baseline, true)}
+                            {candidates.map(analysis => renderRow(analysis, false))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default NameComparison;
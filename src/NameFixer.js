@@ -0,0 +1,73 @@
+// Name_Corrector/frontend/src/NameFixer.js
+import React, { useMemo, useState } from 'react';
+import { calculateSingleDigit } from './numerology';
+import { findNameFixes, FIX_SCOPES } from './spellingFixes';
+
+function NameFixer({ name, nameFormat, birthDate, ruleSet, onApply }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [scope, setScope] = useState('full');
+    const fixes = useMemo(
+        () => (isOpen ? findNameFixes(name, birthDate, { ruleSet, nameFormat, scope }) : []),
+        [isOpen, name, birthDate, ruleSet, nameFormat, scope]
+    );
+
+    return (
+        <div className="name-fixer">
+            <button onClick={() => setIsOpen(open => !open)} className="secondary-btn small-btn">
+                {isOpen ? '▾ Hide fixes' : '🔧 Fix this name'}
+            </button>
+
+            {isOpen && (
+                <div className="name-fixer-content">
+                    <div className="rule-set-row">
+                        <label className="text-sm">Edit:</label>
+                        <select value={scope} onChange={(e) => setScope(e.target.value)} className="input-field">
+                            {FIX_SCOPES.map(option => (
+                                <option key={option.id} value={option.id}>{option.label}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {fixes.length === 0 ? (
+                        <p className="text-sm text-gray-600">No compliant spelling is within two letter edits of this name.</p>
+                    ) : (
+                        <table className="comparison-table">
+                            <thead>
+                                <tr>
+                                    <th>Spelling</th>
+                                    <th>Changes</th>
+                                    <th>FNV / Expression</th>
+                                    <th>Sounds alike</th>
+                                    <th>Tier</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {fixes.map(fix => (
+                                    <tr key={fix.name}>
+                                        <td><strong>{fix.name}</strong></td>
+                                        <td className="text-sm">{fix.edits.join('; ')}</td>
+                                        <td>
+                                            {fix.firstNameValue} → {calculateSingleDigit(fix.firstNameValue, false)} / {fix.expressionNumber} → {calculateSingleDigit(fix.expressionNumber, false)}
+                                        </td>
+                                        <td>{Math.round(fix.phoneticSimilarity * 100)}%</td>
+                                        <td>
+                                            <span className={`compatibility-badge ${fix.compatibilityAnalysis.priority.class}`}>
+                                                {fix.compatibilityAnalysis.priority.label}
+                                            </span>
+                                        </td>
+                                        <td>
+                                            <button onClick={() => onApply(fix)} className="primary-btn small-btn">Use</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default NameFixer;
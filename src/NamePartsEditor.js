@@ -0,0 +1,53 @@
+// Name_Corrector/frontend/src/NamePartsEditor.js
+import React from 'react';
+import { NAME_PART_TYPES, NAME_PART_LABELS, getGivenName } from './nameParts';
+
+function NamePartsEditor({ parts, onChange }) {
+    const updatePart = (index, changes) => {
+        onChange(parts.map((part, idx) => (idx === index ? { ...part, ...changes } : part)));
+    };
+
+    return (
+        <div className="name-parts-editor">
+            {parts.map((part, index) => (
+                <div key={index} className={`name-part-row part-${part.type}`}>
+                    <select
+                        value={part.type}
+                        onChange={(e) => updatePart(index, { type: e.target.value })}
+                        className="input-field name-part-type"
+                        aria-label={`Part ${index + 1} type`}
+                    >
+                        {NAME_PART_TYPES.map(type => (
+                            <option key={type} value={type}>{NAME_PART_LABELS[type]}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="text"
+                        value={part.text}
+                        onChange={(e) => updatePart(index, { text: e.target.value })}
+                        className="input-field"
+                        aria-label={`Part ${index + 1}`}
+                    />
+                    <button
+                        onClick={() => onChange(parts.filter((_, idx) => idx !== index))}
+                        className="remove-btn"
+                        disabled={parts.length <= 1}
+                        title="Remove this part"
+                    >
+                        ✕
+                    </button>
+                </div>
+            ))}
+            <div className="button-row">
+                <button onClick={() => onChange([...parts, { type: 'middle', text: '' }])} className="small-btn">
+                    + Add part
+                </button>
+                <span className="text-sm text-gray-600">
+                    FNV from: <strong>{getGivenName(parts) || '—'}</strong>
+                </span>
+            </div>
+        </div>
+    );
+}
+
+export default NamePartsEditor;
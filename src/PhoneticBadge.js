@@ -0,0 +1,18 @@
+// Name_Corrector/frontend/src/PhoneticBadge.js
+import React from 'react';
+import { getPhoneticLevel } from './phonetic';
+
+function PhoneticBadge({ score, originalName }) {
+    if (typeof score !== 'number') return null;
+    const level = getPhoneticLevel(score);
+    return (
+        <span
+            className={`phonetic-badge phonetic-${level.id}`}
+            title={originalName ? `Pronunciation compared with '${originalName}' (Soundex and Metaphone)` : undefined}
+        >
+            🔊 {level.label} · {Math.round(score * 100)}%
+        </span>
+    );
+}
+
+export default PhoneticBadge;
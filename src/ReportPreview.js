@@ -0,0 +1,64 @@
+// Name_Corrector/frontend/src/ReportPreview.js
+import React, { useMemo, useRef } from 'react';
+import { renderReportMarkdown } from './reportMarkdown';
+
+function ReportPreview({ markdown, title = '📄 Report Preview', branding = null, onDownloadPdf, onDownloadMarkdown, onClose }) {
+    const contentRef = useRef(null);
+    const { html, sections } = useMemo(() => renderReportMarkdown(markdown), [markdown]);
+
+    const scrollToSection = (id) => {
+        const target = contentRef.current?.querySelector(`#${id}`);
+        if (target) {
+            target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    };
+
+    return (
+        <div className="section-card report-preview-card">
+            <div className="validation-header">
+                <h2>{title}</h2>
+                <div className="button-row">
+                    {onDownloadPdf && <button onClick={onDownloadPdf} className="primary-btn small-btn">Download PDF</button>}
+                    {onDownloadMarkdown && <button onClick={onDownloadMarkdown} className="secondary-btn small-btn">Download Markdown</button>}
+                    <button onClick={onClose} className="secondary-btn small-btn">Close Preview</button>
+                </div>
+            </div>
+
+            <div className="report-preview-layout">
+                {sections.length > 0 && (
+                    <nav className="report-section-nav" aria-label="Report sections">
+                        <h4>Sections</h4>
+                        <ul>
+                            {sections.map(section => (
+                                <li key={section.id} className={`section-level-${section.level}`}>
+                                    <button onClick={() => scrollToSection(section.id)} className="link-btn">
+                                        {section.title}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    </nav>
+                )}
+                <div className="report-preview-document">
+                    {branding && (
+                        <div className="report-brand-header" style={{ background: branding.primaryColor }}>
+                            {branding.logoDataUrl && <img src={branding.logoDataUrl} alt="" />}
+                            <strong>{branding.consultantName}</strong>
+                        </div>
+                    )}
+                    <div
+                        ref={contentRef}
+                        className="report-preview-area"
+                        style={branding ? { '--report-accent': branding.accentColor } : undefined}
+                        dangerouslySetInnerHTML={{ __html: html }}
+                    />
+                    {branding?.footerText && (
+                        <p className="report-brand-footer" style={{ borderColor: branding.accentColor }}>{branding.footerText}</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ReportPreview;
@@ -0,0 +1,231 @@
+// Name_Corrector/frontend/src/ReportTemplateDesigner.js
+import React, { useState, useEffect } from 'react';
+import {
+    DEFAULT_REPORT_TEMPLATE,
+    REPORT_SECTIONS,
+    normalizeTemplate,
+    validateTemplate,
+    createTemplate,
+    moveSection
+} from './reportTemplates';
+
+const LOGO_MAX_SIZE = 240;
+
+const SECTION_LABELS = Object.fromEntries(REPORT_SECTIONS.map(section => [section.id, section.label]));
+
+// Logos are stored as small JPEGs so they fit in localStorage and embed directly in the PDF
+function readLogoAsJpeg(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onerror = () => reject(reader.error);
+        reader.onload = () => {
+            const image = new Image();
+            image.onerror = () => reject(new Error('The file is not an image.'));
+            image.onload = () => {
+                const scale = Math.min(1, LOGO_MAX_SIZE / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.width * scale);
+                canvas.height = Math.round(image.height * scale);
+                const context = canvas.getContext('2d');
+                // JPEG has no transparency, so transparent logos sit on white
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/jpeg', 0.85));
+            };
+            image.src = reader.result;
+        };
+        reader.readAsDataURL(file);
+    });
+}
+
+function ReportTemplateDesigner({ templates, activeTemplateId, onSelect, onSave, onDelete, onClose }) {
+    const [editingId, setEditingId] = useState(activeTemplateId);
+    const editing = templates.find(t => t.id === editingId) || DEFAULT_REPORT_TEMPLATE;
+    const isBuiltIn = editing.id === DEFAULT_REPORT_TEMPLATE.id;
+
+    const [draft, setDraft] = useState(() => normalizeTemplate(editing));
+    const [errors, setErrors] = useState([]);
+
+    useEffect(() => {
+        setDraft(normalizeTemplate(editing));
+        setErrors([]);
+    }, [editing]);
+
+    const setBranding = (field, value) => setDraft(prev => ({ ...prev, branding: { ...prev.branding, [field]: value } }));
+    const toggleSection = (id) => setDraft(prev => ({
+        ...prev,
+        sections: prev.sections.map(section => section.id === id ? { ...section, enabled: !section.enabled } : section)
+    }));
+    const handleMove = (index, delta) => setDraft(prev => ({ ...prev, sections: moveSection(prev.sections, index, delta) }));
+
+    const handleLogoUpload = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            setBranding('logoDataUrl', await readLogoAsJpeg(file));
+        } catch (error) {
+            setErrors([`Could not read the logo: ${error.message}`]);
+        }
+    };
+
+    const handleDuplicate = () => {
+        const copy = createTemplate(draft, `${draft.name} (copy)`);
+        onSave(copy);
+        setEditingId(copy.id);
+    };
+
+    const handleSave = () => {
+        const updated = { ...draft, name: draft.name.trim(), updatedAt: new Date().toISOString() };
+        const validationErrors = validateTemplate(updated);
+        setErrors(validationErrors);
+        if (validationErrors.length > 0) return;
+        onSave(updated);
+    };
+
+    const handleDelete = () => {
+        onDelete(editing.id);
+        setEditingId(DEFAULT_REPORT_TEMPLATE.id);
+    };
+
+    return (
+        <div className="section-card report-template-card">
+            <div className="validation-header">
+                <h2>🎨 Report Templates</h2>
+                <button onClick={onClose} className="secondary-btn small-btn">Close</button>
+            </div>
+
+            <div className="rule-set-list">
+                {templates.map(t => (
+                    <div key={t.id} className={`rule-set-row ${t.id === editingId ? 'selected' : ''}`}>
+                        <button onClick={() => setEditingId(t.id)} className="link-btn">{t.name}</button>
+                        {t.id === activeTemplateId ? (
+                            <span className="validity-indicator valid">Active</span>
+                        ) : (
+                            <button onClick={() => onSelect(t.id)} className="secondary-btn small-btn">Use</button>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <div className="rule-set-editor">
+                <div className="input-group">
+                    <label htmlFor="templateName" className="input-label">Template Name:</label>
+                    <input
+                        id="templateName"
+                        className="input-field"
+                        value={draft.name}
+                        disabled={isBuiltIn}
+                        onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                    />
+                </div>
+
+                <h3>Sections</h3>
+                <ol className="template-sections">
+                    {draft.sections.map((section, index) => (
+                        <li key={section.id} className={section.enabled ? '' : 'section-disabled'}>
+                            <label>
+                                <input
+                                    type="checkbox"
+                                    checked={section.enabled}
+                                    disabled={isBuiltIn}
+                                    onChange={() => toggleSection(section.id)}
+                                />
+                                {' '}{SECTION_LABELS[section.id]}
+                            </label>
+                            <span className="button-row">
+                                <button onClick={() => handleMove(index, -1)} className="secondary-btn small-btn" disabled={isBuiltIn || index === 0} aria-label={`Move ${SECTION_LABELS[section.id]} up`}>↑</button>
+                                <button onClick={() => handleMove(index, 1)} className="secondary-btn small-btn" disabled={isBuiltIn || index === draft.sections.length - 1} aria-label={`Move ${SECTION_LABELS[section.id]} down`}>↓</button>
+                            </span>
+                        </li>
+                    ))}
+                </ol>
+
+                <h3>Branding</h3>
+                <div className="form-grid">
+                    <div className="input-group">
+                        <label htmlFor="templateConsultant" className="input-label">Consultant / Practice Name:</label>
+                        <input
+                            id="templateConsultant"
+                            className="input-field"
+                            value={draft.branding.consultantName}
+                            disabled={isBuiltIn}
+                            onChange={(e) => setBranding('consultantName', e.target.value)}
+                        />
+                    </div>
+                    <div className="input-group">
+                        <label htmlFor="templateFooter" className="input-label">Footer Text:</label>
+                        <input
+                            id="templateFooter"
+                            className="input-field"
+                            placeholder="e.g., www.example.com · +91 98765 43210"
+                            value={draft.branding.footerText}
+                            disabled={isBuiltIn}
+                            onChange={(e) => setBranding('footerText', e.target.value)}
+                        />
+                    </div>
+                    <div className="input-group">
+                        <label htmlFor="templatePrimary" className="input-label">Primary Colour:</label>
+                        <input
+                            id="templatePrimary"
+                            type="color"
+                            value={draft.branding.primaryColor}
+                            disabled={isBuiltIn}
+                            onChange={(e) => setBranding('primaryColor', e.target.value)}
+                        />
+                    </div>
+                    <div className="input-group">
+                        <label htmlFor="templateAccent" className="input-label">Accent Colour:</label>
+                        <input
+                            id="templateAccent"
+                            type="color"
+                            value={draft.branding.accentColor}
+                            disabled={isBuiltIn}
+                            onChange={(e) => setBranding('accentColor', e.target.value)}
+                        />
+                    </div>
+                    <div className="input-group">
+                        <label htmlFor="templateLogo" className="input-label">Logo:</label>
+                        <input id="templateLogo" type="file" accept="image/*" disabled={isBuiltIn} onChange={handleLogoUpload} />
+                        {draft.branding.logoDataUrl && (
+                            <div className="template-logo-preview">
+                                <img src={draft.branding.logoDataUrl} alt="Logo preview" />
+                                {!isBuiltIn && (
+                                    <button onClick={() => setBranding('logoDataUrl', '')} className="remove-btn small-btn">Remove logo</button>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                <div className="template-brand-preview" style={{ background: draft.branding.primaryColor }}>
+                    {draft.branding.logoDataUrl && <img src={draft.branding.logoDataUrl} alt="" />}
+                    <strong>{draft.branding.consultantName}</strong>
+                    <span style={{ color: draft.branding.accentColor }}>Numerology Report</span>
+                </div>
+
+                {errors.length > 0 && (
+                    <ul className="conflicts">
+                        {errors.map((error, idx) => <li key={idx} className="conflict-item">❌ {error}</li>)}
+                    </ul>
+                )}
+                {isBuiltIn && (
+                    <p className="text-muted">The built-in template is read-only. Duplicate it to create your own.</p>
+                )}
+
+                <div className="button-row">
+                    <button onClick={handleDuplicate} className="secondary-btn small-btn">Duplicate</button>
+                    {!isBuiltIn && (
+                        <>
+                            <button onClick={handleDelete} className="remove-btn small-btn">Delete</button>
+                            <button onClick={handleSave} className="primary-btn small-btn">Save Template</button>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ReportTemplateDesigner;
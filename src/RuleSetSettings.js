@@ -0,0 +1,227 @@
+// Name_Corrector/frontend/src/RuleSetSettings.js
+import React, { useState, useEffect } from 'react';
+import { DEFAULT_RULE_SET } from './numerology';
+import {
+    parseNumberList,
+    formatNumberList,
+    validateRuleSet,
+    createRuleSet,
+    updateRuleSet
+} from './ruleSets';
+
+const TRIGGER_NUMBERS = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+// Rule sets are edited as text so a practitioner can type "1, 5, 6" directly
+function toDraft(ruleSet) {
+    const byTrigger = (field) => TRIGGER_NUMBERS.reduce((acc, trigger) => {
+        acc[trigger] = formatNumberList(ruleSet[field]?.[trigger]);
+        return acc;
+    }, {});
+    return {
+        name: ruleSet.name,
+        luckyNumbers: formatNumberList(ruleSet.luckyNumbers),
+        forbiddenValues: formatNumberList(ruleSet.forbiddenValues),
+        specialAllowedValues: formatNumberList(ruleSet.specialAllowedValues),
+        exclusions: byTrigger('exclusions'),
+        inclusions: byTrigger('inclusions')
+    };
+}
+
+function fromDraft(draft) {
+    const byTrigger = (field) => TRIGGER_NUMBERS.reduce((acc, trigger) => {
+        const values = parseNumberList(draft[field][trigger]);
+        if (values.length) acc[trigger] = values;
+        return acc;
+    }, {});
+    return {
+        name: draft.name.trim(),
+        luckyNumbers: parseNumberList(draft.luckyNumbers),
+        forbiddenValues: parseNumberList(draft.forbiddenValues),
+        specialAllowedValues: parseNumberList(draft.specialAllowedValues),
+        exclusions: byTrigger('exclusions'),
+        inclusions: byTrigger('inclusions')
+    };
+}
+
+function RuleSetSettings({ ruleSets, activeRuleSetId, onSelect, onSave, onDelete, onClose }) {
+    const [editingId, setEditingId] = useState(activeRuleSetId);
+    const editing = ruleSets.find(rs => rs.id === editingId) || DEFAULT_RULE_SET;
+    const isBuiltIn = editing.id === DEFAULT_RULE_SET.id;
+
+    const [draft, setDraft] = useState(() => toDraft(editing));
+    const [errors, setErrors] = useState([]);
+
+    useEffect(() => {
+        setDraft(toDraft(editing));
+        setErrors([]);
+    }, [editing]);
+
+    const setDraftField = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+    const setTriggerField = (field, trigger, value) => setDraft(prev => ({
+        ...prev,
+        [field]: { ...prev[field], [trigger]: value }
+    }));
+
+    const handleDuplicate = () => {
+        const copy = createRuleSet(editing, `${editing.name} (copy)`);
+        onSave(copy);
+        setEditingId(copy.id);
+    };
+
+    const handleSave = () => {
+        const changes = fromDraft(draft);
+        const validationErrors = validateRuleSet({ ...editing, ...changes });
+        setErrors(validationErrors);
+        if (validationErrors.length > 0) return;
+        onSave(updateRuleSet(editing, changes));
+    };
+
+    const handleRestore = (snapshot) => {
+        const { id, version, updatedAt, ...rules } = snapshot;
+        onSave(updateRuleSet(editing, rules));
+    };
+
+    const handleDelete = () => {
+        onDelete(editing.id);
+        setEditingId(DEFAULT_RULE_SET.id);
+    };
+
+    return (
+        <div className="section-card rule-set-settings-card">
+            <div className="validation-header">
+                <h2>⚙️ Rule Set Settings</h2>
+                <button onClick={onClose} className="secondary-btn small-btn">Close</button>
+            </div>
+
+            <div className="rule-set-list">
+                {ruleSets.map(rs => (
+                    <div key={rs.id} className={`rule-set-row ${rs.id === editingId ? 'selected' : ''}`}>
+                        <button onClick={() => setEditingId(rs.id)} className="link-btn">
+                            {rs.name} <span className="text-sm text-gray-600">v{rs.version}</span>
+                        </button>
+                        {rs.id === activeRuleSetId ? (
+                            <span className="validity-indicator valid">Active</span>
+                        ) : (
+                            <button onClick={() => onSelect(rs.id)} className="secondary-btn small-btn">Use</button>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <div className="rule-set-editor">
+                <div className="input-group">
+                    <label htmlFor="ruleSetName" className="input-label">Name:</label>
+                    <input
+                        id="ruleSetName"
+                        className="input-field"
+                        value={draft.name}
+                        disabled={isBuiltIn}
+                        onChange={(e) => setDraftField('name', e.target.value)}
+                    />
+                </div>
+                <div className="form-grid">
+                    <div className="input-group">
+                        <label htmlFor="ruleSetLucky" className="input-label">Lucky Numbers:</label>
+                        <input
+                            id="ruleSetLucky"
+                            className="input-field"
+                            value={draft.luckyNumbers}
+                            disabled={isBuiltIn}
+                            onChange={(e) => setDraftField('luckyNumbers', e.target.value)}
+                        />
+                    </div>
+                    <div className="input-group">
+                        <label htmlFor="ruleSetForbidden" className="input-label">Forbidden Raw Values:</label>
+                        <input
+                            id="ruleSetForbidden"
+                            className="input-field"
+                            value={draft.forbiddenValues}
+                            disabled={isBuiltIn}
+                            onChange={(e) => setDraftField('forbiddenValues', e.target.value)}
+                        />
+                    </div>
+                    <div className="input-group">
+                        <label htmlFor="ruleSetSpecial" className="input-label">Specially Allowed Raw Values:</label>
+                        <input
+                            id="ruleSetSpecial"
+                            className="input-field"
+                            value={draft.specialAllowedValues}
+                            disabled={isBuiltIn}
+                            onChange={(e) => setDraftField('specialAllowedValues', e.target.value)}
+                        />
+                    </div>
+                </div>
+
+                <table className="rule-trigger-table">
+                    <thead>
+                        <tr>
+                            <th>Birth/Life Path</th>
+                            <th>Cannot use</th>
+                            <th>Can use</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {TRIGGER_NUMBERS.map(trigger => (
+                            <tr key={trigger}>
+                                <td><strong>{trigger}</strong></td>
+                                <td>
+                                    <input
+                                        aria-label={`Exclusions for ${trigger}`}
+                                        className="input-field"
+                                        value={draft.exclusions[trigger]}
+                                        disabled={isBuiltIn}
+                                        onChange={(e) => setTriggerField('exclusions', trigger, e.target.value)}
+                                    />
+                                </td>
+                                <td>
+                                    <input
+                                        aria-label={`Inclusions for ${trigger}`}
+                                        className="input-field"
+                                        value={draft.inclusions[trigger]}
+                                        disabled={isBuiltIn}
+                                        onChange={(e) => setTriggerField('inclusions', trigger, e.target.value)}
+                                    />
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                {errors.length > 0 && (
+                    <ul className="conflicts">
+                        {errors.map((error, idx) => <li key={idx} className="conflict-item">❌ {error}</li>)}
+                    </ul>
+                )}
+                {isBuiltIn && (
+                    <p className="text-muted">The built-in rule set is read-only. Duplicate it to create your own variant.</p>
+                )}
+
+                <div className="button-row">
+                    <button onClick={handleDuplicate} className="secondary-btn small-btn">Duplicate</button>
+                    {!isBuiltIn && (
+                        <>
+                            <button onClick={handleDelete} className="remove-btn">Delete</button>
+                            <button onClick={handleSave} className="primary-btn small-btn">Save as v{editing.version + 1}</button>
+                        </>
+                    )}
+                </div>
+
+                {editing.history?.length > 0 && (
+                    <div className="rule-set-history">
+                        <h4>Previous Versions</h4>
+                        <ul>
+                            {[...editing.history].reverse().map(snapshot => (
+                                <li key={snapshot.version}>
+                                    v{snapshot.version} · {snapshot.updatedAt ? new Date(snapshot.updatedAt).toLocaleString() : 'original'}
+                                    {' '}<button onClick={() => handleRestore(snapshot)} className="secondary-btn small-btn">Restore</button>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default RuleSetSettings;
@@ -0,0 +1,36 @@
+// Name_Corrector/frontend/src/ServerWakeBanner.js
+import React, { useEffect, useState } from 'react';
+import { EXPECTED_WAKE_MS } from './apiClient';
+
+const CATEGORY_NOTES = {
+    network: 'the server is not accepting connections yet',
+    timeout: 'the last attempt timed out',
+    server: 'the server answered with an error while starting'
+};
+
+function ServerWakeBanner({ waking }) {
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const elapsedMs = Math.max(0, now - waking.startedAt);
+    const progress = Math.min(95, Math.round((elapsedMs / EXPECTED_WAKE_MS) * 100));
+
+    return (
+        <div className="server-wake-banner" role="status">
+            <p>☕ Waking the backend server... {Math.round(elapsedMs / 1000)}s</p>
+            <div className="wake-progress" aria-hidden="true">
+                <div className="wake-progress-fill" style={{ width: `${progress}%` }} />
+            </div>
+            <p className="text-sm">
+                The first request after a quiet spell can take up to a minute.
+                {waking.attempt > 0 && ` Retry ${waking.attempt} of ${waking.retries}: ${CATEGORY_NOTES[waking.category] || 'retrying'}.`}
+            </p>
+        </div>
+    );
+}
+
+export default ServerWakeBanner;
@@ -0,0 +1,27 @@
+// Name_Corrector/frontend/src/TransliterationPreview.js
+import React, { useMemo } from 'react';
+import { transliterate } from './transliteration';
+
+function TransliterationPreview({ name, onApply }) {
+    const result = useMemo(() => transliterate(name), [name]);
+    if (!result.changed) return null;
+
+    return (
+        <div className="transliteration-preview" role="status">
+            <p>
+                <strong>Calculated as:</strong> {result.text || <em>(no usable letters)</em>}
+                {result.scripts.length > 0 && <span className="text-sm text-gray-600"> · romanized from {result.scripts.join(', ')}</span>}
+            </p>
+            {result.warnings.map(warning => (
+                <p key={warning} className="transliteration-warning">⚠️ {warning}</p>
+            ))}
+            {onApply && result.text && (
+                <button type="button" onClick={() => onApply(result.text)} className="link-btn">
+                    Use this spelling
+                </button>
+            )}
+        </div>
+    );
+}
+
+export default TransliterationPreview;
@@ -0,0 +1,18 @@
+// Name_Corrector/frontend/src/VerdictDiscrepancy.js
+import React from 'react';
+
+const verdictLabel = (isValid) => (isValid ? '✅ Compliant' : '❌ Non-compliant');
+
+function VerdictDiscrepancy({ reconciliation }) {
+    if (!reconciliation || reconciliation.status !== 'mismatch') return null;
+
+    return (
+        <div className="discrepancy-alert" role="alert">
+            <p className="font-bold">⚠️ Local engine and backend disagree</p>
+            <p><strong>Local:</strong> {verdictLabel(reconciliation.localValid)} · {reconciliation.localRationale}</p>
+            <p><strong>Backend:</strong> {verdictLabel(reconciliation.backendValid)} · {reconciliation.backendRationale || 'No rationale given'}</p>
+        </div>
+    );
+}
+
+export default VerdictDiscrepancy;
@@ -0,0 +1,338 @@
+// Name_Corrector/frontend/src/apiClient.js
+// Single place that knows the backend's base URL and endpoint shapes.
+import axios from 'axios';
+import { romanize } from './transliteration';
+
+const BACKEND_URL_KEY = 'numerology.backendUrl';
+
+/**
+ * Trim whitespace and trailing slashes so endpoints can be appended safely
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeBackendUrl(url) {
+    return (url || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * @param {string} url
+ * @returns {boolean} True for absolute http(s) URLs
+ */
+export function isValidBackendUrl(url) {
+    try {
+        const parsed = new URL(normalizeBackendUrl(url));
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch (e) {
+        return false;
+    }
+}
+
+// Build-time default; set REACT_APP_BACKEND_URL in .env.local or the host's build settings
+export const DEFAULT_BACKEND_URL = normalizeBackendUrl(
+    process.env.REACT_APP_BACKEND_URL || 'https://name-corrector-backend.onrender.com'
+);
+
+/**
+ * Environment profiles offered in the settings panel. Staging only appears
+ * when REACT_APP_STAGING_BACKEND_URL is set at build time.
+ */
+export const BACKEND_PROFILES = [
+    { id: 'production', label: 'Production', url: DEFAULT_BACKEND_URL },
+    process.env.REACT_APP_STAGING_BACKEND_URL && {
+        id: 'staging',
+        label: 'Staging',
+        url: normalizeBackendUrl(process.env.REACT_APP_STAGING_BACKEND_URL)
+    },
+    { id: 'local', label: 'Local', url: normalizeBackendUrl(process.env.REACT_APP_LOCAL_BACKEND_URL || 'http://localhost:5000') }
+].filter(Boolean);
+
+/**
+ * Backend URL chosen in the settings panel, falling back to the build-time default
+ * @returns {string}
+ */
+export function loadBackendUrl() {
+    try {
+        const stored = localStorage.getItem(BACKEND_URL_KEY);
+        return stored && isValidBackendUrl(stored) ? normalizeBackendUrl(stored) : DEFAULT_BACKEND_URL;
+    } catch (e) {
+        return DEFAULT_BACKEND_URL;
+    }
+}
+
+/**
+ * Persist the runtime override; saving the default clears it so a new build's default applies
+ * @param {string} url
+ */
+export function saveBackendUrl(url) {
+    const normalized = normalizeBackendUrl(url);
+    try {
+        if (normalized === DEFAULT_BACKEND_URL) {
+            localStorage.removeItem(BACKEND_URL_KEY);
+        } else {
+            localStorage.setItem(BACKEND_URL_KEY, normalized);
+        }
+    } catch (error) {
+        console.error('Failed to save the backend URL:', error);
+    }
+}
+
+// Render's free tier sleeps when idle and can take a minute to wake
+const REQUEST_TIMEOUT_MS = 30000;
+const REPORT_TIMEOUT_MS = 60000;
+const HEALTH_TIMEOUT_MS = 60000;
+const COLD_START_THRESHOLD_MS = 4000;
+export const MAX_RETRIES = 3;
+export const EXPECTED_WAKE_MS = 60000;
+
+export const ERROR_CATEGORIES = {
+    NETWORK: 'network',
+    TIMEOUT: 'timeout',
+    VALIDATION: 'validation',
+    SERVER: 'server',
+    CANCELLED: 'cancelled'
+};
+
+const ERROR_CATEGORY_LABELS = {
+    network: '📡 Connection problem',
+    timeout: '⏱️ Timed out',
+    validation: '⚠️ Request rejected',
+    server: '🛠️ Server error',
+    cancelled: 'Cancelled'
+};
+
+/**
+ * Sort a failed request into network, timeout, 4xx validation or 5xx server
+ * @param {Error} error - axios error
+ * @returns {{category: string, status: number|null, serverMessage: string, retryable: boolean}}
+ */
+export function categorizeError(error) {
+    const status = error?.response?.status ?? null;
+    const data = error?.response?.data;
+    const serverMessage = data && typeof data === 'object' && typeof data.error === 'string' ? data.error : '';
+
+    let category;
+    if (axios.isCancel(error)) {
+        category = ERROR_CATEGORIES.CANCELLED;
+    } else if (status !== null) {
+        category = status >= 500 ? ERROR_CATEGORIES.SERVER : ERROR_CATEGORIES.VALIDATION;
+    } else if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+        category = ERROR_CATEGORIES.TIMEOUT;
+    } else {
+        category = ERROR_CATEGORIES.NETWORK;
+    }
+
+    return {
+        category,
+        status,
+        serverMessage,
+        // A sleeping or restarting server shows up as any of these; a 4xx won't change on retry
+        retryable: [ERROR_CATEGORIES.NETWORK, ERROR_CATEGORIES.TIMEOUT, ERROR_CATEGORIES.SERVER].includes(category)
+    };
+}
+
+/**
+ * User-facing message for a failed request
+ * @param {Error} error - axios error
+ * @param {string} action - What was being done, e.g. "validating the name"
+ * @returns {string}
+ */
+export function describeApiError(error, action) {
+    const { category, status, serverMessage } = categorizeError(error);
+    const label = ERROR_CATEGORY_LABELS[category];
+    switch (category) {
+        case ERROR_CATEGORIES.NETWORK:
+            return `${label}: couldn't reach the backend while ${action}. Check your connection or the backend URL in the connection panel.`;
+        case ERROR_CATEGORIES.TIMEOUT:
+            return `${label}: the backend didn't respond while ${action}, even after retrying. It may still be waking up, so try again in a minute.`;
+        case ERROR_CATEGORIES.VALIDATION:
+            return `${label}: the backend refused the request while ${action}${serverMessage ? `: ${serverMessage}` : ` (HTTP ${status}). Check the client details.`}`;
+        case ERROR_CATEGORIES.SERVER:
+            return `${label}: the backend failed while ${action} (HTTP ${status})${serverMessage ? `: ${serverMessage}` : '. Please try again shortly.'}`;
+        default:
+            return `${label}: ${action} was cancelled.`;
+    }
+}
+
+/**
+ * Exponential backoff: 1s, 2s, 4s... capped at maxDelayMs
+ * @param {number} attempt - Zero-based retry number
+ * @param {number} [baseDelayMs=1000]
+ * @param {number} [maxDelayMs=8000]
+ * @returns {number}
+ */
+export function getBackoffDelay(attempt, baseDelayMs = 1000, maxDelayMs = 8000) {
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new axios.CanceledError());
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new axios.CanceledError());
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Run a request, retrying retryable failures with exponential backoff.
+ * Reports a "waking" state when the first attempt is slow or fails, since
+ * that is what a cold start looks like from here.
+ * @param {function(): Promise<*>} send - Performs one attempt
+ * @param {Object} [options]
+ * @param {number} [options.retries=MAX_RETRIES]
+ * @param {number} [options.baseDelayMs=1000]
+ * @param {number} [options.coldStartThresholdMs]
+ * @param {AbortSignal} [options.signal] - Stops retrying when aborted
+ * @param {function(Object|null): void} [options.onWaking] - Called with {startedAt, attempt, retries, category} and finally null
+ * @returns {Promise<*>} Result of the successful attempt
+ */
+export async function requestWithRetry(send, {
+    retries = MAX_RETRIES,
+    baseDelayMs = 1000,
+    coldStartThresholdMs = COLD_START_THRESHOLD_MS,
+    signal,
+    onWaking = () => {}
+} = {}) {
+    const startedAt = Date.now();
+    let isWaking = false;
+    const markWaking = (details) => {
+        isWaking = true;
+        onWaking({ startedAt, retries, attempt: 0, category: null, ...details });
+    };
+    const slowTimer = setTimeout(() => markWaking({}), coldStartThresholdMs);
+
+    try {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await send();
+            } catch (error) {
+                const { retryable, category } = categorizeError(error);
+                const browserOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+                if (!retryable || attempt >= retries || signal?.aborted || browserOffline) {
+                    throw error;
+                }
+                markWaking({ attempt: attempt + 1, category });
+                await sleep(getBackoffDelay(attempt, baseDelayMs), signal);
+            }
+        }
+    } finally {
+        clearTimeout(slowTimer);
+        if (isWaking) onWaking(null);
+    }
+}
+
+/**
+ * Create a client bound to one backend. Endpoint methods resolve to the
+ * response body and reject with the axios error, so callers can keep reading
+ * error.response?.data?.error or pass it to describeApiError. All four
+ * endpoints only compute from their input, so every one is safe to retry.
+ * @param {string} baseUrl
+ * @param {Object} [options]
+ * @param {function(Object|null): void} [options.onWakingChange] - Called with the
+ *   oldest in-progress cold start ({startedAt, attempt, retries, category}) or null when none remain
+ */
+export function createApiClient(baseUrl, { onWakingChange = () => {} } = {}) {
+    const http = axios.create({ baseURL: normalizeBackendUrl(baseUrl) });
+    const wakingRequests = new Map();
+    let nextRequestId = 0;
+
+    const reportWaking = () => {
+        const waiting = [...wakingRequests.values()];
+        onWakingChange(waiting.length === 0 ? null : waiting.reduce((oldest, w) => (w.startedAt < oldest.startedAt ? w : oldest)));
+    };
+
+    const request = async (config, { timeout = REQUEST_TIMEOUT_MS, retries = MAX_RETRIES } = {}) => {
+        const requestId = nextRequestId++;
+        const response = await requestWithRetry(() => http.request({ timeout, ...config }), {
+            retries,
+            signal: config.signal,
+            onWaking: (details) => {
+                if (details) {
+                    wakingRequests.set(requestId, details);
+                } else {
+                    wakingRequests.delete(requestId);
+                }
+                reportWaking();
+            }
+        });
+        return response.data;
+    };
+
+    return {
+        baseUrl: normalizeBackendUrl(baseUrl),
+
+        /**
+         * @param {{full_name: string, birth_date: string, birth_time: string, birth_place: string}} details
+         * @returns {Promise<{suggestions: Array, profile_data: Object}>}
+         */
+        getInitialSuggestions(details) {
+            // The backend only reads A-Z, so names written natively are sent romanized
+            return request({ method: 'post', url: '/initial_suggestions', data: { ...details, full_name: romanize(details.full_name) } });
+        },
+
+        /**
+         * @param {string} suggestedName
+         * @param {Object} clientProfile
+         * @param {{signal?: AbortSignal}} [options] - Abort to cancel a superseded request
+         * @returns {Promise<{is_valid: boolean, rationale: string}>}
+         */
+        validateName(suggestedName, clientProfile, { signal } = {}) {
+            return request({
+                method: 'post',
+                url: '/validate_name',
+                data: { suggested_name: romanize(suggestedName), client_profile: clientProfile },
+                signal
+            });
+        },
+
+        /**
+         * @param {Object} reportPayload
+         * @returns {Promise<{report_content: string}>} Markdown report
+         */
+        generateTextReport(reportPayload) {
+            return request({ method: 'post', url: '/generate_text_report', data: reportPayload }, { timeout: REPORT_TIMEOUT_MS });
+        },
+
+        /**
+         * @param {Object} reportPayload
+         * @returns {Promise<Blob>} PDF file
+         */
+        generatePdfReport(reportPayload) {
+            return request(
+                { method: 'post', url: '/generate_pdf_report', data: reportPayload, responseType: 'blob' },
+                { timeout: REPORT_TIMEOUT_MS }
+            );
+        },
+
+        /**
+         * Any HTTP response (even a 404) means the server is up; only a
+         * network failure or timeout counts as offline. Allows for a cold start.
+         * @returns {Promise<{status: 'online'|'offline', latencyMs: number|null, checkedAt: string}>}
+         */
+        async checkHealth() {
+            const started = Date.now();
+            try {
+                await request({ method: 'get', url: '/', validateStatus: () => true }, { timeout: HEALTH_TIMEOUT_MS, retries: 0 });
+                return { status: 'online', latencyMs: Date.now() - started, checkedAt: new Date().toISOString() };
+            } catch (e) {
+                return { status: 'offline', latencyMs: null, checkedAt: new Date().toISOString() };
+            }
+        }
+    };
+}
+
+/**
+ * True when a request was aborted on purpose rather than failing
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isCancelledRequest(error) {
+    return axios.isCancel(error);
+}
@@ -0,0 +1,142 @@
+import {
+    normalizeBackendUrl,
+    isValidBackendUrl,
+    loadBackendUrl,
+    saveBackendUrl,
+    DEFAULT_BACKEND_URL,
+    BACKEND_PROFILES,
+    createApiClient,
+    isCancelledRequest,
+    categorizeError,
+    describeApiError,
+    getBackoffDelay,
+    requestWithRetry
+} from './apiClient';
+import { isNetworkError } from './offlineCache';
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+describe('backend URL helpers', () => {
+    test('normalizes whitespace and trailing slashes', () => {
+        expect(normalizeBackendUrl('  http://localhost:5000/// ')).toBe('http://localhost:5000');
+    });
+
+    test('accepts only absolute http(s) URLs', () => {
+        expect(isValidBackendUrl('https://api.example.com')).toBe(true);
+        expect(isValidBackendUrl('http://localhost:5000/')).toBe(true);
+        expect(isValidBackendUrl('ftp://example.com')).toBe(false);
+        expect(isValidBackendUrl('localhost:5000')).toBe(false);
+        expect(isValidBackendUrl('')).toBe(false);
+    });
+
+    test('production profile uses the build-time default', () => {
+        expect(BACKEND_PROFILES[0]).toMatchObject({ id: 'production', url: DEFAULT_BACKEND_URL });
+    });
+});
+
+describe('backend URL persistence', () => {
+    test('falls back to the default when nothing is stored', () => {
+        expect(loadBackendUrl()).toBe(DEFAULT_BACKEND_URL);
+    });
+
+    test('stores a runtime override and clears it when set back to the default', () => {
+        saveBackendUrl('http://localhost:5000/');
+        expect(loadBackendUrl()).toBe('http://localhost:5000');
+        saveBackendUrl(DEFAULT_BACKEND_URL);
+        expect(localStorage.getItem('numerology.backendUrl')).toBeNull();
+    });
+
+    test('ignores an invalid stored value', () => {
+        localStorage.setItem('numerology.backendUrl', 'not a url');
+        expect(loadBackendUrl()).toBe(DEFAULT_BACKEND_URL);
+    });
+
+    test('blocked storage is logged instead of thrown when saving', () => {
+        jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+            throw new Error('SecurityError');
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(() => saveBackendUrl('http://localhost:5000')).not.toThrow();
+        expect(console.error).toHaveBeenCalledTimes(1);
+
+        Storage.prototype.setItem.mockRestore();
+        console.error.mockRestore();
+    });
+});
+
+describe('request cancellation', () => {
+    test('recognises aborted requests and does not treat them as network errors', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        const error = await createApiClient('http://localhost:9')
+            .validateName('Alex Smith', {}, { signal: controller.signal })
+            .catch(e => e);
+
+        expect(isCancelledRequest(error)).toBe(true);
+        expect(isNetworkError(error)).toBe(false);
+    });
+});
+
+const httpError = (status, data = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, data } });
+const networkError = () => Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' });
+const timeoutError = () => Object.assign(new Error('timeout'), { code: 'ECONNABORTED' });
+
+describe('error categories', () => {
+    test('sorts failures into network, timeout, 4xx and 5xx', () => {
+        expect(categorizeError(networkError())).toMatchObject({ category: 'network', retryable: true });
+        expect(categorizeError(timeoutError())).toMatchObject({ category: 'timeout', retryable: true });
+        expect(categorizeError(httpError(422, { error: 'Bad date' }))).toMatchObject({ category: 'validation', status: 422, serverMessage: 'Bad date', retryable: false });
+        expect(categorizeError(httpError(503))).toMatchObject({ category: 'server', status: 503, retryable: true });
+    });
+
+    test('describes each category for the user', () => {
+        expect(describeApiError(httpError(400, { error: 'Missing birth date' }), 'fetching suggestions')).toMatch(/refused.*Missing birth date/);
+        expect(describeApiError(httpError(500), 'fetching suggestions')).toMatch(/HTTP 500/);
+        expect(describeApiError(timeoutError(), 'fetching suggestions')).toMatch(/waking up/);
+    });
+});
+
+describe('requestWithRetry', () => {
+    test('backs off exponentially up to a cap', () => {
+        expect([0, 1, 2, 3, 4].map(a => getBackoffDelay(a))).toEqual([1000, 2000, 4000, 8000, 8000]);
+    });
+
+    test('retries retryable failures and reports the waking state', async () => {
+        const send = jest.fn()
+            .mockRejectedValueOnce(httpError(502))
+            .mockRejectedValueOnce(networkError())
+            .mockResolvedValueOnce('ok');
+        const onWaking = jest.fn();
+
+        await expect(requestWithRetry(send, { baseDelayMs: 0, onWaking })).resolves.toBe('ok');
+        expect(send).toHaveBeenCalledTimes(3);
+        expect(onWaking).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, category: 'server' }));
+        expect(onWaking).toHaveBeenLastCalledWith(null);
+    });
+
+    test('does not retry 4xx responses', async () => {
+        const send = jest.fn().mockRejectedValue(httpError(400));
+        await expect(requestWithRetry(send, { baseDelayMs: 0 })).rejects.toMatchObject({ response: { status: 400 } });
+        expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    test('removes its abort listener after each backoff', async () => {
+        const controller = new AbortController();
+        const removeSpy = jest.spyOn(controller.signal, 'removeEventListener');
+        const send = jest.fn().mockRejectedValueOnce(httpError(502)).mockRejectedValueOnce(httpError(502)).mockResolvedValueOnce('ok');
+
+        await expect(requestWithRetry(send, { baseDelayMs: 0, signal: controller.signal })).resolves.toBe('ok');
+        expect(removeSpy).toHaveBeenCalledTimes(2);
+        expect(removeSpy).toHaveBeenCalledWith('abort', expect.any(Function));
+    });
+
+    test('gives up after the retry limit', async () => {
+        const send = jest.fn().mockRejectedValue(timeoutError());
+        await expect(requestWithRetry(send, { retries: 2, baseDelayMs: 0 })).rejects.toMatchObject({ code: 'ECONNABORTED' });
+        expect(send).toHaveBeenCalledTimes(3);
+    });
+});
@@ -0,0 +1,258 @@
+// Name_Corrector/frontend/src/businessNumerology.js
+// Company and brand names: their own rule set, digits and ampersands counted,
+// and checked against both the owner's birth numbers and the incorporation date.
+import {
+    DEFAULT_RULE_SET,
+    CHALDEAN_MAP,
+    calculateBirthNumber,
+    calculateLifePathNumber,
+    calculateSingleDigit,
+    getAllowedValues,
+    isValueAllowed,
+    getPriorityTier
+} from './numerology';
+import { romanize } from './transliteration';
+import { editDistance, generateWordVariants, toTitleCase } from './suggestionGenerator';
+
+// 51 is only forbidden for personal names, so business names may use it
+export const DEFAULT_BUSINESS_RULE_SET = {
+    ...DEFAULT_RULE_SET,
+    id: 'business-default',
+    name: 'Business Chaldean Rules',
+    version: 1,
+    forbiddenValues: [],
+    specialAllowedValues: [51, 65]
+};
+
+// What business mode keeps with a client session; suggestions are regenerated on demand
+export const DEFAULT_BUSINESS_SESSION = {
+    businessName: '',
+    ownerName: '',
+    ownerBirthDate: '',
+    incorporationDate: '',
+    ruleSetId: DEFAULT_BUSINESS_RULE_SET.id,
+    confirmedNames: []
+};
+
+// "&" is read as "and": A1 + N5 + D4
+export const AMPERSAND_VALUE = 10;
+
+// Words appended to a brand name when a respelling alone is not enough
+export const BUSINESS_SUFFIXES = ['& Co', 'Group', 'Studio', 'Labs', 'Solutions', 'Ventures', 'Global', 'Works'];
+
+/**
+ * Romanize, uppercase and keep only letters, digits, ampersands and whitespace
+ * @param {string} name
+ * @returns {string}
+ */
+export function cleanBusinessName(name) {
+    return romanize(name || '').toUpperCase().replace(/[^A-Z0-9&\s]/g, '');
+}
+
+/**
+ * Value of one character of a business name: Chaldean for letters, face value for digits
+ * @param {string} char - Uppercase character
+ * @returns {number}
+ */
+export function getBusinessCharValue(char) {
+    if (char === '&') return AMPERSAND_VALUE;
+    if (/[0-9]/.test(char)) return Number(char);
+    return CHALDEAN_MAP[char] || 0;
+}
+
+/**
+ * Per-word values of a business name
+ * @param {string} name
+ * @returns {{word: string, total: number}[]}
+ */
+export function getBusinessWordValues(name) {
+    return cleanBusinessName(name).split(/\s+/).filter(Boolean).map(word => ({
+        word,
+        total: [...word].reduce((sum, char) => sum + getBusinessCharValue(char), 0)
+    }));
+}
+
+/**
+ * Raw value of the whole business name
+ * @param {string} name
+ * @returns {number}
+ */
+export function calculateBusinessNameValue(name) {
+    return getBusinessWordValues(name).reduce((sum, word) => sum + word.total, 0);
+}
+
+function checkAgainst(nameValue, birthNumber, lifePathNumber, ruleSet) {
+    const allowedValues = getAllowedValues(birthNumber, lifePathNumber, ruleSet);
+    return {
+        birthNumber,
+        lifePathNumber,
+        allowedValues: Array.from(allowedValues).sort(),
+        isValid: isValueAllowed(nameValue, birthNumber, lifePathNumber, ruleSet)
+    };
+}
+
+/**
+ * Evaluate a business name against the owner's birth date and, when known, the
+ * incorporation date. The name must suit both.
+ * @param {string} name
+ * @param {string} ownerBirthDate - Date in YYYY-MM-DD format
+ * @param {string} [incorporationDate] - Date in YYYY-MM-DD format
+ * @param {Object} [ruleSet=DEFAULT_BUSINESS_RULE_SET]
+ * @returns {Object} nameValue, reducedValue, words, owner and incorporation checks,
+ *   isValid, priority, conflicts, benefits and recommendation
+ */
+export function analyzeBusinessName(name, ownerBirthDate, incorporationDate = '', ruleSet = DEFAULT_BUSINESS_RULE_SET) {
+    const nameValue = calculateBusinessNameValue(name);
+    const reducedValue = calculateSingleDigit(nameValue, false);
+    const owner = checkAgainst(nameValue, calculateBirthNumber(ownerBirthDate), calculateLifePathNumber(ownerBirthDate), ruleSet);
+    const incorporation = incorporationDate
+        ? checkAgainst(nameValue, calculateBirthNumber(incorporationDate), calculateLifePathNumber(incorporationDate), ruleSet)
+        : null;
+
+    const conflicts = [];
+    const benefits = [];
+    const describe = (check, label) => {
+        if (check.isValid) {
+            benefits.push(`Name value ${reducedValue} suits the ${label} (${check.birthNumber} / ${check.lifePathNumber})`);
+        } else {
+            conflicts.push(`Name value ${reducedValue} conflicts with the ${label} (${check.birthNumber} / ${check.lifePathNumber}); allowed [${check.allowedValues.join(', ')}]`);
+        }
+    };
+    if (ruleSet.forbiddenValues.includes(nameValue)) {
+        conflicts.push(`Name value ${nameValue} is forbidden under "${ruleSet.name}"`);
+    } else {
+        describe(owner, "owner's birth numbers");
+        if (incorporation) describe(incorporation, 'incorporation date');
+    }
+    if (ruleSet.specialAllowedValues.includes(nameValue)) {
+        benefits.push(`Name value ${nameValue} has special permission for businesses`);
+    }
+
+    const isValid = owner.isValid && (!incorporation || incorporation.isValid);
+    return {
+        name,
+        nameValue,
+        reducedValue,
+        words: getBusinessWordValues(name),
+        owner,
+        incorporation,
+        isValid,
+        priority: isValid
+            ? getPriorityTier([reducedValue], new Set(owner.allowedValues))
+            : { priority: 1, label: '❌ INVALID', class: 'priority-invalid' },
+        conflicts,
+        benefits,
+        recommendation: isValid
+            ? `✅ RECOMMENDED: ${nameValue} → ${reducedValue} suits the owner${incorporation ? ' and the incorporation date' : ''}`
+            : `❌ NOT RECOMMENDED: ${nameValue} → ${reducedValue} does not suit the owner${incorporation ? ' and the incorporation date' : ''}`
+    };
+}
+
+/**
+ * Compliant respellings of a business name: at most one word re-spelled, "&"
+ * swapped for "and", and optionally a common suffix added
+ * @param {string} name
+ * @param {string} ownerBirthDate
+ * @param {string} [incorporationDate]
+ * @param {Object} [options]
+ * @param {Object} [options.ruleSet=DEFAULT_BUSINESS_RULE_SET]
+ * @param {number} [options.limit=20]
+ * @returns {{name: string, edits: string[], priority: number, rationale: string, analysis: Object}[]}
+ */
+export function generateBusinessNameSuggestions(name, ownerBirthDate, incorporationDate = '', { ruleSet = DEFAULT_BUSINESS_RULE_SET, limit = 20 } = {}) {
+    const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return [];
+
+    const wordOptions = words.map(word => {
+        const upper = cleanBusinessName(word);
+        if (upper === '&') return [{ word: 'and', edit: '& → and' }];
+        if (upper === 'AND') return [{ word: '&', edit: 'and → &' }];
+        if (!/^[A-Z]+$/.test(upper)) return [];
+        return generateWordVariants(upper).map(v => ({ word: toTitleCase(v.word), edit: `${word}: ${v.edit}` }));
+    });
+
+    const bases = [{ words, edits: [] }];
+    wordOptions.forEach((options, index) => {
+        options.forEach(option => {
+            const edited = [...words];
+            edited[index] = option.word;
+            bases.push({ words: edited, edits: [option.edit] });
+        });
+    });
+
+    const hasSuffix = BUSINESS_SUFFIXES.some(suffix => name.toUpperCase().endsWith(` ${suffix.toUpperCase()}`));
+    const candidates = bases.flatMap(base => [
+        base,
+        ...(hasSuffix ? [] : BUSINESS_SUFFIXES.map(suffix => ({ words: [...base.words, suffix], edits: [...base.edits, `added "${suffix}"`] })))
+    ]);
+
+    const original = cleanBusinessName(name);
+    const seen = new Set();
+    return candidates
+        .filter(candidate => candidate.edits.length > 0)
+        .map(candidate => {
+            const candidateName = candidate.words.join(' ');
+            const analysis = analyzeBusinessName(candidateName, ownerBirthDate, incorporationDate, ruleSet);
+            return {
+                name: candidateName,
+                edits: candidate.edits,
+                priority: analysis.priority.priority,
+                rationale: `${candidate.edits.join('; ')}. Name value ${analysis.nameValue} → ${analysis.reducedValue}. ${analysis.recommendation}`,
+                analysis,
+                distance: editDistance(original, cleanBusinessName(candidateName))
+            };
+        })
+        .filter(s => s.analysis.isValid && !seen.has(s.name.toUpperCase()) && seen.add(s.name.toUpperCase()))
+        .sort((a, b) =>
+            b.priority - a.priority ||
+            a.edits.length - b.edits.length ||
+            a.distance - b.distance ||
+            a.name.localeCompare(b.name)
+        )
+        .slice(0, limit)
+        .map(({ distance, ...suggestion }) => suggestion);
+}
+
+/**
+ * Markdown report for the confirmed business names
+ * @param {Object} details
+ * @param {string} details.businessName - Name the owner started with
+ * @param {string} details.ownerName
+ * @param {string} details.ownerBirthDate
+ * @param {string} [details.incorporationDate]
+ * @param {Object} details.ruleSet
+ * @param {Object[]} details.confirmedNames - analyzeBusinessName results
+ * @returns {string}
+ */
+export function formatBusinessReportMarkdown({ businessName, ownerName, ownerBirthDate, incorporationDate, ruleSet, confirmedNames }) {
+    const current = analyzeBusinessName(businessName, ownerBirthDate, incorporationDate, ruleSet);
+    const lines = [
+        `# Business Name Report: ${businessName}`,
+        '',
+        `- **Owner:** ${ownerName || '-'} (born ${ownerBirthDate}; Birth Number ${current.owner.birthNumber}, Life Path ${current.owner.lifePathNumber})`,
+        `- **Incorporation date:** ${incorporationDate ? `${incorporationDate} (Day ${current.incorporation.birthNumber}, Destiny ${current.incorporation.lifePathNumber})` : 'Not set'}`,
+        `- **Rules:** ${ruleSet.name} v${ruleSet.version}`,
+        '',
+        '## Current Name',
+        '',
+        `**${businessName}**: ${current.nameValue} → ${current.reducedValue}. ${current.recommendation}`,
+        ...current.conflicts.map(conflict => `- ❌ ${conflict}`),
+        ''
+    ];
+
+    lines.push('## Recommended Names', '');
+    if (confirmedNames.length === 0) {
+        lines.push('No names have been confirmed yet.', '');
+    }
+    confirmedNames.forEach(analysis => {
+        lines.push(
+            `### ${analysis.name}`,
+            '',
+            `- **Tier:** ${analysis.priority.label}`,
+            `- **Name value:** ${analysis.words.map(w => `${w.word}(${w.total})`).join(' + ')} = ${analysis.nameValue} → ${analysis.reducedValue}`,
+            ...analysis.benefits.map(benefit => `- ✅ ${benefit}`),
+            ''
+        );
+    });
+    return lines.join('\n');
+}
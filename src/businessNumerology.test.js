@@ -0,0 +1,108 @@
+import {
+    DEFAULT_BUSINESS_RULE_SET,
+    AMPERSAND_VALUE,
+    cleanBusinessName,
+    calculateBusinessNameValue,
+    analyzeBusinessName,
+    generateBusinessNameSuggestions,
+    formatBusinessReportMarkdown
+} from './businessNumerology';
+import { DEFAULT_RULE_SET, calculateExpressionNumber } from './numerology';
+
+describe('calculateBusinessNameValue', () => {
+    test('counts letters with the Chaldean map like personal names', () => {
+        expect(calculateBusinessNameValue('Ravi Traders')).toBe(calculateExpressionNumber('Ravi Traders'));
+    });
+
+    test('counts digits at face value and & as "and"', () => {
+        expect(calculateBusinessNameValue('7')).toBe(7);
+        expect(calculateBusinessNameValue('24')).toBe(6);
+        expect(calculateBusinessNameValue('&')).toBe(AMPERSAND_VALUE);
+        expect(calculateBusinessNameValue('A & B')).toBe(calculateBusinessNameValue('A and B'));
+    });
+
+    test('ignores punctuation', () => {
+        expect(cleanBusinessName('Acme, Inc.')).toBe('ACME INC');
+    });
+});
+
+describe('analyzeBusinessName', () => {
+    test('allows 51 under the business rules even though personal rules forbid it', () => {
+        // Sunrise Group = 51 -> 6, which the owner's 6 / 3 would not otherwise allow
+        const business = analyzeBusinessName('Sunrise Group', '1990-05-15');
+        expect(business.nameValue).toBe(51);
+        expect(business.isValid).toBe(true);
+        expect(business.conflicts).toEqual([]);
+        expect(business.benefits).toContain('Name value 51 has special permission for businesses');
+
+        const personal = analyzeBusinessName('Sunrise Group', '1990-05-15', '', DEFAULT_RULE_SET);
+        expect(personal.isValid).toBe(false);
+        expect(personal.conflicts).toEqual(['Name value 51 is forbidden under "Updated Chaldean Rules"']);
+    });
+
+    test('is valid only when the name suits both the owner and the incorporation date', () => {
+        const ownerOnly = analyzeBusinessName('Sunrise Group', '1990-01-01');
+        expect(ownerOnly.incorporation).toBeNull();
+
+        const withIncorporation = analyzeBusinessName('Sunrise Group', '1990-01-01', '2008-08-08');
+        expect(withIncorporation.incorporation.birthNumber).toBe(8);
+        expect(withIncorporation.isValid).toBe(ownerOnly.isValid && withIncorporation.incorporation.isValid);
+    });
+
+    test('lists a conflict for every failed check', () => {
+        // Moon Works = 43 -> 7, allowed for neither the owner nor the incorporation date
+        const analysis = analyzeBusinessName('Moon Works', '1990-05-15', '2008-08-08');
+        expect(analysis.isValid).toBe(false);
+        expect(analysis.conflicts).toEqual([
+            "Name value 7 conflicts with the owner's birth numbers (6 / 3); allowed [1, 3, 5]",
+            'Name value 7 conflicts with the incorporation date (8 / 8); allowed [5, 6]'
+        ]);
+
+        // Omega Group = 46 -> 1 suits the owner but not the incorporation date
+        expect(analyzeBusinessName('Omega Group', '1990-05-15', '2008-08-08').conflicts).toEqual([
+            'Name value 1 conflicts with the incorporation date (8 / 8); allowed [5, 6]'
+        ]);
+    });
+});
+
+describe('generateBusinessNameSuggestions', () => {
+    test('returns only compliant names that differ from the original', () => {
+        const suggestions = generateBusinessNameSuggestions('Sunrise Traders', '1990-05-15', '2015-03-10');
+        expect(suggestions.length).toBeGreaterThan(0);
+        suggestions.forEach(s => {
+            expect(s.analysis.isValid).toBe(true);
+            expect(s.name).not.toBe('Sunrise Traders');
+            expect(s.edits.length).toBeGreaterThan(0);
+        });
+    });
+
+    test('offers "and" for "&"', () => {
+        const suggestions = generateBusinessNameSuggestions('Ravi & Sons', '1990-05-15', '', { limit: 500 });
+        const swapped = suggestions.filter(s => s.edits.includes('& → and'));
+        expect(swapped.length).toBeGreaterThan(0);
+        swapped.forEach(s => expect(s.name).toMatch(/ and /));
+    });
+
+    test('returns nothing for an empty name', () => {
+        expect(generateBusinessNameSuggestions('', '1990-05-15')).toEqual([]);
+    });
+});
+
+describe('formatBusinessReportMarkdown', () => {
+    test('includes the owner, incorporation date, rules and confirmed names', () => {
+        const confirmed = analyzeBusinessName('Sunrise Labs', '1990-05-15', '2015-03-10');
+        const markdown = formatBusinessReportMarkdown({
+            businessName: 'Sunrise',
+            ownerName: 'Ravi Kumar',
+            ownerBirthDate: '1990-05-15',
+            incorporationDate: '2015-03-10',
+            ruleSet: DEFAULT_BUSINESS_RULE_SET,
+            confirmedNames: [confirmed]
+        });
+        expect(markdown).toContain('# Business Name Report: Sunrise');
+        expect(markdown).toContain('Ravi Kumar');
+        expect(markdown).toContain('2015-03-10');
+        expect(markdown).toContain('Business Chaldean Rules v1');
+        expect(markdown).toContain('### Sunrise Labs');
+    });
+});
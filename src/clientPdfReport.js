@@ -0,0 +1,221 @@
+// Name_Corrector/frontend/src/clientPdfReport.js
+// Browser-built PDF report laid out by a report template (sections and branding),
+// used when /generate_pdf_report is unavailable or the browser renderer is chosen.
+import {
+    DEFAULT_RULE_SET,
+    analyzeName,
+    calculateBirthNumber,
+    calculateLifePathNumber,
+    calculateExpressionNumber,
+    calculateSingleDigit,
+    getAllowedValues
+} from './numerology';
+import { DEFAULT_NAME_ORDER } from './nameParts';
+import { buildLoShuView } from './loShu';
+import { getNameBreakdown, formatBreakdownMarkdown } from './nameBreakdown';
+import { buildForecastPayload, formatForecastMarkdown, getTodayIsoDate } from './forecast';
+import { DEFAULT_REPORT_TEMPLATE, getEnabledSections, normalizeTemplate } from './reportTemplates';
+import { createPdfDocument, wrapText, dataUrlToBytes, getJpegSize, PAGE_WIDTH, PAGE_HEIGHT } from './pdfWriter';
+
+export const PDF_SOURCES = [
+    { id: 'auto', label: 'Backend, browser if unavailable' },
+    { id: 'backend', label: 'Backend only' },
+    { id: 'browser', label: 'Browser only' }
+];
+
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const FOOTER_TOP = PAGE_HEIGHT - 30;
+
+// Top-down writer that wraps text and starts a new page when the current one fills
+function createLayout(doc, branding) {
+    let top = 0;
+
+    const startPage = () => {
+        doc.addPage();
+        doc.rect(0, 0, PAGE_WIDTH, 8, { fill: branding.primaryColor });
+        const footer = [branding.footerText, `${branding.consultantName} · Page ${doc.pageCount()}`].filter(Boolean).join(' · ');
+        doc.text(footer, MARGIN, FOOTER_TOP, { size: 8, color: '#64748b' });
+        top = MARGIN;
+    };
+
+    const ensureSpace = (height) => {
+        if (top + height > FOOTER_TOP - 20) startPage();
+    };
+
+    return {
+        startPage,
+        ensureSpace,
+        get top() {
+            return top;
+        },
+        skip(height) {
+            top += height;
+        },
+        heading(text, size = 14) {
+            ensureSpace(size + 24);
+            top += 10 + size;
+            doc.text(text, MARGIN, top, { size, bold: true, color: branding.primaryColor });
+            top += 4;
+            doc.line(MARGIN, top, MARGIN + CONTENT_WIDTH, top, { color: branding.accentColor });
+            top += 8;
+        },
+        paragraph(text, { size = 10, bold = false, color, indent = 0 } = {}) {
+            const lineHeight = size * 1.4;
+            wrapText(text, CONTENT_WIDTH - indent, size, bold).forEach(line => {
+                ensureSpace(lineHeight);
+                top += lineHeight;
+                doc.text(line, MARGIN + indent, top, { size, bold, color });
+            });
+        },
+        field(label, value) {
+            this.paragraph(`${label}: ${value}`);
+        },
+        // Headings, bullets and bold markers of our own markdown sections, as plain text
+        markdown(text) {
+            text.split('\n').forEach(line => {
+                const plain = line.replace(/\*\*/g, '');
+                if (!plain.trim()) return;
+                if (plain.startsWith('#')) {
+                    this.paragraph(plain.replace(/^#+\s*/, ''), { size: 11, bold: true, color: branding.accentColor });
+                } else {
+                    this.paragraph(plain, { indent: plain.startsWith('- ') ? 10 : 0 });
+                }
+            });
+        }
+    };
+}
+
+function drawLoShuGrid(doc, layout, view, branding) {
+    const cell = 42;
+    layout.ensureSpace(cell * 3 + 20);
+    const gridTop = layout.top + 6;
+    view.cells.forEach((row, rowIdx) => {
+        row.forEach((gridCell, colIdx) => {
+            const x = MARGIN + colIdx * cell;
+            const y = gridTop + rowIdx * cell;
+            const isEmpty = gridCell.birthCount + gridCell.nameCount === 0;
+            doc.rect(x, y, cell, cell, { fill: isEmpty ? '#f1f5f9' : '#ffffff', stroke: '#94a3b8' });
+            const digits = `${String(gridCell.number).repeat(gridCell.birthCount)}${String(gridCell.number).repeat(gridCell.nameCount)}`;
+            doc.text(digits || String(gridCell.number), x + 6, y + cell / 2 + 4, {
+                size: 11,
+                bold: !isEmpty,
+                color: isEmpty ? '#94a3b8' : gridCell.nameCount ? branding.accentColor : '#0f172a'
+            });
+        });
+    });
+
+    const notesX = MARGIN + cell * 3 + 20;
+    const planes = view.planes.filter(plane => plane.status !== 'partial');
+    [`Missing numbers: ${view.missingNumbers.join(', ') || 'None'}`, ...planes.map(plane => `${plane.name} (${plane.numbers.join('-')}): ${plane.status}`)]
+        .slice(0, 9)
+        .forEach((note, idx) => doc.text(note, notesX, gridTop + 12 + idx * 13, { size: 9, color: '#334155' }));
+    layout.skip(cell * 3 + 16);
+}
+
+// Logo and practice name in a band across the top of the first page
+function drawCoverBand(doc, layout, branding, clientName) {
+    const bandHeight = 70;
+    doc.rect(MARGIN, layout.top, CONTENT_WIDTH, bandHeight, { fill: branding.primaryColor });
+    let textX = MARGIN + 16;
+    if (branding.logoDataUrl) {
+        const bytes = dataUrlToBytes(branding.logoDataUrl);
+        const size = getJpegSize(bytes);
+        if (size) {
+            const logoHeight = bandHeight - 16;
+            const logoWidth = Math.min((size.width / size.height) * logoHeight, 120);
+            if (doc.image(bytes, MARGIN + 8, layout.top + 8, logoWidth, logoHeight)) textX += logoWidth + 4;
+        }
+    }
+    doc.text(branding.consultantName, textX, layout.top + 28, { size: 20, bold: true, color: '#ffffff' });
+    doc.text(`Numerology Report for ${clientName}`, textX, layout.top + 50, { size: 12, color: '#fde68a' });
+    layout.skip(bandHeight + 10);
+}
+
+/**
+ * Build the client report PDF
+ * @param {Object} details
+ * @param {Object} details.clientProfile - full_name, birth_date, birth_time, birth_place and backend numbers
+ * @param {Object[]} details.confirmedSuggestions - name, rationale, name_parts
+ * @param {Object} [details.ruleSet=DEFAULT_RULE_SET]
+ * @param {string|Object[]} [details.nameOrder=DEFAULT_NAME_ORDER]
+ * @param {Object} [details.template=DEFAULT_REPORT_TEMPLATE] - Sections, their order and branding
+ * @param {Date} [details.generatedAt=new Date()]
+ * @returns {Uint8Array}
+ */
+export function buildClientPdfReport({
+    clientProfile,
+    confirmedSuggestions,
+    ruleSet = DEFAULT_RULE_SET,
+    nameOrder = DEFAULT_NAME_ORDER,
+    template = DEFAULT_REPORT_TEMPLATE,
+    generatedAt = new Date()
+}) {
+    const { branding } = normalizeTemplate(template);
+    const doc = createPdfDocument({ title: `Numerology Report - ${clientProfile.full_name}`, author: branding.consultantName });
+    const layout = createLayout(doc, branding);
+    const birthDate = clientProfile.birth_date;
+    const birthNumber = calculateBirthNumber(birthDate);
+    const lifePathNumber = calculateLifePathNumber(birthDate);
+    const expressionNumber = calculateExpressionNumber(clientProfile.full_name || '');
+
+    layout.startPage();
+    drawCoverBand(doc, layout, branding, clientProfile.full_name);
+    layout.paragraph(`Generated ${generatedAt.toLocaleDateString()} · ${ruleSet.name} v${ruleSet.version}`, { size: 9, color: '#64748b' });
+
+    layout.heading('Client Details');
+    layout.field('Full name', clientProfile.full_name);
+    layout.field('Birth date', birthDate);
+    if (clientProfile.birth_time) layout.field('Birth time', clientProfile.birth_time);
+    if (clientProfile.birth_place) layout.field('Birth place', clientProfile.birth_place);
+
+    const renderers = {
+        'core-numbers': () => {
+            layout.heading('Profile Numbers');
+            layout.field('Birth Number', birthNumber);
+            layout.field('Life Path Number', lifePathNumber);
+            layout.field('Expression Number', `${expressionNumber} -> ${calculateSingleDigit(expressionNumber, false)}`);
+            if (clientProfile.soul_urge_number !== undefined) layout.field('Soul Urge Number', clientProfile.soul_urge_number);
+            if (clientProfile.personality_number !== undefined) layout.field('Personality Number', clientProfile.personality_number);
+            layout.field('Allowed values for names', `[${Array.from(getAllowedValues(birthNumber, lifePathNumber, ruleSet)).sort().join(', ')}]`);
+        },
+        'lo-shu': () => {
+            layout.heading('Lo Shu Grid');
+            drawLoShuGrid(doc, layout, buildLoShuView(birthDate, expressionNumber), branding);
+        },
+        names: () => {
+            layout.heading(`Recommended Names (${confirmedSuggestions.length})`);
+            confirmedSuggestions.forEach(cs => {
+                const analysis = analyzeName(cs.name, birthDate, ruleSet, cs.name_parts || nameOrder);
+                layout.ensureSpace(80);
+                layout.paragraph(cs.name, { size: 13, bold: true, color: branding.accentColor });
+                layout.paragraph(
+                    `First Name Value ${analysis.firstNameValue} -> ${calculateSingleDigit(analysis.firstNameValue, false)} · ` +
+                    `Expression ${analysis.expressionNumber} -> ${calculateSingleDigit(analysis.expressionNumber, false)} · ` +
+                    `${analysis.compatibilityAnalysis.priority.label}`,
+                    { indent: 10 }
+                );
+                layout.paragraph(
+                    analysis.loShuImpact.fillsMissing
+                        ? `Adds ${analysis.loShuImpact.addedDigit} to the Lo Shu grid, filling a missing number.`
+                        : `Adds ${analysis.loShuImpact.addedDigit} to the Lo Shu grid.`,
+                    { indent: 10, color: '#334155' }
+                );
+                if (cs.rationale) layout.paragraph(cs.rationale, { indent: 10, color: '#334155' });
+                layout.skip(8);
+            });
+        },
+        breakdowns: () => {
+            layout.heading('Calculation Breakdown');
+            confirmedSuggestions.forEach(cs => layout.markdown(formatBreakdownMarkdown(getNameBreakdown(cs.name, cs.name_parts || nameOrder))));
+        },
+        forecast: () => {
+            layout.heading('Timing Forecast');
+            const forecastMarkdown = formatForecastMarkdown(buildForecastPayload(birthDate, getTodayIsoDate(), { ruleSet }));
+            layout.markdown(forecastMarkdown.split('\n').slice(1).join('\n'));
+        }
+    };
+    getEnabledSections(template).forEach(sectionId => renderers[sectionId]());
+
+    return doc.toBytes();
+}
@@ -0,0 +1,65 @@
+import { buildClientPdfReport } from './clientPdfReport';
+import { DEFAULT_REPORT_TEMPLATE, createTemplate } from './reportTemplates';
+
+const asText = (bytes) => String.fromCharCode(...bytes);
+
+const clientProfile = {
+    full_name: 'Ravi Kumar',
+    birth_date: '1990-05-15',
+    birth_time: '',
+    birth_place: 'Chennai'
+};
+
+describe('buildClientPdfReport', () => {
+    test('includes profile numbers, the Lo Shu grid and every confirmed name', () => {
+        const pdf = asText(buildClientPdfReport({
+            clientProfile,
+            confirmedSuggestions: [
+                { name: 'Raavi Kumar', rationale: 'Balances the birth number.' },
+                { name: 'Ravi Kummar', rationale: '' }
+            ]
+        }));
+        expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+        expect(pdf).toContain('Numerology Report for Ravi Kumar');
+        expect(pdf).toContain('(Birth place: Chennai)');
+        expect(pdf).toContain('(Life Path Number: ');
+        expect(pdf).toContain('Lo Shu Grid');
+        expect(pdf).toContain('(Raavi Kumar)');
+        expect(pdf).toContain('(Ravi Kummar)');
+        expect(pdf).toContain('Balances the birth number.');
+    });
+
+    test('adds pages when there are many names', () => {
+        const confirmedSuggestions = Array.from({ length: 30 }, (_, i) => ({
+            name: `Name ${i}`,
+            rationale: 'A long rationale that explains why this name suits the client. '.repeat(3)
+        }));
+        const pdf = asText(buildClientPdfReport({ clientProfile, confirmedSuggestions }));
+        expect(Number(pdf.match(/\/Count (\d+)/)[1])).toBeGreaterThan(1);
+    });
+
+    test('follows the template sections, order and branding', () => {
+        const template = {
+            ...createTemplate(DEFAULT_REPORT_TEMPLATE, 'Branded'),
+            sections: [
+                { id: 'names', enabled: true },
+                { id: 'core-numbers', enabled: true },
+                { id: 'lo-shu', enabled: false },
+                { id: 'breakdowns', enabled: false },
+                { id: 'forecast', enabled: false }
+            ],
+            branding: { ...DEFAULT_REPORT_TEMPLATE.branding, consultantName: 'Asha Numerology', footerText: 'asha.example' }
+        };
+        const pdf = asText(buildClientPdfReport({
+            clientProfile,
+            confirmedSuggestions: [{ name: 'Raavi Kumar', rationale: '' }],
+            template
+        }));
+        expect(pdf).toContain('(Asha Numerology)');
+        expect(pdf).toContain('asha.example');
+        expect(pdf).not.toContain("Sheelaa's");
+        expect(pdf).not.toContain('Lo Shu Grid');
+        expect(pdf).not.toContain('Timing Forecast');
+        expect(pdf.indexOf('Recommended Names')).toBeLessThan(pdf.indexOf('Profile Numbers'));
+    });
+});
@@ -0,0 +1,132 @@
+// Name_Corrector/frontend/src/clientStore.js
+// IndexedDB persistence for client sessions so work survives a refresh.
+const DB_NAME = 'numerology-portal';
+const DB_VERSION = 1;
+const CLIENT_STORE = 'clients';
+
+let databasePromise = null;
+
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(CLIENT_STORE)) {
+                    const store = db.createObjectStore(CLIENT_STORE, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later retry if opening failed
+        databasePromise.catch(() => { databasePromise = null; });
+    }
+    return databasePromise;
+}
+
+async function runTransaction(mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(CLIENT_STORE, mode);
+        const request = operation(transaction.objectStore(CLIENT_STORE));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Build a client record from the current session state
+ * @param {Object} session
+ * @param {string} [id] - Existing record id to overwrite
+ * @returns {Object}
+ */
+export function createClientRecord(session, id = null) {
+    const now = new Date().toISOString();
+    return {
+        id: id || `client-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        createdAt: session.createdAt || now,
+        updatedAt: now,
+        fullName: session.fullName || '',
+        birthDate: session.birthDate || '',
+        birthTime: session.birthTime || '',
+        birthPlace: session.birthPlace || '',
+        clientProfile: session.clientProfile || null,
+        suggestions: session.suggestions || [],
+        editableSuggestions: session.editableSuggestions || [],
+        confirmedSuggestions: session.confirmedSuggestions || [],
+        ruleSetId: session.ruleSetId || null,
+        nameOrder: session.nameOrder || null,
+        notes: session.notes || '',
+        business: session.business || null
+    };
+}
+
+/**
+ * Copy a client record under a new id
+ * @param {Object} record
+ * @returns {Object}
+ */
+export function duplicateClientRecord(record) {
+    const copy = createClientRecord({ ...JSON.parse(JSON.stringify(record)), createdAt: null });
+    copy.fullName = `${record.fullName} (copy)`;
+    return copy;
+}
+
+/**
+ * Filter client records by name, birth date, birth place or confirmed personal and business names
+ * @param {Object[]} clients
+ * @param {string} query
+ * @returns {Object[]}
+ */
+export function searchClients(clients, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return clients;
+    return clients.filter(client => [
+        client.fullName,
+        client.birthDate,
+        client.birthPlace,
+        ...client.confirmedSuggestions.map(cs => cs.name),
+        ...(client.business?.confirmedNames || [])
+    ].some(field => (field || '').toLowerCase().includes(needle)));
+}
+
+/**
+ * @returns {Promise<Object[]>} All client records, most recently updated first
+ */
+export async function listClients() {
+    const clients = await runTransaction('readonly', store => store.getAll());
+    return (clients || []).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getClient(id) {
+    return runTransaction('readonly', store => store.get(id));
+}
+
+/**
+ * Insert or replace a client record
+ * @param {Object} record
+ * @returns {Promise<Object>} The saved record
+ */
+export async function saveClient(record) {
+    await runTransaction('readwrite', store => store.put(record));
+    return record;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteClient(id) {
+    await runTransaction('readwrite', store => store.delete(id));
+}
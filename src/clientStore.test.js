@@ -0,0 +1,55 @@
+import { createClientRecord, duplicateClientRecord, searchClients } from './clientStore';
+
+const session = {
+    fullName: 'Anna Smith',
+    birthDate: '1990-05-17',
+    birthPlace: 'Chennai, India',
+    confirmedSuggestions: [{ name: 'Annah Smith', expression_number: 34 }],
+    editableSuggestions: [{ id: 0, currentName: 'Annah Smith', isEdited: true }]
+};
+
+describe('createClientRecord', () => {
+    test('fills defaults and generates an id', () => {
+        const record = createClientRecord(session);
+        expect(record.id).toMatch(/^client-/);
+        expect(record.createdAt).toBe(record.updatedAt);
+        expect(record).toMatchObject({ fullName: 'Anna Smith', birthTime: '', clientProfile: null, suggestions: [], notes: '', business: null });
+        expect(record.editableSuggestions).toEqual(session.editableSuggestions);
+    });
+
+    test('keeps the id and creation date when re-saving', () => {
+        const record = createClientRecord({ ...session, createdAt: '2024-01-01T00:00:00.000Z' }, 'client-1');
+        expect(record.id).toBe('client-1');
+        expect(record.createdAt).toBe('2024-01-01T00:00:00.000Z');
+    });
+});
+
+describe('duplicateClientRecord', () => {
+    test('copies deeply under a new id and name', () => {
+        const original = createClientRecord(session, 'client-1');
+        const copy = duplicateClientRecord(original);
+        expect(copy.id).not.toBe('client-1');
+        expect(copy.fullName).toBe('Anna Smith (copy)');
+        copy.confirmedSuggestions.push({ name: 'Other' });
+        expect(original.confirmedSuggestions).toHaveLength(1);
+    });
+});
+
+describe('searchClients', () => {
+    const clients = [
+        createClientRecord(session, 'a'),
+        createClientRecord({ fullName: 'Ravi Kumar', birthDate: '1985-03-03', business: { businessName: 'Sunrise', confirmedNames: ['Sunrise Group'] } }, 'b')
+    ];
+
+    test('matches name, birth date, place and confirmed personal or business names case-insensitively', () => {
+        expect(searchClients(clients, 'ravi').map(c => c.id)).toEqual(['b']);
+        expect(searchClients(clients, '1990').map(c => c.id)).toEqual(['a']);
+        expect(searchClients(clients, 'chennai').map(c => c.id)).toEqual(['a']);
+        expect(searchClients(clients, 'ANNAH').map(c => c.id)).toEqual(['a']);
+        expect(searchClients(clients, 'sunrise group').map(c => c.id)).toEqual(['b']);
+    });
+
+    test('returns everything for a blank query', () => {
+        expect(searchClients(clients, '  ')).toBe(clients);
+    });
+});
@@ -0,0 +1,88 @@
+// Name_Corrector/frontend/src/comparisonColumns.js
+// Column definitions and helpers for the side-by-side name comparison table.
+import { calculateSingleDigit } from './numerology';
+
+// sortValue drives ordering, display is what the cell shows and what differences are judged on
+export const COMPARISON_COLUMNS = [
+    {
+        key: 'name',
+        label: 'Name',
+        sortValue: a => a.name.toUpperCase(),
+        display: a => a.name
+    },
+    {
+        key: 'firstNameValue',
+        label: 'FNV',
+        sortValue: a => a.firstNameValue,
+        display: a => `${a.firstNameValue} → ${calculateSingleDigit(a.firstNameValue, false)}`
+    },
+    {
+        key: 'expressionNumber',
+        label: 'CMV',
+        sortValue: a => a.expressionNumber,
+        display: a => `${a.expressionNumber} → ${calculateSingleDigit(a.expressionNumber, false)}`
+    },
+    {
+        key: 'soulUrgeNumber',
+        label: 'Soul Urge',
+        sortValue: a => a.soulUrgeNumber,
+        display: a => String(a.soulUrgeNumber)
+    },
+    {
+        key: 'personalityNumber',
+        label: 'Personality',
+        sortValue: a => a.personalityNumber,
+        display: a => String(a.personalityNumber)
+    },
+    {
+        key: 'karmicDebtPresent',
+        label: 'Karmic Debt',
+        sortValue: a => (a.karmicDebtPresent ? 1 : 0),
+        display: a => (a.karmicDebtPresent ? '⚠️ Yes' : '✅ No')
+    },
+    {
+        key: 'loShuImpact',
+        label: 'Lo Shu Impact',
+        // Filling a missing number first, then fewest numbers still missing
+        sortValue: a => (a.loShuImpact.fillsMissing ? 0 : 10) + a.loShuImpact.missingAfter.length,
+        display: a => `+${a.loShuImpact.addedDigit}${a.loShuImpact.fillsMissing ? ' (fills missing)' : ''}`
+    },
+    {
+        key: 'priority',
+        label: 'Priority',
+        sortValue: a => a.compatibilityAnalysis.priority.priority,
+        display: a => a.compatibilityAnalysis.priority.label
+    }
+];
+
+/**
+ * Sort analysed names by a comparison column
+ * @param {Object[]} analyses - Results of analyzeName
+ * @param {string} key - Column key
+ * @param {'asc'|'desc'} direction
+ * @returns {Object[]} New sorted array
+ */
+export function sortComparisonRows(analyses, key, direction = 'asc') {
+    const column = COMPARISON_COLUMNS.find(c => c.key === key);
+    if (!column) return [...analyses];
+    const factor = direction === 'desc' ? -1 : 1;
+    return [...analyses].sort((a, b) => {
+        const left = column.sortValue(a);
+        const right = column.sortValue(b);
+        if (left < right) return -factor;
+        if (left > right) return factor;
+        return 0;
+    });
+}
+
+/**
+ * Keys of the columns whose displayed value is not the same for every row
+ * @param {Object[]} analyses
+ * @returns {Set<string>}
+ */
+export function getDifferingColumns(analyses) {
+    return new Set(COMPARISON_COLUMNS
+        .filter(column => column.key !== 'name')
+        .filter(column => new Set(analyses.map(column.display)).size > 1)
+        .map(column => column.key));
+}
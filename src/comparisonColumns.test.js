@@ -0,0 +1,41 @@
+import { analyzeName } from './numerology';
+import { COMPARISON_COLUMNS, sortComparisonRows, getDifferingColumns } from './comparisonColumns';
+
+const birthDate = '1990-05-17';
+const rows = ['Anna Smith', 'Lune', 'Mob'].map(name => analyzeName(name, birthDate));
+const column = key => COMPARISON_COLUMNS.find(c => c.key === key);
+
+describe('COMPARISON_COLUMNS', () => {
+    test('display raw and reduced name values', () => {
+        expect(column('expressionNumber').display(rows[0])).toBe('29 → 2');
+        expect(column('karmicDebtPresent').display(rows[2])).toBe('⚠️ Yes');
+    });
+
+    test('show the digit a name adds to the Lo Shu grid', () => {
+        // Lune = 19 -> 1, already present in 1990-05-17; Mob = 13 -> 4, missing
+        expect(column('loShuImpact').display(rows[1])).toBe('+1');
+        expect(column('loShuImpact').display(rows[2])).toBe('+4 (fills missing)');
+    });
+});
+
+describe('sortComparisonRows', () => {
+    test('sorts by any column in either direction without mutating', () => {
+        expect(sortComparisonRows(rows, 'expressionNumber', 'asc').map(r => r.name)).toEqual(['Mob', 'Lune', 'Anna Smith']);
+        expect(sortComparisonRows(rows, 'name', 'desc').map(r => r.name)).toEqual(['Mob', 'Lune', 'Anna Smith']);
+        expect(rows.map(r => r.name)).toEqual(['Anna Smith', 'Lune', 'Mob']);
+    });
+
+    test('puts names that fill a missing Lo Shu number first', () => {
+        // Anna Smith (+2) and Mob (+4) both fill a gap, Lune (+1) does not
+        expect(sortComparisonRows(rows, 'loShuImpact', 'asc').map(r => r.name)).toEqual(['Anna Smith', 'Mob', 'Lune']);
+    });
+});
+
+describe('getDifferingColumns', () => {
+    test('lists columns whose values are not all equal', () => {
+        const differing = getDifferingColumns([analyzeName('Lune', birthDate), analyzeName('Luna', birthDate)]);
+        expect(differing.has('name')).toBe(false);
+        expect(differing.has('soulUrgeNumber')).toBe(true);
+        expect(getDifferingColumns([rows[0], rows[0]]).size).toBe(0);
+    });
+});
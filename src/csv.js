@@ -0,0 +1,77 @@
+// Name_Corrector/frontend/src/csv.js
+// Minimal RFC 4180 CSV reading and writing for imports and exports.
+
+/**
+ * Parse CSV text into rows of fields. Handles quoted fields, escaped quotes
+ * and CRLF line endings; blank lines are skipped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endField = () => {
+        row.push(field);
+        field = '';
+    };
+    const endRow = () => {
+        endField();
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n') {
+            endRow();
+        } else if (char !== '\r') {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+}
+
+/**
+ * Quote a value for CSV output when it contains a delimiter, quote or newline.
+ * Text that a spreadsheet would run as a formula is prefixed with an apostrophe.
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeCsvValue(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise objects to CSV using the given columns
+ * @param {Object[]} records
+ * @param {{header: string, value: function(Object): *}[]} columns
+ * @returns {string}
+ */
+export function toCsv(records, columns) {
+    const lines = [columns.map(c => escapeCsvValue(c.header)).join(',')];
+    records.forEach(record => {
+        lines.push(columns.map(c => escapeCsvValue(c.value(record))).join(','));
+    });
+    return lines.join('\r\n');
+}
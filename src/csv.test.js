@@ -0,0 +1,39 @@
+import { parseCsv, escapeCsvValue, toCsv } from './csv';
+
+describe('parseCsv', () => {
+    test('splits rows and fields', () => {
+        expect(parseCsv('a,b\nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    test('handles quoted fields, escaped quotes and CRLF', () => {
+        expect(parseCsv('"Smith, Alex","He said ""hi"""\r\nB,C\r\n')).toEqual([
+            ['Smith, Alex', 'He said "hi"'],
+            ['B', 'C']
+        ]);
+    });
+
+    test('skips blank lines', () => {
+        expect(parseCsv('a\n\n  \nb\n')).toEqual([['a'], ['b']]);
+    });
+});
+
+describe('toCsv', () => {
+    test('escapes values that need quoting', () => {
+        expect(escapeCsvValue('plain')).toBe('plain');
+        expect(escapeCsvValue('a,b')).toBe('"a,b"');
+        expect(escapeCsvValue(null)).toBe('');
+    });
+
+    test('neutralises text that would run as a spreadsheet formula', () => {
+        expect(escapeCsvValue('=HYPERLINK("http://x")')).toBe('"\'=HYPERLINK(""http://x"")"');
+        expect(['+1', '-2+3', '@SUM(A1)'].map(escapeCsvValue)).toEqual(["'+1", "'-2+3", "'@SUM(A1)"]);
+        expect(escapeCsvValue(-5)).toBe('-5');
+        expect(escapeCsvValue('Anna-Marie')).toBe('Anna-Marie');
+    });
+
+    test('round-trips through parseCsv', () => {
+        const records = [{ name: 'Smith, Alex', n: 5 }];
+        const csv = toCsv(records, [{ header: 'Name', value: r => r.name }, { header: 'N', value: r => r.n }]);
+        expect(parseCsv(csv)).toEqual([['Name', 'N'], ['Smith, Alex', '5']]);
+    });
+});
@@ -0,0 +1,28 @@
+// Name_Corrector/frontend/src/download.js
+// Browser file downloads for reports and exports.
+
+/**
+ * Save a Blob through a temporary link
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', filename);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+}
+
+/**
+ * Save text content as a file
+ * @param {string} content
+ * @param {string} filename
+ * @param {string} [mimeType='text/plain']
+ */
+export function downloadTextFile(content, filename, mimeType = 'text/plain') {
+    downloadBlob(new Blob([content], { type: `${mimeType};charset=utf-8` }), filename);
+}
@@ -0,0 +1,248 @@
+// Name_Corrector/frontend/src/forecast.js
+// Personal year, month and day cycles, and the dates that suit adopting a new name.
+import { calculateSingleDigit, getAllowedValues, calculateBirthNumber, calculateLifePathNumber, DEFAULT_RULE_SET } from './numerology';
+
+export const PERSONAL_YEAR_THEMES = {
+    1: 'New beginnings, independence and fresh starts',
+    2: 'Partnerships, patience and cooperation',
+    3: 'Creativity, self-expression and social growth',
+    4: 'Hard work, structure and building foundations',
+    5: 'Change, freedom and travel',
+    6: 'Family, responsibility and harmony',
+    7: 'Reflection, study and spiritual growth',
+    8: 'Ambition, authority and financial reward',
+    9: 'Completion, release and humanitarian focus'
+};
+
+// Personal days traditionally avoided for signing and announcing in Chaldean practice
+export const DIFFICULT_DAY_NUMBERS = [4, 8];
+
+export const DAY_LEVELS = [
+    { id: 'excellent', min: 3, label: 'Excellent' },
+    { id: 'good', min: 2, label: 'Good' },
+    { id: 'neutral', min: 0, label: 'Neutral' },
+    { id: 'avoid', min: -Infinity, label: 'Avoid' }
+];
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const digitSum = (number) => String(number).split('').reduce((sum, digit) => sum + Number(digit), 0);
+
+function parseIsoDate(dateStr) {
+    const [year, month, day] = String(dateStr || '').split('-').map(Number);
+    return { year, month, day };
+}
+
+/**
+ * YYYY-MM-DD for a Date, read in UTC so the calendar never shifts with the time zone
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toIsoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Today's date in the user's own time zone, as YYYY-MM-DD
+ * @returns {string}
+ */
+export function getTodayIsoDate() {
+    const now = new Date();
+    return toIsoDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+}
+
+/**
+ * Personal year: birth month + birth day + the calendar year, reduced
+ * @param {string} birthDateStr - Date in YYYY-MM-DD format
+ * @param {number} year - Calendar year
+ * @returns {number} 1-9, or 0 for an invalid birth date
+ */
+export function calculatePersonalYear(birthDateStr, year) {
+    const { month, day } = parseIsoDate(birthDateStr);
+    if (!month || !day || !year) return 0;
+    return calculateSingleDigit(digitSum(month) + digitSum(day) + digitSum(year), false);
+}
+
+/**
+ * Personal month: personal year + the calendar month, reduced
+ * @param {string} birthDateStr
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @returns {number}
+ */
+export function calculatePersonalMonth(birthDateStr, year, month) {
+    const personalYear = calculatePersonalYear(birthDateStr, year);
+    if (!personalYear || !month) return 0;
+    return calculateSingleDigit(personalYear + digitSum(month), false);
+}
+
+/**
+ * Personal day: personal month + the calendar day, reduced
+ * @param {string} birthDateStr
+ * @param {string} dateStr - Calendar date in YYYY-MM-DD format
+ * @returns {number}
+ */
+export function calculatePersonalDay(birthDateStr, dateStr) {
+    const { year, month, day } = parseIsoDate(dateStr);
+    const personalMonth = calculatePersonalMonth(birthDateStr, year, month);
+    if (!personalMonth || !day) return 0;
+    return calculateSingleDigit(personalMonth + digitSum(day), false);
+}
+
+/**
+ * Level for a day score, highest first
+ * @param {number} score
+ * @returns {{id: string, min: number, label: string}}
+ */
+export function getDayLevel(score) {
+    return DAY_LEVELS.find(level => score >= level.min);
+}
+
+/**
+ * How well a date suits signing documents or announcing a name change.
+ * A personal day the client's numbers allow scores 2, a calendar day that reduces
+ * to an allowed number scores 1, and matching the new name's number scores 1;
+ * difficult personal days always rate "avoid".
+ * @param {string} birthDateStr
+ * @param {string} dateStr
+ * @param {Object} [options]
+ * @param {Object} [options.ruleSet=DEFAULT_RULE_SET]
+ * @param {number|null} [options.nameNumber=null] - Reduced expression of the new name
+ * @returns {{date: string, personalYear: number, personalMonth: number, personalDay: number, dayNumber: number, score: number, level: Object, reasons: string[]}}
+ */
+export function rateDate(birthDateStr, dateStr, { ruleSet = DEFAULT_RULE_SET, nameNumber = null } = {}) {
+    const { year, month, day } = parseIsoDate(dateStr);
+    const allowed = getAllowedValues(calculateBirthNumber(birthDateStr), calculateLifePathNumber(birthDateStr), ruleSet);
+    const personalDay = calculatePersonalDay(birthDateStr, dateStr);
+    const dayNumber = calculateSingleDigit(day, false);
+
+    const reasons = [];
+    let score = 0;
+    if (DIFFICULT_DAY_NUMBERS.includes(personalDay)) {
+        reasons.push(`Personal day ${personalDay} is traditionally avoided for new beginnings`);
+        score = -1;
+    } else {
+        if (allowed.has(personalDay)) {
+            score += 2;
+            reasons.push(`Personal day ${personalDay} is one of your lucky numbers`);
+        }
+        if (allowed.has(dayNumber)) {
+            score += 1;
+            reasons.push(`Calendar day ${day} reduces to lucky ${dayNumber}`);
+        }
+        if (nameNumber && personalDay === nameNumber) {
+            score += 1;
+            reasons.push(`Personal day matches the new name's number ${nameNumber}`);
+        }
+    }
+
+    return {
+        date: dateStr,
+        personalYear: calculatePersonalYear(birthDateStr, year),
+        personalMonth: calculatePersonalMonth(birthDateStr, year, month),
+        personalDay,
+        dayNumber,
+        score,
+        level: getDayLevel(score),
+        reasons
+    };
+}
+
+/**
+ * One month of rated days laid out in Sunday-first weeks
+ * @param {string} birthDateStr
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {Object} [options] - Passed to rateDate
+ * @returns {{year: number, month: number, personalYear: number, personalMonth: number, weeks: (Object|null)[][]}}
+ */
+export function buildForecastMonth(birthDateStr, year, month, options = {}) {
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+
+    const cells = Array.from({ length: firstWeekday }, () => null);
+    for (let day = 1; day <= daysInMonth; day++) {
+        cells.push(rateDate(birthDateStr, toIsoDate(new Date(Date.UTC(year, month - 1, day))), options));
+    }
+    while (cells.length % 7 !== 0) cells.push(null);
+
+    const weeks = [];
+    for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+    return {
+        year,
+        month,
+        personalYear: calculatePersonalYear(birthDateStr, year),
+        personalMonth: calculatePersonalMonth(birthDateStr, year, month),
+        weeks
+    };
+}
+
+/**
+ * Best dates in a window starting at fromDate, best score first then earliest
+ * @param {string} birthDateStr
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {Object} [options] - rateDate options plus days (window length, default 90) and limit (default 10)
+ * @returns {Object[]} rateDate results
+ */
+export function findAuspiciousDates(birthDateStr, fromDate, { days = 90, limit = 10, ...options } = {}) {
+    const { year, month, day } = parseIsoDate(fromDate);
+    const start = Date.UTC(year, month - 1, day);
+    const rated = [];
+    for (let offset = 0; offset < days; offset++) {
+        const rating = rateDate(birthDateStr, toIsoDate(new Date(start + offset * 86400000)), options);
+        if (rating.level.id === 'excellent' || rating.level.id === 'good') rated.push(rating);
+    }
+    return rated
+        .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+        .slice(0, limit);
+}
+
+/**
+ * Forecast section of the report payload, in the backend's snake_case
+ * @param {string} birthDateStr
+ * @param {string} fromDate - YYYY-MM-DD, usually today
+ * @param {Object} [options] - findAuspiciousDates options
+ * @returns {Object}
+ */
+export function buildForecastPayload(birthDateStr, fromDate, options = {}) {
+    const { year, month } = parseIsoDate(fromDate);
+    const personalYear = calculatePersonalYear(birthDateStr, year);
+    return {
+        from_date: fromDate,
+        personal_year: personalYear,
+        personal_year_theme: PERSONAL_YEAR_THEMES[personalYear] || '',
+        personal_month: calculatePersonalMonth(birthDateStr, year, month),
+        personal_day: calculatePersonalDay(birthDateStr, fromDate),
+        auspicious_dates: findAuspiciousDates(birthDateStr, fromDate, options).map(rating => ({
+            date: rating.date,
+            personal_day: rating.personalDay,
+            rating: rating.level.label,
+            reasons: rating.reasons
+        }))
+    };
+}
+
+/**
+ * Markdown for the forecast section of the report preview
+ * @param {Object} payload - buildForecastPayload result
+ * @returns {string}
+ */
+export function formatForecastMarkdown(payload) {
+    const lines = [
+        '## Timing Forecast',
+        '',
+        `- **Personal year ${payload.personal_year}:** ${payload.personal_year_theme}`,
+        `- **Personal month:** ${payload.personal_month}`,
+        `- **Personal day (${payload.from_date}):** ${payload.personal_day}`,
+        '',
+        '### Auspicious Dates for Adopting the New Name',
+        ''
+    ];
+    if (payload.auspicious_dates.length === 0) {
+        lines.push('No favourable dates fall within the forecast window.');
+    }
+    payload.auspicious_dates.forEach(entry => {
+        lines.push(`- **${entry.date}** (${entry.rating}, personal day ${entry.personal_day}): ${entry.reasons.join('; ')}`);
+    });
+    return lines.join('\n');
+}
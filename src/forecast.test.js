@@ -0,0 +1,86 @@
+import {
+    calculatePersonalYear,
+    calculatePersonalMonth,
+    calculatePersonalDay,
+    rateDate,
+    buildForecastMonth,
+    findAuspiciousDates,
+    buildForecastPayload,
+    formatForecastMarkdown,
+    DIFFICULT_DAY_NUMBERS
+} from './forecast';
+
+describe('personal cycles', () => {
+    test('personal year reduces birth month + birth day + calendar year', () => {
+        // 5 + (1+5) + (2+0+2+6) = 21 → 3
+        expect(calculatePersonalYear('1990-05-15', 2026)).toBe(3);
+    });
+
+    test('personal month adds the calendar month to the personal year', () => {
+        // 3 + (1+0) = 4
+        expect(calculatePersonalMonth('1990-05-15', 2026, 10)).toBe(4);
+    });
+
+    test('personal day adds the calendar day to the personal month', () => {
+        // 4 + (1+9) = 14 → 5
+        expect(calculatePersonalDay('1990-05-15', '2026-10-19')).toBe(5);
+    });
+
+    test('invalid birth dates give 0', () => {
+        expect(calculatePersonalYear('', 2026)).toBe(0);
+        expect(calculatePersonalDay('not-a-date', '2026-10-19')).toBe(0);
+    });
+});
+
+describe('rateDate', () => {
+    test('rates difficult personal days as avoid', () => {
+        const month = buildForecastMonth('1990-05-15', 2026, 10);
+        const days = month.weeks.flat().filter(Boolean);
+        const difficult = days.filter(day => DIFFICULT_DAY_NUMBERS.includes(day.personalDay));
+        expect(difficult.length).toBeGreaterThan(0);
+        difficult.forEach(day => expect(day.level.id).toBe('avoid'));
+    });
+
+    test('scores a matching name number higher', () => {
+        const plain = rateDate('1990-05-15', '2026-10-19');
+        const aligned = rateDate('1990-05-15', '2026-10-19', { nameNumber: 5 });
+        expect(aligned.score).toBe(plain.score + 1);
+    });
+});
+
+describe('buildForecastMonth', () => {
+    test('lays every day of the month out in full Sunday-first weeks', () => {
+        const month = buildForecastMonth('1990-05-15', 2026, 2);
+        month.weeks.forEach(week => expect(week).toHaveLength(7));
+        const days = month.weeks.flat().filter(Boolean);
+        expect(days).toHaveLength(28);
+        // 1 February 2026 is a Sunday
+        expect(month.weeks[0][0].date).toBe('2026-02-01');
+    });
+});
+
+describe('findAuspiciousDates', () => {
+    test('returns good or excellent dates inside the window, best first', () => {
+        const dates = findAuspiciousDates('1990-05-15', '2026-10-19', { days: 30, limit: 5 });
+        expect(dates.length).toBeGreaterThan(0);
+        expect(dates.length).toBeLessThanOrEqual(5);
+        dates.forEach(date => {
+            expect(['good', 'excellent']).toContain(date.level.id);
+            expect(date.date >= '2026-10-19' && date.date < '2026-11-18').toBe(true);
+        });
+        const scores = dates.map(date => date.score);
+        expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    });
+});
+
+describe('report forecast', () => {
+    test('builds a snake_case payload and matching markdown', () => {
+        const payload = buildForecastPayload('1990-05-15', '2026-10-19');
+        expect(payload).toMatchObject({ from_date: '2026-10-19', personal_year: 3, personal_month: 4, personal_day: 5 });
+        expect(payload.personal_year_theme).toMatch(/Creativity/);
+
+        const markdown = formatForecastMarkdown(payload);
+        expect(markdown).toContain('## Timing Forecast');
+        payload.auspicious_dates.forEach(entry => expect(markdown).toContain(entry.date));
+    });
+});
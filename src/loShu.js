@@ -0,0 +1,69 @@
+// Name_Corrector/frontend/src/loShu.js
+// Lo Shu grid layout and plane (arrow) detection built on calculateLoShuGrid.
+import { calculateLoShuGrid, calculateSingleDigit } from './numerology';
+
+// Traditional magic-square layout, top row first
+export const LO_SHU_LAYOUT = [
+    [4, 9, 2],
+    [3, 5, 7],
+    [8, 1, 6]
+];
+
+export const LO_SHU_PLANES = [
+    { name: 'Mental Plane', numbers: [4, 9, 2] },
+    { name: 'Emotional Plane', numbers: [3, 5, 7] },
+    { name: 'Practical Plane', numbers: [8, 1, 6] },
+    { name: 'Thought Plane', numbers: [4, 3, 8] },
+    { name: 'Will Plane', numbers: [9, 5, 1] },
+    { name: 'Action Plane', numbers: [2, 7, 6] },
+    { name: 'Determination Plane', numbers: [4, 5, 6] },
+    { name: 'Spiritual Plane', numbers: [2, 5, 8] }
+];
+
+/**
+ * Classify every plane as complete (all present), missing (none present) or partial
+ * @param {Object} gridCounts - grid_counts from calculateLoShuGrid
+ * @returns {{name: string, numbers: number[], status: 'complete'|'missing'|'partial'}[]}
+ */
+export function getLoShuPlanes(gridCounts) {
+    return LO_SHU_PLANES.map(plane => {
+        const present = plane.numbers.filter(n => gridCounts[n] > 0).length;
+        const status = present === plane.numbers.length ? 'complete' : present === 0 ? 'missing' : 'partial';
+        return { ...plane, status };
+    });
+}
+
+/**
+ * Grid cells with birth-date and name contributions kept apart for display
+ * @param {string} birthDateStr - Date in YYYY-MM-DD format
+ * @param {number|null} nameExpressionNum - Raw expression number of the name, if any
+ * @returns {{cells: {number: number, birthCount: number, nameCount: number}[][], planes: Object[], missingNumbers: number[], nameDigit: number|null}}
+ */
+export function buildLoShuView(birthDateStr, nameExpressionNum = null) {
+    const birthGrid = calculateLoShuGrid(birthDateStr);
+    const fullGrid = calculateLoShuGrid(birthDateStr, nameExpressionNum);
+    const nameDigit = nameExpressionNum ? calculateSingleDigit(nameExpressionNum, false) : null;
+
+    return {
+        cells: LO_SHU_LAYOUT.map(row => row.map(number => ({
+            number,
+            birthCount: birthGrid.grid_counts[number],
+            nameCount: fullGrid.grid_counts[number] - birthGrid.grid_counts[number]
+        }))),
+        planes: getLoShuPlanes(fullGrid.grid_counts),
+        missingNumbers: fullGrid.missing_numbers,
+        nameDigit
+    };
+}
+
+/**
+ * Planes whose status differs between two views (e.g. current name vs candidate)
+ * @param {Object} before - buildLoShuView result
+ * @param {Object} after - buildLoShuView result
+ * @returns {{name: string, from: string, to: string}[]}
+ */
+export function diffLoShuPlanes(before, after) {
+    return after.planes
+        .map((plane, idx) => ({ name: plane.name, from: before.planes[idx].status, to: plane.status }))
+        .filter(change => change.from !== change.to);
+}
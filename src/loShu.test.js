@@ -0,0 +1,44 @@
+import { LO_SHU_LAYOUT, getLoShuPlanes, buildLoShuView, diffLoShuPlanes } from './loShu';
+import { calculateLoShuGrid } from './numerology';
+
+describe('LO_SHU_LAYOUT', () => {
+    test('is a magic square summing to 15 on every line', () => {
+        LO_SHU_LAYOUT.forEach(row => expect(row.reduce((a, b) => a + b)).toBe(15));
+        [0, 1, 2].forEach(col => expect(LO_SHU_LAYOUT.reduce((sum, row) => sum + row[col], 0)).toBe(15));
+    });
+});
+
+describe('getLoShuPlanes', () => {
+    test('classifies planes for 1990-05-17', () => {
+        // digits 1, 1, 5, 7, 9, 9
+        const planes = getLoShuPlanes(calculateLoShuGrid('1990-05-17').grid_counts);
+        const status = Object.fromEntries(planes.map(p => [p.name, p.status]));
+        expect(status['Will Plane']).toBe('complete');
+        expect(status['Thought Plane']).toBe('missing');
+        expect(status['Emotional Plane']).toBe('partial');
+    });
+});
+
+describe('buildLoShuView', () => {
+    test('keeps birth and name contributions apart', () => {
+        const view = buildLoShuView('1990-05-17', 22);
+        const cells = view.cells.flat();
+        expect(cells.find(c => c.number === 4)).toEqual({ number: 4, birthCount: 0, nameCount: 1 });
+        expect(cells.find(c => c.number === 9)).toEqual({ number: 9, birthCount: 2, nameCount: 0 });
+        expect(view.nameDigit).toBe(4);
+        expect(view.missingNumbers).toEqual([2, 3, 6, 8]);
+    });
+
+    test('has no name digit without an expression number', () => {
+        expect(buildLoShuView('1990-05-17').nameDigit).toBeNull();
+    });
+});
+
+describe('diffLoShuPlanes', () => {
+    test('reports planes changed by a candidate name', () => {
+        // adding 3 (expression 21) completes 3-5-7
+        const changes = diffLoShuPlanes(buildLoShuView('1990-05-17', 19), buildLoShuView('1990-05-17', 21));
+        expect(changes).toContainEqual({ name: 'Emotional Plane', from: 'partial', to: 'complete' });
+        expect(changes).toContainEqual({ name: 'Thought Plane', from: 'missing', to: 'partial' });
+    });
+});
@@ -0,0 +1,121 @@
+// Name_Corrector/frontend/src/nameBreakdown.js
+// Step-by-step derivation of a name's numbers, for display and for the report.
+import {
+    VOWELS,
+    cleanName,
+    getChaldeanValue,
+    calculateSingleDigit,
+    MASTER_NUMBERS
+} from './numerology';
+import { DEFAULT_NAME_ORDER, NAME_PART_LABELS, getGivenName, resolveNameParts } from './nameParts';
+
+/**
+ * Each digit-sum step calculateSingleDigit takes to reduce a number
+ * @param {number} number
+ * @param {boolean} allowMasterNumbers - Stop at 11, 22 or 33 when true
+ * @returns {{from: number, to: number, expression: string}[]}
+ */
+export function getReductionSteps(number, allowMasterNumbers = false) {
+    const steps = [];
+    let current = number;
+    if (allowMasterNumbers && MASTER_NUMBERS.has(current)) {
+        return steps;
+    }
+    while (current > 9) {
+        const digits = String(current).split('').map(Number);
+        const next = digits.reduce((sum, digit) => sum + digit, 0);
+        steps.push({ from: current, to: next, expression: digits.join(' + ') });
+        current = next;
+        if (allowMasterNumbers && MASTER_NUMBERS.has(current)) {
+            break;
+        }
+    }
+    return steps;
+}
+
+function summarize(letters, allowMasterNumbers) {
+    const total = letters.reduce((sum, letter) => sum + letter.value, 0);
+    return {
+        letters,
+        total,
+        reduced: calculateSingleDigit(total, allowMasterNumbers),
+        steps: getReductionSteps(total, allowMasterNumbers)
+    };
+}
+
+function toLetters(text) {
+    return [...cleanName(text).replace(/\s+/g, '')].map(char => ({
+        char,
+        value: getChaldeanValue(char),
+        isVowel: VOWELS.has(char)
+    }));
+}
+
+/**
+ * Letter-by-letter breakdown of every number derived from a name
+ * @param {string} fullName
+ * @param {string|Object[]} [nameFormat=DEFAULT_NAME_ORDER] - Name order preset id or explicit parts
+ * @returns {Object} words (per-word letters, part type and subtotals), firstName, expression,
+ *   soulUrge (vowels) and personality (consonants), each with total, reduced and steps
+ */
+export function getNameBreakdown(fullName, nameFormat = DEFAULT_NAME_ORDER) {
+    const parts = resolveNameParts(fullName, nameFormat);
+    const words = parts.map(part => {
+        const letters = toLetters(part.text);
+        return {
+            word: letters.map(letter => letter.char).join(''),
+            type: part.type,
+            letters,
+            total: letters.reduce((sum, letter) => sum + letter.value, 0)
+        };
+    }).filter(w => w.letters.length > 0);
+    const allLetters = words.flatMap(w => w.letters);
+
+    return {
+        name: fullName,
+        words,
+        firstName: summarize(toLetters(getGivenName(parts)), false),
+        expression: summarize(allLetters, false),
+        soulUrge: summarize(allLetters.filter(l => l.isVowel), true),
+        personality: summarize(allLetters.filter(l => !l.isVowel), true)
+    };
+}
+
+/**
+ * Label for a word of a breakdown, e.g. "First name" or "Surname"
+ * @param {{type: string}} word
+ * @returns {string}
+ */
+export function getWordLabel(word) {
+    return word.type === 'given' ? 'First name' : NAME_PART_LABELS[word.type] || 'Part';
+}
+
+/**
+ * Format a reduction as "29 → 2 + 9 = 11 → 1 + 1 = 2"
+ * @param {{total: number, steps: Object[]}} summary
+ * @returns {string}
+ */
+export function formatReduction(summary) {
+    return [String(summary.total), ...summary.steps.map(step => `${step.expression} = ${step.to}`)].join(' → ');
+}
+
+/**
+ * Markdown section describing a breakdown, appended to the report
+ * @param {Object} breakdown - Result of getNameBreakdown
+ * @returns {string}
+ */
+export function formatBreakdownMarkdown(breakdown) {
+    const lettersLine = (letters) => letters.map(l => `${l.char}(${l.value})`).join(' + ') || '-';
+    const lines = [`### ${breakdown.name}`, ''];
+    breakdown.words.forEach(word => {
+        lines.push(`- **${getWordLabel(word)} ${word.word}:** ${lettersLine(word.letters)} = ${word.total}`);
+    });
+    lines.push(
+        `- **First Name Value:** ${formatReduction(breakdown.firstName)}`,
+        `- **Expression Number:** ${formatReduction(breakdown.expression)}`,
+        `- **Soul Urge (vowels):** ${lettersLine(breakdown.soulUrge.letters)} = ${formatReduction(breakdown.soulUrge)}`,
+        `- **Personality (consonants):** ${lettersLine(breakdown.personality.letters)} = ${formatReduction(breakdown.personality)}`,
+        ''
+    );
+    return lines.join('\n');
+}
@@ -0,0 +1,70 @@
+import {
+    calculateFirstNameValue,
+    calculateExpressionNumber,
+    calculateSoulUrgeNumber,
+    calculatePersonalityNumber,
+    calculateSingleDigit
+} from './numerology';
+import { getReductionSteps, getNameBreakdown, formatReduction, formatBreakdownMarkdown } from './nameBreakdown';
+
+describe('getReductionSteps', () => {
+    test('lists each digit sum', () => {
+        expect(getReductionSteps(29)).toEqual([
+            { from: 29, to: 11, expression: '2 + 9' },
+            { from: 11, to: 2, expression: '1 + 1' }
+        ]);
+        expect(getReductionSteps(7)).toEqual([]);
+    });
+
+    test('stops at master numbers when allowed', () => {
+        expect(getReductionSteps(29, true)).toEqual([{ from: 29, to: 11, expression: '2 + 9' }]);
+        expect(getReductionSteps(22, true)).toEqual([]);
+    });
+});
+
+describe('getNameBreakdown', () => {
+    const breakdown = getNameBreakdown('Anna  Smith');
+
+    test('splits words and letters with their Chaldean values', () => {
+        expect(breakdown.words.map(w => [w.word, w.total])).toEqual([['ANNA', 12], ['SMITH', 17]]);
+        expect(breakdown.words[0].letters[0]).toEqual({ char: 'A', value: 1, isVowel: true });
+    });
+
+    test('agrees with the engine totals', () => {
+        ['Anna Smith', 'Lune', 'Ffdb', "O'Neil Smith"].forEach(name => {
+            const b = getNameBreakdown(name);
+            expect(b.firstName.total).toBe(calculateFirstNameValue(name));
+            expect(b.expression.total).toBe(calculateExpressionNumber(name));
+            expect(b.expression.reduced).toBe(calculateSingleDigit(calculateExpressionNumber(name)));
+            expect(b.soulUrge.reduced).toBe(calculateSoulUrgeNumber(name));
+            expect(b.personality.reduced).toBe(calculatePersonalityNumber(name));
+        });
+    });
+
+    test('labels words by part and takes the first name from the given part', () => {
+        const b = getNameBreakdown('R. Kumar');
+        expect(b.words.map(w => w.type)).toEqual(['initial', 'given']);
+        expect(b.firstName.total).toBe(calculateFirstNameValue('R. Kumar'));
+        expect(formatBreakdownMarkdown(b)).toContain('- **Initial R:** R(2) = 2');
+    });
+
+    test('handles an empty name', () => {
+        const empty = getNameBreakdown('');
+        expect(empty.words).toEqual([]);
+        expect(empty.expression).toMatchObject({ total: 0, reduced: 0, steps: [] });
+    });
+});
+
+describe('formatting', () => {
+    test('formatReduction chains every step', () => {
+        expect(formatReduction(getNameBreakdown('Anna Smith').expression)).toBe('29 → 2 + 9 = 11 → 1 + 1 = 2');
+    });
+
+    test('formatBreakdownMarkdown lists words and derived numbers', () => {
+        const markdown = formatBreakdownMarkdown(getNameBreakdown('Lune'));
+        expect(markdown).toContain('### Lune');
+        expect(markdown).toContain('- **First name LUNE:** L(3) + U(6) + N(5) + E(5) = 19');
+        expect(markdown).toContain('- **Soul Urge (vowels):** U(6) + E(5) = 11');
+        expect(markdown).toContain('- **Personality (consonants):** L(3) + N(5) = 8');
+    });
+});
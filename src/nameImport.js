@@ -0,0 +1,98 @@
+// Name_Corrector/frontend/src/nameImport.js
+// Grading a whole list of candidate spellings at once.
+import { analyzeName, calculateSingleDigit } from './numerology';
+import { parseCsv } from './csv';
+
+export const MAX_BULK_NAMES = 500;
+
+/**
+ * Pull candidate names out of pasted text or an imported CSV. Uses a column
+ * headed "name" when there is one, otherwise the first column; one name per
+ * line also works. Duplicates (ignoring case) and blanks are dropped.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractNames(text) {
+    const rows = parseCsv(text || '');
+    if (rows.length === 0) return [];
+
+    const headerIndex = rows[0].findIndex(cell => /^\s*(full[\s_]*)?name\s*$/i.test(cell));
+    const column = headerIndex === -1 ? 0 : headerIndex;
+    const dataRows = headerIndex === -1 ? rows : rows.slice(1);
+
+    const seen = new Set();
+    return dataRows
+        .map(row => (row[column] || '').trim().replace(/\s+/g, ' '))
+        .filter(name => name && !seen.has(name.toUpperCase()) && seen.add(name.toUpperCase()))
+        .slice(0, MAX_BULK_NAMES);
+}
+
+/**
+ * Run every name through the local engine
+ * @param {string[]} names
+ * @param {string} birthDateStr - Date in YYYY-MM-DD format
+ * @param {Object} ruleSet
+ * @param {string} [nameOrder] - Name order preset id
+ * @returns {Object[]} analyzeName results plus an empty backend slot
+ */
+export function gradeNames(names, birthDateStr, ruleSet, nameOrder) {
+    return names.map(name => ({
+        ...analyzeName(name, birthDateStr, ruleSet, nameOrder),
+        backend: null
+    }));
+}
+
+/**
+ * Columns for exporting graded names with toCsv
+ */
+export const BULK_EXPORT_COLUMNS = [
+    { header: 'Name', value: r => r.name },
+    { header: 'Compliant', value: r => (r.isValid ? 'Yes' : 'No') },
+    { header: 'Priority', value: r => r.compatibilityAnalysis.priority.label },
+    { header: 'FNV', value: r => r.firstNameValue },
+    { header: 'FNV Reduced', value: r => calculateSingleDigit(r.firstNameValue, false) },
+    { header: 'Expression', value: r => r.expressionNumber },
+    { header: 'Expression Reduced', value: r => calculateSingleDigit(r.expressionNumber, false) },
+    { header: 'Soul Urge', value: r => r.soulUrgeNumber },
+    { header: 'Personality', value: r => r.personalityNumber },
+    { header: 'Karmic Debt', value: r => (r.karmicDebtPresent ? 'Yes' : 'No') },
+    { header: 'Backend Valid', value: r => (r.backend ? (r.backend.error ? 'Error' : r.backend.is_valid ? 'Yes' : 'No') : '') },
+    { header: 'Backend Rationale', value: r => r.backend?.rationale || r.backend?.error || '' },
+    { header: 'Recommendation', value: r => r.compatibilityAnalysis.recommendation }
+];
+
+const wait = (ms, signal) => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+    }, { once: true });
+});
+
+/**
+ * Validate names against the backend one at a time with a pause between
+ * calls, so a list of 100 names doesn't hammer /validate_name
+ * @param {string[]} names
+ * @param {function(string): Promise<Object>} validate - Resolves to the backend response data
+ * @param {Object} [options]
+ * @param {number} [options.delayMs=750] - Pause between requests
+ * @param {AbortSignal} [options.signal] - Stops after the request in flight
+ * @param {function(string, Object): void} [options.onResult] - Called with each name and its result or {error}
+ * @returns {Promise<number>} How many names were processed
+ */
+export async function validateNamesThrottled(names, validate, { delayMs = 750, signal, onResult = () => {} } = {}) {
+    let processed = 0;
+    for (const name of names) {
+        if (signal?.aborted) break;
+        try {
+            onResult(name, await validate(name));
+        } catch (error) {
+            onResult(name, { error: error.response?.data?.error || error.message });
+        }
+        processed++;
+        if (processed < names.length) {
+            await wait(delayMs, signal);
+        }
+    }
+    return processed;
+}
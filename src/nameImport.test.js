@@ -0,0 +1,56 @@
+import { extractNames, gradeNames, validateNamesThrottled, BULK_EXPORT_COLUMNS } from './nameImport';
+import { DEFAULT_RULE_SET } from './numerology';
+import { toCsv } from './csv';
+
+describe('extractNames', () => {
+    test('reads one name per line and drops duplicates ignoring case', () => {
+        expect(extractNames('Alex Smith\n  alex   smith \nAlyx Smith\n')).toEqual(['Alex Smith', 'Alyx Smith']);
+    });
+
+    test('uses a "name" column when the header has one', () => {
+        expect(extractNames('id,Name,notes\n1,Alex Smith,x\n2,Alyx Smith,y')).toEqual(['Alex Smith', 'Alyx Smith']);
+    });
+
+    test('falls back to the first column', () => {
+        expect(extractNames('Alex Smith,first\nAlyx Smith,second')).toEqual(['Alex Smith', 'Alyx Smith']);
+    });
+});
+
+describe('gradeNames', () => {
+    test('grades with the local engine and exports to CSV', () => {
+        const graded = gradeNames(['Alex Smith'], '1990-05-15', DEFAULT_RULE_SET);
+        expect(graded[0]).toMatchObject({ name: 'Alex Smith', backend: null });
+        expect(typeof graded[0].isValid).toBe('boolean');
+        const csv = toCsv(graded, BULK_EXPORT_COLUMNS);
+        expect(csv.split('\r\n')).toHaveLength(2);
+    });
+});
+
+describe('validateNamesThrottled', () => {
+    test('validates sequentially and reports errors per name', async () => {
+        const calls = [];
+        const validate = jest.fn(async (name) => {
+            calls.push(name);
+            if (name === 'B') throw new Error('boom');
+            return { is_valid: true };
+        });
+        const results = {};
+        const processed = await validateNamesThrottled(['A', 'B'], validate, {
+            delayMs: 0,
+            onResult: (name, result) => { results[name] = result; }
+        });
+        expect(processed).toBe(2);
+        expect(calls).toEqual(['A', 'B']);
+        expect(results).toEqual({ A: { is_valid: true }, B: { error: 'boom' } });
+    });
+
+    test('stops when aborted', async () => {
+        const controller = new AbortController();
+        const validate = jest.fn(async () => {
+            controller.abort();
+            return {};
+        });
+        const processed = await validateNamesThrottled(['A', 'B', 'C'], validate, { delayMs: 0, signal: controller.signal });
+        expect(processed).toBe(1);
+    });
+});
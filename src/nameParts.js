@@ -0,0 +1,179 @@
+// Name_Corrector/frontend/src/nameParts.js
+// Splits a written name into given, middle, surname and initial parts so the
+// First Name Value is taken from the name the client actually goes by.
+
+export const NAME_PART_TYPES = ['given', 'middle', 'surname', 'initial'];
+
+export const NAME_PART_LABELS = {
+    given: 'Given',
+    middle: 'Middle',
+    surname: 'Surname',
+    initial: 'Initial'
+};
+
+// How the words of a name are written, per naming convention. Initials are
+// recognised in any position and never count as the given name.
+export const NAME_ORDER_PRESETS = [
+    {
+        id: 'western',
+        label: 'Given · Middle · Surname',
+        description: 'English and most European names, e.g. "Mary Anne Smith".'
+    },
+    {
+        id: 'surname-first',
+        label: 'Surname · Given',
+        description: 'Chinese, Japanese, Korean, Vietnamese and Hungarian names, e.g. "Wang Xiaoming".'
+    },
+    {
+        id: 'initials-first',
+        label: 'Initials · Given',
+        description: 'Tamil and other South Indian names, e.g. "R. Kumar" — every word after the initials is the given name.'
+    },
+    {
+        id: 'two-surnames',
+        label: 'Given · Paternal · Maternal surname',
+        description: 'Spanish and Portuguese names, e.g. "José Luis García Márquez".'
+    }
+];
+
+export const DEFAULT_NAME_ORDER = 'western';
+
+/**
+ * Look up a name order preset, falling back to the default
+ * @param {string} id
+ * @returns {Object}
+ */
+export function getNameOrderPreset(id) {
+    return NAME_ORDER_PRESETS.find(preset => preset.id === id) || NAME_ORDER_PRESETS[0];
+}
+
+/**
+ * Split a name into words, treating "R.Kumar" as "R." and "Kumar"
+ * @param {string} fullName
+ * @returns {string[]}
+ */
+export function splitNameWords(fullName) {
+    return String(fullName || '')
+        .replace(/\.(?=[^\s.])/g, '. ')
+        .split(/[\s,]+/)
+        .filter(word => /\p{L}/u.test(word));
+}
+
+/**
+ * Whether a word is an initial: a single letter, or an abbreviation ending in a dot
+ * @param {string} word
+ * @returns {boolean}
+ */
+export function isInitial(word) {
+    const letters = word.replace(/[^\p{L}]/gu, '');
+    return letters.length === 1 || (word.endsWith('.') && letters.length <= 3);
+}
+
+// Part types for the words that are not initials, in written order
+function assignWordTypes(count, order) {
+    const types = new Array(count).fill('middle');
+    if (count === 0) return types;
+    if (count === 1) return ['given'];
+
+    switch (getNameOrderPreset(order).id) {
+        case 'surname-first':
+            types[0] = 'surname';
+            types[1] = 'given';
+            break;
+        case 'initials-first':
+            types.fill('given');
+            break;
+        case 'two-surnames':
+            types[0] = 'given';
+            types[count - 1] = 'surname';
+            if (count > 2) types[count - 2] = 'surname';
+            break;
+        default:
+            types[0] = 'given';
+            types[count - 1] = 'surname';
+    }
+    return types;
+}
+
+/**
+ * Parse a written name into typed parts. "Smith, John" is read surname-first
+ * whatever the preset.
+ * @param {string} fullName
+ * @param {string} [order=DEFAULT_NAME_ORDER] - Name order preset id
+ * @returns {{type: string, text: string}[]} Parts in written order
+ */
+export function parseNameParts(fullName, order = DEFAULT_NAME_ORDER) {
+    const text = String(fullName || '');
+    const commaIndex = text.indexOf(',');
+    if (commaIndex > 0 && order !== 'initials-first') {
+        const surnames = splitNameWords(text.slice(0, commaIndex));
+        const rest = parseNameParts(text.slice(commaIndex + 1), 'western')
+            .map(part => (part.type === 'surname' ? { ...part, type: 'middle' } : part));
+        return [...surnames.map(word => ({ type: isInitial(word) ? 'initial' : 'surname', text: word })), ...rest];
+    }
+
+    const words = splitNameWords(text);
+    const wordTypes = assignWordTypes(words.filter(word => !isInitial(word)).length, order);
+    let wordIndex = 0;
+    return words.map(word => ({
+        type: isInitial(word) ? 'initial' : wordTypes[wordIndex++],
+        text: word
+    }));
+}
+
+/**
+ * Re-parse an edited name, keeping the part types the user chose when the
+ * number of words has not changed
+ * @param {string} fullName
+ * @param {{type: string, text: string}[]} previousParts
+ * @param {string} [order=DEFAULT_NAME_ORDER]
+ * @returns {{type: string, text: string}[]}
+ */
+export function reparseNameParts(fullName, previousParts, order = DEFAULT_NAME_ORDER) {
+    const parsed = parseNameParts(fullName, order);
+    if (!Array.isArray(previousParts) || previousParts.length !== parsed.length) return parsed;
+    return parsed.map((part, index) => ({ ...part, type: previousParts[index].type }));
+}
+
+/**
+ * Write parts back out as a single-spaced full name
+ * @param {{type: string, text: string}[]} parts
+ * @returns {string}
+ */
+export function composeFullName(parts) {
+    return parts.map(part => part.text.trim()).filter(Boolean).join(' ');
+}
+
+/**
+ * Indexes of the parts the First Name Value is taken from: every given part (so
+ * "Mary Anne" counts as one compound given name), else the first non-initial,
+ * else the first part
+ * @param {{type: string, text: string}[]} parts
+ * @returns {number[]}
+ */
+export function getGivenPartIndexes(parts) {
+    const given = parts.map((part, index) => (part.type === 'given' ? index : -1)).filter(index => index !== -1);
+    if (given.length > 0) return given;
+    const fallback = parts.findIndex(part => part.type !== 'initial');
+    if (fallback !== -1) return [fallback];
+    return parts.length > 0 ? [0] : [];
+}
+
+/**
+ * The words the First Name Value is taken from (see getGivenPartIndexes)
+ * @param {{type: string, text: string}[]} parts
+ * @returns {string}
+ */
+export function getGivenName(parts) {
+    return getGivenPartIndexes(parts).map(index => parts[index].text).join(' ');
+}
+
+/**
+ * Resolve the parts of a name given either a preset id or explicit parts
+ * @param {string} fullName
+ * @param {string|{type: string, text: string}[]} [nameFormat=DEFAULT_NAME_ORDER]
+ * @returns {{type: string, text: string}[]}
+ */
+export function resolveNameParts(fullName, nameFormat = DEFAULT_NAME_ORDER) {
+    return Array.isArray(nameFormat) ? nameFormat : parseNameParts(fullName, nameFormat);
+}
@@ -0,0 +1,84 @@
+import {
+    splitNameWords,
+    isInitial,
+    parseNameParts,
+    reparseNameParts,
+    composeFullName,
+    getGivenName,
+    getNameOrderPreset,
+    DEFAULT_NAME_ORDER
+} from './nameParts';
+
+const types = (parts) => parts.map(part => `${part.type}:${part.text}`);
+
+describe('splitNameWords', () => {
+    test('ignores repeated whitespace and separates glued initials', () => {
+        expect(splitNameWords('  Anna   Smith ')).toEqual(['Anna', 'Smith']);
+        expect(splitNameWords('R.Kumar')).toEqual(['R.', 'Kumar']);
+        expect(splitNameWords('K.R. Suresh')).toEqual(['K.', 'R.', 'Suresh']);
+    });
+
+    test('drops words without letters', () => {
+        expect(splitNameWords('Anna - Smith')).toEqual(['Anna', 'Smith']);
+        expect(splitNameWords('')).toEqual([]);
+    });
+});
+
+describe('isInitial', () => {
+    test('recognises single letters and short dotted abbreviations', () => {
+        expect(isInitial('R.')).toBe(true);
+        expect(isInitial('R')).toBe(true);
+        expect(isInitial('Wm.')).toBe(true);
+        expect(isInitial('Ravi')).toBe(false);
+    });
+});
+
+describe('parseNameParts', () => {
+    test('western order reads given, middle and surname', () => {
+        expect(types(parseNameParts('Mary Anne Smith'))).toEqual(['given:Mary', 'middle:Anne', 'surname:Smith']);
+        expect(types(parseNameParts('J. Robert Smith'))).toEqual(['initial:J.', 'given:Robert', 'surname:Smith']);
+        expect(types(parseNameParts('Lune'))).toEqual(['given:Lune']);
+    });
+
+    test('initials-first treats every other word as the given name', () => {
+        expect(types(parseNameParts('R. Kumar', 'initials-first'))).toEqual(['initial:R.', 'given:Kumar']);
+        expect(types(parseNameParts('K. R. Suresh Kumar', 'initials-first')))
+            .toEqual(['initial:K.', 'initial:R.', 'given:Suresh', 'given:Kumar']);
+    });
+
+    test('surname-first and two-surname presets', () => {
+        expect(types(parseNameParts('Wang Xiao Ming', 'surname-first'))).toEqual(['surname:Wang', 'given:Xiao', 'middle:Ming']);
+        expect(types(parseNameParts('José Luis García Márquez', 'two-surnames')))
+            .toEqual(['given:José', 'middle:Luis', 'surname:García', 'surname:Márquez']);
+    });
+
+    test('a comma means surname first', () => {
+        expect(types(parseNameParts('Smith, John Paul'))).toEqual(['surname:Smith', 'given:John', 'middle:Paul']);
+    });
+
+    test('unknown presets fall back to the default', () => {
+        expect(getNameOrderPreset('nope').id).toBe(DEFAULT_NAME_ORDER);
+        expect(parseNameParts('Anna Smith', 'nope')).toEqual(parseNameParts('Anna Smith'));
+    });
+});
+
+describe('editing parts', () => {
+    test('reparseNameParts keeps chosen types while the word count is unchanged', () => {
+        const edited = [{ type: 'given', text: 'Mary' }, { type: 'given', text: 'Anne' }, { type: 'surname', text: 'Smith' }];
+        expect(types(reparseNameParts('Mary Ann Smith', edited))).toEqual(['given:Mary', 'given:Ann', 'surname:Smith']);
+        expect(types(reparseNameParts('Mary Smith', edited))).toEqual(['given:Mary', 'surname:Smith']);
+    });
+
+    test('composeFullName single-spaces the parts and skips empty ones', () => {
+        expect(composeFullName([{ type: 'given', text: ' Mary ' }, { type: 'middle', text: '' }, { type: 'surname', text: 'Smith' }]))
+            .toBe('Mary Smith');
+    });
+
+    test('getGivenName joins compound given names and skips initials', () => {
+        expect(getGivenName([{ type: 'given', text: 'Mary' }, { type: 'given', text: 'Anne' }, { type: 'surname', text: 'Smith' }]))
+            .toBe('Mary Anne');
+        expect(getGivenName([{ type: 'initial', text: 'R.' }, { type: 'surname', text: 'Kumar' }])).toBe('Kumar');
+        expect(getGivenName([{ type: 'initial', text: 'R.' }])).toBe('R.');
+        expect(getGivenName([])).toBe('');
+    });
+});
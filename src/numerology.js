@@ -0,0 +1,478 @@
+// Name_Corrector/frontend/src/numerology.js
+// Pure Chaldean numerology engine shared by the UI and the test suite.
+// Nothing in here touches React, the DOM or the backend.
+import { romanize } from './transliteration';
+import { DEFAULT_NAME_ORDER, getGivenName, resolveNameParts } from './nameParts';
+
+// --- UPDATED CHALDEAN NUMEROLOGY CALCULATIONS WITH NEW RULES ---
+export const CHALDEAN_MAP = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 8, G: 3,
+  H: 5, I: 1, J: 1, K: 2, L: 3, M: 4, N: 5,
+  O: 7, P: 8, Q: 1, R: 2, S: 3, T: 4, U: 6,
+  V: 6, W: 6, X: 5, Y: 1, Z: 7
+};
+
+export const MASTER_NUMBERS = new Set([11, 22, 33]);
+export const KARMIC_DEBT_NUMBERS = new Set([13, 14, 16, 19]);
+export const VOWELS = new Set(['A', 'E', 'I', 'O', 'U']);
+
+// UPDATED RULES: PRIMARY LUCKY NUMBERS ARE ONLY 1, 5, 6
+// Rule sets are plain JSON so practitioners can keep their own variants (see ruleSets.js).
+// exclusions/inclusions are keyed by Birth or Life Path number; exclusions run first.
+export const DEFAULT_RULE_SET = {
+    id: 'default',
+    name: 'Updated Chaldean Rules',
+    version: 1,
+    luckyNumbers: [1, 5, 6],
+    luckyMeanings: { 1: 'Power & Leadership', 5: 'Freedom & Adventure', 6: 'Love & Harmony', 3: 'Creativity & Expression' },
+    exclusions: { 8: [1], 3: [6], 6: [3] },
+    inclusions: { 3: [3] },
+    forbiddenValues: [51], // 51 rejected for personal names (business only)
+    specialAllowedValues: [65] // 65 allowed despite reducing to 2
+};
+
+export const PRIMARY_LUCKY_NUMBERS = new Set(DEFAULT_RULE_SET.luckyNumbers);
+
+// Special value permissions and restrictions
+export const ALWAYS_REJECTED_VALUES = new Set(DEFAULT_RULE_SET.forbiddenValues);
+export const SPECIAL_ALLOWED_VALUES = new Set(DEFAULT_RULE_SET.specialAllowedValues);
+
+/**
+ * Calculate Birth Number from date of birth
+ * @param {string} birthDateStr - Date in YYYY-MM-DD format
+ * @returns {number} Birth number (day reduced to single digit)
+ */
+export function calculateBirthNumber(birthDateStr) {
+    try {
+        const day = parseInt(birthDateStr.split('-')[2], 10);
+        if (isNaN(day) || day < 1 || day > 31) return 0;
+        return calculateSingleDigit(day, false); // Birth number is always single digit
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Calculate Life Path Number from full birth date
+ * @param {string} birthDateStr - Date in YYYY-MM-DD format
+ * @returns {number} Life path number (sum of all digits reduced)
+ */
+export function calculateLifePathNumber(birthDateStr) {
+    try {
+        const [year, month, day] = birthDateStr.split('-').map(Number);
+        const totalSumAllDigits = String(year) + String(month).padStart(2, '0') + String(day).padStart(2, '0');
+        let sum = 0;
+        for(const digit of totalSumAllDigits) {
+            sum += parseInt(digit, 10);
+        }
+        return calculateSingleDigit(sum, false); // Life path is single digit for our rules
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Determine allowed values based on birth number and life path number
+ * @param {number} birthNumber 
+ * @param {number} lifePathNumber 
+ * @param {Object} [ruleSet=DEFAULT_RULE_SET] - Rule set to evaluate
+ * @returns {Set} Set of allowed values for FNV and CMV
+ */
+export function getAllowedValues(birthNumber, lifePathNumber, ruleSet = DEFAULT_RULE_SET) {
+    let allowedValues = new Set(ruleSet.luckyNumbers); // Start with base lucky numbers
+    const triggers = new Set([birthNumber, lifePathNumber]);
+
+    // Exclusions first (e.g. Birth/Life Path = 8 → Cannot use 1), so an
+    // inclusion for the same trigger (3 → CAN use 3) always wins
+    triggers.forEach(trigger => {
+        (ruleSet.exclusions?.[trigger] || []).forEach(value => allowedValues.delete(value));
+    });
+    triggers.forEach(trigger => {
+        (ruleSet.inclusions?.[trigger] || []).forEach(value => allowedValues.add(value));
+    });
+    
+    return allowedValues;
+}
+
+/**
+ * Check if a specific value is allowed for name correction
+ * @param {number} value - The calculated name value
+ * @param {number} birthNumber 
+ * @param {number} lifePathNumber 
+ * @param {Object} [ruleSet=DEFAULT_RULE_SET] - Rule set to evaluate
+ * @returns {boolean}
+ */
+export function isValueAllowed(value, birthNumber, lifePathNumber, ruleSet = DEFAULT_RULE_SET) {
+    // Exception 5: Always reject forbidden raw values (51 for personal names)
+    if (ruleSet.forbiddenValues.includes(value)) {
+        return false;
+    }
+    
+    // Exception 6: Always allow special raw values (65 despite reducing to 2)
+    if (ruleSet.specialAllowedValues.includes(value)) {
+        return true;
+    }
+    
+    // Reduce value to single digit for comparison
+    const reducedValue = calculateSingleDigit(value, false);
+    const allowedValues = getAllowedValues(birthNumber, lifePathNumber, ruleSet);
+    
+    return allowedValues.has(reducedValue);
+}
+
+/**
+ * Priority tier of a compliant name, from how "lucky" its reduced values are
+ * @param {number[]} reducedValues - Reduced values of the name (e.g. FNV and Expression)
+ * @param {Set} allowedValues - Result of getAllowedValues
+ * @returns {{priority: number, label: string, class: string}}
+ */
+export function getPriorityTier(reducedValues, allowedValues) {
+    const has = (value) => allowedValues.has(value) && reducedValues.includes(value);
+    if (has(1)) {
+        return { priority: 5, label: "★★★★★ PREMIUM", class: "priority-premium" };
+    } else if (has(5) || has(6)) {
+        return { priority: 4, label: "★★★★☆ EXCELLENT", class: "priority-excellent" };
+    } else if (has(3)) {
+        return { priority: 3, label: "★★★☆☆ GOOD", class: "priority-good" };
+    }
+    return { priority: 3, label: "★★★☆☆ ACCEPTABLE", class: "priority-acceptable" };
+}
+
+/**
+ * Get comprehensive analysis of name compatibility
+ * @param {number} fnv - First Name Value
+ * @param {number} cmv - Complete name value (Expression Number)
+ * @param {number} birthNumber 
+ * @param {number} lifePathNumber 
+ * @param {Object} [ruleSet=DEFAULT_RULE_SET] - Rule set to evaluate
+ * @returns {Object} Analysis object
+ */
+export function getNameCompatibilityAnalysis(fnv, cmv, birthNumber, lifePathNumber, ruleSet = DEFAULT_RULE_SET) {
+    const analysis = {
+        isValid: false,
+        priority: { priority: 1, label: "❌ INVALID", class: "priority-invalid" },
+        conflicts: [],
+        benefits: [],
+        recommendation: "",
+        allowedValues: [],
+        fnvStatus: { isValid: false, reason: "" },
+        cmvStatus: { isValid: false, reason: "" }
+    };
+    
+    const allowedValues = getAllowedValues(birthNumber, lifePathNumber, ruleSet);
+    analysis.allowedValues = Array.from(allowedValues).sort();
+    
+    // Check FNV (First Name Value)
+    const fnvValid = isValueAllowed(fnv, birthNumber, lifePathNumber, ruleSet);
+    const fnvReduced = calculateSingleDigit(fnv, false);
+    
+    if (!fnvValid) {
+        if (ruleSet.forbiddenValues.includes(fnv)) {
+            analysis.fnvStatus = { isValid: false, reason: `FNV ${fnv} is forbidden for personal names` };
+            analysis.conflicts.push(`First Name Value ${fnv} is forbidden for personal names`);
+        } else {
+            analysis.fnvStatus = { isValid: false, reason: `FNV ${fnvReduced} not in allowed values [${analysis.allowedValues.join(', ')}]` };
+            analysis.conflicts.push(`First Name Value ${fnvReduced} conflicts with your birth numbers`);
+        }
+    } else {
+        if (ruleSet.specialAllowedValues.includes(fnv)) {
+            analysis.fnvStatus = { isValid: true, reason: `FNV ${fnv} specially allowed` };
+            analysis.benefits.push(`First Name Value ${fnv} has special permission`);
+        } else {
+            analysis.fnvStatus = { isValid: true, reason: `FNV ${fnvReduced} is lucky and compatible` };
+            analysis.benefits.push(`First Name Value ${fnvReduced} creates positive energy`);
+        }
+    }
+    
+    // Check CMV (Complete Name Value / Expression Number)
+    const cmvValid = isValueAllowed(cmv, birthNumber, lifePathNumber, ruleSet);
+    const cmvReduced = calculateSingleDigit(cmv, false);
+    
+    if (!cmvValid) {
+        if (ruleSet.forbiddenValues.includes(cmv)) {
+            analysis.cmvStatus = { isValid: false, reason: `CMV ${cmv} is forbidden for personal names` };
+            analysis.conflicts.push(`Expression Number ${cmv} is forbidden for personal names`);
+        } else {
+            analysis.cmvStatus = { isValid: false, reason: `CMV ${cmvReduced} not in allowed values [${analysis.allowedValues.join(', ')}]` };
+            analysis.conflicts.push(`Expression Number ${cmvReduced} conflicts with your birth numbers`);
+        }
+    } else {
+        if (ruleSet.specialAllowedValues.includes(cmv)) {
+            analysis.cmvStatus = { isValid: true, reason: `CMV ${cmv} specially allowed` };
+            analysis.benefits.push(`Expression Number ${cmv} has special permission`);
+        } else {
+            analysis.cmvStatus = { isValid: true, reason: `CMV ${cmvReduced} is lucky and compatible` };
+            analysis.benefits.push(`Expression Number ${cmvReduced} enhances your fortune`);
+        }
+    }
+    
+    // Overall validation
+    analysis.isValid = fnvValid && cmvValid;
+    
+    // Set priority and recommendation
+    if (analysis.isValid) {
+        analysis.priority = getPriorityTier([fnvReduced, cmvReduced], allowedValues);
+        analysis.recommendation = `✅ RECOMMENDED: This name follows Chaldean numerology rules and is compatible with Birth Number ${birthNumber} and Life Path ${lifePathNumber}`;
+    } else {
+        analysis.priority = { priority: 1, label: "❌ INVALID", class: "priority-invalid" };
+        analysis.recommendation = `❌ NOT RECOMMENDED: This name violates Chaldean numerology rules for Birth Number ${birthNumber} and Life Path ${lifePathNumber}`;
+    }
+    
+    // Add specific guidance
+    if (analysis.conflicts.length === 0 && analysis.benefits.length > 0) {
+        analysis.benefits.push(`Both First Name and Expression numbers align with lucky values [${analysis.allowedValues.join(', ')}]`);
+    }
+    
+    return analysis;
+}
+
+// --- EXISTING CALCULATION FUNCTIONS (Updated for new rules) ---
+/**
+ * Romanize the name (accents, Devanagari, Tamil, Arabic, Cyrillic, Greek), then
+ * strip everything except Latin letters and whitespace, uppercased
+ * @param {string} name
+ * @returns {string}
+ */
+export function cleanName(name) {
+    return romanize(name).replace(/[^a-zA-Z\s]/g, '').toUpperCase();
+}
+
+/**
+ * Chaldean value of a single uppercase letter (0 for anything unmapped)
+ * @param {string} char
+ * @returns {number}
+ */
+export function getChaldeanValue(char) {
+    return CHALDEAN_MAP[char] || 0;
+}
+
+/**
+ * Reduce a number by repeated digit summing
+ * @param {number} number
+ * @param {boolean} allowMasterNumbers - Stop at 11, 22 or 33 when true
+ * @returns {number}
+ */
+export function calculateSingleDigit(number, allowMasterNumbers = false) {
+    if (allowMasterNumbers && MASTER_NUMBERS.has(number)) {
+        return number;
+    }
+    while (number > 9) {
+        number = String(number).split('').reduce((sum, digit) => sum + parseInt(digit, 10), 0);
+        if (allowMasterNumbers && MASTER_NUMBERS.has(number)) {
+            break; // Stop reduction if a Master Number is reached and allowed
+        }
+    }
+    return number;
+}
+
+/**
+ * First Name Value (FNV) - raw Chaldean sum of the given name. Initials are
+ * skipped and compound given names ("Mary Anne") are summed together.
+ * @param {string} fullName
+ * @param {string|Object[]} [nameFormat=DEFAULT_NAME_ORDER] - Name order preset id, or explicit parts (see nameParts.js)
+ * @returns {number} Unreduced total
+ */
+export function calculateFirstNameValue(fullName, nameFormat = DEFAULT_NAME_ORDER) {
+    const firstName = cleanName(getGivenName(resolveNameParts(fullName, nameFormat)));
+    let total = 0;
+    for (const char of firstName) {
+        total += getChaldeanValue(char);
+    }
+    return total; // Return raw sum for rule checking
+}
+
+/**
+ * Complete name value (CMV / Expression Number) - raw Chaldean sum of the whole name
+ * @param {string} fullName
+ * @returns {number} Unreduced total
+ */
+export function calculateExpressionNumber(fullName) {
+    const cleanedName = cleanName(fullName);
+    let total = 0;
+    for (const char of cleanedName) {
+        total += getChaldeanValue(char);
+    }
+    return total; // Return raw sum for rule checking
+}
+
+/**
+ * Unreduced Chaldean sum of the whole name, used for karmic debt checks
+ * @param {string} fullName
+ * @returns {number}
+ */
+export function calculateRawSum(fullName) {
+    const cleanedName = cleanName(fullName);
+    let total = 0;
+    for (const char of cleanedName) {
+        total += getChaldeanValue(char);
+    }
+    return total; // Return unreduced sum for karmic debt checking
+}
+
+/**
+ * Soul Urge Number - vowels only, Master Numbers preserved
+ * @param {string} fullName
+ * @returns {number}
+ */
+export function calculateSoulUrgeNumber(fullName) {
+    const cleanedName = cleanName(fullName);
+    let total = 0;
+    for (const char of cleanedName) {
+        if (VOWELS.has(char)) {
+            total += getChaldeanValue(char);
+        }
+    }
+    return calculateSingleDigit(total, true); // Soul Urge preserves Master Numbers
+}
+
+/**
+ * Personality Number - consonants only, Master Numbers preserved
+ * @param {string} fullName
+ * @returns {number}
+ */
+export function calculatePersonalityNumber(fullName) {
+    const cleanedName = cleanName(fullName);
+    let total = 0;
+    for (const char of cleanedName) {
+        if (!VOWELS.has(char) && char !== ' ') {
+            total += getChaldeanValue(char);
+        }
+    }
+    return calculateSingleDigit(total, true); // Personality preserves Master Numbers
+}
+
+/**
+ * Whether the raw name sum lands on a karmic debt number (13, 14, 16, 19)
+ * @param {string} fullName
+ * @returns {boolean}
+ */
+export function checkKarmicDebt(fullName) {
+    const rawSum = calculateRawSum(fullName);
+    return KARMIC_DEBT_NUMBERS.has(rawSum);
+}
+
+/**
+ * Birth Day Number - alias of calculateBirthNumber kept for profile naming
+ * @param {string} birthDateStr - Date in YYYY-MM-DD format
+ * @returns {number}
+ */
+export function calculateBirthDayNumber(birthDateStr) {
+    return calculateBirthNumber(birthDateStr); // Use the updated function
+}
+
+/**
+ * Lo Shu grid digit counts from the birth date, optionally adding the
+ * reduced expression number of a name
+ * @param {string} birthDateStr - Date in YYYY-MM-DD format
+ * @param {number|null} nameExpressionNum - Raw expression number to overlay
+ * @returns {{grid_counts: Object, missing_numbers: number[], has_8: boolean, has_5: boolean, has_6: boolean}}
+ */
+export function calculateLoShuGrid(birthDateStr, nameExpressionNum = null) {
+    const gridCounts = {};
+    for (let i = 1; i <= 9; i++) gridCounts[i] = 0;
+
+    try {
+        const dobDigits = String(birthDateStr).replace(/-/g, '').split('').map(Number);
+        dobDigits.forEach(digit => {
+            if (digit >= 1 && digit <= 9) {
+                gridCounts[digit]++;
+            }
+        });
+    } catch {}
+
+    if (nameExpressionNum !== null) {
+        const gridFriendlyExp = calculateSingleDigit(nameExpressionNum, false); // Reduce master numbers for grid
+        if (gridFriendlyExp >= 1 && gridFriendlyExp <= 9) {
+            gridCounts[gridFriendlyExp]++;
+        }
+    }
+
+    const missingNumbers = Object.keys(gridCounts).filter(key => gridCounts[key] === 0).map(Number).sort((a, b) => a - b);
+    
+    return {
+        grid_counts: gridCounts,
+        missing_numbers: missingNumbers,
+        has_8: gridCounts[8] > 0,
+        has_5: gridCounts[5] > 0,
+        has_6: gridCounts[6] > 0
+    };
+}
+
+/**
+ * UPDATED VALIDATION FUNCTION using new rules
+ * @param {number} fnv - First Name Value
+ * @param {number} cmv - Complete name value (Expression Number)
+ * @param {number} birthNumber
+ * @param {number} lifePathNumber
+ * @param {Object} [ruleSet=DEFAULT_RULE_SET] - Rule set to evaluate
+ * @returns {boolean} True when both FNV and CMV are allowed
+ */
+export function isValidNameNumber(fnv, cmv, birthNumber, lifePathNumber, ruleSet = DEFAULT_RULE_SET) {
+    return isValueAllowed(fnv, birthNumber, lifePathNumber, ruleSet) && 
+           isValueAllowed(cmv, birthNumber, lifePathNumber, ruleSet);
+}
+
+/**
+ * Build a client profile locally, shaped like the backend's profile_data,
+ * for when /initial_suggestions is unavailable
+ * @param {Object} client
+ * @param {string} client.fullName
+ * @param {string} client.birthDate - Date in YYYY-MM-DD format
+ * @param {string} [client.birthTime]
+ * @param {string} [client.birthPlace]
+ * @returns {Object} Profile with a `source` of 'local'
+ */
+export function buildClientProfile({ fullName, birthDate, birthTime = '', birthPlace = '' }) {
+    const expressionRaw = calculateExpressionNumber(fullName);
+    return {
+        full_name: fullName,
+        birth_date: birthDate,
+        birth_time: birthTime,
+        birth_place: birthPlace,
+        expression_number: calculateSingleDigit(expressionRaw, true),
+        life_path_number: calculateLifePathNumber(birthDate),
+        birth_day_number: calculateBirthDayNumber(birthDate),
+        soul_urge_number: calculateSoulUrgeNumber(fullName),
+        personality_number: calculatePersonalityNumber(fullName),
+        lo_shu_grid: calculateLoShuGrid(birthDate),
+        source: 'local'
+    };
+}
+
+/**
+ * Every number the engine derives for a name against a birth date, in one object
+ * @param {string} name
+ * @param {string} birthDateStr - Date in YYYY-MM-DD format
+ * @param {Object} [ruleSet=DEFAULT_RULE_SET] - Rule set to evaluate
+ * @param {string|Object[]} [nameFormat=DEFAULT_NAME_ORDER] - Name order preset id or explicit parts
+ * @returns {Object} Values, compatibility analysis and Lo Shu impact of the name
+ */
+export function analyzeName(name, birthDateStr, ruleSet = DEFAULT_RULE_SET, nameFormat = DEFAULT_NAME_ORDER) {
+    const birthNumber = calculateBirthNumber(birthDateStr);
+    const lifePathNumber = calculateLifePathNumber(birthDateStr);
+    const firstNameValue = calculateFirstNameValue(name, nameFormat);
+    const expressionNumber = calculateExpressionNumber(name);
+    const baseGrid = calculateLoShuGrid(birthDateStr);
+    const nameGrid = calculateLoShuGrid(birthDateStr, expressionNumber);
+    const addedDigit = calculateSingleDigit(expressionNumber, false);
+
+    return {
+        name,
+        birthNumber,
+        lifePathNumber,
+        firstNameValue,
+        expressionNumber,
+        rawSum: calculateRawSum(name),
+        soulUrgeNumber: calculateSoulUrgeNumber(name),
+        personalityNumber: calculatePersonalityNumber(name),
+        karmicDebtPresent: checkKarmicDebt(name),
+        isValid: isValidNameNumber(firstNameValue, expressionNumber, birthNumber, lifePathNumber, ruleSet),
+        compatibilityAnalysis: getNameCompatibilityAnalysis(firstNameValue, expressionNumber, birthNumber, lifePathNumber, ruleSet),
+        loShuImpact: {
+            addedDigit,
+            fillsMissing: baseGrid.missing_numbers.includes(addedDigit),
+            missingBefore: baseGrid.missing_numbers,
+            missingAfter: nameGrid.missing_numbers
+        }
+    };
+}
@@ -0,0 +1,290 @@
+import {
+    CHALDEAN_MAP,
+    DEFAULT_RULE_SET,
+    calculateBirthNumber,
+    calculateLifePathNumber,
+    getAllowedValues,
+    isValueAllowed,
+    getNameCompatibilityAnalysis,
+    cleanName,
+    getChaldeanValue,
+    calculateSingleDigit,
+    calculateFirstNameValue,
+    calculateExpressionNumber,
+    calculateRawSum,
+    calculateSoulUrgeNumber,
+    calculatePersonalityNumber,
+    checkKarmicDebt,
+    calculateBirthDayNumber,
+    calculateLoShuGrid,
+    isValidNameNumber
+} from './numerology';
+
+const sorted = (set) => Array.from(set).sort((a, b) => a - b);
+
+describe('letter values', () => {
+    test('maps every Latin letter to a Chaldean value between 1 and 8', () => {
+        expect(Object.keys(CHALDEAN_MAP)).toHaveLength(26);
+        Object.values(CHALDEAN_MAP).forEach(value => {
+            expect(value).toBeGreaterThanOrEqual(1);
+            expect(value).toBeLessThanOrEqual(8);
+        });
+    });
+
+    test('cleanName strips punctuation and digits and uppercases', () => {
+        expect(cleanName("o'Neil-2 smith")).toBe('ONEIL SMITH');
+    });
+
+    test('getChaldeanValue returns 0 for unmapped characters', () => {
+        expect(getChaldeanValue('F')).toBe(8);
+        expect(getChaldeanValue(' ')).toBe(0);
+        expect(getChaldeanValue('a')).toBe(0);
+    });
+});
+
+describe('calculateSingleDigit', () => {
+    test('reduces repeatedly to a single digit', () => {
+        expect(calculateSingleDigit(5)).toBe(5);
+        expect(calculateSingleDigit(23)).toBe(5);
+        expect(calculateSingleDigit(99)).toBe(9);
+    });
+
+    test('reduces master numbers unless they are allowed', () => {
+        expect(calculateSingleDigit(29, false)).toBe(2);
+        expect(calculateSingleDigit(29, true)).toBe(11);
+        expect(calculateSingleDigit(22, true)).toBe(22);
+        expect(calculateSingleDigit(33, false)).toBe(6);
+    });
+});
+
+describe('birth numbers', () => {
+    test('birth number reduces the day of the month', () => {
+        expect(calculateBirthNumber('1990-05-17')).toBe(8);
+        expect(calculateBirthNumber('1990-05-03')).toBe(3);
+        expect(calculateBirthDayNumber('1990-05-29')).toBe(2);
+    });
+
+    test('birth number is 0 for malformed dates', () => {
+        expect(calculateBirthNumber('')).toBe(0);
+        expect(calculateBirthNumber('1990-05-45')).toBe(0);
+        expect(calculateBirthNumber(undefined)).toBe(0);
+    });
+
+    test('life path sums every digit of the date', () => {
+        // 1+9+9+0+0+5+1+7 = 32 -> 5
+        expect(calculateLifePathNumber('1990-05-17')).toBe(5);
+        // 2+0+0+0+1+2+2+9 = 16 -> 7
+        expect(calculateLifePathNumber('2000-12-29')).toBe(7);
+    });
+
+    test('life path never keeps master numbers', () => {
+        // 1+9+7+0+0+2+1+9 = 29 -> 11 -> 2
+        expect(calculateLifePathNumber('1970-02-19')).toBe(2);
+    });
+});
+
+describe('getAllowedValues', () => {
+    test('defaults to the primary lucky numbers 1, 5 and 6', () => {
+        expect(sorted(getAllowedValues(1, 5))).toEqual([1, 5, 6]);
+    });
+
+    test('birth or life path 8 blocks 1', () => {
+        expect(sorted(getAllowedValues(8, 5))).toEqual([5, 6]);
+        expect(sorted(getAllowedValues(5, 8))).toEqual([5, 6]);
+    });
+
+    test('birth or life path 3 blocks 6 but allows 3', () => {
+        expect(sorted(getAllowedValues(3, 5))).toEqual([1, 3, 5]);
+        expect(sorted(getAllowedValues(5, 3))).toEqual([1, 3, 5]);
+    });
+
+    test('birth or life path 6 never adds 3', () => {
+        expect(sorted(getAllowedValues(6, 6))).toEqual([1, 5, 6]);
+    });
+
+    test('8 and 3 together leave only 3 and 5', () => {
+        expect(sorted(getAllowedValues(8, 3))).toEqual([3, 5]);
+    });
+});
+
+describe('isValueAllowed', () => {
+    test('checks the reduced value against the allowed set', () => {
+        expect(isValueAllowed(23, 1, 5)).toBe(true); // 5
+        expect(isValueAllowed(19, 1, 5)).toBe(true); // 1
+        expect(isValueAllowed(19, 8, 5)).toBe(false); // 1 blocked by 8
+        expect(isValueAllowed(24, 3, 5)).toBe(false); // 6 blocked by 3
+        expect(isValueAllowed(21, 3, 5)).toBe(true); // 3 allowed by 3
+        expect(isValueAllowed(21, 6, 5)).toBe(false); // 3 never allowed for 6
+    });
+
+    test('51 is rejected even though it reduces to an allowed 6', () => {
+        expect(calculateSingleDigit(51)).toBe(6);
+        expect(isValueAllowed(51, 1, 5)).toBe(false);
+    });
+
+    test('65 is allowed even though it reduces to 2', () => {
+        expect(calculateSingleDigit(65)).toBe(2);
+        expect(isValueAllowed(65, 1, 5)).toBe(true);
+        expect(isValueAllowed(65, 8, 3)).toBe(true);
+    });
+
+    test('master numbers are reduced before comparison', () => {
+        expect(isValueAllowed(11, 1, 5)).toBe(false); // 2
+        expect(isValueAllowed(33, 1, 5)).toBe(true); // 6
+    });
+});
+
+describe('getNameCompatibilityAnalysis', () => {
+    test('valid names collect benefits and a recommendation', () => {
+        const analysis = getNameCompatibilityAnalysis(19, 23, 1, 5);
+        expect(analysis.isValid).toBe(true);
+        expect(analysis.conflicts).toEqual([]);
+        expect(analysis.allowedValues).toEqual([1, 5, 6]);
+        expect(analysis.fnvStatus).toEqual({ isValid: true, reason: 'FNV 1 is lucky and compatible' });
+        expect(analysis.cmvStatus).toEqual({ isValid: true, reason: 'CMV 5 is lucky and compatible' });
+        expect(analysis.benefits).toContain('Both First Name and Expression numbers align with lucky values [1, 5, 6]');
+        expect(analysis.recommendation).toMatch(/^✅ RECOMMENDED/);
+    });
+
+    test('priority tiers follow the strongest lucky number', () => {
+        expect(getNameCompatibilityAnalysis(19, 23, 1, 5).priority.priority).toBe(5);
+        expect(getNameCompatibilityAnalysis(23, 24, 1, 5).priority).toEqual({ priority: 4, label: '★★★★☆ EXCELLENT', class: 'priority-excellent' });
+        expect(getNameCompatibilityAnalysis(24, 24, 1, 5).priority.class).toBe('priority-excellent');
+        expect(getNameCompatibilityAnalysis(21, 21, 3, 5).priority).toEqual({ priority: 3, label: '★★★☆☆ GOOD', class: 'priority-good' });
+    });
+
+    test('65 is valid but falls back to the acceptable tier', () => {
+        const analysis = getNameCompatibilityAnalysis(65, 65, 1, 5);
+        expect(analysis.isValid).toBe(true);
+        expect(analysis.priority.class).toBe('priority-acceptable');
+        expect(analysis.fnvStatus.reason).toBe('FNV 65 specially allowed');
+        expect(analysis.benefits).toContain('Expression Number 65 has special permission');
+    });
+
+    test('51 is reported as forbidden rather than a birth number conflict', () => {
+        const analysis = getNameCompatibilityAnalysis(51, 23, 1, 5);
+        expect(analysis.isValid).toBe(false);
+        expect(analysis.fnvStatus.reason).toBe('FNV 51 is forbidden for personal names');
+        expect(analysis.conflicts).toEqual(['First Name Value 51 is forbidden for personal names']);
+        expect(analysis.cmvStatus.isValid).toBe(true);
+    });
+
+    test('birth number conflicts name the reduced value', () => {
+        const analysis = getNameCompatibilityAnalysis(19, 24, 8, 3);
+        expect(analysis.isValid).toBe(false);
+        expect(analysis.allowedValues).toEqual([3, 5]);
+        expect(analysis.fnvStatus.reason).toBe('FNV 1 not in allowed values [3, 5]');
+        expect(analysis.conflicts).toContain('Expression Number 6 conflicts with your birth numbers');
+        expect(analysis.priority).toEqual({ priority: 1, label: '❌ INVALID', class: 'priority-invalid' });
+        expect(analysis.recommendation).toMatch(/^❌ NOT RECOMMENDED/);
+    });
+});
+
+describe('isValidNameNumber', () => {
+    test('requires both FNV and CMV to be allowed', () => {
+        expect(isValidNameNumber(19, 23, 1, 5)).toBe(true);
+        expect(isValidNameNumber(19, 22, 1, 5)).toBe(false);
+        expect(isValidNameNumber(51, 23, 1, 5)).toBe(false);
+        expect(isValidNameNumber(65, 65, 8, 3)).toBe(true);
+    });
+});
+
+describe('name values', () => {
+    test('first name value only counts the first word', () => {
+        // A1 N5 N5 A1 = 12
+        expect(calculateFirstNameValue('Anna Smith')).toBe(12);
+    });
+
+    test('first name value uses the given name whatever the spacing or order', () => {
+        expect(calculateFirstNameValue('  Anna   Smith')).toBe(12);
+        // R is an initial; KUMAR = 2+6+4+1+2 = 15
+        expect(calculateFirstNameValue('R. Kumar')).toBe(15);
+        expect(calculateFirstNameValue('Smith Anna', 'surname-first')).toBe(12);
+        expect(calculateFirstNameValue('Mary Anne Smith', [
+            { type: 'given', text: 'Mary' },
+            { type: 'given', text: 'Anne' },
+            { type: 'surname', text: 'Smith' }
+        ])).toBe(calculateFirstNameValue('MaryAnne Smith'));
+    });
+
+    test('expression and raw sum count every letter', () => {
+        // ANNA 12 + SMITH (3+4+1+4+5) 17 = 29
+        expect(calculateExpressionNumber('Anna Smith')).toBe(29);
+        expect(calculateRawSum('Anna Smith')).toBe(29);
+        expect(calculateExpressionNumber('anna-smith!')).toBe(29);
+    });
+
+    test('soul urge uses vowels and keeps master numbers', () => {
+        // U6 + E5 = 11
+        expect(calculateSoulUrgeNumber('Lune')).toBe(11);
+        // A1 A1 I1 = 3
+        expect(calculateSoulUrgeNumber('Anna Smith')).toBe(3);
+    });
+
+    test('personality uses consonants and keeps master numbers', () => {
+        // L3 + N5 = 8
+        expect(calculatePersonalityNumber('Lune')).toBe(8);
+        // F8 F8 D4 B2 = 22
+        expect(calculatePersonalityNumber('Ffdb')).toBe(22);
+    });
+
+    test('karmic debt is flagged on raw sums of 13, 14, 16 and 19', () => {
+        // M4 O7 B2 = 13
+        expect(checkKarmicDebt('Mob')).toBe(true);
+        expect(checkKarmicDebt('Anna Smith')).toBe(false);
+    });
+});
+
+describe('calculateLoShuGrid', () => {
+    test('counts non-zero birth date digits', () => {
+        const grid = calculateLoShuGrid('1990-05-17');
+        expect(grid.grid_counts).toEqual({ 1: 2, 2: 0, 3: 0, 4: 0, 5: 1, 6: 0, 7: 1, 8: 0, 9: 2 });
+        expect(grid.missing_numbers).toEqual([2, 3, 4, 6, 8]);
+        expect(grid.has_5).toBe(true);
+        expect(grid.has_6).toBe(false);
+        expect(grid.has_8).toBe(false);
+    });
+
+    test('adds the reduced expression number of a name', () => {
+        const grid = calculateLoShuGrid('1990-05-17', 24);
+        expect(grid.grid_counts[6]).toBe(1);
+        expect(grid.has_6).toBe(true);
+        expect(grid.missing_numbers).toEqual([2, 3, 4, 8]);
+    });
+
+    test('master expression numbers are reduced before being added', () => {
+        expect(calculateLoShuGrid('1990-05-17', 22).grid_counts[4]).toBe(1);
+    });
+});
+
+describe('custom rule sets', () => {
+    const variant = {
+        ...DEFAULT_RULE_SET,
+        id: 'variant',
+        luckyNumbers: [1, 3, 5],
+        exclusions: { 4: [5] },
+        inclusions: { 7: [6] },
+        forbiddenValues: [],
+        specialAllowedValues: [38]
+    };
+
+    test('evaluate lucky numbers, exclusions and inclusions from the rule set', () => {
+        expect(sorted(getAllowedValues(1, 2, variant))).toEqual([1, 3, 5]);
+        expect(sorted(getAllowedValues(4, 7, variant))).toEqual([1, 3, 6]);
+    });
+
+    test('evaluate forbidden and special raw values from the rule set', () => {
+        expect(isValueAllowed(51, 1, 2, variant)).toBe(false); // 6 is not lucky here
+        expect(isValueAllowed(38, 1, 2, variant)).toBe(true); // 2, but special
+        expect(isValueAllowed(42, 1, 2, variant)).toBe(false); // 6 only via inclusions
+        expect(isValueAllowed(42, 7, 2, variant)).toBe(true);
+    });
+
+    test('flow through to the compatibility analysis', () => {
+        const analysis = getNameCompatibilityAnalysis(38, 21, 1, 2, variant);
+        expect(analysis.isValid).toBe(true);
+        expect(analysis.allowedValues).toEqual([1, 3, 5]);
+        expect(analysis.fnvStatus.reason).toBe('FNV 38 specially allowed');
+        expect(isValidNameNumber(38, 21, 1, 2, variant)).toBe(true);
+    });
+});
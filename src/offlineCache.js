@@ -0,0 +1,185 @@
+// Name_Corrector/frontend/src/offlineCache.js
+// Per-client cache of backend responses plus a queue of validations that
+// failed for lack of a connection and should be replayed later.
+import { cleanName } from './numerology';
+
+const CACHE_KEY = 'numerology.responseCache';
+const QUEUE_KEY = 'numerology.offlineQueue';
+const MAX_CACHED_CLIENTS = 50;
+const REPLAY_RETRY_BASE_MS = 5000;
+const REPLAY_RETRY_MAX_MS = 5 * 60 * 1000;
+
+const normalizeName = (name) => cleanName(name || '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Key identifying a client across sessions
+ * @param {string} fullName
+ * @param {string} birthDate - Date in YYYY-MM-DD format
+ * @returns {string}
+ */
+export function getClientCacheKey(fullName, birthDate) {
+    return `${normalizeName(fullName)}|${birthDate || ''}`;
+}
+
+/**
+ * True when a request failed before reaching the backend (offline, DNS,
+ * CORS, timeout) rather than being rejected by it or cancelled by us
+ * @param {Error} error - axios error
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+    return Boolean(error) && !error.response && error.code !== 'ERR_CANCELED';
+}
+
+function readJson(key, fallback) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) || fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function writeCache(cache) {
+    const keys = Object.keys(cache);
+    if (keys.length > MAX_CACHED_CLIENTS) {
+        keys.sort((a, b) => (cache[a].updatedAt < cache[b].updatedAt ? -1 : 1))
+            .slice(0, keys.length - MAX_CACHED_CLIENTS)
+            .forEach(key => delete cache[key]);
+    }
+    try {
+        localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+    } catch (error) {
+        console.error('Failed to save the response cache:', error);
+    }
+}
+
+function updateClientEntry(clientKey, update) {
+    const cache = readJson(CACHE_KEY, {});
+    const entry = cache[clientKey] || { suggestions: null, validations: {} };
+    cache[clientKey] = { ...update(entry), updatedAt: new Date().toISOString() };
+    writeCache(cache);
+}
+
+/**
+ * Remember an /initial_suggestions response for this client
+ * @param {string} clientKey
+ * @param {{suggestions: Array, profile_data: Object}} data
+ */
+export function cacheSuggestionsResponse(clientKey, data) {
+    updateClientEntry(clientKey, entry => ({
+        ...entry,
+        suggestions: { data, cachedAt: new Date().toISOString() }
+    }));
+}
+
+/**
+ * @param {string} clientKey
+ * @returns {{data: Object, cachedAt: string}|null}
+ */
+export function getCachedSuggestionsResponse(clientKey) {
+    return readJson(CACHE_KEY, {})[clientKey]?.suggestions || null;
+}
+
+/**
+ * Remember a /validate_name response for one name of this client
+ * @param {string} clientKey
+ * @param {string} name
+ * @param {{is_valid: boolean, rationale: string}} result
+ */
+export function cacheValidation(clientKey, name, result) {
+    updateClientEntry(clientKey, entry => ({
+        ...entry,
+        validations: { ...entry.validations, [normalizeName(name)]: { result, cachedAt: new Date().toISOString() } }
+    }));
+}
+
+/**
+ * @param {string} clientKey
+ * @param {string} name
+ * @returns {{result: Object, cachedAt: string}|null}
+ */
+export function getCachedValidation(clientKey, name) {
+    return readJson(CACHE_KEY, {})[clientKey]?.validations?.[normalizeName(name)] || null;
+}
+
+/**
+ * @returns {Object[]} Queued validations, oldest first
+ */
+export function loadQueue() {
+    return readJson(QUEUE_KEY, []);
+}
+
+/**
+ * @param {Object[]} queue
+ */
+export function saveQueue(queue) {
+    try {
+        localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    } catch (error) {
+        console.error('Failed to save the offline queue:', error);
+    }
+}
+
+/**
+ * Add a validation to the queue, replacing any queued request for the same
+ * client and name so only the latest profile is replayed
+ * @param {Object[]} queue
+ * @param {{clientKey: string, name: string, clientProfile: Object, isCustom: boolean}} request
+ * @returns {Object[]} New queue
+ */
+export function enqueueValidation(queue, request) {
+    const sameRequest = (entry) => entry.clientKey === request.clientKey && normalizeName(entry.name) === normalizeName(request.name);
+    return [
+        ...queue.filter(entry => !sameRequest(entry)),
+        {
+            ...request,
+            id: `queued-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            queuedAt: new Date().toISOString()
+        }
+    ];
+}
+
+/**
+ * @param {Object[]} queue
+ * @param {string} clientKey
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isQueued(queue, clientKey, name) {
+    return queue.some(entry => entry.clientKey === clientKey && normalizeName(entry.name) === normalizeName(name));
+}
+
+/**
+ * How long to wait before replaying again after a replay made no progress;
+ * doubles with each attempt up to five minutes
+ * @param {number} attempt - Failed replays so far, from 0
+ * @returns {number} Milliseconds
+ */
+export function getReplayRetryDelay(attempt) {
+    return Math.min(REPLAY_RETRY_BASE_MS * 2 ** attempt, REPLAY_RETRY_MAX_MS);
+}
+
+/**
+ * Replay queued validations in order. Stops at the first network error,
+ * since the rest would fail the same way; entries the backend rejects are
+ * dropped so a bad request can't block the queue forever.
+ * @param {Object[]} queue
+ * @param {function(string, Object): Promise<Object>} validate - (name, clientProfile) => response data
+ * @param {function(Object, Object): void} [onResult] - Called with each entry and its backend result
+ * @returns {Promise<string[]>} Ids of entries that are finished and can be removed
+ */
+export async function replayQueue(queue, validate, onResult = () => {}) {
+    const finishedIds = [];
+    for (const entry of queue) {
+        try {
+            const result = await validate(entry.name, entry.clientProfile);
+            cacheValidation(entry.clientKey, entry.name, result);
+            onResult(entry, result);
+        } catch (error) {
+            if (isNetworkError(error)) break;
+            console.error(`Dropping queued validation for "${entry.name}":`, error);
+        }
+        finishedIds.push(entry.id);
+    }
+    return finishedIds;
+}
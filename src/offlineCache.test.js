@@ -0,0 +1,91 @@
+import {
+    getClientCacheKey,
+    isNetworkError,
+    cacheSuggestionsResponse,
+    getCachedSuggestionsResponse,
+    cacheValidation,
+    getCachedValidation,
+    saveQueue,
+    enqueueValidation,
+    isQueued,
+    getReplayRetryDelay,
+    replayQueue
+} from './offlineCache';
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+const networkError = () => Object.assign(new Error('Network Error'), { response: undefined });
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status, data: {} } });
+
+describe('offline response cache', () => {
+    test('client keys ignore case and punctuation in the name', () => {
+        expect(getClientCacheKey('alex smith', '1990-05-15')).toBe(getClientCacheKey('Alex  Smith.', '1990-05-15'));
+    });
+
+    test('distinguishes network failures from backend rejections', () => {
+        expect(isNetworkError(networkError())).toBe(true);
+        expect(isNetworkError(httpError(500))).toBe(false);
+    });
+
+    test('stores suggestions and validations per client', () => {
+        const key = getClientCacheKey('Alex Smith', '1990-05-15');
+        cacheSuggestionsResponse(key, { suggestions: ['Alexx Smith'], profile_data: { full_name: 'Alex Smith' } });
+        cacheValidation(key, 'Alexx Smith', { is_valid: true, rationale: 'ok' });
+
+        expect(getCachedSuggestionsResponse(key).data.suggestions).toEqual(['Alexx Smith']);
+        expect(getCachedValidation(key, 'alexx smith').result.is_valid).toBe(true);
+        expect(getCachedSuggestionsResponse(getClientCacheKey('Other', '1990-05-15'))).toBeNull();
+    });
+
+    test('a full storage quota is logged instead of thrown', () => {
+        jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+            throw new Error('QuotaExceededError');
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(() => cacheValidation('k', 'A', { is_valid: true })).not.toThrow();
+        expect(() => saveQueue([])).not.toThrow();
+        expect(console.error).toHaveBeenCalledTimes(2);
+
+        Storage.prototype.setItem.mockRestore();
+        console.error.mockRestore();
+    });
+});
+
+describe('validation queue', () => {
+    test('replay retries back off exponentially up to five minutes', () => {
+        expect([0, 1, 2].map(getReplayRetryDelay)).toEqual([5000, 10000, 20000]);
+        expect(getReplayRetryDelay(20)).toBe(5 * 60 * 1000);
+    });
+
+    test('keeps only the latest request per client and name', () => {
+        let queue = enqueueValidation([], { clientKey: 'k', name: 'Alex Smith', clientProfile: { v: 1 } });
+        queue = enqueueValidation(queue, { clientKey: 'k', name: 'ALEX SMITH', clientProfile: { v: 2 } });
+        expect(queue).toHaveLength(1);
+        expect(queue[0].clientProfile.v).toBe(2);
+        expect(isQueued(queue, 'k', 'alex smith')).toBe(true);
+        expect(isQueued(queue, 'other', 'alex smith')).toBe(false);
+    });
+
+    test('replays in order, caches results and stops at a network error', async () => {
+        let queue = enqueueValidation([], { clientKey: 'k', name: 'A', clientProfile: {} });
+        queue = enqueueValidation(queue, { clientKey: 'k', name: 'B', clientProfile: {} });
+        queue = enqueueValidation(queue, { clientKey: 'k', name: 'C', clientProfile: {} });
+        const validate = jest.fn(async (name) => {
+            if (name === 'B') throw httpError(400);
+            if (name === 'C') throw networkError();
+            return { is_valid: true };
+        });
+        const onResult = jest.fn();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const finished = await replayQueue(queue, validate, onResult);
+
+        expect(finished).toEqual([queue[0].id, queue[1].id]);
+        expect(onResult).toHaveBeenCalledTimes(1);
+        expect(getCachedValidation('k', 'A').result).toEqual({ is_valid: true });
+        console.error.mockRestore();
+    });
+});
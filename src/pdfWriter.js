@@ -0,0 +1,261 @@
+// Name_Corrector/frontend/src/pdfWriter.js
+// Minimal PDF 1.4 writer for text, lines and filled boxes with the built-in Helvetica
+// fonts, so reports can be produced in the browser without the backend.
+
+// A4 in points
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Typographic characters WinAnsi has no room for, and their plain stand-ins
+const PLAIN_SUBSTITUTES = {
+    '‘': "'", '’': "'", '“': '"', '”': '"',
+    '–': '-', '—': '-', '…': '...', '→': '->', '•': '-'
+};
+
+/**
+ * Reduce text to the Latin-1 characters Helvetica can draw. Emoji and other
+ * symbols are dropped; accented Latin letters are kept.
+ * @param {string} text
+ * @returns {string}
+ */
+export function toPdfText(text) {
+    return [...String(text ?? '')]
+        .map(char => {
+            if (char in PLAIN_SUBSTITUTES) return PLAIN_SUBSTITUTES[char];
+            return char.length === 1 && char.charCodeAt(0) <= 0xff ? char : '';
+        })
+        .join('')
+        .replace(/[^\S\n]+/g, ' ')
+        .trim();
+}
+
+function escapePdfString(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+/**
+ * Approximate width of a string in Helvetica (average glyph widths, not metrics)
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold=false]
+ * @returns {number} Width in points
+ */
+export function measureText(text, size, bold = false) {
+    let units = 0;
+    for (const char of text) {
+        if (char === ' ') units += 278;
+        else if ('iljtf.,:;\'|!'.includes(char)) units += 278;
+        else if ('mwMW'.includes(char)) units += 833;
+        else if (char >= 'A' && char <= 'Z') units += 667;
+        else units += 556;
+    }
+    return (units * size * (bold ? 1.05 : 1)) / 1000;
+}
+
+/**
+ * Break text into lines no wider than maxWidth
+ * @param {string} text
+ * @param {number} maxWidth - Points
+ * @param {number} size
+ * @param {boolean} [bold=false]
+ * @returns {string[]}
+ */
+export function wrapText(text, maxWidth, size, bold = false) {
+    const lines = [];
+    toPdfText(text).split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && measureText(candidate, size, bold) > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+const toRgb = (hex) => {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => (c / 255).toFixed(3)).join(' ');
+};
+
+const fmt = (n) => Number(n.toFixed(2));
+
+const COLOR_SPACES = { 1: 'DeviceGray', 3: 'DeviceRGB', 4: 'DeviceCMYK' };
+
+// One character per byte, in chunks small enough for String.fromCharCode's argument limit
+function bytesToBinary(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 8192));
+    }
+    return binary;
+}
+
+/**
+ * Bytes of a base64 data URL
+ * @param {string} dataUrl
+ * @returns {Uint8Array}
+ */
+export function dataUrlToBytes(dataUrl) {
+    const binary = atob(String(dataUrl).split(',')[1] || '');
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Pixel size of a JPEG, read from its start-of-frame marker
+ * @param {Uint8Array} bytes
+ * @returns {{width: number, height: number, components: number}|null} null when the bytes are not a JPEG
+ */
+export function getJpegSize(bytes) {
+    if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+        if (bytes[offset] !== 0xff) return null;
+        const marker = bytes[offset + 1];
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return {
+                height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+                components: bytes[offset + 9]
+            };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+/**
+ * Create a PDF document. Coordinates are in points from the top-left corner.
+ * @param {Object} [info]
+ * @param {string} [info.title]
+ * @param {string} [info.author]
+ * @returns {{addPage: Function, text: Function, rect: Function, line: Function, image: Function, pageCount: Function, toBytes: Function}}
+ */
+export function createPdfDocument({ title = '', author = '' } = {}) {
+    const pages = [];
+    const images = [];
+    let current = null;
+    let currentImages = null;
+
+    const y = (top) => fmt(PAGE_HEIGHT - top);
+
+    return {
+        addPage() {
+            current = [];
+            currentImages = [];
+            pages.push({ ops: current, images: currentImages });
+        },
+
+        /**
+         * @param {string} content
+         * @param {number} x
+         * @param {number} top - Baseline, from the top of the page
+         * @param {Object} [style]
+         * @param {number} [style.size=11]
+         * @param {boolean} [style.bold=false]
+         * @param {string} [style.color='#0f172a']
+         */
+        text(content, x, top, { size = 11, bold = false, color = '#0f172a' } = {}) {
+            if (!current) this.addPage();
+            current.push(`BT /${bold ? FONTS.bold : FONTS.regular} ${size} Tf ${toRgb(color)} rg ${fmt(x)} ${y(top)} Td (${escapePdfString(toPdfText(content))}) Tj ET`);
+        },
+
+        rect(x, top, width, height, { fill = null, stroke = null, lineWidth = 0.5 } = {}) {
+            if (!current) this.addPage();
+            const ops = [`${lineWidth} w`];
+            if (fill) ops.push(`${toRgb(fill)} rg`);
+            if (stroke) ops.push(`${toRgb(stroke)} RG`);
+            ops.push(`${fmt(x)} ${y(top + height)} ${fmt(width)} ${fmt(height)} re`);
+            ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+            current.push(`q ${ops.join(' ')} Q`);
+        },
+
+        line(x1, top1, x2, top2, { color = '#e2e8f0', lineWidth = 0.5 } = {}) {
+            if (!current) this.addPage();
+            current.push(`q ${lineWidth} w ${toRgb(color)} RG ${fmt(x1)} ${y(top1)} m ${fmt(x2)} ${y(top2)} l S Q`);
+        },
+
+        /**
+         * Draw a JPEG; anything else is ignored
+         * @param {Uint8Array} jpegBytes
+         * @param {number} x
+         * @param {number} top
+         * @param {number} width - Points
+         * @param {number} height - Points
+         * @returns {boolean} Whether the image was drawn
+         */
+        image(jpegBytes, x, top, width, height) {
+            const size = getJpegSize(jpegBytes);
+            if (!size || !COLOR_SPACES[size.components]) return false;
+            if (!current) this.addPage();
+            const name = `Im${images.length + 1}`;
+            images.push({ name, bytes: jpegBytes, ...size });
+            currentImages.push(name);
+            current.push(`q ${fmt(width)} 0 0 ${fmt(height)} ${fmt(x)} ${y(top + height)} cm /${name} Do Q`);
+            return true;
+        },
+
+        pageCount() {
+            return pages.length;
+        },
+
+        /**
+         * Serialise the document
+         * @returns {Uint8Array}
+         */
+        toBytes() {
+            if (pages.length === 0) this.addPage();
+            const objects = [];
+            const add = (body) => {
+                objects.push(body);
+                return objects.length;
+            };
+
+            const catalogId = add(null);
+            const pagesId = add(null);
+            const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+            const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+            const infoId = add(`<< /Title (${escapePdfString(toPdfText(title))}) /Author (${escapePdfString(toPdfText(author))}) /Producer (Numerology Portal) >>`);
+
+            const imageIds = {};
+            images.forEach(img => {
+                const data = bytesToBinary(img.bytes);
+                imageIds[img.name] = add(`<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /${COLOR_SPACES[img.components]} /BitsPerComponent 8 /Filter /DCTDecode /Length ${data.length} >>\nstream\n${data}\nendstream`);
+            });
+
+            const pageIds = pages.map(page => {
+                const stream = page.ops.join('\n');
+                const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+                const xObjects = page.images.length
+                    ? ` /XObject << ${page.images.map(name => `/${name} ${imageIds[name]} 0 R`).join(' ')} >>`
+                    : '';
+                return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /${FONTS.regular} ${regularId} 0 R /${FONTS.bold} ${boldId} 0 R >>${xObjects} >> /Contents ${contentId} 0 R >>`);
+            });
+            objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+            objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+            // Every character is Latin-1, so string length equals byte length
+            let output = '%PDF-1.4\n';
+            const offsets = objects.map((body, idx) => {
+                const offset = output.length;
+                output += `${idx + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+            const xrefOffset = output.length;
+            output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF`;
+
+            return Uint8Array.from(output, char => char.charCodeAt(0));
+        }
+    };
+}
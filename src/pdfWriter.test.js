@@ -0,0 +1,71 @@
+import { createPdfDocument, toPdfText, wrapText, measureText, getJpegSize } from './pdfWriter';
+
+// SOI, an APP0 segment, then a baseline SOF0 frame of 3x2 pixels with 3 components
+const TINY_JPEG = Uint8Array.from([
+    0xff, 0xd8,
+    0xff, 0xe0, 0x00, 0x04, 0x00, 0x00,
+    0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x02, 0x00, 0x03, 0x03
+]);
+
+const asText = (bytes) => String.fromCharCode(...bytes);
+
+describe('toPdfText', () => {
+    test('keeps Latin-1, substitutes typographic characters and drops emoji', () => {
+        expect(toPdfText('✅ José’s name → 5')).toBe("José's name -> 5");
+    });
+});
+
+describe('wrapText', () => {
+    test('breaks long text into lines within the width', () => {
+        const lines = wrapText('word '.repeat(60), 200, 10);
+        expect(lines.length).toBeGreaterThan(1);
+        lines.forEach(line => expect(measureText(line, 10)).toBeLessThanOrEqual(200));
+    });
+
+    test('keeps explicit line breaks', () => {
+        expect(wrapText('one\ntwo', 500, 10)).toEqual(['one', 'two']);
+    });
+});
+
+describe('createPdfDocument', () => {
+    test('writes a well-formed PDF with a correct cross-reference table', () => {
+        const doc = createPdfDocument({ title: 'Test (1)' });
+        doc.text('Hello (world)', 50, 50);
+        doc.rect(50, 60, 100, 20, { fill: '#2d1b69' });
+        doc.addPage();
+        doc.line(50, 50, 200, 50);
+        const pdf = asText(doc.toBytes());
+
+        expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+        expect(pdf.trim().endsWith('%%EOF')).toBe(true);
+        expect(pdf).toContain('/Count 2');
+        expect(pdf).toContain('(Hello \\(world\\)) Tj');
+        expect(pdf).toContain('/Title (Test \\(1\\))');
+
+        const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+        expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+        const offsets = [...pdf.slice(xrefOffset).matchAll(/(\d{10}) 00000 n/g)].map(m => Number(m[1]));
+        offsets.forEach((offset, idx) => expect(pdf.slice(offset).startsWith(`${idx + 1} 0 obj`)).toBe(true));
+    });
+
+    test('always has at least one page', () => {
+        expect(asText(createPdfDocument().toBytes())).toContain('/Count 1');
+    });
+
+    test('embeds JPEG images and ignores other formats', () => {
+        const doc = createPdfDocument();
+        expect(doc.image(TINY_JPEG, 10, 10, 30, 20)).toBe(true);
+        expect(doc.image(Uint8Array.from([0x89, 0x50, 0x4e, 0x47]), 10, 10, 30, 20)).toBe(false);
+        const pdf = asText(doc.toBytes());
+        expect(pdf).toContain('/Subtype /Image /Width 3 /Height 2 /ColorSpace /DeviceRGB');
+        expect(pdf).toContain('/XObject << /Im1');
+        expect(pdf).toContain('/Im1 Do');
+    });
+});
+
+describe('getJpegSize', () => {
+    test('reads the frame size and component count', () => {
+        expect(getJpegSize(TINY_JPEG)).toEqual({ width: 3, height: 2, components: 3 });
+        expect(getJpegSize(Uint8Array.from([1, 2, 3]))).toBeNull();
+    });
+});
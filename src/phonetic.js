@@ -0,0 +1,164 @@
+// Name_Corrector/frontend/src/phonetic.js
+// How alike two spellings sound, so respellings that change the name's sound rank lower.
+import { cleanName, VOWELS } from './numerology';
+import { editDistance } from './suggestionGenerator';
+
+const SOUNDEX_CODES = {
+    B: '1', F: '1', P: '1', V: '1',
+    C: '2', G: '2', J: '2', K: '2', Q: '2', S: '2', X: '2', Z: '2',
+    D: '3', T: '3',
+    L: '4',
+    M: '5', N: '5',
+    R: '6'
+};
+
+/**
+ * American Soundex code of a word, e.g. ROBERT → R163
+ * @param {string} word
+ * @returns {string} Four characters, or '' when the word has no letters
+ */
+export function soundex(word) {
+    const letters = cleanName(word).replace(/\s+/g, '');
+    if (!letters) return '';
+
+    let code = letters[0];
+    let previous = SOUNDEX_CODES[letters[0]] || '';
+    for (const char of letters.slice(1)) {
+        const digit = SOUNDEX_CODES[char];
+        if (digit && digit !== previous) code += digit;
+        // H and W do not separate letters with the same code; vowels do
+        if (char !== 'H' && char !== 'W') previous = digit || '';
+        if (code.length === 4) break;
+    }
+    return code.padEnd(4, '0');
+}
+
+const isVowel = (char) => VOWELS.has(char);
+
+/**
+ * Metaphone key of a word (Lawrence Philips' original rules), e.g. SMITH → SM0
+ * @param {string} word
+ * @returns {string}
+ */
+export function metaphone(word) {
+    let letters = cleanName(word).replace(/\s+/g, '');
+    if (!letters) return '';
+
+    if (/^(AE|GN|KN|PN|WR)/.test(letters)) letters = letters.slice(1);
+    if (letters[0] === 'X') letters = `S${letters.slice(1)}`;
+    if (letters.startsWith('WH')) letters = `W${letters.slice(2)}`;
+
+    let key = '';
+    for (let i = 0; i < letters.length; i++) {
+        const char = letters[i];
+        const prev = letters[i - 1] || '';
+        const next = letters[i + 1] || '';
+        const after = letters[i + 2] || '';
+        if (char === prev && char !== 'C') continue;
+
+        switch (char) {
+            case 'A': case 'E': case 'I': case 'O': case 'U':
+                if (i === 0) key += char;
+                break;
+            case 'B':
+                if (!(prev === 'M' && i === letters.length - 1)) key += 'B';
+                break;
+            case 'C':
+                if (next === 'I' && after === 'A') key += 'X';
+                else if (next === 'H') key += prev === 'S' ? 'K' : 'X';
+                else if ('IEY'.includes(next) && next) key += prev === 'S' ? '' : 'S';
+                else key += 'K';
+                break;
+            case 'D':
+                key += next === 'G' && 'EIY'.includes(after) && after ? 'J' : 'T';
+                break;
+            case 'G':
+                if (next === 'H' && i + 2 < letters.length && !isVowel(after)) break;
+                if (next === 'N' && (i + 2 === letters.length || letters.slice(i + 1) === 'NED')) break;
+                if (prev === 'D' && 'EIY'.includes(next) && next) break;
+                key += 'EIY'.includes(next) && next && prev !== 'G' ? 'J' : 'K';
+                break;
+            case 'H':
+                if ((!prev || !'CSPTG'.includes(prev)) && isVowel(next)) key += 'H';
+                break;
+            case 'K':
+                if (prev !== 'C') key += 'K';
+                break;
+            case 'P':
+                key += next === 'H' ? 'F' : 'P';
+                break;
+            case 'Q':
+                key += 'K';
+                break;
+            case 'S':
+                key += next === 'H' || (next === 'I' && (after === 'O' || after === 'A')) ? 'X' : 'S';
+                break;
+            case 'T':
+                if (next === 'I' && (after === 'O' || after === 'A')) key += 'X';
+                else if (next === 'H') key += '0';
+                else if (!(next === 'C' && after === 'H')) key += 'T';
+                break;
+            case 'V':
+                key += 'F';
+                break;
+            case 'W':
+            case 'Y':
+                if (isVowel(next)) key += char;
+                break;
+            case 'X':
+                key += 'KS';
+                break;
+            case 'Z':
+                key += 'S';
+                break;
+            default:
+                key += char;
+        }
+    }
+    return key;
+}
+
+// Share of two codes that agree, as 1 minus their normalised edit distance
+function codeSimilarity(a, b) {
+    const length = Math.max(a.length, b.length);
+    return length === 0 ? 1 : 1 - editDistance(a, b) / length;
+}
+
+/**
+ * How alike two names sound: the average of their Soundex and Metaphone
+ * agreement, word by word
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 (nothing alike) to 1 (every word sounds the same)
+ */
+export function phoneticSimilarity(a, b) {
+    const wordsA = cleanName(a).split(/\s+/).filter(Boolean);
+    const wordsB = cleanName(b).split(/\s+/).filter(Boolean);
+    const count = Math.max(wordsA.length, wordsB.length);
+    if (count === 0) return 1;
+
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+        if (!wordsA[i] || !wordsB[i]) continue;
+        const soundexScore = codeSimilarity(soundex(wordsA[i]), soundex(wordsB[i]));
+        const metaphoneScore = codeSimilarity(metaphone(wordsA[i]), metaphone(wordsB[i]));
+        total += (soundexScore + metaphoneScore) / 2;
+    }
+    return total / count;
+}
+
+// Badge levels for phoneticSimilarity scores, highest first
+export const PHONETIC_LEVELS = [
+    { id: 'close', min: 0.85, label: 'Sounds alike' },
+    { id: 'similar', min: 0.6, label: 'Sounds similar' },
+    { id: 'different', min: 0, label: 'Sounds different' }
+];
+
+/**
+ * Badge level for a similarity score
+ * @param {number} score
+ * @returns {{id: string, min: number, label: string}}
+ */
+export function getPhoneticLevel(score) {
+    return PHONETIC_LEVELS.find(level => score >= level.min) || PHONETIC_LEVELS[PHONETIC_LEVELS.length - 1];
+}
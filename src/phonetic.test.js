@@ -0,0 +1,45 @@
+import { soundex, metaphone, phoneticSimilarity, getPhoneticLevel } from './phonetic';
+
+describe('soundex', () => {
+    test('produces the standard codes', () => {
+        expect(soundex('Robert')).toBe('R163');
+        expect(soundex('Rupert')).toBe('R163');
+        expect(soundex('Ashcraft')).toBe('A261');
+        expect(soundex('Tymczak')).toBe('T522');
+        expect(soundex('Lee')).toBe('L000');
+        expect(soundex('')).toBe('');
+    });
+});
+
+describe('phoneticSimilarity', () => {
+    test('is 1 for sound-alike spellings and lower for different sounds', () => {
+        expect(phoneticSimilarity('Ravi Kumar', 'Ravee Kumaar')).toBe(1);
+        expect(phoneticSimilarity('Ravi Kumar', 'Ravi Sumar')).toBeLessThan(1);
+        expect(phoneticSimilarity('Ravi', 'Thompson')).toBe(0);
+    });
+
+    test('penalises missing words', () => {
+        expect(phoneticSimilarity('Ravi Kumar', 'Ravi')).toBe(0.5);
+        expect(phoneticSimilarity('', '')).toBe(1);
+    });
+});
+
+describe('metaphone', () => {
+    test('encodes common English spelling rules', () => {
+        expect(metaphone('Smith')).toBe('SM0');
+        expect(metaphone('Knight')).toBe('NT');
+        expect(metaphone('Philip')).toBe('FLP');
+        expect(metaphone('Catherine')).toBe('K0RN');
+        expect(metaphone('Kathryn')).toBe('K0RN');
+        expect(metaphone('Harry')).toBe('HR');
+        expect(metaphone('')).toBe('');
+    });
+});
+
+describe('getPhoneticLevel', () => {
+    test('maps scores to badge levels', () => {
+        expect(getPhoneticLevel(1).id).toBe('close');
+        expect(getPhoneticLevel(0.7).id).toBe('similar');
+        expect(getPhoneticLevel(0.1).id).toBe('different');
+    });
+});
@@ -0,0 +1,245 @@
+// Name_Corrector/frontend/src/profileExports.js
+// The client profile and confirmed names as Markdown, Word-compatible HTML, JSON,
+// CSV and a standalone web page, all built from one structured snapshot.
+import {
+    DEFAULT_RULE_SET,
+    analyzeName,
+    calculateBirthNumber,
+    calculateLifePathNumber,
+    calculateExpressionNumber,
+    calculateSingleDigit,
+    getAllowedValues
+} from './numerology';
+import { DEFAULT_NAME_ORDER } from './nameParts';
+import { DEFAULT_BRANDING } from './reportTemplates';
+import { escapeHtml } from './reportMarkdown';
+import { toCsv } from './csv';
+
+export const EXPORT_FORMATS = [
+    { id: 'markdown', label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+    { id: 'docx', label: 'Word document (.doc)', extension: 'doc', mimeType: 'application/msword' },
+    { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    { id: 'html', label: 'Shareable web page', extension: 'html', mimeType: 'text/html' }
+];
+
+/**
+ * Snapshot of the profile and confirmed names that every format is written from
+ * @param {Object} details
+ * @param {Object} details.clientProfile
+ * @param {Object[]} details.confirmedSuggestions - name, rationale, name_parts
+ * @param {Object} [details.ruleSet=DEFAULT_RULE_SET]
+ * @param {string|Object[]} [details.nameOrder=DEFAULT_NAME_ORDER]
+ * @param {Object} [details.branding=DEFAULT_BRANDING]
+ * @param {Date} [details.generatedAt=new Date()]
+ * @returns {Object} snake_case, like the backend payloads
+ */
+export function buildExportData({
+    clientProfile,
+    confirmedSuggestions,
+    ruleSet = DEFAULT_RULE_SET,
+    nameOrder = DEFAULT_NAME_ORDER,
+    branding = DEFAULT_BRANDING,
+    generatedAt = new Date()
+}) {
+    const birthDate = clientProfile.birth_date;
+    const birthNumber = calculateBirthNumber(birthDate);
+    const lifePathNumber = calculateLifePathNumber(birthDate);
+    const expressionNumber = calculateExpressionNumber(clientProfile.full_name || '');
+
+    return {
+        generated_at: generatedAt.toISOString(),
+        consultant: branding.consultantName,
+        rule_set: { id: ruleSet.id, name: ruleSet.name, version: ruleSet.version },
+        client: {
+            full_name: clientProfile.full_name,
+            birth_date: birthDate,
+            birth_time: clientProfile.birth_time || '',
+            birth_place: clientProfile.birth_place || '',
+            birth_number: birthNumber,
+            life_path_number: lifePathNumber,
+            expression_number: expressionNumber,
+            soul_urge_number: clientProfile.soul_urge_number ?? null,
+            personality_number: clientProfile.personality_number ?? null,
+            allowed_values: Array.from(getAllowedValues(birthNumber, lifePathNumber, ruleSet)).sort()
+        },
+        confirmed_names: confirmedSuggestions.map(cs => {
+            const analysis = analyzeName(cs.name, birthDate, ruleSet, cs.name_parts || nameOrder);
+            return {
+                name: cs.name,
+                first_name_value: analysis.firstNameValue,
+                first_name_reduced: calculateSingleDigit(analysis.firstNameValue, false),
+                expression_number: analysis.expressionNumber,
+                expression_reduced: calculateSingleDigit(analysis.expressionNumber, false),
+                tier: analysis.compatibilityAnalysis.priority.label,
+                is_valid: analysis.isValid,
+                lo_shu_added_digit: analysis.loShuImpact.addedDigit,
+                fills_missing_lo_shu: analysis.loShuImpact.fillsMissing,
+                rationale: cs.rationale || ''
+            };
+        })
+    };
+}
+
+/**
+ * Plain Markdown, readable when pasted into chat or email
+ * @param {Object} data - buildExportData result
+ * @returns {string}
+ */
+export function formatExportMarkdown(data) {
+    const { client } = data;
+    const lines = [
+        `# Numerology Summary: ${client.full_name}`,
+        '',
+        `- **Birth date:** ${client.birth_date}${client.birth_time ? ` ${client.birth_time}` : ''}${client.birth_place ? `, ${client.birth_place}` : ''}`,
+        `- **Birth Number:** ${client.birth_number}`,
+        `- **Life Path Number:** ${client.life_path_number}`,
+        `- **Expression Number:** ${client.expression_number}`,
+        `- **Allowed values:** ${client.allowed_values.join(', ')}`,
+        '',
+        `## Confirmed Names (${data.confirmed_names.length})`,
+        ''
+    ];
+    data.confirmed_names.forEach((entry, idx) => {
+        lines.push(
+            `${idx + 1}. **${entry.name}**: First Name ${entry.first_name_value} → ${entry.first_name_reduced}, ` +
+            `Expression ${entry.expression_number} → ${entry.expression_reduced} (${entry.tier})`
+        );
+        if (entry.rationale) lines.push(`   ${entry.rationale}`);
+    });
+    lines.push('', `_${data.consultant} · ${data.rule_set.name} v${data.rule_set.version} · ${data.generated_at.slice(0, 10)}_`);
+    return lines.join('\n');
+}
+
+/**
+ * @param {Object} data - buildExportData result
+ * @returns {string}
+ */
+export function formatExportJson(data) {
+    return JSON.stringify(data, null, 2);
+}
+
+// One row per confirmed name, with the client repeated so each row stands alone in a CRM
+export const EXPORT_CSV_COLUMNS = [
+    { header: 'Client Name', value: row => row.client.full_name },
+    { header: 'Birth Date', value: row => row.client.birth_date },
+    { header: 'Birth Number', value: row => row.client.birth_number },
+    { header: 'Life Path Number', value: row => row.client.life_path_number },
+    { header: 'Confirmed Name', value: row => row.entry.name },
+    { header: 'First Name Value', value: row => row.entry.first_name_value },
+    { header: 'Expression Number', value: row => row.entry.expression_number },
+    { header: 'Tier', value: row => row.entry.tier },
+    { header: 'Rationale', value: row => row.entry.rationale },
+    { header: 'Rule Set', value: row => `${row.ruleSet.name} v${row.ruleSet.version}` },
+    { header: 'Exported At', value: row => row.generatedAt }
+];
+
+/**
+ * @param {Object} data - buildExportData result
+ * @returns {string}
+ */
+export function formatExportCsv(data) {
+    const rows = data.confirmed_names.map(entry => ({
+        client: data.client,
+        entry,
+        ruleSet: data.rule_set,
+        generatedAt: data.generated_at
+    }));
+    return toCsv(rows, EXPORT_CSV_COLUMNS);
+}
+
+// Colours go into a style sheet, so anything that is not a plain hex value is replaced
+const safeColor = (value, fallback) => (/^#[0-9a-f]{6}$/i.test(value) ? value : fallback);
+
+/**
+ * Self-contained HTML page with inline styles. With forWord set it carries the
+ * Office namespaces so Word opens it as a document.
+ * @param {Object} data - buildExportData result
+ * @param {Object} [options]
+ * @param {Object} [options.branding=DEFAULT_BRANDING]
+ * @param {boolean} [options.forWord=false]
+ * @returns {string}
+ */
+export function formatExportHtml(data, { branding = DEFAULT_BRANDING, forWord = false } = {}) {
+    const { client } = data;
+    const title = `Numerology Summary: ${client.full_name}`;
+    const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+    const names = data.confirmed_names.map(entry => `
+        <tr>
+            <td><strong>${escapeHtml(entry.name)}</strong></td>
+            <td>${entry.first_name_value} → ${entry.first_name_reduced}</td>
+            <td>${entry.expression_number} → ${entry.expression_reduced}</td>
+            <td>${escapeHtml(entry.tier)}</td>
+            <td>${escapeHtml(entry.rationale)}</td>
+        </tr>`).join('');
+    const logo = branding.logoDataUrl && !forWord
+        ? `<img src="${escapeHtml(branding.logoDataUrl)}" alt="" style="max-height:48px;vertical-align:middle;margin-right:12px">`
+        : '';
+    const primaryColor = safeColor(branding.primaryColor, DEFAULT_BRANDING.primaryColor);
+    const accentColor = safeColor(branding.accentColor, DEFAULT_BRANDING.accentColor);
+    const htmlOpen = forWord
+        ? '<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word" xmlns="http://www.w3.org/TR/REC-html40">'
+        : '<html lang="en">';
+
+    return `<!DOCTYPE html>
+${htmlOpen}
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #0f172a; max-width: 800px; margin: 0 auto; padding: 24px; }
+    header { background: ${primaryColor}; color: #ffffff; padding: 16px; border-radius: 8px; }
+    h2 { color: ${accentColor}; border-bottom: 1px solid ${accentColor}; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+    th, td { border: 1px solid #e2e8f0; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f1f5f9; }
+    footer { margin-top: 24px; font-size: 12px; color: #64748b; text-align: center; }
+</style>
+</head>
+<body>
+<header>${logo}<strong>${escapeHtml(branding.consultantName)}</strong><br>${escapeHtml(title)}</header>
+<h2>Client Profile</h2>
+<table>
+    ${row('Full name', client.full_name)}
+    ${row('Birth date', client.birth_date)}
+    ${client.birth_time ? row('Birth time', client.birth_time) : ''}
+    ${client.birth_place ? row('Birth place', client.birth_place) : ''}
+    ${row('Birth Number', client.birth_number)}
+    ${row('Life Path Number', client.life_path_number)}
+    ${row('Expression Number', client.expression_number)}
+    ${row('Allowed values', client.allowed_values.join(', '))}
+</table>
+<h2>Confirmed Names (${data.confirmed_names.length})</h2>
+<table>
+    <tr><th>Name</th><th>First Name Value</th><th>Expression</th><th>Tier</th><th>Rationale</th></tr>${names}
+</table>
+<footer>${escapeHtml([branding.footerText, `${data.rule_set.name} v${data.rule_set.version}`, data.generated_at.slice(0, 10)].filter(Boolean).join(' · '))}</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * File content for one export format
+ * @param {string} formatId - One of EXPORT_FORMATS
+ * @param {Object} data - buildExportData result
+ * @param {Object} [options] - Passed to formatExportHtml
+ * @returns {{content: string, filename: string, mimeType: string}}
+ */
+export function buildExportFile(formatId, data, options = {}) {
+    const format = EXPORT_FORMATS.find(f => f.id === formatId);
+    if (!format) throw new Error(`Unknown export format: ${formatId}`);
+    const writers = {
+        markdown: () => formatExportMarkdown(data),
+        docx: () => formatExportHtml(data, { ...options, forWord: true }),
+        json: () => formatExportJson(data),
+        csv: () => formatExportCsv(data),
+        html: () => formatExportHtml(data, options)
+    };
+    return {
+        content: writers[format.id](),
+        filename: `Numerology_${data.client.full_name.replace(/\s+/g, '_')}.${format.extension}`,
+        mimeType: format.mimeType
+    };
+}
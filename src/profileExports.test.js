@@ -0,0 +1,79 @@
+import {
+    EXPORT_FORMATS,
+    buildExportData,
+    formatExportMarkdown,
+    formatExportJson,
+    formatExportCsv,
+    formatExportHtml,
+    buildExportFile
+} from './profileExports';
+import { parseCsv } from './csv';
+import { DEFAULT_BRANDING } from './reportTemplates';
+
+const data = buildExportData({
+    clientProfile: { full_name: 'Ravi Kumar', birth_date: '1990-05-15', birth_time: '', birth_place: 'Chennai' },
+    confirmedSuggestions: [
+        { name: 'Raavi Kumar', rationale: 'Balances the birth number, "strongly".' },
+        { name: 'Ravi <b>Kumar</b>', rationale: '' }
+    ],
+    generatedAt: new Date('2026-10-19T10:00:00Z')
+});
+
+describe('buildExportData', () => {
+    test('collects the client numbers and an analysis of every confirmed name', () => {
+        expect(data.client).toMatchObject({ full_name: 'Ravi Kumar', birth_number: 6, birth_place: 'Chennai' });
+        expect(data.rule_set.id).toBe('default');
+        expect(data.confirmed_names).toHaveLength(2);
+        expect(data.confirmed_names[0]).toMatchObject({ name: 'Raavi Kumar', rationale: 'Balances the birth number, "strongly".' });
+        expect(data.confirmed_names[0].expression_reduced).toBeLessThanOrEqual(9);
+    });
+});
+
+describe('formats', () => {
+    test('Markdown lists every name with its numbers', () => {
+        const markdown = formatExportMarkdown(data);
+        expect(markdown).toContain('# Numerology Summary: Ravi Kumar');
+        expect(markdown).toContain('1. **Raavi Kumar**');
+        expect(markdown).toContain('2026-10-19');
+    });
+
+    test('JSON round-trips the snapshot', () => {
+        expect(JSON.parse(formatExportJson(data))).toEqual(data);
+    });
+
+    test('CSV has one row per name and survives quotes and commas', () => {
+        const rows = parseCsv(formatExportCsv(data));
+        expect(rows).toHaveLength(3);
+        expect(rows[0][0]).toBe('Client Name');
+        expect(rows[1][4]).toBe('Raavi Kumar');
+        expect(rows[1][8]).toBe('Balances the birth number, "strongly".');
+    });
+
+    test('HTML escapes names and uses the branding', () => {
+        const html = formatExportHtml(data, { branding: { ...DEFAULT_BRANDING, consultantName: 'Asha Numerology', primaryColor: 'red;}' } });
+        expect(html).toContain('Ravi &lt;b&gt;Kumar&lt;/b&gt;');
+        expect(html).not.toContain('<b>Kumar</b>');
+        expect(html).toContain('Asha Numerology');
+        expect(html).toContain(`background: ${DEFAULT_BRANDING.primaryColor}`);
+    });
+
+    test('the Word variant carries the Office namespace', () => {
+        expect(formatExportHtml(data, { forWord: true })).toContain('urn:schemas-microsoft-com:office:word');
+        expect(formatExportHtml(data)).not.toContain('urn:schemas-microsoft-com:office:word');
+    });
+});
+
+describe('buildExportFile', () => {
+    test('names each file after the client with the format extension', () => {
+        EXPORT_FORMATS.forEach(format => {
+            const file = buildExportFile(format.id, data);
+            expect(file.filename).toBe(`Numerology_Ravi_Kumar.${format.extension}`);
+            expect(file.mimeType).toBe(format.mimeType);
+            expect(file.content.length).toBeGreaterThan(0);
+        });
+    });
+
+    test('rejects unknown formats', () => {
+        expect(() => buildExportFile('pptx', data)).toThrow('Unknown export format');
+    });
+});
@@ -0,0 +1,161 @@
+// Name_Corrector/frontend/src/reconciliation.js
+// Compares the local engine's verdict on a name with the backend's, decides
+// whether the name may be confirmed, and keeps a log of disagreements.
+
+const DISCREPANCY_LOG_KEY = 'numerology.discrepancyLog';
+const VERDICT_AUTHORITY_KEY = 'numerology.verdictAuthority';
+const MAX_LOG_ENTRIES = 200;
+
+/**
+ * Which verdict decides whether a name can be confirmed
+ */
+export const VERDICT_AUTHORITIES = [
+    { id: 'local', label: 'Local engine', description: 'Confirm when the local rule set says the name complies.' },
+    { id: 'backend', label: 'Backend', description: 'Confirm only after the backend has validated the name as compliant.' },
+    { id: 'both', label: 'Both must agree', description: 'Confirm only when the local engine and the backend both say compliant.' }
+];
+
+export const DEFAULT_VERDICT_AUTHORITY = 'local';
+
+/**
+ * Explain a local verdict in one line
+ * @param {Object} compatibilityAnalysis - From getNameCompatibilityAnalysis
+ * @returns {string}
+ */
+export function describeLocalVerdict(compatibilityAnalysis) {
+    if (!compatibilityAnalysis) return '';
+    return compatibilityAnalysis.conflicts.length > 0
+        ? compatibilityAnalysis.conflicts.join('; ')
+        : `${compatibilityAnalysis.fnvStatus.reason}; ${compatibilityAnalysis.cmvStatus.reason}`;
+}
+
+/**
+ * Line up both verdicts for one name
+ * @param {string} name
+ * @param {{isValid: boolean, compatibilityAnalysis: Object}} local - Local engine result
+ * @param {{is_valid: boolean, rationale: string}|null} backend - /validate_name response, if any
+ * @returns {{name: string, status: 'agree'|'mismatch'|'local-only', localValid: boolean, backendValid: boolean|null, localRationale: string, backendRationale: string}}
+ */
+export function reconcileVerdicts(name, local, backend) {
+    const hasBackend = Boolean(backend) && typeof backend === 'object' && typeof backend.is_valid === 'boolean';
+    const localValid = Boolean(local?.isValid);
+    const backendValid = hasBackend ? backend.is_valid : null;
+    return {
+        name,
+        status: !hasBackend ? 'local-only' : localValid === backendValid ? 'agree' : 'mismatch',
+        localValid,
+        backendValid,
+        localRationale: describeLocalVerdict(local?.compatibilityAnalysis),
+        backendRationale: hasBackend ? backend.rationale || '' : ''
+    };
+}
+
+/**
+ * Why a name can't be confirmed under the chosen authority, or null when it can
+ * @param {Object} reconciliation - From reconcileVerdicts
+ * @param {'local'|'backend'|'both'} authority
+ * @returns {{code: 'local-invalid'|'backend-pending'|'backend-invalid', message: string}|null}
+ */
+export function getConfirmBlockReason(reconciliation, authority) {
+    const { localValid, backendValid } = reconciliation;
+    if (authority !== 'backend' && !localValid) {
+        return { code: 'local-invalid', message: 'the local engine marks it non-compliant' };
+    }
+    if (authority !== 'local' && backendValid === null) {
+        return { code: 'backend-pending', message: 'it has not been validated by the backend yet' };
+    }
+    if (authority !== 'local' && !backendValid) {
+        return { code: 'backend-invalid', message: 'the backend marks it non-compliant' };
+    }
+    return null;
+}
+
+/**
+ * Add mismatches to the log, skipping ones already recorded with the same verdicts
+ * @param {Object[]} log - Existing entries, newest first
+ * @param {Object[]} reconciliations - reconcileVerdicts results; non-mismatches are ignored
+ * @param {{clientName: string, ruleSetName: string}} context
+ * @returns {Object[]} The same array when nothing was added
+ */
+export function logDiscrepancies(log, reconciliations, context) {
+    const isLogged = (r) => log.some(entry =>
+        entry.name === r.name &&
+        entry.clientName === context.clientName &&
+        entry.ruleSetName === context.ruleSetName &&
+        entry.localValid === r.localValid &&
+        entry.backendValid === r.backendValid
+    );
+    const fresh = reconciliations
+        .filter(r => r.status === 'mismatch' && !isLogged(r))
+        .map(r => ({
+            id: `discrepancy-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            loggedAt: new Date().toISOString(),
+            clientName: context.clientName,
+            ruleSetName: context.ruleSetName,
+            name: r.name,
+            localValid: r.localValid,
+            backendValid: r.backendValid,
+            localRationale: r.localRationale,
+            backendRationale: r.backendRationale
+        }));
+    return fresh.length === 0 ? log : [...fresh, ...log].slice(0, MAX_LOG_ENTRIES);
+}
+
+/**
+ * Columns for exporting the discrepancy log with toCsv
+ */
+export const DISCREPANCY_EXPORT_COLUMNS = [
+    { header: 'Logged At', value: e => e.loggedAt },
+    { header: 'Client', value: e => e.clientName },
+    { header: 'Rule Set', value: e => e.ruleSetName },
+    { header: 'Name', value: e => e.name },
+    { header: 'Local Verdict', value: e => (e.localValid ? 'Compliant' : 'Non-compliant') },
+    { header: 'Local Rationale', value: e => e.localRationale },
+    { header: 'Backend Verdict', value: e => (e.backendValid ? 'Compliant' : 'Non-compliant') },
+    { header: 'Backend Rationale', value: e => e.backendRationale }
+];
+
+/**
+ * @returns {Object[]}
+ */
+export function loadDiscrepancyLog() {
+    try {
+        return JSON.parse(localStorage.getItem(DISCREPANCY_LOG_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * @param {Object[]} log
+ */
+export function saveDiscrepancyLog(log) {
+    try {
+        localStorage.setItem(DISCREPANCY_LOG_KEY, JSON.stringify(log));
+    } catch (error) {
+        console.error('Failed to save the discrepancy log:', error);
+    }
+}
+
+/**
+ * @returns {'local'|'backend'|'both'}
+ */
+export function loadVerdictAuthority() {
+    try {
+        const stored = localStorage.getItem(VERDICT_AUTHORITY_KEY);
+        return VERDICT_AUTHORITIES.some(a => a.id === stored) ? stored : DEFAULT_VERDICT_AUTHORITY;
+    } catch (e) {
+        return DEFAULT_VERDICT_AUTHORITY;
+    }
+}
+
+/**
+ * @param {'local'|'backend'|'both'} authority
+ */
+export function saveVerdictAuthority(authority) {
+    try {
+        localStorage.setItem(VERDICT_AUTHORITY_KEY, authority);
+    } catch (error) {
+        console.error('Failed to save the verdict authority:', error);
+    }
+}
@@ -0,0 +1,104 @@
+import { reconcileVerdicts, getConfirmBlockReason, logDiscrepancies, loadVerdictAuthority, saveVerdictAuthority, saveDiscrepancyLog } from './reconciliation';
+import { analyzeName } from './numerology';
+
+const local = (isValid) => ({
+    isValid,
+    compatibilityAnalysis: {
+        conflicts: isValid ? [] : ['Expression Number 8 conflicts with your birth numbers'],
+        fnvStatus: { reason: 'FNV 1 is lucky and compatible' },
+        cmvStatus: { reason: isValid ? 'CMV 5 is lucky and compatible' : 'CMV 8 not in allowed values' }
+    }
+});
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+describe('reconcileVerdicts', () => {
+    test('is local-only until the backend has answered', () => {
+        expect(reconcileVerdicts('Alex', local(true), null).status).toBe('local-only');
+        // Cards start with validationResult: true before any backend call
+        expect(reconcileVerdicts('Alex', local(true), true).status).toBe('local-only');
+    });
+
+    test('flags disagreement with both rationales', () => {
+        const r = reconcileVerdicts('Alex', local(false), { is_valid: true, rationale: 'Backend OK' });
+        expect(r).toMatchObject({ status: 'mismatch', localValid: false, backendValid: true, backendRationale: 'Backend OK' });
+        expect(r.localRationale).toMatch(/conflicts/);
+    });
+
+    test('works on real engine output', () => {
+        const analysis = analyzeName('Alex Smith', '1990-05-15');
+        const r = reconcileVerdicts('Alex Smith', analysis, { is_valid: analysis.isValid, rationale: '' });
+        expect(r.status).toBe('agree');
+    });
+});
+
+describe('getConfirmBlockReason', () => {
+    const pending = reconcileVerdicts('A', local(true), null);
+    const mismatch = reconcileVerdicts('A', local(true), { is_valid: false });
+    const backendOnly = reconcileVerdicts('A', local(false), { is_valid: true });
+
+    test('local authority ignores the backend', () => {
+        expect(getConfirmBlockReason(pending, 'local')).toBeNull();
+        expect(getConfirmBlockReason(mismatch, 'local')).toBeNull();
+        expect(getConfirmBlockReason(backendOnly, 'local').code).toBe('local-invalid');
+    });
+
+    test('backend authority needs a backend pass', () => {
+        expect(getConfirmBlockReason(pending, 'backend').code).toBe('backend-pending');
+        expect(getConfirmBlockReason(mismatch, 'backend').code).toBe('backend-invalid');
+        expect(getConfirmBlockReason(backendOnly, 'backend')).toBeNull();
+    });
+
+    test('both authorities must agree', () => {
+        expect(getConfirmBlockReason(mismatch, 'both').code).toBe('backend-invalid');
+        expect(getConfirmBlockReason(backendOnly, 'both').code).toBe('local-invalid');
+        expect(getConfirmBlockReason(reconcileVerdicts('A', local(true), { is_valid: true }), 'both')).toBeNull();
+    });
+});
+
+describe('discrepancy log', () => {
+    const context = { clientName: 'Alex Smith', ruleSetName: 'Default v1' };
+
+    test('records mismatches once and keeps the array when nothing is new', () => {
+        const mismatch = reconcileVerdicts('Alexx Smith', local(false), { is_valid: true, rationale: 'ok' });
+        const agree = reconcileVerdicts('Alyx Smith', local(true), { is_valid: true });
+        const log = logDiscrepancies([], [mismatch, agree], context);
+        expect(log).toHaveLength(1);
+        expect(log[0]).toMatchObject({ name: 'Alexx Smith', clientName: 'Alex Smith', localValid: false, backendValid: true });
+        expect(logDiscrepancies(log, [mismatch], context)).toBe(log);
+    });
+
+    test('persists the chosen authority and rejects unknown values', () => {
+        expect(loadVerdictAuthority()).toBe('local');
+        saveVerdictAuthority('both');
+        expect(loadVerdictAuthority()).toBe('both');
+        localStorage.setItem('numerology.verdictAuthority', 'oracle');
+        expect(loadVerdictAuthority()).toBe('local');
+    });
+
+    test('a full storage quota is logged instead of thrown', () => {
+        jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+            throw new Error('QuotaExceededError');
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(() => saveVerdictAuthority('both')).not.toThrow();
+        expect(() => saveDiscrepancyLog([])).not.toThrow();
+        expect(console.error).toHaveBeenCalledTimes(2);
+
+        Storage.prototype.setItem.mockRestore();
+        console.error.mockRestore();
+    });
+
+    test('blocked storage falls back to the default authority', () => {
+        jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+            throw new Error('SecurityError');
+        });
+
+        expect(loadVerdictAuthority()).toBe('local');
+
+        Storage.prototype.getItem.mockRestore();
+    });
+});
@@ -0,0 +1,77 @@
+// Name_Corrector/frontend/src/reportMarkdown.js
+// Safe Markdown rendering for the backend's text report.
+import { Marked } from 'marked';
+
+const SAFE_URL = /^(https?:|mailto:|#|\/(?!\/))/i;
+
+/**
+ * Escape text for use inside HTML
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Turn heading text into a URL fragment
+ * @param {string} text
+ * @returns {string}
+ */
+export function slugify(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/<[^>]*>/g, '')
+        .replace(/[^a-z0-9\s-]/g, '')
+        .trim()
+        .replace(/\s+/g, '-') || 'section';
+}
+
+/**
+ * Render report Markdown to sanitized HTML. Raw HTML in the source is shown
+ * as text and links/images with non-http(s) URLs are dropped.
+ * @param {string} markdown
+ * @returns {{html: string, sections: {id: string, title: string, level: number}[]}}
+ */
+export function renderReportMarkdown(markdown) {
+    const sections = [];
+    const usedIds = new Map();
+
+    const uniqueId = (text) => {
+        const base = `report-${slugify(text)}`;
+        const count = usedIds.get(base) || 0;
+        usedIds.set(base, count + 1);
+        return count === 0 ? base : `${base}-${count}`;
+    };
+
+    const renderer = {
+        heading(text, level, raw) {
+            const id = uniqueId(raw);
+            if (level <= 3) {
+                sections.push({ id, title: raw, level });
+            }
+            return `<h${level} id="${id}">${text}</h${level}>\n`;
+        },
+        html(html) {
+            return escapeHtml(html);
+        },
+        link(href, title, text) {
+            if (!href || !SAFE_URL.test(href)) return text;
+            const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+            return `<a href="${escapeHtml(href)}"${titleAttr} target="_blank" rel="noopener noreferrer">${text}</a>`;
+        },
+        image(href, title, text) {
+            if (!href || !SAFE_URL.test(href)) return escapeHtml(text || '');
+            const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+            return `<img src="${escapeHtml(href)}" alt="${escapeHtml(text || '')}"${titleAttr}>`;
+        }
+    };
+
+    const html = new Marked({ renderer, gfm: true }).parse(markdown || '');
+    return { html, sections };
+}
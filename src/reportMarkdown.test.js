@@ -0,0 +1,50 @@
+import { escapeHtml, slugify, renderReportMarkdown } from './reportMarkdown';
+
+describe('escapeHtml', () => {
+    test('escapes markup characters', () => {
+        expect(escapeHtml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    });
+});
+
+describe('slugify', () => {
+    test('keeps letters, digits and dashes', () => {
+        expect(slugify('Lo Shu Grid: Analysis!')).toBe('lo-shu-grid-analysis');
+        expect(slugify('✨')).toBe('section');
+    });
+});
+
+describe('renderReportMarkdown', () => {
+    test('renders markdown and collects sections up to level 3', () => {
+        const { html, sections } = renderReportMarkdown('# Report\n\n## Core Numbers\n\n**Life Path:** 5\n\n#### Detail');
+        expect(html).toContain('<h1 id="report-report">Report</h1>');
+        expect(html).toContain('<strong>Life Path:</strong> 5');
+        expect(sections).toEqual([
+            { id: 'report-report', title: 'Report', level: 1 },
+            { id: 'report-core-numbers', title: 'Core Numbers', level: 2 }
+        ]);
+    });
+
+    test('gives repeated headings unique ids', () => {
+        const { sections } = renderReportMarkdown('## Name\n\n## Name');
+        expect(sections.map(s => s.id)).toEqual(['report-name', 'report-name-1']);
+    });
+
+    test('escapes raw HTML blocks and inline tags', () => {
+        const { html } = renderReportMarkdown('<script>alert(1)</script>\n\nHello <img src=x onerror=alert(1)>');
+        expect(html).not.toContain('<script>');
+        expect(html).not.toContain('<img');
+        expect(html).toContain('&lt;script&gt;');
+    });
+
+    test('drops javascript links but keeps http links', () => {
+        const scriptUrl = ['javascript', 'alert(1)'].join(':');
+        const { html } = renderReportMarkdown(`[bad](${scriptUrl}) [good](https://example.com)`);
+        expect(html).not.toContain(scriptUrl);
+        expect(html).toContain('bad');
+        expect(html).toContain('<a href="https://example.com" target="_blank" rel="noopener noreferrer">good</a>');
+    });
+
+    test('handles empty content', () => {
+        expect(renderReportMarkdown('')).toEqual({ html: '', sections: [] });
+    });
+});
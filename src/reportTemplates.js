@@ -0,0 +1,190 @@
+// Name_Corrector/frontend/src/reportTemplates.js
+// Report templates: which sections appear, in what order, and the practice branding.
+// Saved in localStorage and sent with the report payload.
+
+const TEMPLATES_STORAGE_KEY = 'numerology.reportTemplates';
+const ACTIVE_TEMPLATE_STORAGE_KEY = 'numerology.activeReportTemplateId';
+
+export const REPORT_SECTIONS = [
+    { id: 'core-numbers', label: 'Core numbers' },
+    { id: 'lo-shu', label: 'Lo Shu grid' },
+    { id: 'names', label: 'Recommended names' },
+    { id: 'breakdowns', label: 'Per-name calculation breakdowns' },
+    { id: 'forecast', label: 'Timing forecast' }
+];
+
+export const DEFAULT_BRANDING = {
+    consultantName: "Sheelaa's Numerology Portal",
+    logoDataUrl: '',
+    primaryColor: '#2d1b69',
+    accentColor: '#b45309',
+    footerText: ''
+};
+
+export const DEFAULT_REPORT_TEMPLATE = {
+    id: 'default',
+    name: 'Standard Report',
+    sections: REPORT_SECTIONS.map(section => ({ id: section.id, enabled: true })),
+    branding: DEFAULT_BRANDING
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Fill in missing sections and branding so templates saved by older versions still work.
+ * Unknown section ids are dropped; sections added since are appended, enabled.
+ * @param {Object} template
+ * @returns {Object}
+ */
+export function normalizeTemplate(template) {
+    const known = new Set(REPORT_SECTIONS.map(section => section.id));
+    const sections = (template.sections || []).filter(section => known.has(section.id));
+    REPORT_SECTIONS.forEach(section => {
+        if (!sections.some(s => s.id === section.id)) sections.push({ id: section.id, enabled: true });
+    });
+    return {
+        ...template,
+        sections: sections.map(section => ({ id: section.id, enabled: section.enabled !== false })),
+        branding: { ...DEFAULT_BRANDING, ...(template.branding || {}) }
+    };
+}
+
+/**
+ * Check a template before it is saved
+ * @param {Object} template
+ * @returns {string[]} Human readable errors, empty when valid
+ */
+export function validateTemplate(template) {
+    const errors = [];
+    if (!template.name || !template.name.trim()) {
+        errors.push('Template name is required.');
+    }
+    if (!template.branding.consultantName || !template.branding.consultantName.trim()) {
+        errors.push('Consultant or practice name is required.');
+    }
+    if (!HEX_COLOR.test(template.branding.primaryColor) || !HEX_COLOR.test(template.branding.accentColor)) {
+        errors.push('Colours must be hex values like #2d1b69.');
+    }
+    if (!template.sections.some(section => section.enabled)) {
+        errors.push('Include at least one section.');
+    }
+    return errors;
+}
+
+/**
+ * Copy a template under a new name
+ * @param {Object} baseTemplate
+ * @param {string} name
+ * @returns {Object}
+ */
+export function createTemplate(baseTemplate, name) {
+    return {
+        ...JSON.parse(JSON.stringify(normalizeTemplate(baseTemplate))),
+        id: `template-${Date.now()}`,
+        name,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Move a section up (delta -1) or down (delta 1); out-of-range moves are ignored
+ * @param {Object[]} sections
+ * @param {number} index
+ * @param {number} delta
+ * @returns {Object[]}
+ */
+export function moveSection(sections, index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= sections.length) return sections;
+    const next = [...sections];
+    [next[index], next[target]] = [next[target], next[index]];
+    return next;
+}
+
+/**
+ * Ids of the included sections, in report order
+ * @param {Object} template
+ * @returns {string[]}
+ */
+export function getEnabledSections(template) {
+    return normalizeTemplate(template).sections.filter(section => section.enabled).map(section => section.id);
+}
+
+/**
+ * @param {Object} template
+ * @param {string} sectionId
+ * @returns {boolean}
+ */
+export function isSectionEnabled(template, sectionId) {
+    return getEnabledSections(template).includes(sectionId);
+}
+
+/**
+ * Template as sent to the backend, in its snake_case
+ * @param {Object} template
+ * @returns {Object}
+ */
+export function toTemplatePayload(template) {
+    const { branding } = normalizeTemplate(template);
+    return {
+        name: template.name,
+        sections: getEnabledSections(template),
+        branding: {
+            consultant_name: branding.consultantName,
+            logo_data_url: branding.logoDataUrl,
+            primary_color: branding.primaryColor,
+            accent_color: branding.accentColor,
+            footer_text: branding.footerText
+        }
+    };
+}
+
+/**
+ * Load saved templates. The built-in default is always first and read-only.
+ * @returns {Object[]}
+ */
+export function loadReportTemplates() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TEMPLATES_STORAGE_KEY) || '[]');
+        const custom = Array.isArray(saved) ? saved.filter(t => t.id !== DEFAULT_REPORT_TEMPLATE.id).map(normalizeTemplate) : [];
+        return [DEFAULT_REPORT_TEMPLATE, ...custom];
+    } catch (error) {
+        console.error('Failed to load report templates:', error);
+        return [DEFAULT_REPORT_TEMPLATE];
+    }
+}
+
+/**
+ * Persist custom templates (the built-in default is never stored)
+ * @param {Object[]} templates
+ */
+export function saveReportTemplates(templates) {
+    try {
+        const custom = templates.filter(t => t.id !== DEFAULT_REPORT_TEMPLATE.id);
+        localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(custom));
+    } catch (error) {
+        console.error('Failed to save report templates:', error);
+    }
+}
+
+/**
+ * @returns {string} Id of the template last selected, or the default
+ */
+export function loadActiveTemplateId() {
+    try {
+        return localStorage.getItem(ACTIVE_TEMPLATE_STORAGE_KEY) || DEFAULT_REPORT_TEMPLATE.id;
+    } catch {
+        return DEFAULT_REPORT_TEMPLATE.id;
+    }
+}
+
+/**
+ * @param {string} id
+ */
+export function saveActiveTemplateId(id) {
+    try {
+        localStorage.setItem(ACTIVE_TEMPLATE_STORAGE_KEY, id);
+    } catch (error) {
+        console.error('Failed to save active report template:', error);
+    }
+}
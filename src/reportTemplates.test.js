@@ -0,0 +1,112 @@
+import {
+    DEFAULT_REPORT_TEMPLATE,
+    REPORT_SECTIONS,
+    normalizeTemplate,
+    validateTemplate,
+    createTemplate,
+    moveSection,
+    getEnabledSections,
+    isSectionEnabled,
+    toTemplatePayload,
+    loadReportTemplates,
+    saveReportTemplates,
+    loadActiveTemplateId,
+    saveActiveTemplateId
+} from './reportTemplates';
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+describe('normalizeTemplate', () => {
+    test('drops unknown sections, appends missing ones and fills branding', () => {
+        const normalized = normalizeTemplate({
+            name: 'Old',
+            sections: [{ id: 'forecast', enabled: false }, { id: 'retired-section', enabled: true }],
+            branding: { consultantName: 'Asha' }
+        });
+        expect(normalized.sections[0]).toEqual({ id: 'forecast', enabled: false });
+        expect(normalized.sections.map(s => s.id).sort()).toEqual(REPORT_SECTIONS.map(s => s.id).sort());
+        expect(normalized.branding.consultantName).toBe('Asha');
+        expect(normalized.branding.primaryColor).toBe(DEFAULT_REPORT_TEMPLATE.branding.primaryColor);
+    });
+});
+
+describe('validateTemplate', () => {
+    test('accepts the default template', () => {
+        expect(validateTemplate(DEFAULT_REPORT_TEMPLATE)).toEqual([]);
+    });
+
+    test('requires a name, consultant, hex colours and a section', () => {
+        const errors = validateTemplate({
+            name: ' ',
+            sections: REPORT_SECTIONS.map(s => ({ id: s.id, enabled: false })),
+            branding: { consultantName: '', primaryColor: 'purple', accentColor: '#b45309' }
+        });
+        expect(errors).toHaveLength(4);
+    });
+});
+
+describe('sections', () => {
+    test('moveSection swaps neighbours and ignores moves off either end', () => {
+        const sections = DEFAULT_REPORT_TEMPLATE.sections;
+        expect(moveSection(sections, 1, -1).map(s => s.id).slice(0, 2)).toEqual([sections[1].id, sections[0].id]);
+        expect(moveSection(sections, 0, -1)).toBe(sections);
+        expect(moveSection(sections, sections.length - 1, 1)).toBe(sections);
+    });
+
+    test('getEnabledSections keeps the template order', () => {
+        const template = {
+            ...DEFAULT_REPORT_TEMPLATE,
+            sections: [
+                { id: 'forecast', enabled: true },
+                { id: 'names', enabled: true },
+                { id: 'lo-shu', enabled: false },
+                { id: 'core-numbers', enabled: true },
+                { id: 'breakdowns', enabled: false }
+            ]
+        };
+        expect(getEnabledSections(template)).toEqual(['forecast', 'names', 'core-numbers']);
+        expect(isSectionEnabled(template, 'lo-shu')).toBe(false);
+    });
+});
+
+describe('toTemplatePayload', () => {
+    test('sends enabled sections and branding in snake_case', () => {
+        const payload = toTemplatePayload(DEFAULT_REPORT_TEMPLATE);
+        expect(payload.sections).toEqual(REPORT_SECTIONS.map(s => s.id));
+        expect(payload.branding).toEqual({
+            consultant_name: "Sheelaa's Numerology Portal",
+            logo_data_url: '',
+            primary_color: '#2d1b69',
+            accent_color: '#b45309',
+            footer_text: ''
+        });
+    });
+});
+
+describe('persistence', () => {
+    test('keeps the default first and stores only custom templates', () => {
+        const custom = createTemplate(DEFAULT_REPORT_TEMPLATE, 'Branded');
+        saveReportTemplates([DEFAULT_REPORT_TEMPLATE, custom]);
+        expect(JSON.parse(localStorage.getItem('numerology.reportTemplates'))).toHaveLength(1);
+
+        const loaded = loadReportTemplates();
+        expect(loaded[0]).toBe(DEFAULT_REPORT_TEMPLATE);
+        expect(loaded[1].name).toBe('Branded');
+        expect(loaded[1].id).not.toBe(DEFAULT_REPORT_TEMPLATE.id);
+    });
+
+    test('falls back to the default on corrupt storage', () => {
+        localStorage.setItem('numerology.reportTemplates', '{not json');
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect(loadReportTemplates()).toEqual([DEFAULT_REPORT_TEMPLATE]);
+        console.error.mockRestore();
+    });
+
+    test('remembers the active template', () => {
+        expect(loadActiveTemplateId()).toBe('default');
+        saveActiveTemplateId('template-1');
+        expect(loadActiveTemplateId()).toBe('template-1');
+    });
+});
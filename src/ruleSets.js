@@ -0,0 +1,180 @@
+// Name_Corrector/frontend/src/ruleSets.js
+// Named, versioned rule set variants and their localStorage persistence.
+// The engine in numerology.js evaluates whichever rule set is passed to it.
+import { DEFAULT_RULE_SET } from './numerology';
+
+const RULE_SETS_STORAGE_KEY = 'numerology.ruleSets';
+const ACTIVE_RULE_SET_STORAGE_KEY = 'numerology.activeRuleSetId';
+
+/**
+ * Parse a comma/space separated list of whole numbers, dropping duplicates
+ * @param {string} text - e.g. "1, 5, 6"
+ * @returns {number[]}
+ */
+export function parseNumberList(text) {
+    const numbers = String(text || '')
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map(Number)
+        .filter(n => Number.isInteger(n));
+    return Array.from(new Set(numbers));
+}
+
+/**
+ * @param {number[]} numbers
+ * @returns {string} e.g. "1, 5, 6"
+ */
+export function formatNumberList(numbers) {
+    return (numbers || []).join(', ');
+}
+
+/**
+ * Check a rule set for structural problems before it is saved
+ * @param {Object} ruleSet
+ * @returns {string[]} Human readable errors, empty when valid
+ */
+export function validateRuleSet(ruleSet) {
+    const errors = [];
+    const isDigit = n => Number.isInteger(n) && n >= 1 && n <= 9;
+    const isPositive = n => Number.isInteger(n) && n > 0;
+
+    if (!ruleSet.name || !ruleSet.name.trim()) {
+        errors.push('Rule set name is required.');
+    }
+    if (!ruleSet.luckyNumbers?.length) {
+        errors.push('At least one lucky number is required.');
+    } else if (!ruleSet.luckyNumbers.every(isDigit)) {
+        errors.push('Lucky numbers must be single digits 1-9.');
+    }
+    ['exclusions', 'inclusions'].forEach(field => {
+        Object.entries(ruleSet[field] || {}).forEach(([trigger, values]) => {
+            if (!isDigit(Number(trigger)) || !values.every(isDigit)) {
+                errors.push(`${field === 'exclusions' ? 'Exclusions' : 'Inclusions'} for ${trigger} must only use single digits 1-9.`);
+            }
+        });
+    });
+    if (!(ruleSet.forbiddenValues || []).every(isPositive) || !(ruleSet.specialAllowedValues || []).every(isPositive)) {
+        errors.push('Forbidden and special values must be positive whole numbers.');
+    }
+    const overlap = (ruleSet.forbiddenValues || []).filter(v => (ruleSet.specialAllowedValues || []).includes(v));
+    if (overlap.length > 0) {
+        errors.push(`Values cannot be both forbidden and specially allowed: ${formatNumberList(overlap)}.`);
+    }
+    return errors;
+}
+
+/**
+ * Copy a rule set under a new name, starting a fresh version history
+ * @param {Object} baseRuleSet
+ * @param {string} name
+ * @returns {Object}
+ */
+export function createRuleSet(baseRuleSet, name) {
+    const { history, ...rules } = baseRuleSet;
+    return {
+        ...JSON.parse(JSON.stringify(rules)),
+        id: `ruleset-${Date.now()}`,
+        name,
+        version: 1,
+        updatedAt: new Date().toISOString(),
+        history: []
+    };
+}
+
+/**
+ * Apply edits as a new version, keeping the previous one in history
+ * @param {Object} ruleSet - Current saved rule set
+ * @param {Object} changes - Fields to replace
+ * @returns {Object}
+ */
+export function updateRuleSet(ruleSet, changes) {
+    const { history = [], ...previous } = ruleSet;
+    return {
+        ...previous,
+        ...changes,
+        id: ruleSet.id,
+        version: ruleSet.version + 1,
+        updatedAt: new Date().toISOString(),
+        history: [...history, previous]
+    };
+}
+
+/**
+ * Summarise a rule set for the rules card
+ * @param {Object} ruleSet
+ * @returns {{luckyNumbers: {value: number, meaning: string}[], specialRules: string[]}}
+ */
+export function describeRuleSet(ruleSet) {
+    const luckyNumbers = ruleSet.luckyNumbers.map(value => ({
+        value,
+        meaning: ruleSet.luckyMeanings?.[value] || ''
+    }));
+
+    const triggers = Array.from(new Set([
+        ...Object.keys(ruleSet.exclusions || {}),
+        ...Object.keys(ruleSet.inclusions || {})
+    ])).map(Number).sort((a, b) => b - a);
+
+    const specialRules = triggers.map(trigger => {
+        const parts = [];
+        const excluded = ruleSet.exclusions?.[trigger] || [];
+        const included = ruleSet.inclusions?.[trigger] || [];
+        if (excluded.length) parts.push(`Cannot use ${excluded.join(', ')}`);
+        if (included.length) parts.push(`Can use ${included.join(', ')}`);
+        return `Birth/Life = ${trigger} → ${parts.join(', ')}`;
+    });
+    ruleSet.forbiddenValues.forEach(value => specialRules.push(`Value ${value} → Forbidden for personal names`));
+    ruleSet.specialAllowedValues.forEach(value => specialRules.push(`Value ${value} → Specially allowed`));
+
+    return { luckyNumbers, specialRules };
+}
+
+/**
+ * Load saved rule sets. The built-in default is always first and read-only.
+ * @returns {Object[]}
+ */
+export function loadRuleSets() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(RULE_SETS_STORAGE_KEY) || '[]');
+        const custom = Array.isArray(saved) ? saved.filter(rs => rs.id !== DEFAULT_RULE_SET.id) : [];
+        return [DEFAULT_RULE_SET, ...custom];
+    } catch (error) {
+        console.error('Failed to load saved rule sets:', error);
+        return [DEFAULT_RULE_SET];
+    }
+}
+
+/**
+ * Persist custom rule sets (the built-in default is never stored)
+ * @param {Object[]} ruleSets
+ */
+export function saveRuleSets(ruleSets) {
+    try {
+        const custom = ruleSets.filter(rs => rs.id !== DEFAULT_RULE_SET.id);
+        localStorage.setItem(RULE_SETS_STORAGE_KEY, JSON.stringify(custom));
+    } catch (error) {
+        console.error('Failed to save rule sets:', error);
+    }
+}
+
+/**
+ * @returns {string} Id of the rule set last selected, or the default
+ */
+export function loadActiveRuleSetId() {
+    try {
+        return localStorage.getItem(ACTIVE_RULE_SET_STORAGE_KEY) || DEFAULT_RULE_SET.id;
+    } catch {
+        return DEFAULT_RULE_SET.id;
+    }
+}
+
+/**
+ * @param {string} id
+ */
+export function saveActiveRuleSetId(id) {
+    try {
+        localStorage.setItem(ACTIVE_RULE_SET_STORAGE_KEY, id);
+    } catch (error) {
+        console.error('Failed to save active rule set:', error);
+    }
+}
@@ -0,0 +1,97 @@
+import { DEFAULT_RULE_SET } from './numerology';
+import {
+    parseNumberList,
+    validateRuleSet,
+    createRuleSet,
+    updateRuleSet,
+    describeRuleSet,
+    loadRuleSets,
+    saveRuleSets
+} from './ruleSets';
+
+describe('parseNumberList', () => {
+    test('accepts commas and spaces and drops junk and duplicates', () => {
+        expect(parseNumberList('1, 5 6,,x, 5')).toEqual([1, 5, 6]);
+        expect(parseNumberList('')).toEqual([]);
+    });
+});
+
+describe('validateRuleSet', () => {
+    test('the default rule set is valid', () => {
+        expect(validateRuleSet(DEFAULT_RULE_SET)).toEqual([]);
+    });
+
+    test('reports missing lucky numbers, bad digits and overlapping values', () => {
+        const errors = validateRuleSet({
+            ...DEFAULT_RULE_SET,
+            name: ' ',
+            luckyNumbers: [],
+            exclusions: { 8: [12] },
+            forbiddenValues: [65]
+        });
+        expect(errors).toEqual([
+            'Rule set name is required.',
+            'At least one lucky number is required.',
+            'Exclusions for 8 must only use single digits 1-9.',
+            'Values cannot be both forbidden and specially allowed: 65.'
+        ]);
+    });
+});
+
+describe('versioning', () => {
+    test('createRuleSet copies rules under a new id at version 1', () => {
+        const copy = createRuleSet(DEFAULT_RULE_SET, 'My Variant');
+        expect(copy.id).not.toBe(DEFAULT_RULE_SET.id);
+        expect(copy).toMatchObject({ name: 'My Variant', version: 1, history: [], luckyNumbers: [1, 5, 6] });
+        copy.exclusions[8].push(5);
+        expect(DEFAULT_RULE_SET.exclusions[8]).toEqual([1]);
+    });
+
+    test('updateRuleSet bumps the version and keeps the previous one', () => {
+        const v1 = createRuleSet(DEFAULT_RULE_SET, 'My Variant');
+        const v2 = updateRuleSet(v1, { luckyNumbers: [1, 5] });
+        const v3 = updateRuleSet(v2, { luckyNumbers: [5] });
+        expect(v3.version).toBe(3);
+        expect(v3.id).toBe(v1.id);
+        expect(v3.history.map(h => h.version)).toEqual([1, 2]);
+        expect(v3.history[1].luckyNumbers).toEqual([1, 5]);
+        expect(v3.history[1].history).toBeUndefined();
+    });
+});
+
+describe('describeRuleSet', () => {
+    test('renders the default rules card content', () => {
+        expect(describeRuleSet(DEFAULT_RULE_SET)).toEqual({
+            luckyNumbers: [
+                { value: 1, meaning: 'Power & Leadership' },
+                { value: 5, meaning: 'Freedom & Adventure' },
+                { value: 6, meaning: 'Love & Harmony' }
+            ],
+            specialRules: [
+                'Birth/Life = 8 → Cannot use 1',
+                'Birth/Life = 6 → Cannot use 3',
+                'Birth/Life = 3 → Cannot use 6, Can use 3',
+                'Value 51 → Forbidden for personal names',
+                'Value 65 → Specially allowed'
+            ]
+        });
+    });
+});
+
+describe('persistence', () => {
+    beforeEach(() => localStorage.clear());
+
+    test('the built-in default is always first and never stored', () => {
+        const custom = createRuleSet(DEFAULT_RULE_SET, 'Saved');
+        saveRuleSets([DEFAULT_RULE_SET, custom]);
+        expect(JSON.parse(localStorage.getItem('numerology.ruleSets'))).toHaveLength(1);
+        expect(loadRuleSets().map(rs => rs.name)).toEqual([DEFAULT_RULE_SET.name, 'Saved']);
+    });
+
+    test('falls back to the default when storage is corrupt', () => {
+        localStorage.setItem('numerology.ruleSets', '{not json');
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect(loadRuleSets()).toEqual([DEFAULT_RULE_SET]);
+        console.error.mockRestore();
+    });
+});
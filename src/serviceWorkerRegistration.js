@@ -0,0 +1,22 @@
+// Name_Corrector/frontend/src/serviceWorkerRegistration.js
+// Registers public/service-worker.js in production builds only; the dev server
+// would otherwise serve stale bundles from the cache.
+
+export function register() {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+        return;
+    }
+    window.addEventListener('load', () => {
+        navigator.serviceWorker
+            .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+            .catch(error => console.error('Service worker registration failed:', error));
+    });
+}
+
+export function unregister() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.ready
+            .then(registration => registration.unregister())
+            .catch(error => console.error(error.message));
+    }
+}
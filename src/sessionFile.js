@@ -0,0 +1,291 @@
+// Name_Corrector/frontend/src/sessionFile.js
+// Portable, versioned session files so a consultant can hand a client's session to a
+// colleague on another machine. Imports are checked and recomputed with the current engine.
+import {
+    DEFAULT_RULE_SET,
+    analyzeName,
+    buildClientProfile,
+    calculateBirthNumber,
+    calculateLifePathNumber,
+    calculateFirstNameValue,
+    calculateExpressionNumber,
+    calculateRawSum,
+    calculateSoulUrgeNumber,
+    calculatePersonalityNumber,
+    checkKarmicDebt,
+    isValidNameNumber,
+    getNameCompatibilityAnalysis
+} from './numerology';
+import { DEFAULT_NAME_ORDER } from './nameParts';
+import { phoneticSimilarity } from './phonetic';
+import { validateRuleSet, createRuleSet } from './ruleSets';
+
+export const SESSION_FILE_FORMAT = 'numerology-session';
+export const SESSION_FILE_VERSION = 1;
+export const SESSION_FILE_EXTENSION = 'numerology.json';
+
+// Fields that decide verdicts; names, versions and history do not
+const RULE_FIELDS = ['luckyNumbers', 'exclusions', 'inclusions', 'forbiddenValues', 'specialAllowedValues'];
+
+// Values compared between the exported snapshot and the recomputed one
+const RESULT_FIELDS = [
+    { id: 'firstNameValue', label: 'First Name Value' },
+    { id: 'expressionNumber', label: 'Expression Number' },
+    { id: 'isValid', label: 'Verdict' },
+    { id: 'tier', label: 'Tier' }
+];
+
+// Upgrades from each older version to the next; empty until the format changes
+const MIGRATIONS = {};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Every distinct name in the session, with the parts its first name is taken from
+function collectSessionNames(session) {
+    const names = new Map();
+    session.editableSuggestions.forEach(s => {
+        if (s.currentName?.trim() && !names.has(s.currentName)) names.set(s.currentName, s.nameParts);
+    });
+    session.confirmedSuggestions.forEach(cs => {
+        if (cs.name?.trim() && !names.has(cs.name)) names.set(cs.name, cs.name_parts);
+    });
+    return Array.from(names, ([name, nameParts]) => ({ name, nameParts }));
+}
+
+/**
+ * Verdicts for every name in a session, as the engine currently computes them
+ * @param {Object} session - birthDate, nameOrder, editableSuggestions, confirmedSuggestions
+ * @param {Object} [ruleSet=DEFAULT_RULE_SET]
+ * @returns {Object[]} name, firstNameValue, expressionNumber, isValid, tier
+ */
+export function computeSessionResults(session, ruleSet = DEFAULT_RULE_SET) {
+    return collectSessionNames(session).map(({ name, nameParts }) => {
+        const analysis = analyzeName(name, session.birthDate, ruleSet, nameParts || session.nameOrder || DEFAULT_NAME_ORDER);
+        return {
+            name,
+            firstNameValue: analysis.firstNameValue,
+            expressionNumber: analysis.expressionNumber,
+            isValid: analysis.isValid,
+            tier: analysis.compatibilityAnalysis.priority.label
+        };
+    });
+}
+
+/**
+ * Build the file written on export
+ * @param {Object} details
+ * @param {Object} details.session - fullName, birthDate, birthTime, birthPlace, nameOrder, notes,
+ *   clientProfile, suggestions, editableSuggestions, confirmedSuggestions, business
+ * @param {Object} [details.ruleSet=DEFAULT_RULE_SET] - The rule set the session was worked with
+ * @param {Date} [details.exportedAt=new Date()]
+ * @returns {Object}
+ */
+export function buildSessionFile({ session, ruleSet = DEFAULT_RULE_SET, exportedAt = new Date() }) {
+    const { history, ...rules } = ruleSet;
+    const content = {
+        fullName: session.fullName || '',
+        birthDate: session.birthDate || '',
+        birthTime: session.birthTime || '',
+        birthPlace: session.birthPlace || '',
+        nameOrder: session.nameOrder || DEFAULT_NAME_ORDER,
+        notes: session.notes || '',
+        clientProfile: session.clientProfile || null,
+        suggestions: session.suggestions || [],
+        editableSuggestions: session.editableSuggestions || [],
+        confirmedSuggestions: session.confirmedSuggestions || [],
+        business: session.business || null
+    };
+    return {
+        format: SESSION_FILE_FORMAT,
+        version: SESSION_FILE_VERSION,
+        exportedAt: exportedAt.toISOString(),
+        session: content,
+        ruleSet: rules,
+        results: computeSessionResults(content, ruleSet)
+    };
+}
+
+/**
+ * @param {Object} file - buildSessionFile result
+ * @returns {string} e.g. "Session_Ravi_Kumar.numerology.json"
+ */
+export function getSessionFilename(file) {
+    const name = file.session.fullName.trim().replace(/\s+/g, '_') || 'Unnamed';
+    return `Session_${name}.${SESSION_FILE_EXTENSION}`;
+}
+
+/**
+ * Check the shape of an imported file before anything is applied
+ * @param {*} data - Parsed JSON
+ * @returns {string[]} Human readable errors, empty when valid
+ */
+export function validateSessionFile(data) {
+    if (!isObject(data) || data.format !== SESSION_FILE_FORMAT) {
+        return ['This is not a numerology session file.'];
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        return ['The session file has no valid version number.'];
+    }
+    if (data.version > SESSION_FILE_VERSION) {
+        return [`The session file is version ${data.version}, but this portal reads up to version ${SESSION_FILE_VERSION}. Update the portal and try again.`];
+    }
+
+    const errors = [];
+    const { session } = data;
+    if (!isObject(session)) {
+        return ['The session file has no session data.'];
+    }
+    if (typeof session.fullName !== 'string' || !session.fullName.trim()) {
+        errors.push('The client full name is missing.');
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(session.birthDate || '')) {
+        errors.push('The birth date is missing or not in YYYY-MM-DD format.');
+    }
+    ['birthTime', 'birthPlace', 'notes'].forEach(field => {
+        if (session[field] !== undefined && typeof session[field] !== 'string') {
+            errors.push(`The ${field} field must be text.`);
+        }
+    });
+    if (session.clientProfile !== null && session.clientProfile !== undefined && !isObject(session.clientProfile)) {
+        errors.push('The client profile is malformed.');
+    }
+    ['suggestions', 'editableSuggestions', 'confirmedSuggestions'].forEach(field => {
+        if (!Array.isArray(session[field])) errors.push(`The ${field} list is missing.`);
+    });
+    if (Array.isArray(session.editableSuggestions) && !session.editableSuggestions.every(s => isObject(s) && typeof s.currentName === 'string')) {
+        errors.push('Every edited suggestion needs a name.');
+    }
+    if (Array.isArray(session.confirmedSuggestions) && !session.confirmedSuggestions.every(cs => isObject(cs) && typeof cs.name === 'string')) {
+        errors.push('Every confirmed name needs a name.');
+    }
+    if (session.business !== null && session.business !== undefined &&
+        !(isObject(session.business) && Array.isArray(session.business.confirmedNames) && session.business.confirmedNames.every(name => typeof name === 'string'))) {
+        errors.push('The business names are malformed.');
+    }
+    if (!isObject(data.ruleSet)) {
+        errors.push('The rule set used for the session is missing.');
+    } else {
+        validateRuleSet(data.ruleSet).forEach(error => errors.push(`Rule set: ${error}`));
+    }
+    if (data.results !== undefined && !Array.isArray(data.results)) {
+        errors.push('The exported results are malformed.');
+    }
+    return errors;
+}
+
+/**
+ * Parse, upgrade and validate the text of a session file
+ * @param {string} text
+ * @returns {{data: Object|null, errors: string[]}}
+ */
+export function readSessionFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        return { data: null, errors: ['The file is not valid JSON.'] };
+    }
+    while (isObject(data) && data.format === SESSION_FILE_FORMAT && MIGRATIONS[data.version]) {
+        data = MIGRATIONS[data.version](data);
+    }
+    const errors = validateSessionFile(data);
+    return { data: errors.length === 0 ? data : null, errors };
+}
+
+const sameRules = (a, b) => RULE_FIELDS.every(field => JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null));
+
+/**
+ * Find the local rule set matching the one in the file, or make an imported copy of it
+ * @param {Object} fileRuleSet
+ * @param {Object[]} ruleSets - Rule sets available on this machine
+ * @returns {{ruleSet: Object, isNew: boolean}}
+ */
+export function resolveSessionRuleSet(fileRuleSet, ruleSets) {
+    const sameId = ruleSets.find(rs => rs.id === fileRuleSet.id);
+    if (sameId && sameRules(sameId, fileRuleSet)) {
+        return { ruleSet: sameId, isNew: false };
+    }
+    const sameContent = ruleSets.find(rs => sameRules(rs, fileRuleSet));
+    if (sameContent) {
+        return { ruleSet: sameContent, isNew: false };
+    }
+    return { ruleSet: createRuleSet(fileRuleSet, `${fileRuleSet.name} (imported)`), isNew: true };
+}
+
+// Recalculate a suggestion card the way App does after an edit
+function recomputeSuggestion(suggestion, session, ruleSet) {
+    const name = suggestion.currentName;
+    const nameParts = suggestion.nameParts || session.nameOrder || DEFAULT_NAME_ORDER;
+    const birthNumber = calculateBirthNumber(session.birthDate);
+    const lifePathNumber = calculateLifePathNumber(session.birthDate);
+    const firstNameValue = calculateFirstNameValue(name, nameParts);
+    const expressionNumber = calculateExpressionNumber(name);
+    const isValid = isValidNameNumber(firstNameValue, expressionNumber, birthNumber, lifePathNumber, ruleSet);
+    return {
+        ...suggestion,
+        firstNameValue,
+        expressionNumber,
+        rawSum: calculateRawSum(name),
+        soulUrgeNumber: calculateSoulUrgeNumber(name),
+        personalityNumber: calculatePersonalityNumber(name),
+        karmicDebtPresent: checkKarmicDebt(name),
+        phoneticSimilarity: phoneticSimilarity(session.clientProfile?.full_name || session.fullName, name),
+        isValid,
+        compatibilityAnalysis: getNameCompatibilityAnalysis(firstNameValue, expressionNumber, birthNumber, lifePathNumber, ruleSet),
+        validationResult: isValid
+    };
+}
+
+/**
+ * Recompute every stored value with the current engine and list what differs from the export
+ * @param {Object} data - A validated session file
+ * @param {Object} ruleSet - Rule set to evaluate with (see resolveSessionRuleSet)
+ * @returns {{session: Object, changes: {name: string, field: string, before: *, after: *}[]}}
+ */
+export function recomputeSession(data, ruleSet) {
+    const session = {
+        ...data.session,
+        birthTime: data.session.birthTime || '',
+        birthPlace: data.session.birthPlace || '',
+        nameOrder: data.session.nameOrder || DEFAULT_NAME_ORDER,
+        notes: data.session.notes || '',
+        // Rebuilt from the checked fields; the file's own profile is never trusted
+        clientProfile: data.session.clientProfile
+            ? buildClientProfile({
+                fullName: data.session.fullName,
+                birthDate: data.session.birthDate,
+                birthTime: data.session.birthTime || '',
+                birthPlace: data.session.birthPlace || ''
+            })
+            : null,
+        business: data.session.business || null
+    };
+    session.editableSuggestions = session.editableSuggestions.map(s => recomputeSuggestion(s, session, ruleSet));
+    session.confirmedSuggestions = session.confirmedSuggestions.map(cs => ({
+        ...cs,
+        expression_number: calculateExpressionNumber(cs.name)
+    }));
+
+    const exported = new Map((data.results || []).map(result => [result.name, result]));
+    const changes = [];
+    computeSessionResults(session, ruleSet).forEach(result => {
+        const before = exported.get(result.name);
+        if (!before) return;
+        RESULT_FIELDS.forEach(({ id, label }) => {
+            if (before[id] !== result[id]) {
+                changes.push({ name: result.name, field: label, before: before[id], after: result[id] });
+            }
+        });
+    });
+    return { session, changes };
+}
+
+/**
+ * Changed values as one line for the import warning
+ * @param {Object[]} changes - recomputeSession changes
+ * @returns {string}
+ */
+export function describeSessionChanges(changes) {
+    const show = (value) => (typeof value === 'boolean' ? (value ? 'valid' : 'invalid') : String(value));
+    return changes.map(change => `${change.name}: ${change.field} ${show(change.before)} → ${show(change.after)}`).join('; ');
+}
@@ -0,0 +1,125 @@
+import { DEFAULT_RULE_SET } from './numerology';
+import {
+    SESSION_FILE_FORMAT,
+    SESSION_FILE_VERSION,
+    buildSessionFile,
+    getSessionFilename,
+    validateSessionFile,
+    readSessionFile,
+    resolveSessionRuleSet,
+    recomputeSession,
+    describeSessionChanges
+} from './sessionFile';
+
+const session = {
+    fullName: 'Ravi Kumar',
+    birthDate: '1990-05-15',
+    birthTime: '06:30',
+    birthPlace: 'Chennai',
+    nameOrder: 'western',
+    notes: 'Prefers a spelling close to the original.',
+    clientProfile: { full_name: 'Ravi Kumar', birth_date: '1990-05-15' },
+    suggestions: [{ name: 'Raavi Kumar' }],
+    editableSuggestions: [{ id: 0, currentName: 'Raavi Kumaar', originalName: 'Raavi Kumar', isEdited: true, firstNameValue: 0, expressionNumber: 0 }],
+    confirmedSuggestions: [{ name: 'Raavi Kumar', expression_number: 0, rationale: 'Balances the birth number.' }],
+    business: { businessName: 'Sunrise', ownerBirthDate: '1990-05-15', confirmedNames: ['Sunrise Group'] }
+};
+
+const file = buildSessionFile({ session, exportedAt: new Date('2026-10-19T10:00:00Z') });
+
+describe('buildSessionFile', () => {
+    test('writes the format, version, inputs, notes, rule set and a results snapshot', () => {
+        expect(file).toMatchObject({ format: SESSION_FILE_FORMAT, version: SESSION_FILE_VERSION, exportedAt: '2026-10-19T10:00:00.000Z' });
+        expect(file.session).toMatchObject({ fullName: 'Ravi Kumar', notes: session.notes, nameOrder: 'western' });
+        expect(file.session.editableSuggestions[0].isEdited).toBe(true);
+        expect(file.session.business.confirmedNames).toEqual(['Sunrise Group']);
+        expect(file.ruleSet).not.toHaveProperty('history');
+        expect(file.results.map(r => r.name)).toEqual(['Raavi Kumaar', 'Raavi Kumar']);
+        expect(file.results[0]).toHaveProperty('tier');
+    });
+
+    test('names the file after the client', () => {
+        expect(getSessionFilename(file)).toBe('Session_Ravi_Kumar.numerology.json');
+    });
+});
+
+describe('validateSessionFile', () => {
+    test('accepts an exported file', () => {
+        expect(validateSessionFile(JSON.parse(JSON.stringify(file)))).toEqual([]);
+    });
+
+    test('rejects other files and newer versions', () => {
+        expect(validateSessionFile({ hello: 'world' })).toEqual(['This is not a numerology session file.']);
+        expect(validateSessionFile({ ...file, version: SESSION_FILE_VERSION + 1 })[0]).toMatch(/Update the portal/);
+    });
+
+    test('lists missing and malformed fields', () => {
+        const errors = validateSessionFile({
+            ...file,
+            session: { ...file.session, fullName: '', birthDate: '15/05/1990', confirmedSuggestions: undefined, business: { confirmedNames: 'Sunrise Group' } },
+            ruleSet: { ...file.ruleSet, luckyNumbers: [] }
+        });
+        expect(errors).toEqual([
+            'The client full name is missing.',
+            'The birth date is missing or not in YYYY-MM-DD format.',
+            'The confirmedSuggestions list is missing.',
+            'The business names are malformed.',
+            'Rule set: At least one lucky number is required.'
+        ]);
+    });
+});
+
+describe('readSessionFile', () => {
+    test('parses a valid file and reports invalid JSON', () => {
+        expect(readSessionFile(JSON.stringify(file)).errors).toEqual([]);
+        expect(readSessionFile('{not json')).toEqual({ data: null, errors: ['The file is not valid JSON.'] });
+    });
+});
+
+describe('resolveSessionRuleSet', () => {
+    const custom = { ...DEFAULT_RULE_SET, id: 'ruleset-1', name: 'Strict', version: 3, luckyNumbers: [1, 5] };
+
+    test('uses a local rule set with the same rules, matched by id or content', () => {
+        expect(resolveSessionRuleSet(file.ruleSet, [DEFAULT_RULE_SET, custom])).toEqual({ ruleSet: DEFAULT_RULE_SET, isNew: false });
+        expect(resolveSessionRuleSet({ ...custom, id: 'ruleset-other' }, [DEFAULT_RULE_SET, custom]).ruleSet).toBe(custom);
+    });
+
+    test('makes an imported copy when no local rule set matches', () => {
+        const { ruleSet, isNew } = resolveSessionRuleSet(custom, [DEFAULT_RULE_SET]);
+        expect(isNew).toBe(true);
+        expect(ruleSet).toMatchObject({ name: 'Strict (imported)', version: 1, luckyNumbers: [1, 5] });
+        expect(ruleSet.id).not.toBe(custom.id);
+    });
+});
+
+describe('recomputeSession', () => {
+    test('refreshes stored values and keeps edits, notes, rationales and business names', () => {
+        const { session: restored, changes } = recomputeSession(file, DEFAULT_RULE_SET);
+        expect(changes).toEqual([]);
+        expect(restored.notes).toBe(session.notes);
+        expect(restored.business).toEqual(session.business);
+        expect(restored.editableSuggestions[0]).toMatchObject({ currentName: 'Raavi Kumaar', isEdited: true });
+        expect(restored.editableSuggestions[0].expressionNumber).toBe(file.results[0].expressionNumber);
+        expect(typeof restored.editableSuggestions[0].phoneticSimilarity).toBe('number');
+        expect(restored.confirmedSuggestions[0]).toMatchObject({ rationale: 'Balances the birth number.', expression_number: file.results[1].expressionNumber });
+    });
+
+    test('rebuilds the client profile from the checked fields instead of trusting the file', () => {
+        const crafted = { ...file, session: { ...file.session, clientProfile: { full_name: '<img src=x onerror=alert(1)>', birth_date: '<b>', expression_details: {} } } };
+        const { session: restored } = recomputeSession(crafted, DEFAULT_RULE_SET);
+        expect(restored.clientProfile).toMatchObject({ full_name: 'Ravi Kumar', birth_date: '1990-05-15', birth_time: '06:30', birth_place: 'Chennai' });
+        expect(restored.clientProfile).not.toHaveProperty('expression_details');
+        expect(recomputeSession({ ...file, session: { ...file.session, clientProfile: null } }, DEFAULT_RULE_SET).session.clientProfile).toBeNull();
+    });
+
+    test('reports values that differ from the exported results', () => {
+        const stale = {
+            ...file,
+            results: file.results.map(r => (r.name === 'Raavi Kumar' ? { ...r, expressionNumber: r.expressionNumber + 1, isValid: !r.isValid } : r))
+        };
+        const { changes } = recomputeSession(stale, DEFAULT_RULE_SET);
+        expect(changes.map(c => c.field)).toEqual(['Expression Number', 'Verdict']);
+        expect(changes[0]).toMatchObject({ name: 'Raavi Kumar', after: file.results[1].expressionNumber });
+        expect(describeSessionChanges(changes)).toMatch(/^Raavi Kumar: Expression Number \d+ → \d+; Raavi Kumar: Verdict (in)?valid → (in)?valid$/);
+    });
+});
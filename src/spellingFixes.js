@@ -0,0 +1,177 @@
+// Name_Corrector/frontend/src/spellingFixes.js
+// "Fix this name": the smallest respellings that make a non-compliant name comply.
+// FNV and Expression only depend on letter sums, so each edit is screened by how
+// much it changes those sums before any candidate name is built.
+import {
+    DEFAULT_RULE_SET,
+    CHALDEAN_MAP,
+    VOWELS,
+    cleanName,
+    getChaldeanValue,
+    calculateBirthNumber,
+    calculateLifePathNumber,
+    getNameCompatibilityAnalysis
+} from './numerology';
+import { DEFAULT_NAME_ORDER, resolveNameParts, composeFullName, getGivenPartIndexes } from './nameParts';
+import { editDistance, toTitleCase } from './suggestionGenerator';
+import { phoneticSimilarity } from './phonetic';
+
+const LETTERS = Object.keys(CHALDEAN_MAP);
+
+// Two-edit searches on long names can produce tens of thousands of spellings;
+// stop collecting once there are plenty to rank
+const MAX_CANDIDATES = 1500;
+
+export const FIX_SCOPES = [
+    { id: 'first', label: 'First name only' },
+    { id: 'full', label: 'Full name' }
+];
+
+// How noticeable an edit is: doubling or swapping vowels barely changes a name,
+// adding or dropping a vowel or silent H a little, anything else the most
+const isSoftLetter = (letter) => VOWELS.has(letter) || letter === 'H' || letter === 'Y';
+
+/**
+ * Every single-letter edit of a word that changes its Chaldean sum: insert,
+ * delete, double or swap a letter
+ * @param {string} word - Uppercase word
+ * @returns {{word: string, edit: string, delta: number, effort: number}[]} delta is the change
+ *   in the word's sum; effort 0-2 is how noticeable the edit is
+ */
+export function getSingleLetterEdits(word) {
+    const edits = [];
+    const add = (candidate, edit, delta, effort) => {
+        if (delta !== 0) edits.push({ word: candidate, edit, delta, effort });
+    };
+
+    for (let i = 0; i <= word.length; i++) {
+        const before = word.slice(0, i);
+        const char = word[i];
+        const after = word.slice(i + 1);
+
+        // Inserting a neighbour's letter is the same as doubling it, reported below
+        LETTERS.forEach(letter => {
+            if (letter !== char && letter !== word[i - 1]) {
+                add(before + letter + word.slice(i), `inserted ${letter}`, getChaldeanValue(letter), isSoftLetter(letter) ? 1 : 2);
+            }
+        });
+        if (i === word.length) break;
+
+        if (word[i + 1] !== char) {
+            add(before + char + char + after, `doubled ${char}`, getChaldeanValue(char), 0);
+        }
+        if (word.length > 1) {
+            add(before + after, `removed ${char}`, -getChaldeanValue(char), isSoftLetter(char) ? 1 : 2);
+        }
+        LETTERS.forEach(letter => {
+            if (letter !== char) {
+                const effort = isSoftLetter(char) && isSoftLetter(letter) ? 0 : 2;
+                add(before + letter + after, `${char} → ${letter}`, getChaldeanValue(letter) - getChaldeanValue(char), effort);
+            }
+        });
+    }
+    return edits;
+}
+
+/**
+ * Closest compliant respellings of a name, ranked by edit distance, then
+ * phonetic similarity, then priority tier, then how noticeable the edits are
+ * @param {string} name
+ * @param {string} birthDateStr - Date in YYYY-MM-DD format
+ * @param {Object} [options]
+ * @param {Object} [options.ruleSet=DEFAULT_RULE_SET]
+ * @param {string|Object[]} [options.nameFormat=DEFAULT_NAME_ORDER] - Name order preset id or explicit parts
+ * @param {string} [options.scope='full'] - 'first' only edits the given name, 'full' any word but initials
+ * @param {number} [options.maxEdits=2] - Edits tried per name; a second is only tried when one is not enough
+ * @param {number} [options.limit=10]
+ * @returns {{name: string, nameParts: Object[], edits: string[], distance: number, phoneticSimilarity: number,
+ *   firstNameValue: number, expressionNumber: number, compatibilityAnalysis: Object}[]}
+ */
+export function findNameFixes(name, birthDateStr, {
+    ruleSet = DEFAULT_RULE_SET,
+    nameFormat = DEFAULT_NAME_ORDER,
+    scope = 'full',
+    maxEdits = 2,
+    limit = 10
+} = {}) {
+    const parts = resolveNameParts(name, nameFormat);
+    const words = parts.map(part => cleanName(part.text).replace(/\s+/g, ''));
+    const givenIndexes = new Set(getGivenPartIndexes(parts));
+    const editable = words
+        .map((word, index) => index)
+        .filter(index => words[index] && (scope === 'first' ? givenIndexes.has(index) : parts[index].type !== 'initial' || givenIndexes.has(index)));
+    if (editable.length === 0) return [];
+
+    const birthNumber = calculateBirthNumber(birthDateStr);
+    const lifePathNumber = calculateLifePathNumber(birthDateStr);
+    const wordSum = (word) => [...word].reduce((sum, char) => sum + getChaldeanValue(char), 0);
+    const baseFnv = [...givenIndexes].reduce((sum, index) => sum + wordSum(words[index]), 0);
+    const baseCmv = words.reduce((sum, word) => sum + wordSum(word), 0);
+
+    const analyses = new Map();
+    const analyze = (fnv, cmv) => {
+        const key = `${fnv}|${cmv}`;
+        if (!analyses.has(key)) {
+            analyses.set(key, getNameCompatibilityAnalysis(fnv, cmv, birthNumber, lifePathNumber, ruleSet));
+        }
+        return analyses.get(key);
+    };
+
+    const candidates = new Map();
+    const consider = (changes) => {
+        const fnvDelta = changes.reduce((sum, c) => sum + (givenIndexes.has(c.index) ? c.delta : 0), 0);
+        const cmvDelta = changes.reduce((sum, c) => sum + c.delta, 0);
+        const analysis = analyze(baseFnv + fnvDelta, baseCmv + cmvDelta);
+        if (!analysis.isValid) return;
+
+        const nameParts = parts.map((part, index) => {
+            const change = [...changes].reverse().find(c => c.index === index);
+            return change ? { ...part, text: toTitleCase(change.word) } : part;
+        });
+        const fixedName = composeFullName(nameParts);
+        if (candidates.has(fixedName)) return;
+        candidates.set(fixedName, {
+            name: fixedName,
+            nameParts,
+            edits: changes.map(c => `${parts[c.index].text}: ${c.edit}`),
+            effort: changes.reduce((sum, c) => sum + c.effort, 0),
+            firstNameValue: baseFnv + fnvDelta,
+            expressionNumber: baseCmv + cmvDelta,
+            compatibilityAnalysis: analysis
+        });
+    };
+
+    const editsByWord = new Map(editable.map(index => [index, getSingleLetterEdits(words[index])]));
+    editable.forEach(index => {
+        editsByWord.get(index).forEach(e => consider([{ index, ...e }]));
+    });
+
+    if (maxEdits >= 2 && candidates.size < limit) {
+        const isFull = () => candidates.size >= MAX_CANDIDATES;
+        editable.some(first => editsByWord.get(first).some(e1 =>
+            editable.filter(second => second >= first).some(second => {
+                const secondEdits = second === first ? getSingleLetterEdits(e1.word) : editsByWord.get(second);
+                secondEdits.forEach(e2 => consider([{ index: first, ...e1 }, { index: second, ...e2 }]));
+                return isFull();
+            })
+        ));
+    }
+
+    const original = composeFullName(parts);
+    return [...candidates.values()]
+        .map(candidate => ({
+            ...candidate,
+            distance: editDistance(cleanName(original), cleanName(candidate.name)),
+            phoneticSimilarity: phoneticSimilarity(original, candidate.name)
+        }))
+        .filter(candidate => candidate.distance > 0)
+        .sort((a, b) =>
+            a.distance - b.distance ||
+            b.phoneticSimilarity - a.phoneticSimilarity ||
+            b.compatibilityAnalysis.priority.priority - a.compatibilityAnalysis.priority.priority ||
+            a.effort - b.effort ||
+            a.name.localeCompare(b.name)
+        )
+        .slice(0, limit)
+        .map(({ effort, ...fix }) => fix);
+}
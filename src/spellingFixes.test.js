@@ -0,0 +1,61 @@
+import { analyzeName, calculateFirstNameValue, calculateExpressionNumber } from './numerology';
+import { getSingleLetterEdits, findNameFixes } from './spellingFixes';
+
+const BIRTH_DATE = '1990-05-15';
+
+describe('getSingleLetterEdits', () => {
+    const edits = getSingleLetterEdits('ANA');
+
+    test('inserts, deletes, doubles and swaps letters', () => {
+        const names = edits.map(e => e.edit);
+        expect(names).toEqual(expect.arrayContaining(['doubled N', 'removed N', 'inserted H', 'N → M']));
+        expect(edits.find(e => e.edit === 'doubled N').word).toBe('ANNA');
+    });
+
+    test('skips edits that leave the letter sum unchanged', () => {
+        expect(edits.every(e => e.delta !== 0)).toBe(true);
+        // A and I are both worth 1
+        expect(edits.some(e => e.edit === 'A → I')).toBe(false);
+    });
+
+    test('reports a neighbouring insert as a double only once', () => {
+        expect(edits.filter(e => e.word === 'ANNA')).toHaveLength(1);
+    });
+});
+
+describe('findNameFixes', () => {
+    const fixes = findNameFixes('Ravi Kumar', BIRTH_DATE);
+
+    test('every fix complies and matches the engine', () => {
+        expect(fixes.length).toBeGreaterThan(0);
+        fixes.forEach(fix => {
+            const analysis = analyzeName(fix.name, BIRTH_DATE);
+            expect(analysis.isValid).toBe(true);
+            expect(fix.firstNameValue).toBe(calculateFirstNameValue(fix.name));
+            expect(fix.expressionNumber).toBe(calculateExpressionNumber(fix.name));
+        });
+    });
+
+    test('ranks by edit distance, then phonetic similarity', () => {
+        const ranked = [...fixes].sort((a, b) => a.distance - b.distance || b.phoneticSimilarity - a.phoneticSimilarity);
+        expect(fixes.map(f => [f.distance, f.phoneticSimilarity])).toEqual(ranked.map(f => [f.distance, f.phoneticSimilarity]));
+    });
+
+    test('first-name scope leaves the other words alone', () => {
+        const firstOnly = findNameFixes('Priya Sharma', BIRTH_DATE, { scope: 'first' });
+        expect(firstOnly.length).toBeGreaterThan(0);
+        firstOnly.forEach(fix => expect(fix.name.endsWith(' Sharma')).toBe(true));
+    });
+
+    test('never edits initials and keeps the part types', () => {
+        findNameFixes('R. Kumar', BIRTH_DATE).forEach(fix => {
+            expect(fix.nameParts[0]).toEqual({ type: 'initial', text: 'R.' });
+            expect(fix.nameParts[1].type).toBe('given');
+        });
+    });
+
+    test('respects the limit and handles empty names', () => {
+        expect(findNameFixes('Ravi Kumar', BIRTH_DATE, { limit: 3 })).toHaveLength(3);
+        expect(findNameFixes('', BIRTH_DATE)).toEqual([]);
+    });
+});
@@ -0,0 +1,200 @@
+// Name_Corrector/frontend/src/suggestionGenerator.js
+// Client-side spelling variants for when /initial_suggestions is cold or down.
+import {
+    DEFAULT_RULE_SET,
+    VOWELS,
+    cleanName,
+    calculateBirthNumber,
+    calculateLifePathNumber,
+    calculateFirstNameValue,
+    calculateExpressionNumber,
+    calculateSingleDigit,
+    getNameCompatibilityAnalysis
+} from './numerology';
+import { DEFAULT_NAME_ORDER } from './nameParts';
+
+// Swaps that keep a name sounding roughly the same
+const VOWEL_SWAPS = {
+    A: ['E', 'AA'],
+    E: ['A', 'I', 'EE'],
+    I: ['Y', 'EE', 'E'],
+    O: ['U', 'OO'],
+    U: ['O', 'OO'],
+    Y: ['I', 'IE']
+};
+
+// Letters that can be added or dropped without changing pronunciation much
+const SILENT_LETTERS = ['H', 'E'];
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+/**
+ * Restore the original capitalisation style (Title Case) for a generated word
+ * @param {string} word - Uppercase word
+ * @returns {string}
+ */
+export function toTitleCase(word) {
+    return word.charAt(0) + word.slice(1).toLowerCase();
+}
+
+/**
+ * Spelling variants of a single uppercase word, each tagged with how it was made
+ * @param {string} word - Uppercase word
+ * @returns {{word: string, edit: string}[]}
+ */
+export function generateWordVariants(word) {
+    const variants = [];
+    const add = (candidate, edit) => {
+        if (candidate && candidate !== word) variants.push({ word: candidate, edit });
+    };
+
+    for (let i = 0; i < word.length; i++) {
+        const char = word[i];
+        const before = word.slice(0, i);
+        const after = word.slice(i + 1);
+
+        // Doubled letters (skip if already doubled)
+        if (!VOWELS.has(char) && word[i + 1] !== char && word[i - 1] !== char) {
+            add(before + char + char + after, `doubled ${char}`);
+        }
+        // Collapse an existing double letter
+        if (word[i + 1] === char) {
+            add(before + after, `single ${char}`);
+        }
+        // Vowel swaps
+        (VOWEL_SWAPS[char] || []).forEach(swap => add(before + swap + after, `${char} → ${swap}`));
+        // Silent letters that are already present can be dropped
+        if (SILENT_LETTERS.includes(char) && i > 0) {
+            add(before + after, `removed silent ${char}`);
+        }
+    }
+
+    // Silent H after the first consonant (e.g. Dev → Dhev) and trailing E
+    const firstConsonant = [...word].findIndex(char => !VOWELS.has(char) && char !== 'H');
+    if (firstConsonant !== -1 && word[firstConsonant + 1] !== 'H') {
+        add(word.slice(0, firstConsonant + 1) + 'H' + word.slice(firstConsonant + 1), 'added silent H');
+    }
+    if (!word.endsWith('E')) {
+        add(word + 'E', 'added silent E');
+    }
+    if (!word.endsWith('H')) {
+        add(word + 'H', 'added silent H');
+    }
+
+    const seen = new Set();
+    return variants.filter(v => !seen.has(v.word) && seen.add(v.word));
+}
+
+/**
+ * Generate and rank compliant spelling variants of a client's name
+ * @param {string} fullName - Client's current full name
+ * @param {string} birthDateStr - Date in YYYY-MM-DD format
+ * @param {Object} [options]
+ * @param {Object} [options.ruleSet=DEFAULT_RULE_SET] - Rule set to evaluate against
+ * @param {number} [options.limit=20] - Maximum suggestions returned
+ * @param {boolean} [options.includeInvalid=false] - Keep non-compliant variants
+ * @param {string} [options.nameOrder=DEFAULT_NAME_ORDER] - Name order preset used to find the given name
+ * @returns {{name: string, rationale: string, source: string, edits: string[], priority: number}[]}
+ */
+export function generateNameSuggestions(fullName, birthDateStr, { ruleSet = DEFAULT_RULE_SET, limit = 20, includeInvalid = false, nameOrder = DEFAULT_NAME_ORDER } = {}) {
+    const words = cleanName(fullName).split(/\s+/).filter(Boolean);
+    if (words.length === 0) return [];
+
+    const birthNumber = calculateBirthNumber(birthDateStr);
+    const lifePathNumber = calculateLifePathNumber(birthDateStr);
+    const originalName = words.map(toTitleCase).join(' ');
+
+    // Each word is either kept, re-spelled, or (for later words) reduced to an initial
+    const optionsPerWord = words.map((word, index) => {
+        const options = [{ word, edit: null }, ...generateWordVariants(word)];
+        if (index > 0 && word.length > 1) {
+            options.push({ word: word[0], edit: `initial ${word[0]}` });
+        }
+        return options;
+    });
+
+    // Combine at most two edited words so the result stays recognisable
+    let combinations = [{ parts: [], edits: [] }];
+    optionsPerWord.forEach((options, index) => {
+        const next = [];
+        combinations.forEach(combo => {
+            options.forEach(option => {
+                if (option.edit && combo.edits.length >= 2) return;
+                next.push({
+                    parts: [...combo.parts, option.word],
+                    edits: option.edit ? [...combo.edits, `${index === 0 ? 'first name' : `part ${index + 1}`}: ${option.edit}`] : combo.edits
+                });
+            });
+        });
+        combinations = next;
+    });
+
+    const suggestions = combinations
+        .filter(combo => combo.edits.length > 0)
+        .map(combo => {
+            const name = combo.parts.map(toTitleCase).join(' ');
+            const fnv = calculateFirstNameValue(name, nameOrder);
+            const cmv = calculateExpressionNumber(name);
+            const analysis = getNameCompatibilityAnalysis(fnv, cmv, birthNumber, lifePathNumber, ruleSet);
+            return {
+                name,
+                rationale: `Local variant (${combo.edits.join('; ')}). FNV ${fnv} → ${calculateSingleDigit(fnv, false)}, Expression ${cmv} → ${calculateSingleDigit(cmv, false)}. ${analysis.recommendation}`,
+                source: 'local',
+                edits: combo.edits,
+                isValid: analysis.isValid,
+                priority: analysis.priority.priority,
+                distance: editDistance(originalName.toUpperCase(), name.toUpperCase())
+            };
+        })
+        .filter(s => includeInvalid || s.isValid);
+
+    suggestions.sort((a, b) =>
+        b.priority - a.priority ||
+        a.edits.length - b.edits.length ||
+        a.distance - b.distance ||
+        a.name.localeCompare(b.name)
+    );
+
+    const seen = new Set();
+    return suggestions
+        .filter(s => !seen.has(s.name) && seen.add(s.name))
+        .slice(0, limit)
+        .map(({ isValid, distance, ...suggestion }) => suggestion);
+}
+
+/**
+ * Append local suggestions to backend ones, skipping names the backend already returned
+ * @param {Array<string|Object>} backendSuggestions
+ * @param {Object[]} localSuggestions
+ * @returns {Object[]}
+ */
+export function blendSuggestions(backendSuggestions, localSuggestions) {
+    const normalized = (backendSuggestions || []).map(s => typeof s === 'string' ? { name: s } : s);
+    const seen = new Set(normalized.map(s => cleanName(s.name).trim()));
+    return [
+        ...normalized,
+        ...localSuggestions.filter(s => !seen.has(cleanName(s.name).trim()))
+    ];
+}
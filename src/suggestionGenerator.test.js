@@ -0,0 +1,90 @@
+import {
+    calculateBirthNumber,
+    calculateLifePathNumber,
+    calculateFirstNameValue,
+    calculateExpressionNumber,
+    isValidNameNumber
+} from './numerology';
+import {
+    editDistance,
+    generateWordVariants,
+    generateNameSuggestions,
+    blendSuggestions
+} from './suggestionGenerator';
+
+describe('editDistance', () => {
+    test('counts insertions, deletions and substitutions', () => {
+        expect(editDistance('ANA', 'ANA')).toBe(0);
+        expect(editDistance('ANA', 'ANNA')).toBe(1);
+        expect(editDistance('KITTEN', 'SITTING')).toBe(3);
+    });
+});
+
+describe('generateWordVariants', () => {
+    const words = (word) => generateWordVariants(word).map(v => v.word);
+
+    test('doubles consonants, swaps vowels and adds silent letters', () => {
+        const variants = words('RAJ');
+        expect(variants).toEqual(expect.arrayContaining(['RRAJ', 'RAJJ', 'REJ', 'RHAJ', 'RAJE', 'RAJH']));
+        expect(variants).not.toContain('RAJ');
+    });
+
+    test('collapses double letters and drops existing silent letters', () => {
+        expect(words('ANNE')).toEqual(expect.arrayContaining(['ANE', 'ANN']));
+    });
+
+    test('never returns duplicates', () => {
+        const variants = words('ANNA');
+        expect(new Set(variants).size).toBe(variants.length);
+    });
+});
+
+describe('generateNameSuggestions', () => {
+    const birthDate = '1990-05-17';
+    const birthNumber = calculateBirthNumber(birthDate);
+    const lifePathNumber = calculateLifePathNumber(birthDate);
+
+    test('returns only compliant local variants of the name', () => {
+        const suggestions = generateNameSuggestions('Raj Kumar', birthDate);
+        expect(suggestions.length).toBeGreaterThan(0);
+        suggestions.forEach(s => {
+            expect(s.source).toBe('local');
+            expect(s.name).not.toBe('Raj Kumar');
+            expect(isValidNameNumber(calculateFirstNameValue(s.name), calculateExpressionNumber(s.name), birthNumber, lifePathNumber)).toBe(true);
+        });
+    });
+
+    test('ranks by priority tier first', () => {
+        const priorities = generateNameSuggestions('Raj Kumar', birthDate, { limit: 100 }).map(s => s.priority);
+        expect(priorities).toEqual([...priorities].sort((a, b) => b - a));
+    });
+
+    test('respects the limit and can include non-compliant variants', () => {
+        expect(generateNameSuggestions('Raj Kumar', birthDate, { limit: 3 })).toHaveLength(3);
+        const all = generateNameSuggestions('Raj Kumar', birthDate, { limit: 1000, includeInvalid: true });
+        expect(all.some(s => s.priority === 1)).toBe(true);
+    });
+
+    test('offers initials for later name parts', () => {
+        const all = generateNameSuggestions('Raj Kumar', birthDate, { limit: 1000, includeInvalid: true });
+        expect(all.map(s => s.name)).toContain('Raj K');
+    });
+
+    test('returns nothing for an empty name', () => {
+        expect(generateNameSuggestions('  ', birthDate)).toEqual([]);
+    });
+});
+
+describe('blendSuggestions', () => {
+    test('keeps backend order and skips local duplicates', () => {
+        const blended = blendSuggestions(
+            ['Rajj Kumar', { name: 'Raaj Kumar', rationale: 'backend' }],
+            [{ name: 'RAJJ KUMAR', source: 'local' }, { name: 'Raj Kumaar', source: 'local' }]
+        );
+        expect(blended).toEqual([
+            { name: 'Rajj Kumar' },
+            { name: 'Raaj Kumar', rationale: 'backend' },
+            { name: 'Raj Kumaar', source: 'local' }
+        ]);
+    });
+});
@@ -0,0 +1,110 @@
+// Name_Corrector/frontend/src/suggestionView.js
+// Sorting, filtering and paging of the suggestion carousel.
+
+// sortValue drives ordering; direction is the natural one for each, best first
+export const SUGGESTION_SORTS = [
+    { id: 'original', label: 'Original order', sortValue: null, direction: 'asc' },
+    { id: 'tier', label: 'Priority tier', sortValue: s => s.compatibilityAnalysis?.priority.priority ?? 0, direction: 'desc' },
+    { id: 'firstNameValue', label: 'First Name Value', sortValue: s => s.firstNameValue, direction: 'asc' },
+    { id: 'expressionNumber', label: 'Expression Number', sortValue: s => s.expressionNumber, direction: 'asc' },
+    { id: 'phonetic', label: 'Pronunciation closeness', sortValue: s => s.phoneticSimilarity ?? 0, direction: 'desc' }
+];
+
+export const SUGGESTION_PAGE_SIZES = [5, 10, 20];
+
+export const SUGGESTION_LAYOUTS = [
+    { id: 'carousel', label: 'Pages' },
+    { id: 'grid', label: 'Grid (all)' }
+];
+
+export const DEFAULT_SUGGESTION_VIEW = {
+    sortId: 'original',
+    direction: 'asc',
+    query: '',
+    compliantOnly: false,
+    hideKarmic: false,
+    minPhoneticSimilarity: 0,
+    pageSize: SUGGESTION_PAGE_SIZES[0],
+    layout: 'carousel'
+};
+
+/**
+ * Whether any filter hides suggestions; sorting and layout do not count
+ * @param {Object} view
+ * @returns {boolean}
+ */
+export function hasActiveFilters(view) {
+    return Boolean(view.query.trim()) || view.compliantOnly || view.hideKarmic || view.minPhoneticSimilarity > 0;
+}
+
+/**
+ * Suggestions that pass the toolbar filters, in their original order
+ * @param {Object[]} suggestions - Editable suggestions
+ * @param {Object} view - See DEFAULT_SUGGESTION_VIEW
+ * @returns {Object[]}
+ */
+export function filterSuggestions(suggestions, view) {
+    const query = view.query.trim().toUpperCase();
+    return suggestions.filter(s => (
+        (s.phoneticSimilarity ?? 1) >= view.minPhoneticSimilarity &&
+        (!view.compliantOnly || s.isValid) &&
+        (!view.hideKarmic || !s.karmicDebtPresent) &&
+        (!query || s.currentName.toUpperCase().includes(query))
+    ));
+}
+
+/**
+ * Sort suggestions; ties keep their original order
+ * @param {Object[]} suggestions
+ * @param {string} sortId - One of SUGGESTION_SORTS
+ * @param {'asc'|'desc'} [direction]
+ * @returns {Object[]} New array
+ */
+export function sortSuggestions(suggestions, sortId, direction) {
+    const sort = SUGGESTION_SORTS.find(s => s.id === sortId);
+    if (!sort?.sortValue) {
+        return direction === 'desc' ? [...suggestions].reverse() : [...suggestions];
+    }
+    const factor = (direction || sort.direction) === 'desc' ? -1 : 1;
+    return [...suggestions].sort((a, b) => {
+        const left = sort.sortValue(a);
+        const right = sort.sortValue(b);
+        if (left < right) return -factor;
+        if (left > right) return factor;
+        return 0;
+    });
+}
+
+/**
+ * Ids of the suggestions that pass the filters, in display order
+ * @param {Object[]} suggestions
+ * @param {Object} view - See DEFAULT_SUGGESTION_VIEW
+ * @returns {number[]}
+ */
+export function getSuggestionOrder(suggestions, view) {
+    return sortSuggestions(filterSuggestions(suggestions, view), view.sortId, view.direction).map(s => s.id);
+}
+
+/**
+ * Filter, sort and page the suggestions for display
+ * @param {Object[]} suggestions
+ * @param {Object} view - See DEFAULT_SUGGESTION_VIEW
+ * @param {number} page - Zero-based; clamped to the last page
+ * @param {number[]} [order] - A getSuggestionOrder snapshot to show instead of the live order
+ * @returns {{items: Object[], matching: number, page: number, pageCount: number}}
+ */
+export function getSuggestionPage(suggestions, view, page, order = getSuggestionOrder(suggestions, view)) {
+    const byId = new Map(suggestions.map(s => [s.id, s]));
+    const sorted = order.map(id => byId.get(id)).filter(Boolean);
+    if (view.layout === 'grid') {
+        return { items: sorted, matching: sorted.length, page: 0, pageCount: 1 };
+    }
+    const pageCount = Math.max(Math.ceil(sorted.length / view.pageSize), 1);
+    const current = Math.min(Math.max(page, 0), pageCount - 1);
+    return {
+        items: sorted.slice(current * view.pageSize, (current + 1) * view.pageSize),
+        matching: sorted.length,
+        page: current,
+        pageCount
+    };
+}
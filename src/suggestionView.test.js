@@ -0,0 +1,71 @@
+import {
+    DEFAULT_SUGGESTION_VIEW,
+    hasActiveFilters,
+    filterSuggestions,
+    sortSuggestions,
+    getSuggestionOrder,
+    getSuggestionPage
+} from './suggestionView';
+
+const tier = priority => ({ priority: { priority } });
+const suggestions = [
+    { id: 0, currentName: 'Anna Smith', firstNameValue: 12, expressionNumber: 29, phoneticSimilarity: 0.9, isValid: true, karmicDebtPresent: false, compatibilityAnalysis: tier(3) },
+    { id: 1, currentName: 'Annah Smith', firstNameValue: 17, expressionNumber: 34, phoneticSimilarity: 0.95, isValid: false, karmicDebtPresent: false, compatibilityAnalysis: tier(1) },
+    { id: 2, currentName: 'Ana Smyth', firstNameValue: 7, expressionNumber: 16, phoneticSimilarity: 0.6, isValid: true, karmicDebtPresent: true, compatibilityAnalysis: tier(5) },
+    { id: 3, currentName: 'Anne Smith', firstNameValue: 17, expressionNumber: 33, phoneticSimilarity: 0.8, isValid: true, karmicDebtPresent: false, compatibilityAnalysis: tier(5) }
+];
+const ids = list => list.map(s => s.id);
+const view = changes => ({ ...DEFAULT_SUGGESTION_VIEW, ...changes });
+
+describe('filterSuggestions', () => {
+    test('applies compliance, karmic debt, pronunciation and search filters together', () => {
+        expect(ids(filterSuggestions(suggestions, view({ compliantOnly: true })))).toEqual([0, 2, 3]);
+        expect(ids(filterSuggestions(suggestions, view({ compliantOnly: true, hideKarmic: true })))).toEqual([0, 3]);
+        expect(ids(filterSuggestions(suggestions, view({ minPhoneticSimilarity: 0.85 })))).toEqual([0, 1]);
+        expect(ids(filterSuggestions(suggestions, view({ query: ' smyth ' })))).toEqual([2]);
+    });
+
+    test('only filters count as active', () => {
+        expect(hasActiveFilters(view({ sortId: 'tier', layout: 'grid' }))).toBe(false);
+        expect(hasActiveFilters(view({ hideKarmic: true }))).toBe(true);
+    });
+});
+
+describe('sortSuggestions', () => {
+    test('sorts best first by default and keeps ties in their original order', () => {
+        expect(ids(sortSuggestions(suggestions, 'tier'))).toEqual([2, 3, 0, 1]);
+        expect(ids(sortSuggestions(suggestions, 'phonetic'))).toEqual([1, 0, 3, 2]);
+        expect(ids(sortSuggestions(suggestions, 'firstNameValue'))).toEqual([2, 0, 1, 3]);
+    });
+
+    test('honours an explicit direction and leaves the input untouched', () => {
+        expect(ids(sortSuggestions(suggestions, 'expressionNumber', 'desc'))).toEqual([1, 3, 0, 2]);
+        expect(ids(sortSuggestions(suggestions, 'original', 'desc'))).toEqual([3, 2, 1, 0]);
+        expect(ids(suggestions)).toEqual([0, 1, 2, 3]);
+    });
+});
+
+describe('getSuggestionPage', () => {
+    test('pages the filtered, sorted list and clamps the page', () => {
+        const result = getSuggestionPage(suggestions, view({ pageSize: 3, sortId: 'tier', direction: 'desc' }), 7);
+        expect(result).toMatchObject({ matching: 4, page: 1, pageCount: 2 });
+        expect(ids(result.items)).toEqual([1]);
+    });
+
+    test('the grid layout shows every match on one page', () => {
+        const result = getSuggestionPage(suggestions, view({ layout: 'grid', hideKarmic: true }), 3);
+        expect(result).toMatchObject({ matching: 3, page: 0, pageCount: 1 });
+        expect(ids(result.items)).toEqual([0, 1, 3]);
+    });
+
+    test('shows a snapshot order with the live values, so an edited card stays put', () => {
+        const compliantByTier = view({ compliantOnly: true, sortId: 'tier', direction: 'desc', layout: 'grid' });
+        const order = getSuggestionOrder(suggestions, compliantByTier);
+        expect(order).toEqual([2, 3, 0]);
+        const edited = suggestions.map(s => (s.id === 2 ? { ...s, currentName: 'Ana Smythe', isValid: false, compatibilityAnalysis: tier(1) } : s));
+        expect(ids(getSuggestionPage(edited, compliantByTier, 0).items)).toEqual([3, 0]);
+        const { items } = getSuggestionPage(edited, compliantByTier, 0, order);
+        expect(ids(items)).toEqual([2, 3, 0]);
+        expect(items[0].currentName).toBe('Ana Smythe');
+    });
+});
@@ -0,0 +1,250 @@
+// Name_Corrector/frontend/src/transliteration.js
+// Romanizes names written in other scripts or with diacritics so the Chaldean
+// engine (A-Z only) sees every letter instead of silently dropping it.
+
+// Latin letters that don't decompose into a base letter plus accent
+const LATIN_SPECIALS = {
+    'ß': 'ss', 'æ': 'ae', 'Æ': 'Ae', 'œ': 'oe', 'Œ': 'Oe', 'ø': 'o', 'Ø': 'O',
+    'đ': 'd', 'Đ': 'D', 'ł': 'l', 'Ł': 'L', 'þ': 'th', 'Þ': 'Th', 'ð': 'd', 'Ð': 'D', 'ı': 'i'
+};
+
+const DEVANAGARI = {
+    consonants: {
+        'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+        'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+        'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+        'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+        'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+        'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+        'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+    },
+    // Consonant + nukta (NFD always splits the precomposed forms)
+    nukta: { 'क': 'q', 'ख': 'kh', 'ग': 'gh', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f' },
+    vowels: {
+        'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri',
+        'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऍ': 'e', 'ऑ': 'o'
+    },
+    signs: {
+        'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+        'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॅ': 'e', 'ॉ': 'o'
+    },
+    marks: { 'ं': 'n', 'ँ': 'n', 'ः': 'h' },
+    virama: '्',
+    nuktaSign: '़',
+    // Hindi drops the inherent "a" at the end of a word: राम is Ram, not Rama
+    dropFinalInherentVowel: true
+};
+
+const TAMIL = {
+    consonants: {
+        'க': 'k', 'ங': 'ng', 'ச': 's', 'ஞ': 'nj', 'ட': 't', 'ண': 'n', 'த': 'th', 'ந': 'n',
+        'ப': 'p', 'ம': 'm', 'ய': 'y', 'ர': 'r', 'ல': 'l', 'வ': 'v', 'ழ': 'zh', 'ள': 'l',
+        'ற': 'r', 'ன': 'n', 'ஜ': 'j', 'ஷ': 'sh', 'ஸ': 's', 'ஹ': 'h'
+    },
+    nukta: {},
+    vowels: {
+        'அ': 'a', 'ஆ': 'a', 'இ': 'i', 'ஈ': 'i', 'உ': 'u', 'ஊ': 'u',
+        'எ': 'e', 'ஏ': 'e', 'ஐ': 'ai', 'ஒ': 'o', 'ஓ': 'o', 'ஔ': 'au'
+    },
+    signs: {
+        'ா': 'a', 'ி': 'i', 'ீ': 'i', 'ு': 'u', 'ூ': 'u', 'ெ': 'e', 'ே': 'e', 'ை': 'ai', 'ௗ': 'au'
+    },
+    // NFD splits ொ, ோ and ௌ into two signs
+    signPairs: { '\u0BC6\u0BBE': 'o', '\u0BC7\u0BBE': 'o', '\u0BC6\u0BD7': 'au' },
+    marks: { 'ஃ': 'h' },
+    virama: '்',
+    nuktaSign: null,
+    dropFinalInherentVowel: false
+};
+
+const ARABIC = {
+    'ا': 'a', 'أ': 'a', 'إ': 'i', 'آ': 'a', 'ٱ': 'a', 'ب': 'b', 'پ': 'p', 'ت': 't', 'ث': 'th',
+    'ج': 'j', 'چ': 'ch', 'ح': 'h', 'خ': 'kh', 'د': 'd', 'ذ': 'dh', 'ر': 'r', 'ز': 'z', 'ژ': 'zh',
+    'س': 's', 'ش': 'sh', 'ص': 's', 'ض': 'd', 'ط': 't', 'ظ': 'z', 'ع': 'a', 'غ': 'gh',
+    'ف': 'f', 'ق': 'q', 'ك': 'k', 'ک': 'k', 'گ': 'g', 'ل': 'l', 'م': 'm', 'ن': 'n',
+    'ه': 'h', 'ة': 'a', 'و': 'w', 'ؤ': 'w', 'ي': 'y', 'ی': 'y', 'ى': 'a', 'ئ': 'y', 'ء': '',
+    // Short vowel marks, when the writer included them
+    'َ': 'a', 'ِ': 'i', 'ُ': 'u', 'ً': 'an', 'ٍ': 'in', 'ٌ': 'un', 'ْ': '', 'ـ': ''
+};
+const ARABIC_SHADDA = 'ّ';
+
+const CYRILLIC = {
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ж': 'zh', 'з': 'z',
+    'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p',
+    'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch',
+    'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya',
+    'і': 'i', 'є': 'ye', 'ґ': 'g'
+};
+// Letters NFD splits into a base plus a combining mark
+const CYRILLIC_COMBINED = { 'и\u0306': 'y', 'е\u0308': 'yo', 'і\u0308': 'yi' };
+
+const GREEK = {
+    'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th',
+    'ι': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p',
+    'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+};
+
+const SCRIPT_NOTES = {
+    Arabic: 'Arabic script usually leaves out short vowels, so check the romanized spelling with the client.',
+    Tamil: 'Tamil has several romanization conventions; confirm the spelling the client actually uses.',
+    Devanagari: 'Devanagari romanization varies (e.g. "ee" or "i"); confirm the spelling the client actually uses.'
+};
+
+const COMBINING_MARKS = /[̀-ͯ]/;
+
+function scriptOf(char) {
+    const code = char.codePointAt(0);
+    if (code >= 0x0900 && code <= 0x097f) return 'Devanagari';
+    if (code >= 0x0b80 && code <= 0x0bff) return 'Tamil';
+    if ((code >= 0x0600 && code <= 0x06ff) || (code >= 0x0750 && code <= 0x077f)) return 'Arabic';
+    if (code >= 0x0400 && code <= 0x04ff) return 'Cyrillic';
+    if (code >= 0x0370 && code <= 0x03ff) return 'Greek';
+    return null;
+}
+
+// Abugidas: consonants carry an inherent "a" unless a vowel sign or virama follows
+function romanizeAbugida(chars, start, table) {
+    const continuesWord = (char) => Boolean(char) && (Boolean(table.consonants[char]) || Boolean(table.vowels[char]) || table.marks[char] !== undefined);
+    let out = '';
+    let i = start;
+    while (i < chars.length) {
+        const char = chars[i];
+        if (table.consonants[char]) {
+            let sound = table.consonants[char];
+            if (table.nuktaSign && chars[i + 1] === table.nuktaSign) {
+                sound = table.nukta[char] || sound;
+                i++;
+            }
+            const next = chars[i + 1];
+            const pair = table.signPairs && next ? table.signPairs[next + (chars[i + 2] || '')] : null;
+            if (pair) {
+                out += sound + pair;
+                i += 3;
+            } else if (next === table.virama) {
+                out += sound;
+                i += 2;
+            } else if (next && table.signs[next]) {
+                out += sound + table.signs[next];
+                i += 2;
+            } else {
+                const dropVowel = table.dropFinalInherentVowel && !continuesWord(next) && out.length > 0;
+                out += sound + (dropVowel ? '' : 'a');
+                i++;
+            }
+        } else if (table.vowels[char]) {
+            out += table.vowels[char];
+            i++;
+        } else if (table.marks[char] !== undefined) {
+            out += table.marks[char];
+            i++;
+        } else {
+            break;
+        }
+    }
+    return { text: out, next: i };
+}
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Romanize a name into plain A-Z letters
+ * @param {string} text
+ * @returns {{text: string, changed: boolean, scripts: string[], dropped: string[], warnings: string[]}}
+ *   dropped lists letters that could not be romanized and are lost to the calculation
+ */
+export function transliterate(text) {
+    const input = text || '';
+    // Fast path for the common case of plain ASCII names
+    if (/^[\x20-\x7e]*$/.test(input)) {
+        return { text: input, changed: false, scripts: [], dropped: [], warnings: [] };
+    }
+
+    const chars = [...input.normalize('NFD')];
+    const scripts = new Set();
+    const dropped = new Set();
+    let out = '';
+    let hadDiacritics = false;
+    let i = 0;
+
+    while (i < chars.length) {
+        const char = chars[i];
+        const script = scriptOf(char);
+
+        if (script === 'Devanagari' || script === 'Tamil') {
+            const start = i;
+            const result = romanizeAbugida(chars, i, script === 'Devanagari' ? DEVANAGARI : TAMIL);
+            if (result.next === start) {
+                dropped.add(char);
+                i++;
+            } else {
+                scripts.add(script);
+                out += capitalize(result.text);
+                i = result.next;
+            }
+            continue;
+        }
+
+        if (script === 'Arabic') {
+            scripts.add(script);
+            if (char === ARABIC_SHADDA) {
+                out += out.slice(-1);
+            } else if (ARABIC[char] !== undefined) {
+                const sound = ARABIC[char];
+                out += /[a-z]$/i.test(out) ? sound : capitalize(sound);
+            } else {
+                dropped.add(char);
+            }
+            i++;
+            continue;
+        }
+
+        if (script === 'Cyrillic' || script === 'Greek') {
+            const lower = char.toLowerCase();
+            const combined = script === 'Cyrillic' ? CYRILLIC_COMBINED[lower + (chars[i + 1] || '')] : undefined;
+            const sound = combined ?? (script === 'Cyrillic' ? CYRILLIC : GREEK)[lower];
+            if (sound === undefined) {
+                dropped.add(char);
+            } else {
+                scripts.add(script);
+                out += char !== lower ? capitalize(sound) : sound;
+            }
+            i += combined === undefined ? 1 : 2;
+            continue;
+        }
+
+        if (COMBINING_MARKS.test(char)) {
+            hadDiacritics = true;
+        } else if (LATIN_SPECIALS[char]) {
+            hadDiacritics = true;
+            out += LATIN_SPECIALS[char];
+        } else if (/[A-Za-z\s]/.test(char) || !/\p{L}/u.test(char)) {
+            // Plain letters and spaces pass through; punctuation is stripped later as before
+            out += char;
+        } else {
+            dropped.add(char);
+        }
+        i++;
+    }
+
+    const warnings = [...scripts].filter(s => SCRIPT_NOTES[s]).map(s => SCRIPT_NOTES[s]);
+    if (dropped.size > 0) {
+        warnings.unshift(`These characters could not be romanized and are ignored in the calculation: ${[...dropped].join(' ')}`);
+    }
+
+    return {
+        text: out.replace(/\s+/g, ' ').trim(),
+        changed: hadDiacritics || scripts.size > 0 || dropped.size > 0,
+        scripts: [...scripts],
+        dropped: [...dropped],
+        warnings
+    };
+}
+
+/**
+ * Romanized form of a name, for places that only need the text
+ * @param {string} text
+ * @returns {string}
+ */
+export function romanize(text) {
+    return transliterate(text).text;
+}
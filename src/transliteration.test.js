@@ -0,0 +1,50 @@
+import { transliterate, romanize } from './transliteration';
+import { cleanName, calculateExpressionNumber } from './numerology';
+
+describe('transliterate', () => {
+    test('leaves plain ASCII names untouched', () => {
+        expect(transliterate('John Smith')).toEqual({ text: 'John Smith', changed: false, scripts: [], dropped: [], warnings: [] });
+    });
+
+    test('strips Latin diacritics and expands special letters', () => {
+        expect(romanize('José Núñez')).toBe('Jose Nunez');
+        expect(romanize('Zoë Straße')).toBe('Zoe Strasse');
+        expect(romanize('Søren Łukasz')).toBe('Soren Lukasz');
+        expect(transliterate('Zoë').changed).toBe(true);
+    });
+
+    test('romanizes Devanagari with word-final schwa deletion', () => {
+        expect(romanize('राम कुमार')).toBe('Ram Kumar');
+        expect(romanize('अमित शर्मा')).toBe('Amit Sharma');
+        expect(romanize('प्रिया')).toBe('Priya');
+        expect(romanize('ज़ैनब')).toBe('Zainab');
+        expect(transliterate('सुरेश').scripts).toEqual(['Devanagari']);
+    });
+
+    test('romanizes Tamil including split vowel signs', () => {
+        expect(romanize('செல்வி')).toBe('Selvi');
+        expect(romanize('கோபால்')).toBe('Kopal');
+    });
+
+    test('romanizes Arabic, Cyrillic and Greek', () => {
+        expect(romanize('محمد')).toBe('Mhmd');
+        expect(transliterate('محمد').warnings[0]).toMatch(/short vowels/);
+        expect(romanize('Александр Йовович')).toBe('Aleksandr Yovovich');
+        expect(romanize('Ελένη')).toBe('Eleni');
+    });
+
+    test('reports letters it cannot romanize', () => {
+        const result = transliterate('王伟 Li');
+        expect(result.text).toBe('Li');
+        expect(result.dropped).toEqual(['王', '伟']);
+        expect(result.warnings[0]).toMatch(/could not be romanized/);
+    });
+});
+
+describe('engine integration', () => {
+    test('cleanName keeps accented letters instead of dropping them', () => {
+        expect(cleanName('José')).toBe('JOSE');
+        expect(calculateExpressionNumber('Zoë')).toBe(calculateExpressionNumber('Zoe'));
+        expect(calculateExpressionNumber('राम')).toBe(calculateExpressionNumber('Ram'));
+    });
+});